@@ -0,0 +1,144 @@
+// Builds the bundled datasets in public/ from a raw incident table, so the
+// four files always come from the same incidents:
+//
+//   npm run build-data -- incidents.csv
+//   npm run build-data -- incidents.csv --out public --timeline-years 2005-2025
+//   npm run build-data -- incidents.csv --sponsor "Attributed state" --dry-run
+//
+// Columns are matched to fields the same way the in-app importer does;
+// --sponsor, --actor, --victim, --sector, --country and --date name a column
+// explicitly. Prints a validation report and exits non-zero when the result
+// is inconsistent (nothing is written then).
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { INCIDENT_FIELDS, guessMapping, mappingProblems, parseIncidentFile } from '../src/lib/incidentTable.js';
+import { buildDatasets, checkDatasets } from '../src/lib/buildDatasets.js';
+
+// File names the app loads (see DATASETS in src/data/datasets.js), formatted
+// like the files they replace
+const OUTPUTS = {
+  sector: { file: 'sector_network.json', indent: 2 },
+  geo: { file: 'geo_network.json', indent: 2 },
+  nodeDetails: { file: 'node_details.json', indent: 2 },
+  timeline: { file: 'sponsor_timeline.json', indent: 0 },
+};
+
+const USAGE = `Usage: npm run build-data -- <incidents.csv|json> [options]
+
+Options:
+  --out <dir>                 where to write the JSON files (default: public)
+  --timeline-years <from-to>  span of the sponsor timeline (default: the dated incidents)
+  --dry-run                   report only; write nothing
+  --<field> <column>          column for a field (${INCIDENT_FIELDS.map(f => f.key).join(', ')})
+`;
+
+function fail(message) {
+  console.error(`build-data: ${message}\n`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+function parseCommandLine() {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', default: 'public' },
+        'timeline-years': { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false },
+        ...Object.fromEntries(INCIDENT_FIELDS.map(f => [f.key, { type: 'string' }])),
+      },
+    });
+  } catch (err) {
+    return fail(err.message);
+  }
+}
+
+const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+
+function roleSummary(network) {
+  const roles = {};
+  network.nodes.forEach(n => { roles[n.type] = (roles[n.type] || 0) + 1; });
+  return Object.entries(roles).map(([role, n]) => `${n} ${role}`).join(', ');
+}
+
+// Nodes that are both sponsor and target get split into [S]/[T] twins in the app
+function dualRoleCount(network) {
+  const sponsors = new Set(network.links.filter(l => l.type.startsWith('sponsor_to')).map(l => l.source));
+  return new Set(network.links.filter(l => l.type.endsWith('to_victim') && sponsors.has(l.target)).map(l => l.target)).size;
+}
+
+async function main() {
+  const { values, positionals } = parseCommandLine();
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const [input] = positionals;
+  if (!input) fail('no incident file given');
+
+  let timelineYears = null;
+  if (values['timeline-years']) {
+    const match = values['timeline-years'].match(/^(\d{4})-(\d{4})$/);
+    if (!match || Number(match[1]) > Number(match[2])) fail('--timeline-years expects a span like 2005-2025');
+    timelineYears = [Number(match[1]), Number(match[2])];
+  }
+
+  let table;
+  try {
+    table = parseIncidentFile(await readFile(input, 'utf8'), path.basename(input));
+  } catch (err) {
+    fail(err.message);
+  }
+
+  const mapping = guessMapping(table.columns);
+  INCIDENT_FIELDS.forEach(({ key }) => {
+    if (values[key] === undefined) return;
+    if (!table.columns.includes(values[key])) fail(`--${key}: no column named "${values[key]}"`);
+    mapping[key] = values[key];
+  });
+  const problems = mappingProblems(mapping);
+  if (problems.length > 0) fail(`${problems.join('; ')} (columns: ${table.columns.join(', ')})`);
+
+  const { datasets, report } = buildDatasets(table.rows, mapping, { timelineYears });
+  const issues = checkDatasets(datasets);
+
+  console.log(`Incidents: ${input}`);
+  INCIDENT_FIELDS.forEach(({ key }) => console.log(`  ${key.padEnd(8)} ← ${mapping[key] || '(not mapped)'}`));
+  console.log(`\n${count(report.rows, 'row')}, ${count(report.incidents, 'incident')}, ${report.skipped} skipped, ${report.undated} undated`);
+  report.skippedRows.forEach(s => console.log(`  row ${s.row}: ${s.reason}`));
+  if (report.years) console.log(`Years: ${report.years[0]}–${report.years[1]}`);
+  ['sector', 'geo'].forEach(name => {
+    const network = datasets[name];
+    console.log(
+      `${name.padEnd(6)} ${count(network.nodes.length, 'node')} (${roleSummary(network)}), ` +
+      `${count(network.links.length, 'link')}, ${dualRoleCount(network)} sponsor-and-target`
+    );
+  });
+  console.log(`details  ${count(Object.keys(datasets.nodeDetails).length, 'node')}`);
+  console.log(`timeline ${count(new Set(datasets.timeline.map(d => d.sponsor)).size, 'sponsor')}`);
+
+  if (issues.length > 0) {
+    console.error('\nValidation failed:');
+    issues.forEach(({ dataset, message }) => console.error(`  ${dataset}: ${message}`));
+    process.exit(1);
+  }
+  console.log('\nValidation passed');
+  if (report.incidents === 0) fail('no usable incidents; nothing written');
+
+  if (values['dry-run']) return;
+  await mkdir(values.out, { recursive: true });
+  for (const [name, { file, indent }] of Object.entries(OUTPUTS)) {
+    const target = path.join(values.out, file);
+    await writeFile(target, JSON.stringify(datasets[name], null, indent || undefined));
+    console.log(`wrote ${target}`);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,12 +1,140 @@
+import { useEffect, useRef, useState } from 'react'
 import NetworkGraph from './components/NetworkGraph'
+import QueryPanel from './components/QueryPanel'
+import RacingBarChart from './components/RacingBarChart'
+import DatasetImporter from './components/DatasetImporter'
+import useHashRoute, { DEFAULT_ROUTE } from './hooks/useHashRoute'
+import { BUNDLED_SOURCE } from './data/datasets'
+import { DataSourceContext } from './data/hooks'
 import './App.css'
 
+const NETWORK_TYPES = ['sector', 'geo']
+
+// NetworkGraph display → the view that shows it
+const DISPLAY_VIEWS = { graph: 'network', sankey: 'flows', map: 'map' }
+
+const VIEWS = [
+  { id: 'network', label: 'ATTRIBUTION NETWORK' },
+  { id: 'flows', label: 'FLOWS' },
+  { id: 'map', label: 'WORLD MAP' },
+  { id: 'timeline', label: 'SPONSOR TIMELINE' },
+  { id: 'data', label: 'DATASETS' },
+]
+
+const SOURCE_KEY = 'cti-viz.dataSource'
+const BUNDLED = { id: BUNDLED_SOURCE, name: 'Bundled' }
+
+function readSource() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SOURCE_KEY))
+    return stored?.id && stored?.name ? stored : BUNDLED
+  } catch {
+    return BUNDLED
+  }
+}
+
 function App() {
+  const [route, navigate] = useHashRoute()
+  const graphRef = useRef(null)
+  const [networkData, setNetworkData] = useState(null)
+
+  // Every view reads from the same data source, remembered across visits
+  const [source, setSource] = useState(readSource)
+  useEffect(() => {
+    try {
+      localStorage.setItem(SOURCE_KEY, JSON.stringify(source))
+    } catch {
+      // Not remembered; the choice still applies to this visit
+    }
+  }, [source])
+
+  const [view, subview] = route.segments
+  const knownView = VIEWS.some(v => v.id === view)
+  const activeView = knownView ? view : 'network'
+  // Flows and the map are other displays of the network view; flows keep the
+  // network type in the route, the map always shows the geo network
+  const typedView = view === 'network' || view === 'flows'
+  const networkType = typedView && NETWORK_TYPES.includes(subview) ? subview : null
+  const showsNetwork = ['network', 'flows', 'map'].includes(activeView)
+  const display = Object.keys(DISPLAY_VIEWS).find(d => DISPLAY_VIEWS[d] === activeView) || 'graph'
+
+  // Remember the last network sub-view so the nav tab returns to it
+  const [lastNetworkType, setLastNetworkType] = useState(networkType || 'sector')
+  useEffect(() => {
+    if (networkType) setLastNetworkType(networkType)
+  }, [networkType])
+
+  // Views are mounted on first visit and then kept alive so they keep their state
+  const [visited, setVisited] = useState(() => new Set([activeView]))
+  useEffect(() => {
+    setVisited(prev => prev.has(activeView) ? prev : new Set([...prev, activeView]))
+  }, [activeView])
+
+  useEffect(() => {
+    if (!knownView) navigate(DEFAULT_ROUTE)
+    else if (typedView && !networkType) navigate(`/${view}/${lastNetworkType}`)
+  }, [knownView, typedView, view, networkType, lastNetworkType, navigate])
+
+  const shownNetworkType = activeView === 'map' ? 'geo' : networkType || lastNetworkType
+  const switchNetworkType = (type) => navigate(`/${activeView === 'flows' ? 'flows' : 'network'}/${type}`)
+
+  const viewPath = (id) => id === 'network' || id === 'flows' ? `/${id}/${lastNetworkType}` : `/${id}`
+
   return (
-    <div className="App">
-      <NetworkGraph />
-    </div>
+    <DataSourceContext value={source.id}>
+      <div className="App">
+        <nav className="app-nav">
+          <span className="app-brand">CTI · VIZ</span>
+          {VIEWS.map(v => (
+            <a
+              key={v.id}
+              href={`#${viewPath(v.id)}`}
+              className={`app-nav-link ${activeView === v.id ? 'active' : ''}`}
+            >
+              {v.label}
+            </a>
+          ))}
+          {source.id !== BUNDLED_SOURCE && (
+            <a href="#/data" className="app-source" title="Showing an imported dataset">DATA · {source.name}</a>
+          )}
+        </nav>
+
+        {['network', 'flows', 'map'].some(id => visited.has(id)) && (
+          <div className="app-view network-layout" hidden={!showsNetwork}>
+            <NetworkGraph
+              ref={graphRef}
+              networkType={shownNetworkType}
+              display={display}
+              onNetworkTypeChange={switchNetworkType}
+              onDisplayChange={(next) => navigate(viewPath(DISPLAY_VIEWS[next]))}
+              onDataChange={setNetworkData}
+            />
+            <QueryPanel
+              data={networkData}
+              networkType={shownNetworkType}
+              onNetworkTypeChange={switchNetworkType}
+              onResultSelect={(id) => graphRef.current?.focusNode(id)}
+              onHighlight={(ids) => graphRef.current?.highlightNodes(ids)}
+              onCompare={(ids) => graphRef.current?.compareNodes(ids)}
+              sharedQuery={route.params.get('query')}
+            />
+          </div>
+        )}
+
+        {visited.has('timeline') && (
+          <div className="app-view" hidden={activeView !== 'timeline'}>
+            <RacingBarChart />
+          </div>
+        )}
+
+        {visited.has('data') && (
+          <div className="app-view" hidden={activeView !== 'data'}>
+            <DatasetImporter source={source} onSourceChange={setSource} />
+          </div>
+        )}
+      </div>
+    </DataSourceContext>
   )
 }
 
-export default App
\ No newline at end of file
+export default App
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { METRICS, rankNodes } from '../lib/analytics';
+
+const ROLES = [
+  { key: null, label: 'ALL' },
+  { key: 'sponsor', label: 'SPONSORS' },
+  { key: 'actor', label: 'ACTORS' },
+  { key: 'victim', label: 'TARGETS' },
+];
+
+const SIZE_OPTIONS = METRICS.map(m => ({ key: m.key, label: m.label }));
+const COLOR_OPTIONS = [
+  { key: 'role', label: 'ROLE' },
+  { key: 'community', label: 'COMMUNITY' },
+  ...METRICS.map(m => ({ key: m.key, label: m.label })),
+];
+
+// Centrality rankings, communities and bridge actors for the shown network,
+// plus the metrics that drive node size and colour. `analytics` is null while
+// the panel is collapsed (it is only computed when needed).
+export default function AnalyticsPanel({
+  network, analytics, expanded, onExpandedChange, sizeBy, onSizeByChange, colorBy, onColorByChange, communityColor, onSelect
+}) {
+  const [metric, setMetric] = useState('betweenness');
+  const [role, setRole] = useState('actor');
+  const current = METRICS.find(m => m.key === metric);
+  const byId = new Map((network?.nodes || []).map(n => [n.id, n]));
+
+  return (
+    <div className="layout-panel analytics-panel">
+      <button className="normalization-toggle" onClick={() => onExpandedChange(!expanded)}>
+        <span>ANALYTICS</span>
+        <span>{expanded ? '▲' : '▼'}</span>
+      </button>
+
+      {expanded && analytics && (
+        <div className="layout-panel-body">
+          <label className="analytics-choice">
+            <span>SIZE BY</span>
+            <select className="layout-name" value={sizeBy} onChange={(e) => onSizeByChange(e.target.value)}>
+              {SIZE_OPTIONS.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+            </select>
+          </label>
+          <label className="analytics-choice">
+            <span>COLOUR BY</span>
+            <select className="layout-name" value={colorBy} onChange={(e) => onColorByChange(e.target.value)}>
+              {COLOR_OPTIONS.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+            </select>
+          </label>
+
+          <div className="legend-title analytics-heading">RANKING</div>
+          <div className="layout-row analytics-tabs">
+            {METRICS.map(m => (
+              <button
+                key={m.key}
+                className={`layout-button ${metric === m.key ? 'active' : ''}`}
+                onClick={() => setMetric(m.key)}
+                title={m.title}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+          <div className="layout-row analytics-tabs">
+            {ROLES.map(r => (
+              <button
+                key={r.label}
+                className={`layout-button ${role === r.key ? 'active' : ''}`}
+                onClick={() => setRole(r.key)}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <ol className="analytics-table">
+            {rankNodes(network, analytics, metric, { type: role }).map(({ node, value }) => (
+              <li key={node.id} onClick={() => onSelect(node)} title={node.id}>
+                <span className={`result-dot ${node.type}`}></span>
+                <span className="layout-list-name">{node.id}</span>
+                <strong>{current.format(value)}</strong>
+              </li>
+            ))}
+          </ol>
+
+          <div className="legend-title analytics-heading">
+            COMMUNITIES · {analytics.communities.length} · Q {analytics.modularity.toFixed(2)}
+          </div>
+          <ul className="analytics-table">
+            {analytics.communities.slice(0, 8).map(c => (
+              <li key={c.index} title={c.sponsors.join(' · ') || 'No sponsors'}>
+                <span className="dot" style={{ background: communityColor(c.index) }}></span>
+                <span className="layout-list-name">{c.label}</span>
+                <strong>{c.size}</strong>
+              </li>
+            ))}
+          </ul>
+
+          <div className="legend-title analytics-heading">BRIDGES · {analytics.bridges.length}</div>
+          {analytics.bridges.length === 0 && (
+            <div className="layout-status">NO ACTOR LINKS SPONSORS FROM DIFFERENT COMMUNITIES</div>
+          )}
+          <ul className="analytics-table">
+            {analytics.bridges.map(b => (
+              <li
+                key={b.id}
+                onClick={() => byId.has(b.id) && onSelect(byId.get(b.id))}
+                title={`Sponsored by ${b.sponsors.join(', ')}`}
+              >
+                <span className="result-dot actor"></span>
+                <span className="layout-list-name">{b.id}</span>
+                <span className="analytics-bridge">
+                  {b.communities.map(c => <span key={c} className="dot" style={{ background: communityColor(c) }}></span>)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
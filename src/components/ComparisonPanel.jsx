@@ -0,0 +1,255 @@
+import { useImperativeHandle, useMemo, useRef, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import EntityPicker from './EntityPicker';
+import ExportMenu from './ExportMenu';
+import { COMPARISON_KINDS, MAX_COMPARED, compareEntities, similarity } from '../lib/comparison';
+import { exportFigure, exportFileName, serializeSvg, svgSize } from '../lib/exportView';
+import useHighlightSync from '../hooks/useHighlightSync';
+
+const TOP_PROFILE = 12;
+const LISTED_IDS = 8;
+const TYPE_NAMES = { sponsor: 'SPONSOR', actor: 'ACTOR', victim: 'TARGET' };
+
+const fileSlug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+const shortName = (name) => name.length > 28 ? name.slice(0, 28) + '…' : name;
+
+// Where each region's count goes, keyed by its members (see lib/comparison regions)
+const VENN_LAYOUTS = {
+  2: {
+    circles: [[80, 70], [140, 70]],
+    labels: { '0': [55, 74], '1': [165, 74], '0,1': [110, 74] },
+  },
+  3: {
+    circles: [[85, 62], [135, 62], [110, 104]],
+    labels: {
+      '0': [62, 52], '1': [158, 52], '2': [110, 134],
+      '0,1': [110, 44], '0,2': [82, 100], '1,2': [138, 100], '0,1,2': [110, 78],
+    },
+  },
+};
+
+function VennDiagram({ entities, regions }) {
+  const layout = VENN_LAYOUTS[entities.length];
+  if (!layout) return null;
+  const counts = new Map(regions.map(r => [r.members.join(','), r.ids.length]));
+  return (
+    <svg className="comparison-venn" viewBox="0 0 220 160" width="220" height="160">
+      {layout.circles.map(([cx, cy], i) => (
+        <circle key={entities[i].id} cx={cx} cy={cy} r={52} fill={entities[i].color} fillOpacity={0.18} stroke={entities[i].color} strokeWidth={2} />
+      ))}
+      {Object.entries(layout.labels).map(([key, [x, y]]) => (
+        <text key={key} x={x} y={y} textAnchor="middle" fill="#D8E1EA" fontSize="13" fontWeight="650">
+          {counts.get(key) || 0}
+        </text>
+      ))}
+    </svg>
+  );
+}
+
+// The entities a region belongs to, as coloured dots and a label
+function RegionLabel({ region, entities }) {
+  const label = region.members.length === entities.length
+    ? (entities.length === 2 ? 'BOTH' : 'ALL')
+    : region.members.length === 1
+      ? `ONLY ${shortName(entities[region.members[0]].id)}`
+      : region.members.map(i => shortName(entities[i].id)).join(' + ');
+  return (
+    <div className="comparison-region-title">
+      {region.members.map(i => <span key={i} className="dot" style={{ background: entities[i].color }}></span>)}
+      <span>{label.toUpperCase()}</span>
+      <strong>{region.ids.length}</strong>
+    </div>
+  );
+}
+
+function RegionList({ regions, entities, onSelect }) {
+  if (regions.length === 0) return <div className="layout-status">NONE</div>;
+  return (
+    <ul className="comparison-regions">
+      {regions.map(region => (
+        <li key={region.members.join(',')}>
+          <RegionLabel region={region} entities={entities} />
+          <div className="comparison-region-ids" title={region.ids.join('\n')}>
+            {region.ids.slice(0, LISTED_IDS).map((id, i) => (
+              <span key={id}>
+                {i > 0 && ' · '}
+                <button onClick={() => onSelect(id)}>{id}</button>
+              </span>
+            ))}
+            {region.ids.length > LISTED_IDS && ` · +${region.ids.length - LISTED_IDS} more`}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Two or more entities of one type side by side: their incident totals, an
+// overlaid chart of what they are compared on, the shared and unique parts of
+// it and of their related entity sets. `ids` are node ids of `network`;
+// `onHighlight` receives the comparison to colour in the graph, or null.
+// `ref` exposes summaryLines() and chartFigures() for the PDF export, like
+// NodeDetailPanel.
+export default function ComparisonPanel({ ref, network, ids, onIdsChange, onHighlight, onSelect, onClose }) {
+  const [isMinimized, setIsMinimized] = useState(false);
+  const chartRef = useRef(null);
+  const vennRef = useRef(null);
+
+  const comparison = useMemo(() => compareEntities(network, ids), [network, ids]);
+  const { entities, type } = comparison;
+  const kind = COMPARISON_KINDS[type] || COMPARISON_KINDS.actor;
+  const ready = entities.length >= 2;
+
+  useHighlightSync(ready ? comparison : null, onHighlight);
+
+  const candidates = useMemo(
+    () => (network?.nodes || []).filter(n => (!type || n.type === type) && !ids.includes(n.id)),
+    [network, type, ids]
+  );
+
+  const chartData = comparison.profile.slice(0, TOP_PROFILE).map(row => ({
+    name: shortName(row.id),
+    ...Object.fromEntries(row.counts.map((count, i) => [`e${i}`, count])),
+  }));
+  const yAxisWidth = Math.min(160, Math.max(75, Math.round(Math.max(0, ...chartData.map(d => d.name.length)) * 7)));
+
+  const unique = (index) => comparison.overlap.find(r => r.members.length === 1 && r.members[0] === index)?.ids.length || 0;
+  const title = entities.map(e => e.id).join(' vs ');
+  const chartLabel = `${kind.profileLabel} · INCIDENTS`;
+
+  const figureOf = (svg, caption) => {
+    if (!svg) return null;
+    const size = svgSize(svg);
+    return { markup: serializeSvg(svg, { ...size, background: '#0E1620' }), ...size, caption };
+  };
+  const chartFigure = () => figureOf(chartRef.current?.querySelector('svg.recharts-surface'), chartLabel);
+  const vennFigure = () => figureOf(vennRef.current?.querySelector('svg.comparison-venn'), `SHARED ${kind.profileLabel}`);
+
+  const exportChart = (format, { scale }) => {
+    const figure = chartFigure();
+    if (!figure) throw new Error('The chart has not been drawn yet');
+    return exportFigure(format, {
+      ...figure,
+      scale,
+      title: `${title} · ${chartLabel}`,
+      fileName: exportFileName(`compare-${entities.map(e => fileSlug(e.id)).join('-')}`),
+    });
+  };
+
+  useImperativeHandle(ref, () => ({
+    summaryLines: () => [
+      `Type: ${TYPE_NAMES[type] || '—'}`,
+      ...entities.map((e, i) => `${e.id}: ${e.incidents} incidents · ${e.profileSize} ${kind.profileLabel.toLowerCase()} (${unique(i)} unique) · ${e.setSize} ${kind.setLabel.toLowerCase()}`),
+      ...(ready ? [`Shared by all: ${Math.round(similarity(comparison) * 100)}% of ${kind.profileLabel.toLowerCase()}`] : []),
+    ],
+    chartFigures: () => [chartFigure(), vennFigure()].filter(Boolean),
+  }));
+
+  const remove = (id) => onIdsChange(ids.filter(other => other !== id));
+
+  return (
+    <div className={`node-detail-panel comparison-panel ${isMinimized ? 'minimized' : ''}`}>
+      <div className="panel-header">
+        <div className="panel-title">
+          <div className="panel-label">COMPARISON{type ? ` · ${TYPE_NAMES[type]}S` : ''}</div>
+          <h2>{ready ? title : `${entities[0]?.id || ''} vs …`}</h2>
+        </div>
+        <div className="panel-actions">
+          <button
+            className="panel-minimize"
+            onClick={() => setIsMinimized(!isMinimized)}
+            title={isMinimized ? "Expand" : "Minimize"}
+          >
+            {isMinimized ? '▲' : '▼'}
+          </button>
+          <button className="panel-close" onClick={onClose}>×</button>
+        </div>
+      </div>
+
+      {!isMinimized && (
+        <>
+          <table className="comparison-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>INCIDENTS</th>
+                <th>{kind.profileLabel}</th>
+                <th>UNIQUE</th>
+                <th>{kind.setLabel}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entities.map((entity, i) => (
+                <tr key={entity.id}>
+                  <td className="comparison-entity" onClick={() => onSelect(entity.id)} title="Zoom to this entity">
+                    <span className="dot" style={{ background: entity.color }}></span>
+                    {entity.id}
+                  </td>
+                  <td>{entity.incidents}</td>
+                  <td>{entity.profileSize}</td>
+                  <td>{unique(i)}</td>
+                  <td>{entity.setSize}</td>
+                  <td><button className="query-remove" onClick={() => remove(entity.id)} title="Leave out of the comparison">×</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="comparison-add">
+            {entities.length < MAX_COMPARED && (
+              <EntityPicker
+                nodes={candidates}
+                value=""
+                onChange={(id) => onIdsChange([...ids, id])}
+                placeholder={`ADD A ${TYPE_NAMES[type] || 'NODE'} — OR CLICK ONE IN THE GRAPH`}
+              />
+            )}
+            {ready && (
+              <span className="layout-status">
+                {Math.round(similarity(comparison) * 100)}% OF {kind.profileLabel} SHARED BY {entities.length === 2 ? 'BOTH' : 'ALL'}
+              </span>
+            )}
+          </div>
+
+          {ready && (
+            <div className="panel-charts comparison-charts">
+              <div className="chart-block">
+                <div className="chart-title">
+                  <span>{chartLabel}</span>
+                  <ExportMenu formats={['svg', 'png']} onExport={exportChart} title="Export this chart" className="compact" />
+                </div>
+                <div className="chart" ref={chartRef}>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <BarChart data={chartData} layout="vertical" margin={{ top: 8, right: 14, bottom: 8, left: 14 }} barGap={1}>
+                      <XAxis type="number" tick={{ fontSize: 11, fill: '#9AA8B7' }} />
+                      <YAxis type="category" dataKey="name" width={yAxisWidth} tick={{ fontSize: 11, fill: '#D8E1EA' }} />
+                      <Tooltip
+                        contentStyle={{ background: '#0C1117', border: '1px solid #2A3746', fontSize: 11 }}
+                        cursor={{ fill: 'rgba(121, 166, 255, 0.1)' }}
+                      />
+                      {entities.map((entity, i) => (
+                        <Bar key={entity.id} dataKey={`e${i}`} name={entity.id} fill={entity.color} />
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+
+              <div className="chart-block">
+                <div className="chart-title"><span>SHARED {kind.profileLabel}</span></div>
+                <div ref={vennRef}><VennDiagram entities={entities} regions={comparison.overlap} /></div>
+                <RegionList regions={comparison.overlap} entities={entities} onSelect={onSelect} />
+              </div>
+
+              <div className="chart-block">
+                <div className="chart-title"><span>SHARED {kind.setLabel}</span></div>
+                <RegionList regions={comparison.sets} entities={entities} onSelect={onSelect} />
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import { useEffect, useMemo, useState } from 'react';
+import EntityPicker from './EntityPicker';
+import { PATH_LIMIT, findConnections, intermediates } from '../lib/paths';
+import useHighlightSync from '../hooks/useHighlightSync';
+
+const MAX_LENGTHS = [2, 3, 4, 5, 6];
+const NO_PATHS = [];
+
+function PathChain({ path }) {
+  return (
+    <>
+      {path.nodes[0]}
+      {path.steps.map(step => (
+        <span key={step.target}>
+          <span className="connection-step" title={step.types.join(', ')}>
+            {step.forward ? ` —${step.weight}→ ` : ` ←${step.weight}— `}
+          </span>
+          {step.target}
+        </span>
+      ))}
+    </>
+  );
+}
+
+// How two entities of the shown network are connected: every shortest path,
+// or every path up to a length. `onHighlight` receives the paths to emphasise
+// in the graph, or null to clear them; `selectedId` seeds the first entity.
+export default function ConnectionExplorer({ network, selectedId, onHighlight, onSelect }) {
+  const [expanded, setExpanded] = useState(false);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [directed, setDirected] = useState(false);
+  const [maxLength, setMaxLength] = useState(3);
+  const [showAll, setShowAll] = useState(false);
+  const [isolated, setIsolated] = useState(null);
+
+  const nodes = useMemo(() => network?.nodes || [], [network]);
+  const byId = useMemo(() => new Map(nodes.map(n => [n.id, n])), [nodes]);
+  const missing = [from, to].filter(id => id && !byId.has(id));
+  const active = expanded && Boolean(from && to) && from !== to && missing.length === 0;
+
+  const result = useMemo(
+    () => active ? findConnections(network, from, to, { directed, maxLength }) : null,
+    [active, network, from, to, directed, maxLength]
+  );
+  const listed = result ? (showAll ? result.all : result.shortest) : NO_PATHS;
+  const shown = useMemo(() => isolated ? [isolated] : listed, [isolated, listed]);
+  const between = useMemo(() => intermediates(shown), [shown]);
+
+  // Any new question shows all of its paths again
+  useEffect(() => {
+    setIsolated(null);
+  }, [result, showAll]);
+
+  useHighlightSync(active ? shown : null, onHighlight);
+
+  const toggle = () => {
+    if (!expanded && !from && selectedId) setFrom(selectedId);
+    setExpanded(!expanded);
+  };
+
+  const status = () => {
+    if (missing.length > 0) return `NOT IN THE SHOWN NETWORK: ${missing.join(', ')}`;
+    if (!result) return from && to && from === to ? 'PICK TWO DIFFERENT ENTITIES' : 'PICK TWO ENTITIES';
+    if (result.distance === null) return directed ? 'NOT CONNECTED ALONG LINK DIRECTION' : 'NOT CONNECTED';
+    if (showAll && result.all.length === 0) return `NO PATH OF ${maxLength} LINKS OR FEWER`;
+    const more = result.truncated && listed.length >= PATH_LIMIT ? ` (FIRST ${PATH_LIMIT})` : '';
+    return showAll
+      ? `${listed.length} PATHS OF ${maxLength} LINKS OR FEWER${more}`
+      : `${listed.length} SHORTEST PATH${listed.length === 1 ? '' : 'S'} · ${result.distance} LINK${result.distance === 1 ? '' : 'S'}${more}`;
+  };
+
+  return (
+    <div className="layout-panel connection-explorer">
+      <button className="normalization-toggle" onClick={toggle}>
+        <span>CONNECTIONS</span>
+        <span>{expanded ? '▲' : '▼'}</span>
+      </button>
+
+      {expanded && (
+        <div className="layout-panel-body">
+          <EntityPicker nodes={nodes} value={from} onChange={setFrom} placeholder="FROM…" />
+          <div className="layout-row">
+            <EntityPicker nodes={nodes} value={to} onChange={setTo} placeholder="TO…" />
+            <button
+              className="layout-button"
+              onClick={() => { setFrom(to); setTo(from); }}
+              title="Swap the two entities"
+            >
+              ⇅
+            </button>
+          </div>
+
+          <div className="layout-row analytics-tabs">
+            <button
+              className={`layout-button ${directed ? 'active' : ''}`}
+              onClick={() => setDirected(!directed)}
+              title="Only follow links from sponsor to actor to target"
+            >
+              FOLLOW DIRECTION
+            </button>
+            <button
+              className={`layout-button ${!showAll ? 'active' : ''}`}
+              onClick={() => setShowAll(false)}
+            >
+              SHORTEST
+            </button>
+            <button
+              className={`layout-button ${showAll ? 'active' : ''}`}
+              onClick={() => setShowAll(true)}
+              title="Every path up to the chosen number of links"
+            >
+              ALL ≤
+            </button>
+            <select
+              className="layout-name connection-length"
+              value={maxLength}
+              onChange={(e) => { setMaxLength(Number(e.target.value)); setShowAll(true); }}
+              title="Longest path to list, in links"
+            >
+              {MAX_LENGTHS.map(k => <option key={k} value={k}>{k}</option>)}
+            </select>
+          </div>
+
+          <div className="layout-status">{status()}</div>
+
+          {listed.length > 0 && (
+            <ol className="analytics-table connection-paths">
+              {listed.map((path, i) => (
+                <li
+                  key={i}
+                  className={isolated === path ? 'active' : ''}
+                  onClick={() => setIsolated(isolated === path ? null : path)}
+                  title="Show only this path"
+                >
+                  <span className="connection-path"><PathChain path={path} /></span>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {between.length > 0 && (
+            <>
+              <div className="legend-title analytics-heading">THROUGH · {between.length}</div>
+              <ul className="analytics-table">
+                {between.map(entry => (
+                  <li
+                    key={entry.id}
+                    onClick={() => byId.has(entry.id) && onSelect(byId.get(entry.id))}
+                    title={`${entry.paths} path${entry.paths === 1 ? '' : 's'} · incidents in ${entry.weightIn}, out ${entry.weightOut}`}
+                  >
+                    <span className={`result-dot ${byId.get(entry.id)?.type || 'actor'}`}></span>
+                    <span className="layout-list-name">{entry.id}</span>
+                    <strong>{entry.weightIn} / {entry.weightOut}</strong>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
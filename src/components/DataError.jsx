@@ -0,0 +1,19 @@
+export default function DataError({ error, compact = false }) {
+  if (!error) return null;
+  const issues = error.issues || [];
+
+  return (
+    <div className={`data-error ${compact ? 'compact' : ''}`} role="alert">
+      <div className="data-error-title">DATA ERROR{error.dataset ? ` · ${String(error.dataset).toUpperCase()}` : ''}</div>
+      <div className="data-error-message">{error.message}</div>
+      {!compact && issues.length > 0 && (
+        <ul className="data-error-issues">
+          {issues.slice(0, 5).map((issue, idx) => (
+            <li key={idx}><code>{issue.path}</code> {issue.message}</li>
+          ))}
+          {issues.length > 5 && <li>…and {issues.length - 5} more</li>}
+        </ul>
+      )}
+    </div>
+  );
+}
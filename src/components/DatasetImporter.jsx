@@ -0,0 +1,226 @@
+import { useEffect, useRef, useState } from 'react';
+import DataError from './DataError';
+import { BUNDLED_SOURCE, DatasetError, forgetSource } from '../data/datasets';
+import { deleteImported, listImported, saveImported } from '../data/importedStore';
+import { INCIDENT_FIELDS, guessMapping, mappingProblems, parseIncidentFile } from '../lib/incidentTable';
+import { buildDatasets } from '../lib/buildDatasets';
+
+const PREVIEW_ROWS = 5;
+
+const storageError = (err) => new DatasetError('imported datasets', 'storage', err.message);
+
+const summary = (report) => [
+  `${report.incidents} INCIDENTS`,
+  report.years && `${report.years[0]}–${report.years[1]}`,
+  `${report.sector.nodes} SECTOR / ${report.geo.nodes} GEO NODES`,
+].filter(Boolean).join(' · ');
+
+// Drop an incident spreadsheet, map its columns, and the datasets the views
+// read are built in the browser and kept in IndexedDB. `source` is the dataset
+// in use ({ id, name }); `onSourceChange` switches every view to another one.
+export default function DatasetImporter({ source, onSourceChange }) {
+  const [imports, setImports] = useState([]);
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [name, setName] = useState('');
+  const [dragging, setDragging] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastReport, setLastReport] = useState(null);
+  const fileRef = useRef(null);
+
+  const refresh = () => listImported().then(setImports, err => setError(storageError(err)));
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    setLastReport(null);
+    try {
+      const parsed = parseIncidentFile(await file.text(), file.name);
+      setTable({ ...parsed, fileName: file.name });
+      setMapping(guessMapping(parsed.columns));
+      setName(file.name.replace(/\.[^.]+$/, ''));
+    } catch (err) {
+      setTable(null);
+      setError(err);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    readFile(event.dataTransfer.files?.[0]);
+  };
+
+  const problems = table ? mappingProblems(mapping) : [];
+
+  const handleBuild = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const { datasets, report } = buildDatasets(table.rows, mapping);
+      if (report.incidents === 0) {
+        throw new DatasetError(table.fileName, 'schema', 'No row has both a sponsor or actor and a target');
+      }
+      const record = await saveImported({ name: name.trim() || table.fileName, fileName: table.fileName, report, datasets })
+        .catch(err => { throw storageError(err); });
+      setLastReport(report);
+      setTable(null);
+      onSourceChange({ id: record.id, name: record.name });
+      refresh();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (record) => {
+    try {
+      await deleteImported(record.id);
+      forgetSource(record.id);
+      if (source.id === record.id) onSourceChange({ id: BUNDLED_SOURCE, name: 'Bundled' });
+      refresh();
+    } catch (err) {
+      setError(storageError(err));
+    }
+  };
+
+  const mappedFields = INCIDENT_FIELDS.filter(f => mapping[f.key]);
+
+  return (
+    <div className="importer-container">
+      <div className="racing-header">
+        <div className="header-line"></div>
+        <h1>DATASETS</h1>
+        <p className="subtitle">IMPORT INCIDENT SPREADSHEETS · STORED IN THIS BROWSER</p>
+        <div className="header-line"></div>
+      </div>
+
+      <ul className="importer-list">
+        <li className={source.id === BUNDLED_SOURCE ? 'active' : ''}>
+          <div>
+            <strong>BUNDLED DATASET</strong>
+            <span>SHIPPED WITH THE APP</span>
+          </div>
+          <button
+            onClick={() => onSourceChange({ id: BUNDLED_SOURCE, name: 'Bundled' })}
+            disabled={source.id === BUNDLED_SOURCE}
+          >
+            {source.id === BUNDLED_SOURCE ? 'IN USE' : 'USE'}
+          </button>
+        </li>
+        {imports.map(record => (
+          <li key={record.id} className={source.id === record.id ? 'active' : ''}>
+            <div>
+              <strong>{record.name}</strong>
+              <span>{record.fileName} · {new Date(record.importedAt).toLocaleDateString()} · {summary(record.report)}</span>
+            </div>
+            <button
+              onClick={() => onSourceChange({ id: record.id, name: record.name })}
+              disabled={source.id === record.id}
+            >
+              {source.id === record.id ? 'IN USE' : 'USE'}
+            </button>
+            <button onClick={() => handleDelete(record)} title="Delete this dataset">×</button>
+          </li>
+        ))}
+      </ul>
+
+      {!table && (
+        <div
+          className={`importer-drop ${dragging ? 'dragging' : ''}`}
+          onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+          onClick={() => fileRef.current?.click()}
+        >
+          <strong>DROP A CSV OR JSON FILE</strong>
+          <span>ONE INCIDENT PER ROW · SPONSOR, ACTOR, VICTIM, SECTOR, COUNTRY AND DATE COLUMNS</span>
+          <span>SEPARATE SEVERAL VALUES IN ONE CELL WITH ";"</span>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".csv,.tsv,.txt,.json,text/csv,application/json"
+            hidden
+            onChange={(e) => { readFile(e.target.files?.[0]); e.target.value = ''; }}
+          />
+        </div>
+      )}
+
+      {table && (
+        <div className="importer-mapping">
+          <div className="chart-title">
+            <span>MAP COLUMNS · {table.fileName} · {table.rows.length} ROWS</span>
+          </div>
+
+          <div className="importer-fields">
+            {INCIDENT_FIELDS.map(field => (
+              <label key={field.key} title={field.hint}>
+                <span>{field.label}</span>
+                <select
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                >
+                  <option value="">— NONE —</option>
+                  {table.columns.map(c => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {mappedFields.length > 0 && (
+            <table className="importer-preview">
+              <thead>
+                <tr>{mappedFields.map(f => <th key={f.key}>{f.label}</th>)}</tr>
+              </thead>
+              <tbody>
+                {table.rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+                  <tr key={i}>{mappedFields.map(f => <td key={f.key}>{row[mapping[f.key]]}</td>)}</tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {problems.map(p => <div key={p} className="importer-problem">{p}</div>)}
+
+          <div className="importer-actions">
+            <input
+              className="query-input"
+              type="text"
+              placeholder="DATASET NAME"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <button className="control-btn" onClick={handleBuild} disabled={busy || problems.length > 0}>
+              {busy ? 'BUILDING…' : 'BUILD & USE'}
+            </button>
+            <button className="control-btn" onClick={() => setTable(null)}>CANCEL</button>
+          </div>
+        </div>
+      )}
+
+      {lastReport && (
+        <div className="importer-report">
+          <div className="chart-title"><span>IMPORTED · {summary(lastReport)}</span></div>
+          {lastReport.undated > 0 && <div>{lastReport.undated} INCIDENTS HAVE NO YEAR AND ARE LEFT OUT OF THE TIMELINE</div>}
+          {lastReport.skipped > 0 && (
+            <>
+              <div>{lastReport.skipped} ROWS SKIPPED</div>
+              <ul>
+                {lastReport.skippedRows.map(s => <li key={s.row}>Row {s.row}: {s.reason}</li>)}
+                {lastReport.skipped > lastReport.skippedRows.length && <li>…and {lastReport.skipped - lastReport.skippedRows.length} more</li>}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      <DataError error={error} />
+    </div>
+  );
+}
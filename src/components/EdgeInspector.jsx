@@ -0,0 +1,193 @@
+import { useImperativeHandle, useMemo, useRef, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import ExportMenu from './ExportMenu';
+import { linkTypeStyle } from '../lib/linkTypes';
+import { exportFigure, exportFileName, serializeSvg, svgSize } from '../lib/exportView';
+
+const LISTED_INCIDENTS = 50;
+const TYPE_NAMES = { sponsor: 'SPONSOR', actor: 'ACTOR', victim: 'TARGET' };
+
+const endId = (e) => typeof e === 'object' ? e.id : e;
+const fileSlug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Datasets record incidents in their own shape; show what identifies one
+const incidentText = (incident) => {
+  if (incident == null || typeof incident !== 'object') return String(incident);
+  const when = incident.year ?? incident.date;
+  const what = incident.title ?? incident.name ?? incident.description ?? incident.id;
+  return [when, what].filter(v => v != null && v !== '').join(' · ') || JSON.stringify(incident);
+};
+
+function Endpoint({ label, node, id, onSelect }) {
+  return (
+    <button className="edge-endpoint" onClick={() => node && onSelect(node)} disabled={!node} title="Select this entity">
+      <span className="panel-label">{label}</span>
+      <span className="edge-endpoint-name">
+        <span className={`dot ${node?.type || ''}`}></span>
+        <strong>{id}</strong>
+      </span>
+      <span className="panel-label">{TYPE_NAMES[node?.type] || '—'} · {node?.degree ?? 0} CONNECTIONS</span>
+    </button>
+  );
+}
+
+// One link of the graph: its type, weight, endpoints, the incidents behind it
+// per year and as recorded (when the dataset has them), and the other links
+// between the same two entities. `onSelect` selects an endpoint node and
+// `onInspect` another link. `ref` exposes summaryLines() and chartFigures()
+// for the PDF export, like NodeDetailPanel.
+export default function EdgeInspector({ ref, link, network, onSelect, onInspect, onClose }) {
+  const [isMinimized, setIsMinimized] = useState(false);
+  const chartRef = useRef(null);
+
+  const source = endId(link.source);
+  const target = endId(link.target);
+  const style = linkTypeStyle(link.type);
+  const nodes = useMemo(() => new Map((network?.nodes || []).map(n => [n.id, n])), [network]);
+  const between = (network?.links || []).filter(l => l !== link
+    && ((endId(l.source) === source && endId(l.target) === target)
+      || (endId(l.source) === target && endId(l.target) === source)));
+  const years = Object.entries(link.years || {})
+    .map(([year, count]) => ({ year, count }))
+    .sort((a, b) => Number(a.year) - Number(b.year));
+  const incidents = link.incidents || [];
+  const title = `${source} → ${target}`;
+
+  const chartFigure = () => {
+    const svg = chartRef.current?.querySelector('svg.recharts-surface');
+    if (!svg) return null;
+    const size = svgSize(svg);
+    return { markup: serializeSvg(svg, { ...size, background: '#0E1620' }), ...size, caption: 'INCIDENTS BY YEAR' };
+  };
+
+  const exportChart = (format, { scale }) => {
+    const figure = chartFigure();
+    if (!figure) throw new Error('The chart has not been drawn yet');
+    return exportFigure(format, {
+      ...figure,
+      scale,
+      title: `${title} · INCIDENTS BY YEAR`,
+      fileName: exportFileName(`${fileSlug(source)}-${fileSlug(target)}-years`),
+    });
+  };
+
+  useImperativeHandle(ref, () => ({
+    summaryLines: () => [
+      `Type: ${style.label}`,
+      `From: ${source} (${(nodes.get(source)?.type || '—').toUpperCase()})`,
+      `To: ${target} (${(nodes.get(target)?.type || '—').toUpperCase()})`,
+      `Weight: ${link.weight}`,
+      ...(years.length > 0 ? [`Years: ${years.map(y => `${y.year} (${y.count})`).join(', ')}`] : []),
+      ...(incidents.length > 0 ? [`Incidents recorded: ${incidents.length}`] : []),
+      ...between.map(l => `Also: ${endId(l.source)} → ${endId(l.target)} · ${linkTypeStyle(l.type).label} · weight ${l.weight}`),
+    ],
+    chartFigures: () => [chartFigure()].filter(Boolean),
+  }));
+
+  return (
+    <div className={`node-detail-panel edge-inspector ${isMinimized ? 'minimized' : ''}`}>
+      <div className="panel-header">
+        <div className="panel-title">
+          <div className="panel-label">LINK INSPECTION</div>
+          <h2>{title}</h2>
+        </div>
+        <div className="panel-actions">
+          <button
+            className="panel-minimize"
+            onClick={() => setIsMinimized(!isMinimized)}
+            title={isMinimized ? "Expand" : "Minimize"}
+          >
+            {isMinimized ? '▲' : '▼'}
+          </button>
+          <button className="panel-close" onClick={onClose}>×</button>
+        </div>
+      </div>
+
+      {!isMinimized && (
+        <>
+          <div className="panel-meta">
+            <div>
+              <span>TYPE</span>
+              <strong><span className="edge-swatch" style={{ background: style.color }}></span>{style.label}</strong>
+            </div>
+            <div>
+              <span>WEIGHT</span>
+              <strong>{link.weight}</strong>
+            </div>
+            <div>
+              <span>INCIDENTS RECORDED</span>
+              <strong>{incidents.length || '—'}</strong>
+            </div>
+            {years.length > 0 && (
+              <div>
+                <span>YEARS</span>
+                <strong>{years[0].year === years[years.length - 1].year ? years[0].year : `${years[0].year}–${years[years.length - 1].year}`}</strong>
+              </div>
+            )}
+          </div>
+
+          <div className="edge-endpoints">
+            <Endpoint label="FROM" id={source} node={nodes.get(source)} onSelect={onSelect} />
+            <span className="edge-arrow" style={{ color: style.color }}>→</span>
+            <Endpoint label="TO" id={target} node={nodes.get(target)} onSelect={onSelect} />
+          </div>
+
+          {between.length > 0 && (
+            <div className="edge-between">
+              <span className="panel-label">ALSO BETWEEN THEM</span>
+              {between.map(l => (
+                <button key={`${endId(l.source)}→${l.type}`} onClick={() => onInspect(l)} title="Inspect this link">
+                  <span className="edge-swatch" style={{ background: linkTypeStyle(l.type).color }}></span>
+                  {endId(l.source)} → {endId(l.target)} · {linkTypeStyle(l.type).label} · {l.weight}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {(years.length > 0 || incidents.length > 0) && (
+            <div className="panel-charts">
+              {years.length > 0 && (
+                <div className="chart-block">
+                  <div className="chart-title">
+                    <span>INCIDENTS BY YEAR</span>
+                    <ExportMenu formats={['svg', 'png']} onExport={exportChart} title="Export this chart" className="compact" />
+                  </div>
+                  <div className="chart edge-chart" ref={chartRef}>
+                    <ResponsiveContainer width="100%" height={180}>
+                      <BarChart data={years} margin={{ top: 8, right: 14, bottom: 8, left: 0 }}>
+                        <XAxis dataKey="year" tick={{ fontSize: 11, fill: '#9AA8B7' }} />
+                        <YAxis allowDecimals={false} width={32} tick={{ fontSize: 11, fill: '#9AA8B7' }} />
+                        <Tooltip
+                          contentStyle={{ background: '#0C1117', border: '1px solid #2A3746', fontSize: 11 }}
+                          cursor={{ fill: 'rgba(121, 166, 255, 0.1)' }}
+                        />
+                        <Bar dataKey="count" name="Incidents" fill={style.color} />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+              )}
+              {incidents.length > 0 && (
+                <div className="chart-block">
+                  <div className="chart-title"><span>INCIDENTS · {incidents.length}</span></div>
+                  <ul className="edge-incidents">
+                    {incidents.slice(0, LISTED_INCIDENTS).map((incident, i) => (
+                      <li key={i}>{incidentText(incident)}</li>
+                    ))}
+                    {incidents.length > LISTED_INCIDENTS && <li className="layout-status">+{incidents.length - LISTED_INCIDENTS} more</li>}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
+          {years.length === 0 && incidents.length === 0 && (
+            <div className="layout-status edge-note">
+              THIS DATASET DOES NOT RECORD THE INCIDENTS BEHIND ITS LINKS · THE WEIGHT COUNTS THEM
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
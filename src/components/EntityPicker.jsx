@@ -0,0 +1,63 @@
+import { useState } from 'react';
+
+const MAX_RESULTS = 12;
+
+// The entity dropdown under a search box. Pressing on an item does not blur
+// the input, so pickers can close on blur without losing the click.
+export function SearchResults({ results, onSelect }) {
+  if (results.length === 0) return null;
+  return (
+    <div className="search-results" onMouseDown={(e) => e.preventDefault()}>
+      {results.map(node => (
+        <div
+          key={node.id}
+          className="search-result-item"
+          onClick={() => onSelect(node)}
+        >
+          <span className={`result-dot ${node.type}`}></span>
+          <span className="result-name">{node.id}</span>
+          <span className="result-type">{node.type.toUpperCase()}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// A search box that picks one node of `nodes`. `value` is the picked id.
+export default function EntityPicker({ nodes, value, onChange, placeholder }) {
+  const [term, setTerm] = useState('');
+  const [open, setOpen] = useState(false);
+
+  const lower = term.toLowerCase();
+  const results = open
+    ? nodes.filter(n => n.id.toLowerCase().includes(lower)).slice(0, MAX_RESULTS)
+    : [];
+
+  const pick = (node) => {
+    onChange(node.id);
+    setOpen(false);
+    setTerm('');
+  };
+
+  return (
+    <div className="search-container entity-picker">
+      <input
+        type="text"
+        className="search-input"
+        placeholder={placeholder}
+        value={open ? term : value || ''}
+        onFocus={() => setOpen(true)}
+        onBlur={() => { setOpen(false); setTerm(''); }}
+        onChange={(e) => setTerm(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') e.currentTarget.blur();
+          if (e.key === 'Enter' && results.length > 0) {
+            pick(results[0]);
+            e.currentTarget.blur();
+          }
+        }}
+      />
+      <SearchResults results={results} onSelect={pick} />
+    </div>
+  );
+}
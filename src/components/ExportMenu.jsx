@@ -0,0 +1,65 @@
+import { useState } from 'react';
+
+const FORMAT_LABELS = { svg: 'SVG', png: 'PNG', pdf: 'PDF', csv: 'CSV', graphml: 'GRAPHML', gexf: 'GEXF' };
+const DATA_FORMATS = new Set(['csv', 'graphml', 'gexf']);
+const SCALES = [1, 2, 4];
+
+// Export dropdown. `onExport(format, { scale })` does the work and may be
+// async; failures are shown under the menu. Image and data formats are listed
+// in separate groups.
+export default function ExportMenu({
+  formats = ['svg', 'png', 'pdf'], onExport, title = 'Export this view', dataTitle = 'DATA', className = ''
+}) {
+  const [open, setOpen] = useState(false);
+  const [scale, setScale] = useState(2);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (format) => {
+    setBusy(format);
+    setError(null);
+    try {
+      await onExport(format, { scale });
+      setOpen(false);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const imageFormats = formats.filter(f => !DATA_FORMATS.has(f));
+  const dataFormats = formats.filter(f => DATA_FORMATS.has(f));
+  const renderFormat = (format) => (
+    <button key={format} onClick={() => handleExport(format)} disabled={Boolean(busy)}>
+      {busy === format ? '…' : FORMAT_LABELS[format]}
+    </button>
+  );
+
+  return (
+    <div className={`export-menu ${className}`}>
+      <button className="export-toggle" onClick={() => setOpen(!open)} title={title}>
+        EXPORT {open ? '▲' : '▼'}
+      </button>
+
+      {open && (
+        <div className="export-options">
+          {imageFormats.length > 0 && dataFormats.length > 0 && <div className="export-group">IMAGE</div>}
+          {imageFormats.map(renderFormat)}
+          {formats.includes('png') && (
+            <div className="export-scale" title="PNG resolution">
+              {SCALES.map(s => (
+                <button key={s} className={scale === s ? 'active' : ''} onClick={() => setScale(s)}>
+                  {s}×
+                </button>
+              ))}
+            </div>
+          )}
+          {dataFormats.length > 0 && <div className="export-group">{dataTitle}</div>}
+          {dataFormats.map(renderFormat)}
+          {error && <div className="export-error" role="alert">{error.message}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
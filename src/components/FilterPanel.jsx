@@ -0,0 +1,109 @@
+import { useMemo } from 'react';
+import EntityPicker from './EntityPicker';
+import { EMPTY_FILTERS, activeFilterCount, countFacets } from '../lib/graphFilters';
+import { linkTypeLabel } from '../lib/linkTypes';
+
+const NODE_TYPES = [
+  { key: 'sponsor', label: 'SPONSORS' },
+  { key: 'actor', label: 'ACTORS' },
+  { key: 'victim', label: 'TARGETS' },
+];
+
+const toggled = (list, key) => list.includes(key) ? list.filter(k => k !== key) : [...list, key];
+
+// Facets that take nodes and links out of the graph (see lib/graphFilters).
+// `network` is what the filters apply to and `shown` what is left; counts read
+// "left / before". The legend toggles node types through the same `filters`.
+export default function FilterPanel({ network, shown, filters, onChange, expanded, onExpandedChange }) {
+  const before = useMemo(() => countFacets(network), [network]);
+  const after = useMemo(() => countFacets(shown), [shown]);
+  const sponsors = useMemo(() => (network?.nodes || []).filter(n => n.type === 'sponsor'), [network]);
+  const active = activeFilterCount(filters);
+
+  const set = (patch) => onChange({ ...filters, ...patch });
+
+  return (
+    <div className="layout-panel filter-panel">
+      <button className="normalization-toggle" onClick={() => onExpandedChange(!expanded)}>
+        <span>FILTERS{active > 0 ? ` · ${active} ON` : ''}</span>
+        <span>{expanded ? '▲' : '▼'}</span>
+      </button>
+      <div className="normalization-count">
+        <span>NODES <strong>{after.nodes}</strong> / {before.nodes}</span>
+        <span>LINKS <strong>{after.links}</strong> / {before.links}</span>
+      </div>
+
+      {expanded && (
+        <div className="layout-panel-body">
+          <div className="legend-title analytics-heading">NODE TYPES</div>
+          <div className="layout-row analytics-tabs">
+            {NODE_TYPES.map(t => (
+              <button
+                key={t.key}
+                className={`layout-button ${filters.hiddenTypes.includes(t.key) ? '' : 'active'}`}
+                onClick={() => set({ hiddenTypes: toggled(filters.hiddenTypes, t.key) })}
+              >
+                {t.label} {after.nodeTypes[t.key] || 0}/{before.nodeTypes[t.key] || 0}
+              </button>
+            ))}
+          </div>
+
+          <div className="legend-title analytics-heading">LINK TYPES</div>
+          <div className="layout-row analytics-tabs">
+            {Object.keys(before.linkTypes).sort().map(type => (
+              <button
+                key={type}
+                className={`layout-button ${filters.hiddenLinkTypes.includes(type) ? '' : 'active'}`}
+                onClick={() => set({ hiddenLinkTypes: toggled(filters.hiddenLinkTypes, type) })}
+              >
+                {linkTypeLabel(type)} {after.linkTypes[type] || 0}/{before.linkTypes[type]}
+              </button>
+            ))}
+          </div>
+
+          <label className="analytics-choice">
+            <span>MIN WEIGHT</span>
+            <input
+              type="range"
+              className="filter-range"
+              min={1}
+              max={before.maxWeight}
+              value={Math.min(filters.minWeight, before.maxWeight)}
+              onChange={(e) => set({ minWeight: Number(e.target.value) })}
+            />
+            <strong>{filters.minWeight}</strong>
+          </label>
+          <label className="analytics-choice">
+            <span>MIN DEGREE</span>
+            <input
+              type="range"
+              className="filter-range"
+              min={0}
+              max={before.maxDegree}
+              value={Math.min(filters.minDegree, before.maxDegree)}
+              onChange={(e) => set({ minDegree: Number(e.target.value) })}
+            />
+            <strong>{filters.minDegree}</strong>
+          </label>
+
+          <div className="legend-title analytics-heading">SPONSOR SPHERE</div>
+          <div className="layout-row">
+            <EntityPicker
+              nodes={sponsors}
+              value={filters.sphere}
+              onChange={(id) => set({ sphere: id })}
+              placeholder="ANY SPONSOR"
+            />
+            {filters.sphere && (
+              <button className="layout-button" onClick={() => set({ sphere: null })} title="Show every sponsor's sphere">×</button>
+            )}
+          </div>
+
+          <button className="layout-button" onClick={() => onChange(EMPTY_FILTERS)} disabled={active === 0}>
+            CLEAR FILTERS
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { FOCUS_HOPS } from '../lib/graphFilters';
+
+// The bar over a focused graph (see hooks/useFocusTrail): back to the full
+// graph, the trail of focused entities to step back along, and the hops the
+// first one reaches. `stacked` makes room for the path filter's bar.
+export default function FocusTrail({ focus, count, stacked, onLeave, onStep, onHopsChange }) {
+  return (
+    <div className={`focus-trail ${stacked ? 'stacked' : ''}`}>
+      <button className="focus-back" onClick={onLeave} title="Back to the full graph">◀ FULL GRAPH</button>
+      <span className="focus-steps">
+        {focus.steps.map((step, i) => (
+          <span key={step.id}>
+            {i > 0 && <span className="focus-separator">›</span>}
+            <button
+              className={i === focus.steps.length - 1 ? 'active' : ''}
+              onClick={() => onStep(i)}
+              title={i === 0 ? `Within ${step.hops} ${step.hops === 1 ? 'link' : 'links'}` : 'Expanded by its neighbours'}
+            >
+              {step.id}
+            </button>
+          </span>
+        ))}
+      </span>
+      <span className="focus-hops">
+        {FOCUS_HOPS.map(hops => (
+          <button
+            key={hops}
+            className={focus.steps[0].hops === hops ? 'active' : ''}
+            onClick={() => onHopsChange(hops)}
+            title={`Neighbours within ${hops} ${hops === 1 ? 'link' : 'links'}`}
+          >
+            {hops} HOP{hops === 1 ? '' : 'S'}
+          </button>
+        ))}
+      </span>
+      <span className="focus-count">{count} NODES</span>
+    </div>
+  );
+}
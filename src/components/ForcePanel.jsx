@@ -0,0 +1,74 @@
+import { useMemo, useState } from 'react';
+import EntityPicker from './EntityPicker';
+import { DEFAULT_FORCES } from '../lib/forceLayout';
+import { radialCentre } from '../lib/layoutModes';
+
+// Repulsion is shown as a positive number; the simulation wants a negative charge
+const CONTROLS = [
+  { key: 'charge', label: 'REPULSION', min: 50, max: 1500, step: 10, read: v => -v, write: v => -v, title: 'How hard nodes push each other apart' },
+  { key: 'linkDistance', label: 'LINK LENGTH', min: 20, max: 300, step: 5, title: 'The length links settle at' },
+  { key: 'linkStrength', label: 'LINK PULL', min: 0.05, max: 1, step: 0.05, title: 'How strongly links hold their length' },
+  { key: 'collision', label: 'SPACING', min: 0, max: 30, step: 1, title: 'Room kept around every node' },
+];
+
+const isDefault = (forces) => Object.keys(DEFAULT_FORCES).every(key => forces[key] === DEFAULT_FORCES[key]);
+
+// Force settings for the graph layout, and the centre of the radial layout.
+// `network` is what the graph shows; `layout` is { mode, groupBy, centre }
+// (see lib/layoutModes).
+export default function ForcePanel({ network, forces, onForcesChange, layout, onLayoutChange }) {
+  const [expanded, setExpanded] = useState(false);
+  const sponsors = useMemo(() => (network?.nodes || []).filter(n => n.type === 'sponsor'), [network]);
+  const custom = !isDefault(forces);
+
+  return (
+    <div className="layout-panel force-panel">
+      <button className="normalization-toggle" onClick={() => setExpanded(!expanded)}>
+        <span>FORCES{custom ? ' · CUSTOM' : ''}</span>
+        <span>{expanded ? '▲' : '▼'}</span>
+      </button>
+
+      {expanded && (
+        <div className="layout-panel-body">
+          {CONTROLS.map(control => {
+            const read = control.read || (v => v);
+            const write = control.write || (v => v);
+            return (
+              <label key={control.key} className="analytics-choice" title={control.title}>
+                <span>{control.label}</span>
+                <input
+                  type="range"
+                  className="filter-range"
+                  min={control.min}
+                  max={control.max}
+                  step={control.step}
+                  value={read(forces[control.key])}
+                  onChange={(e) => onForcesChange({ ...forces, [control.key]: write(Number(e.target.value)) })}
+                />
+                <strong>{read(forces[control.key])}</strong>
+              </label>
+            );
+          })}
+          <button className="layout-button" onClick={() => onForcesChange(DEFAULT_FORCES)} disabled={!custom}>
+            RESET FORCES
+          </button>
+
+          {layout.mode === 'radial' && (
+            <>
+              <div className="legend-title analytics-heading">RADIAL CENTRE</div>
+              <div className="layout-row">
+                <EntityPicker
+                  nodes={sponsors}
+                  value={radialCentre(network, layout.centre) || ''}
+                  onChange={(id) => onLayoutChange({ ...layout, centre: id })}
+                  placeholder="PICK A SPONSOR"
+                />
+              </div>
+              <div className="layout-status">OR CLICK A SPONSOR IN THE GRAPH</div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
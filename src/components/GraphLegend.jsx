@@ -0,0 +1,81 @@
+import { linkTypeStyle } from '../lib/linkTypes';
+
+const LEGEND_TYPES = [
+  { type: 'sponsor', label: 'SPONSOR' },
+  { type: 'actor', label: 'ACTOR' },
+  { type: 'victim', label: 'TARGET' },
+];
+
+// The graph's key: node types, which double as filter toggles outside the
+// flow view, or the colour scale of a metric (`colorLegend`, see
+// nodeAppearance); and in the graph the switch between plain links and
+// links coloured and sized by type, with the types in the data.
+export default function GraphLegend({ display, colorBy, colorLegend, hiddenTypes, onToggleType, linkEncoding, onLinkEncodingChange, linkTypes }) {
+  return (
+    <>
+      {display !== 'graph' || colorBy === 'role' ? (
+        <>
+          <div className="legend-title">NODE TYPES</div>
+          {LEGEND_TYPES.map(({ type, label }) => display === 'sankey' ? (
+            <div key={type} className="legend-item">
+              <span className={`dot ${type}`}></span>
+              <span>{label}</span>
+            </div>
+          ) : (
+            <button
+              key={type}
+              className={`legend-item legend-toggle ${hiddenTypes.includes(type) ? 'off' : ''}`}
+              onClick={() => onToggleType(type)}
+              title={hiddenTypes.includes(type) ? `Show ${label.toLowerCase()}s` : `Hide ${label.toLowerCase()}s`}
+            >
+              <span className={`dot ${type}`}></span>
+              <span>{label}</span>
+            </button>
+          ))}
+        </>
+      ) : (
+        <>
+          <div className="legend-title">{colorBy === 'community' ? 'COMMUNITIES' : 'NODE COLOUR'}</div>
+          {colorLegend.map(item => (
+            <div key={item.label} className="legend-item">
+              <span className="dot" style={{ background: item.color }}></span>
+              <span>{item.label.toUpperCase()}</span>
+            </div>
+          ))}
+        </>
+      )}
+      {display === 'graph' && (
+        <div className="legend-links">
+          <div className="legend-title legend-heading">
+            <span>LINKS</span>
+            <span className="legend-switch">
+              <button
+                className={linkEncoding === 'plain' ? 'active' : ''}
+                onClick={() => onLinkEncodingChange('plain')}
+                title="Draw every link alike"
+              >
+                PLAIN
+              </button>
+              <button
+                className={linkEncoding === 'type' ? 'active' : ''}
+                onClick={() => onLinkEncodingChange('type')}
+                title="Colour and size links by type"
+              >
+                BY TYPE
+              </button>
+            </span>
+          </div>
+          {linkEncoding === 'type' && linkTypes.map(type => {
+            const style = linkTypeStyle(type);
+            return (
+              <div key={type} className="legend-item">
+                <span className="legend-line" style={{ background: style.color, height: Math.round(style.width * 2) }}></span>
+                <span>{style.label}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,102 @@
+import { useNodeDetails } from '../data/hooks';
+import { SPLIT_SUFFIX } from '../lib/normalizeNetwork';
+import { linkTypeStyle } from '../lib/linkTypes';
+
+const TOP_COUNT = 3;
+const CARD_WIDTH = 260;
+const OFFSET = 14;
+const TYPE_NAMES = { sponsor: 'SPONSOR', actor: 'ACTOR', victim: 'TARGET' };
+
+// The node details each type's card lists the top entries of (see NodeDetailPanel)
+const TOP_LISTS = {
+  sponsor: [{ key: 'targets', label: 'TOP ACTORS SPONSORED' }],
+  actor: [{ key: 'targets', label: 'TOP TARGETS' }, { key: 'sources', label: 'TOP SPONSORS' }],
+  victim: [{ key: 'sources', label: 'TOP ATTACKERS' }],
+};
+
+const endId = (e) => typeof e === 'object' ? e.id : e;
+
+const topEntries = (counts) => Object.entries(counts || {})
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, TOP_COUNT);
+
+// Normalization splits an entity that is both sponsor and target into [S]/[T] twins
+const splitNote = (node) => {
+  const twin = `${node.splitFrom}${node.type === 'sponsor' ? SPLIT_SUFFIX.victim : SPLIT_SUFFIX.sponsor}`;
+  return `Split from ${node.splitFrom}, which is both a sponsor and a target: `
+    + `this node holds its ${node.type === 'sponsor' ? 'sponsor' : 'target'} links, ${twin} the others.`;
+};
+
+function NodeCard({ node }) {
+  const { details, loading } = useNodeDetails(node.id, node.aliases);
+  const lists = (TOP_LISTS[node.type] || [])
+    .map(list => ({ ...list, entries: topEntries(details?.[list.key]) }))
+    .filter(list => list.entries.length > 0);
+
+  return (
+    <>
+      <div className="hover-card-title">
+        <span className={`dot ${node.type}`}></span>
+        <strong>{node.id}</strong>
+      </div>
+      <div className="hover-card-meta">
+        <span>{TYPE_NAMES[node.type] || 'NODE'}</span>
+        <span>{node.degree ?? 0} CONNECTIONS</span>
+        {details?.total_incidents != null && <span>{details.total_incidents} INCIDENTS</span>}
+      </div>
+      {lists.map(list => (
+        <div key={list.key} className="hover-card-list">
+          <div className="hover-card-label">{list.label}</div>
+          {list.entries.map(([name, count]) => (
+            <div key={name} className="hover-card-row">
+              <span>{name}</span>
+              <strong>{count}</strong>
+            </div>
+          ))}
+        </div>
+      ))}
+      {loading && <div className="hover-card-note">LOADING DETAILS…</div>}
+      {node.splitFrom && <div className="hover-card-note">{splitNote(node)}</div>}
+      {node.aliases?.length > 0 && (
+        <div className="hover-card-note">Merged from {node.aliases.length} {node.aliases.length === 1 ? 'alias' : 'aliases'}.</div>
+      )}
+      {node.outside > 0 && (
+        <div className="hover-card-note">{node.outside} more outside the focus · double-click to expand.</div>
+      )}
+    </>
+  );
+}
+
+function LinkCard({ link }) {
+  const style = linkTypeStyle(link.type);
+  return (
+    <>
+      <div className="hover-card-title">
+        <span className="hover-card-swatch" style={{ background: style.color }}></span>
+        <strong>{style.label}</strong>
+      </div>
+      <div className="hover-card-endpoints">{endId(link.source)} → {endId(link.target)}</div>
+      <div className="hover-card-meta">
+        <span>WEIGHT {link.weight}</span>
+        {link.incidents?.length > 0 && <span>{link.incidents.length} INCIDENTS RECORDED</span>}
+      </div>
+      <div className="hover-card-note">Click to inspect.</div>
+    </>
+  );
+}
+
+// A card for the node or link under the pointer. `hover` is { node } or
+// { link } with the pointer's position in the graph container (x, y) and the
+// container's size (width, height), so the card can flip to stay inside it.
+export default function HoverCard({ hover }) {
+  if (!hover) return null;
+  const { x, y, width, height } = hover;
+  const left = x + OFFSET + CARD_WIDTH > width ? Math.max(0, x - OFFSET - CARD_WIDTH) : x + OFFSET;
+  const position = y > height * 0.6 ? { left, bottom: height - y + OFFSET } : { left, top: y + OFFSET };
+
+  return (
+    <div className="hover-card" style={{ ...position, width: CARD_WIDTH }}>
+      {hover.node ? <NodeCard key={hover.node.id} node={hover.node} /> : <LinkCard link={hover.link} />}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import { useRef, useState } from 'react';
+import DataError from './DataError';
+import {
+  createLayout, deleteLayout, layoutFileName, parseLayout, readLayouts, saveLayout
+} from '../lib/layouts';
+import { downloadBlob } from '../lib/exportView';
+
+function downloadJSON(data, fileName) {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), fileName);
+}
+
+// Named layouts for the current network type, plus pin mode. `onSnapshot`
+// returns the current positions; `onApply` moves the graph to a layout.
+export default function LayoutPanel({ networkType, pinMode, onPinModeChange, onSnapshot, onApply, onUnpinAll }) {
+  const [expanded, setExpanded] = useState(false);
+  const [layouts, setLayouts] = useState(readLayouts);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState('');
+  const fileRef = useRef(null);
+
+  const forType = layouts.filter(l => l.networkType === networkType);
+
+  const store = (update) => {
+    try {
+      setLayouts(update());
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err);
+      return false;
+    }
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (store(() => saveLayout(createLayout(trimmed, networkType, onSnapshot())))) {
+      setStatus(`SAVED "${trimmed}"`);
+      setName('');
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const layout = parseLayout(await file.text(), file.name);
+      if (!store(() => saveLayout(layout))) return;
+      if (layout.networkType === networkType) {
+        onApply(layout);
+        setStatus(`IMPORTED AND APPLIED "${layout.name}"`);
+      } else {
+        setStatus(`IMPORTED "${layout.name}" FOR THE ${layout.networkType.toUpperCase()} VIEW`);
+      }
+    } catch (err) {
+      setError(err);
+      setStatus('');
+    }
+  };
+
+  return (
+    <div className="layout-panel">
+      <button className="normalization-toggle" onClick={() => setExpanded(!expanded)}>
+        <span>LAYOUTS{forType.length > 0 ? ` (${forType.length})` : ''}</span>
+        <span>{expanded ? '▲' : '▼'}</span>
+      </button>
+
+      {expanded && (
+        <div className="layout-panel-body">
+          <div className="layout-row">
+            <button
+              className={`layout-button ${pinMode ? 'active' : ''}`}
+              onClick={() => onPinModeChange(!pinMode)}
+              title="Keep dragged nodes where they are dropped"
+            >
+              PIN ON DRAG
+            </button>
+            <button className="layout-button" onClick={onUnpinAll}>UNPIN ALL</button>
+          </div>
+
+          <div className="layout-row">
+            <input
+              className="layout-name"
+              type="text"
+              placeholder="LAYOUT NAME"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+            />
+            <button className="layout-button" onClick={handleSave} disabled={!name.trim()}>SAVE</button>
+          </div>
+
+          {forType.length > 0 && (
+            <ul className="layout-list">
+              {forType.map(layout => (
+                <li key={layout.name}>
+                  <span className="layout-list-name" title={layout.savedAt}>{layout.name}</span>
+                  <button onClick={() => { onApply(layout); setStatus(`APPLIED "${layout.name}"`); }}>LOAD</button>
+                  <button onClick={() => downloadJSON(layout, layoutFileName(layout))}>EXPORT</button>
+                  <button
+                    onClick={() => store(() => deleteLayout(layout.name, networkType))}
+                    title="Delete this layout"
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="layout-row">
+            <button
+              className="layout-button"
+              onClick={() => {
+                const layout = createLayout(name.trim() || 'current', networkType, onSnapshot());
+                downloadJSON(layout, layoutFileName(layout));
+              }}
+            >
+              EXPORT CURRENT
+            </button>
+            <button className="layout-button" onClick={() => fileRef.current?.click()}>IMPORT…</button>
+            <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+          </div>
+
+          {status && <div className="layout-status">{status}</div>}
+          <DataError error={error} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,493 +1,913 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
 import NodeDetailPanel from './NodeDetailPanel';
+import ComparisonPanel from './ComparisonPanel';
+import EdgeInspector from './EdgeInspector';
+import HoverCard from './HoverCard';
+import YearBrush from './YearBrush';
+import DataError from './DataError';
+import NormalizationReport from './NormalizationReport';
+import WorldMap from './WorldMap';
+import SankeyFlow from './SankeyFlow';
+import LayoutPanel from './LayoutPanel';
+import ForcePanel from './ForcePanel';
+import ExportMenu from './ExportMenu';
+import AnalyticsPanel from './AnalyticsPanel';
+import ConnectionExplorer from './ConnectionExplorer';
+import FilterPanel from './FilterPanel';
+import FocusTrail from './FocusTrail';
+import GraphLegend from './GraphLegend';
+import { SearchResults } from './EntityPicker';
+import { useAliases, useDataSource, useNetwork } from '../data/hooks';
+import { normalizeNetwork } from '../lib/normalizeNetwork';
+import { canonicalizeNetwork, createAliasResolver } from '../lib/aliases';
+import { GEO_LEVELS, createGeoResolver, lookupPlace } from '../lib/geography';
+import { DEFAULT_FORCES, nodeRadius } from '../lib/forceLayout';
+import { DEFAULT_LAYOUT, GROUP_BY, LAYOUT_MODES, assignTargets, layoutMode, layoutTargets, radialCentre } from '../lib/layoutModes';
+import { createLayoutEngine } from '../lib/layoutEngine';
+import { createCanvasRenderer } from '../lib/canvasRenderer';
+import { bindCanvasEvents } from '../lib/canvasEvents';
+import { applyLayout, snapshotLayout } from '../lib/layouts';
+import { downloadBlob, exportFigure, exportFileName, exportPdf, serializeSvg, svgSize } from '../lib/exportView';
+import { subgraph, toCsvPair, toGEXF, toGraphML } from '../lib/networkExport';
+import { METRICS, analyzeNetwork } from '../lib/analytics';
+import { MAX_COMPARED } from '../lib/comparison';
+import { activeFilterCount, describeFilters } from '../lib/graphFilters';
+import { linkTypeStyle } from '../lib/linkTypes';
+import { createTextMeasure, placeLabels } from '../lib/labels';
+import {
+  EXPORT_LEGEND, LINK_COLOR, communityColor, endId, graphStyles, linkId, linkStroke, nodeAppearance, nodeOutline,
+  nodeOutlineWidth, pairKey,
+} from '../lib/graphStyles';
+import useGraphFilters from '../hooks/useGraphFilters';
+import useFocusTrail from '../hooks/useFocusTrail';
+import useLinkInspector from '../hooks/useLinkInspector';
+import useLiveSearch from '../hooks/useLiveSearch';
+import useLayoutSwitch from '../hooks/useLayoutSwitch';
 
-export default function NetworkGraph() {
-  const svgRef = useRef(null);
-  const simulationRef = useRef(null);
-  const gRef = useRef(null);
-  const zoomRef = useRef(null);
-  const svgSelRef = useRef(null);
+// Coerces a validated network into the minimal shape the graph works with.
+// Aliases are merged first (when a resolver is given) so that normalization
+// splits canonical nodes acting as both sponsor and victim into [S]/[T] twins.
+// With a geo level, sponsor and target places are folded into countries or
+// regions the same way before normalization.
+function prepareNetwork(raw, resolver, geoLevel) {
+  const canonical = resolver ? canonicalizeNetwork(raw, resolver) : { ...raw, report: null };
+  const placed = geoLevel
+    ? canonicalizeNetwork(canonical, createGeoResolver(geoLevel), { acrossTypes: true })
+    : { ...canonical, report: null };
+  const { nodes, links, report } = normalizeNetwork(placed);
 
-  const [data, setData] = useState(null);
-  const [selectedNode, setSelectedNode] = useState(null);
-  const [networkType, setNetworkType] = useState('sector');
-  const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [searchResults, setSearchResults] = useState([]);
-
-  // -------- GEO role normalization (FIXED v2) --------
-  function normalizeGeo(networkData) {
-    console.log('Starting normalizeGeo...');
-    
-    // First pass: normalize links to string IDs
-    const links = (networkData.links || []).map(l => ({
-      source: typeof l.source === 'object' ? l.source.id : l.source,
-      target: typeof l.target === 'object' ? l.target.id : l.target,
+  const unmappedPlaces = new Set();
+  const placeOf = (n) => {
+    if (!geoLevel || n.type === 'actor') return null;
+    const name = n.splitFrom || n.id;
+    const place = lookupPlace(name);
+    if (!place) unmappedPlaces.add(name);
+    return place;
+  };
+
+  return {
+    nodes: nodes.map(n => {
+      const place = placeOf(n);
+      return {
+        id: n.id, 
+        type: n.type || 'actor', 
+        degree: n.degree ?? 0,
+        ...(n.splitFrom && { splitFrom: n.splitFrom }),
+        ...(n.aliases && { aliases: n.aliases }),
+        ...(place && { place })
+      };
+    }),
+    links: links.map(l => ({
+      source: l.source,
+      target: l.target,
       weight: l.weight ?? 1,
-      type: l.type || ''
-    }));
-
-    // Collect all node IDs mentioned in links
-    const allNodeIds = new Set();
-    links.forEach(l => {
-      allNodeIds.add(l.source);
-      allNodeIds.add(l.target);
-    });
+      type: l.type || '',
+      ...(l.years && { years: l.years }),
+      ...(l.incidents && { incidents: l.incidents })
+    })),
+    report: {
+      ...report,
+      mergedAliases: canonical.report?.merged || [],
+      mergedPlaces: placed.report?.merged || [],
+      unmappedPlaces: [...unmappedPlaces]
+    }
+  };
+}
 
-    // Build base nodes map
-    const nodesById = new Map();
-    (networkData.nodes || []).forEach(n => {
-      nodesById.set(n.id, { ...n });
-    });
+// Labels placed by lib/labels, drawn over the zoomed graph in screen space
+function drawLabels(layer, labels, styles) {
+  layer.selectAll('text.node-label')
+    .data(labels, d => d.node.id)
+    .join('text')
+    .attr('class', 'node-label')
+    .attr('x', d => d.x)
+    .attr('y', d => d.y)
+    .attr('text-anchor', d => d.anchor)
+    .attr('font-size', d => d.size)
+    .attr('font-weight', 650)
+    .attr('fill', '#D8E1EA')
+    .attr('stroke', '#0C1117')
+    .attr('stroke-width', 3)
+    .attr('stroke-linejoin', 'round')
+    .attr('paint-order', 'stroke')
+    .style('opacity', d => styles.labelOpacity(d.node))
+    .text(d => d.text);
+}
 
-    // Add any nodes referenced in links but missing from nodes array
-    allNodeIds.forEach(id => {
-      if (!nodesById.has(id)) {
-        console.warn(`Node "${id}" referenced in links but not in nodes - adding it`);
-        nodesById.set(id, { id, type: 'actor', degree: 0 });
-      }
-    });
+const GEO_LEVEL_TITLES = {
+  raw: 'Show places exactly as recorded',
+  country: 'Merge place names into ISO 3166 countries',
+  region: 'Roll countries up into world regions'
+};
 
-    // Detect sponsors/victims roles by edge type for EACH LINK
-    const linkRoles = links.map(l => {
-      const t = String(l.type).toLowerCase();
-      return {
-        link: l,
-        sourceRole: t.includes('sponsor_to') ? 'sponsor' : 'actor',
-        targetRole: (t.includes('_to_victim') || t.includes('to_victim')) ? 'victim' : 'actor'
-      };
-    });
+// `exportSvg` finds the child view's svg when exporting; the graph exports from its renderer
+const DISPLAYS = {
+  graph: { title: 'CYBER ATTRIBUTION NETWORK', hint: 'CLICK NODE OR LINK · DOUBLE-CLICK TO FOCUS · DRAG TO REPOSITION · SCROLL TO ZOOM · SEARCH TO FILTER' },
+  map: { title: 'CYBER ATTRIBUTION MAP', hint: 'CLICK COUNTRY · DRAG TO PAN · SCROLL TO ZOOM · SEARCH TO FILTER', exportSvg: 'svg.world-map' },
+  sankey: { title: 'CYBER ATTRIBUTION FLOWS', hint: 'HOVER TO TRACE · CLICK BAND TO FILTER GRAPH · CLICK NODE FOR DETAILS', exportSvg: 'svg.sankey-flow' },
+};
 
-    // Aggregate roles per node
-    const nodeRoles = new Map();
-    linkRoles.forEach(({ link, sourceRole, targetRole }) => {
-      // Track source roles
-      const sourceRoleSet = nodeRoles.get(link.source) || new Set();
-      sourceRoleSet.add(sourceRole);
-      nodeRoles.set(link.source, sourceRoleSet);
-      
-      // Track target roles
-      const targetRoleSet = nodeRoles.get(link.target) || new Set();
-      targetRoleSet.add(targetRole);
-      nodeRoles.set(link.target, targetRoleSet);
-    });
+const DATA_EXPORTS = ['csv', 'graphml', 'gexf'];
 
-    // Find nodes that need splitting (both sponsor AND victim)
-    const needsSplit = new Set();
-    nodeRoles.forEach((roles, nodeId) => {
-      if (roles.has('sponsor') && roles.has('victim')) {
-        console.log(`Node "${nodeId}" needs splitting (has both sponsor and victim roles)`);
-        needsSplit.add(nodeId);
-      }
-    });
+// `display` is 'graph' (force layout), 'map' (choropleth of the geo network) or
+// 'sankey' (sponsor → actor → target flows). All share the search box, year
+// filter and selection.
+export default function NetworkGraph({ ref, networkType = 'sector', display = 'graph', onNetworkTypeChange, onDisplayChange, onDataChange }) {
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const canvasRef = useRef(null);
+  const panelRef = useRef(null);
+  const engineRef = useRef(null);
+  const rendererRef = useRef(null);
+  const gRef = useRef(null);
+  const zoomRef = useRef(null);
+  const surfaceRef = useRef(null);
+  const dragRef = useRef(null);
+  const selectionsRef = useRef({});
+  // Places and draws the SVG renderer's labels; the canvas renderer places its own
+  const refreshLabelsRef = useRef(null);
+  // What the graph currently shows and how it is highlighted
+  const currentRef = useRef({ nodes: [], links: [] });
+  const emphasisRef = useRef(null);
+  // The visible network last joined into the graph
+  const joinedRef = useRef(null);
+  // Positions per data source and network type, kept while the graph is rebuilt or toggled
+  const sessionLayoutsRef = useRef(new Map());
+  const layoutKeyRef = useRef(null);
+  const pinModeRef = useRef(false);
+  // Positions for the next join to put back (leaving focus mode) and the view to move to after it
+  const restoreLayoutRef = useRef(null);
+  const pendingViewRef = useRef(null);
 
-    // Create mapping for split nodes with fallback
-    const getNodeId = (originalId, role) => {
-      if (!needsSplit.has(originalId)) {
-        return originalId;
-      }
-      // For split nodes, map based on role
-      if (role === 'sponsor') return `${originalId} [S]`;
-      if (role === 'victim') return `${originalId} [T]`;
-      // Fallback: if role is ambiguous (actor), use sponsor version for consistency
-      console.warn(`Ambiguous role 'actor' for split node "${originalId}", defaulting to [S]`);
-      return `${originalId} [S]`;
-    };
+  // 'canvas' draws large graphs quickly; 'svg' is the fallback
+  const [renderer, setRenderer] = useState('canvas');
+  // When on, dragged nodes stay where they are dropped
+  const [pinMode, setPinMode] = useState(false);
+  pinModeRef.current = pinMode;
+  // 'type' colours and sizes links by their type; 'plain' draws them all alike
+  const [linkEncoding, setLinkEncoding] = useState('plain');
+  const linkEncodingRef = useRef(linkEncoding);
+  linkEncodingRef.current = linkEncoding;
+  // How the layout arranges nodes ({ mode, groupBy, centre }, see lib/layoutModes) and its forces
+  const [graphLayout, setGraphLayout] = useState(DEFAULT_LAYOUT);
+  const [forces, setForces] = useState(DEFAULT_FORCES);
 
-    // Build new nodes
-    const newNodes = [];
-    nodesById.forEach((node, nodeId) => {
-      if (needsSplit.has(nodeId)) {
-        newNodes.push({ id: `${nodeId} [S]`, type: 'sponsor', degree: 0 });
-        newNodes.push({ id: `${nodeId} [T]`, type: 'victim', degree: 0 });
-      } else {
-        const roles = nodeRoles.get(nodeId);
-        let nodeType = node.type || 'actor';
-        if (roles) {
-          if (roles.has('sponsor')) nodeType = 'sponsor';
-          else if (roles.has('victim')) nodeType = 'victim';
-        }
-        newNodes.push({ id: nodeId, type: nodeType, degree: 0 });
-      }
-    });
+  const [mergeAliases, setMergeAliases] = useState(true);
+  const [geoLevel, setGeoLevel] = useState('country');
+  const source = useDataSource();
+  const { data: raw, error: networkError, loading: networkLoading } = useNetwork(networkType);
+  const { data: aliasDictionary, error: aliasError, loading: aliasLoading } = useAliases();
+  const resolver = useMemo(() => aliasDictionary && createAliasResolver(aliasDictionary), [aliasDictionary]);
+  const canonical = mergeAliases && !aliasError;
+  const loading = networkLoading || (canonical && aliasLoading);
+  const data = useMemo(() => {
+    if (!raw || (canonical && !resolver)) return null;
+    // The map draws countries, so it always works at country level
+    const level = display === 'map' ? 'country' : geoLevel;
+    const prepared = prepareNetwork(raw, canonical ? resolver : null, networkType === 'geo' ? level : null);
+    return { ...prepared, layoutKey: `${source}/${networkType}` };
+  }, [raw, canonical, resolver, networkType, geoLevel, display, source]);
+  const [selectedNode, setSelectedNode] = useState(null);
+  // Ids of the entities being compared; the comparison replaces the node panel
+  const [comparedIds, setComparedIds] = useState([]);
 
-    // Rewire ALL links using role-based mapping
-    const newLinks = linkRoles.map(({ link, sourceRole, targetRole }) => {
-      const newSource = getNodeId(link.source, sourceRole);
-      const newTarget = getNodeId(link.target, targetRole);
-      return { 
-        source: newSource, 
-        target: newTarget, 
-        weight: link.weight, 
-        type: link.type 
-      };
-    });
+  const {
+    yearRange, setYearRange, pathFilter, setPathFilter, filters, setFilters, filtersOpen, setFiltersOpen,
+    yearFiltered, onPath, filtered, yearHistogram, toggleType,
+  } = useGraphFilters(data);
 
-    // Verify all links point to valid nodes
-    const newNodeIds = new Set(newNodes.map(n => n.id));
-    const invalidLinks = newLinks.filter(l => 
-      !newNodeIds.has(l.source) || !newNodeIds.has(l.target)
-    );
-    
-    if (invalidLinks.length > 0) {
-      console.error('Found invalid links after normalization:', invalidLinks);
-      console.error('Details of first invalid link:');
-      const firstInvalid = invalidLinks[0];
-      console.error('  Source:', firstInvalid.source, '- exists?', newNodeIds.has(firstInvalid.source));
-      console.error('  Target:', firstInvalid.target, '- exists?', newNodeIds.has(firstInvalid.target));
-      console.error('  Type:', firstInvalid.type);
-      
-      // Filter out invalid links to prevent D3 crash
-      console.warn(`Removing ${invalidLinks.length} invalid links to prevent crash`);
-      const validLinks = newLinks.filter(l => 
-        newNodeIds.has(l.source) && newNodeIds.has(l.target)
-      );
-      console.log(`Valid links remaining: ${validLinks.length} of ${newLinks.length}`);
-      
-      console.log(`Normalization complete: ${newNodes.length} nodes, ${validLinks.length} links (${invalidLinks.length} invalid links removed)`);
-      return { nodes: newNodes, links: validLinks };
-    }
+  // Focus mode keeps the full graph's zoom and positions to come back to.
+  // A new neighbourhood is fitted once joined; a selection's dimming was
+  // worked out for the old one.
+  const { focus, focused, visible, focusOn, expandFocus, backToStep, changeFocusHops, leaveFocus } = useFocusTrail(data, filtered, {
+    enabled: display === 'graph',
+    capture: () => ({ transform: surfaceRef.current && d3.zoomTransform(surfaceRef.current.node()), layout: snapshotCurrent() }),
+    onRefocus: () => {
+      pendingViewRef.current = { fit: true };
+      if (emphasisRef.current?.kind === 'selection' || emphasisRef.current?.kind === 'link') applyEmphasis(null, 200);
+    },
+    onLeave: (saved) => {
+      restoreLayoutRef.current = saved.layout;
+      pendingViewRef.current = saved.transform ? { transform: saved.transform } : null;
+    },
+  });
+  const hoveredRef = useRef(null);
+  const { selectedLink, setSelectedLink, hover, setHover } = useLinkInspector(visible, linkId, hoveredRef);
 
-    // Recompute degrees from new links
-    const deg = new Map(newNodes.map(n => [n.id, 0]));
-    newLinks.forEach(l => {
-      deg.set(l.source, (deg.get(l.source) || 0) + 1);
-      deg.set(l.target, (deg.get(l.target) || 0) + 1);
-    });
-    newNodes.forEach(n => n.degree = deg.get(n.id) || 0);
+  // Link types in the data, for the legend while links are encoded by type
+  const linkTypes = useMemo(() => [...new Set((data?.links || []).map(l => l.type))].sort(), [data]);
 
-    console.log(`Normalization complete: ${newNodes.length} nodes, ${newLinks.length} links`);
-    return { nodes: newNodes, links: newLinks };
-  }
+  // Centrality and communities take a moment on large graphs, so they are only
+  // computed while the analytics panel is open or a metric drives the drawing
+  const [analyticsOpen, setAnalyticsOpen] = useState(false);
+  const [sizeBy, setSizeBy] = useState('degree');
+  const [colorBy, setColorBy] = useState('role');
+  const analyticsUsed = analyticsOpen || sizeBy !== 'degree' || colorBy !== 'role'
+    || (display === 'graph' && graphLayout.mode === 'grouped' && graphLayout.groupBy === 'community');
+  const analytics = useMemo(
+    () => visible && analyticsUsed ? analyzeNetwork(visible) : null,
+    [visible, analyticsUsed]
+  );
+  const appearance = useMemo(
+    () => nodeAppearance(visible?.nodes || [], analytics, sizeBy, colorBy),
+    [visible, analytics, sizeBy, colorBy]
+  );
 
   // ---------------------------- Data Loading ----------------------------
   useEffect(() => {
-    console.log(`Loading ${networkType} network...`);
-    setLoading(true);
     setSelectedNode(null);
-    const filename = networkType === 'sector' ? '/sector_network.json' : '/geo_network.json';
-    
-    fetch(filename)
-      .then(r => {
-        console.log(`Fetch response for ${filename}:`, r.status, r.ok);
-        if (!r.ok) throw new Error(`HTTP ${r.status}: Failed to load ${filename}`);
-        return r.json();
-      })
-      .then(raw => {
-        console.log(`Raw ${networkType} data:`, raw);
-        
-        if (!raw || (!raw.nodes && !raw.links)) {
-          throw new Error('Invalid network data structure');
-        }
-        
-        const normalized = networkType === 'geo' ? normalizeGeo(raw) : raw;
-        console.log(`Normalized ${networkType} data:`, normalized);
-        
-        // Ensure minimal shape
-        const safe = {
-          nodes: (normalized.nodes || []).map(n => ({ 
-            id: n.id, 
-            type: n.type || 'actor', 
-            degree: n.degree ?? 0 
-          })),
-          links: (normalized.links || []).map(l => ({
-            source: typeof l.source === 'object' ? l.source.id : l.source,
-            target: typeof l.target === 'object' ? l.target.id : l.target,
-            weight: l.weight ?? 1,
-            type: l.type || ''
-          }))
-        };
-        
-        console.log(`✓ Loaded ${networkType} network:`, safe.nodes.length, 'nodes,', safe.links.length, 'links');
-        
-        if (safe.nodes.length === 0) {
-          console.warn('Warning: No nodes in network data');
-        }
-        
-        setData(safe);
-        setLoading(false);
-      })
-      .catch(err => {
-        console.error(`✗ Failed to load ${networkType} network:`, err);
-        alert(`Failed to load ${networkType} network: ${err.message}\n\nCheck console for details.`);
-        setLoading(false);
-      });
-  }, [networkType]);
+    setSelectedLink(null);
+    setComparedIds([]);
+  }, [data, setSelectedLink]);
 
-  // ---------------------------- Live Search ----------------------------
   useEffect(() => {
-    if (!data || !searchTerm) {
-      setSearchResults([]);
-      if (data) resetGraphStyles();
-      return;
-    }
-    const term = searchTerm.toLowerCase();
-    const results = data.nodes.filter(n => n.id.toLowerCase().includes(term)).slice(0, 12);
-    setSearchResults(results);
-    applyLiveSearch(term, results);
-  }, [searchTerm, data]);
+    onDataChange?.(visible);
+  }, [visible, onDataChange]);
+
+  // The graph surface is sized by CSS (it shares the row with the query dock), so
+  // measure it instead of the window. Falls back to the window while the view is hidden.
+  const getViewportSize = () => {
+    const el = [canvasRef.current, svgRef.current].find(e => e?.clientWidth);
+    const width = el?.clientWidth || window.innerWidth - 80;
+    const height = el?.clientHeight || window.innerHeight - 220;
+    return { width, height };
+  };
+
+  // ---------------------------- Live Search ----------------------------
+  // Emphasises the matches as the term or the graph changes
+  const { searchTerm, setSearchTerm, searchResults, matchedIds, clearSearch } = useLiveSearch(
+    visible,
+    (term, results) => applyLiveSearch(term, results)
+  );
 
   const handleSearchSelect = (node) => {
+    setComparedIds([]);
+    setSelectedLink(null);
+    // Nodes outside the focused neighbourhood bring the full graph back
+    if (focus && !visible?.nodes.some(n => n.id === node.id)) leaveFocus();
     setSelectedNode(node);
-    setSearchTerm('');
-    setSearchResults([]);
+    clearSearch();
     setTimeout(() => {
-      if (simulationRef.current) {
+      if (engineRef.current) {
         highlightConnections(node);
         zoomToNodes([node]);
       }
     }, 50);
   };
 
+  // Query results name entities by their raw id; geo nodes may have been split into [S]/[T] twins
+  const focusNode = (id) => {
+    if (!visible || !id) return;
+    const lower = String(id).toLowerCase();
+    const node = visible.nodes.find(n => n.id === id)
+      || visible.nodes.find(n => n.id === `${id} [S]` || n.id === `${id} [T]`)
+      || visible.nodes.find(n => n.id.toLowerCase() === lower);
+    if (node) handleSearchSelect(node);
+  };
+
+  // Query results name the entities to compare like focusNode; those of the first one's type are kept
+  const compareNodes = (ids) => {
+    if (!visible) return;
+    const found = ids.flatMap(id => visible.nodes.filter(n => n.id === id || n.id === `${id} [S]` || n.id === `${id} [T]`));
+    const same = found.filter(n => n.type === found[0]?.type);
+    if (same.length === 0) return;
+    setSelectedNode(null);
+    setSelectedLink(null);
+    setComparedIds([...new Set(same.map(n => n.id))].slice(0, MAX_COMPARED));
+  };
+
+  useImperativeHandle(ref, () => ({ focusNode, highlightNodes, compareNodes }));
+
   // ---------------------------- Graph Interactions ----------------------------
+  // Links currently in the graph; they follow the year filter, unlike `data`
+  const currentLinks = () => currentRef.current.links;
+
+  const applyEmphasis = (emphasis, duration) => {
+    emphasisRef.current = emphasis;
+    const styles = graphStyles(emphasis, linkEncodingRef.current);
+    if (rendererRef.current) {
+      rendererRef.current.setStyles(styles);
+      rendererRef.current.draw();
+      return;
+    }
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('.link')
+      .transition().duration(duration)
+      .attr('stroke', linkStroke(styles))
+      .attr('stroke-opacity', styles.linkOpacity)
+      .attr('stroke-width', styles.linkWidth);
+    svg.selectAll('.node')
+      .transition().duration(duration)
+      .attr('stroke', nodeOutline(styles))
+      .attr('stroke-width', nodeOutlineWidth(styles))
+      .style('opacity', styles.nodeOpacity);
+    refreshLabelsRef.current?.();
+  };
+
   const highlightConnections = (sel) => {
-    if (!data) return;
     const neighborIds = new Set();
-    (data.links || []).forEach(l => {
-      const s = typeof l.source === 'object' ? l.source.id : l.source;
-      const t = typeof l.target === 'object' ? l.target.id : l.target;
+    currentLinks().forEach(l => {
+      const s = endId(l.source);
+      const t = endId(l.target);
       if (s === sel.id || t === sel.id) { 
         neighborIds.add(s); 
         neighborIds.add(t); 
       }
     });
-
-    d3.select(svgRef.current).selectAll('.link')
-      .transition().duration(220)
-      .attr('stroke-opacity', l => {
-        const s = typeof l.source === 'object' ? l.source.id : l.source;
-        const t = typeof l.target === 'object' ? l.target.id : l.target;
-        if (loading) return (
-    <div className="loading">
-      <div>LOADING {networkType.toUpperCase()} NETWORK…</div>
-      <div style={{fontSize: '12px', marginTop: '8px', color: '#9AA8B7'}}>
-        Check console if this takes too long
-      </div>
-    </div>
-  );
-
-  return (s === sel.id || t === sel.id) ? 0.85 : 0.05;
-      })
-      .attr('stroke-width', l => {
-        const s = typeof l.source === 'object' ? l.source.id : l.source;
-        const t = typeof l.target === 'object' ? l.target.id : l.target;
-        return (s === sel.id || t === sel.id) ? Math.sqrt(l.weight) * 2 : Math.sqrt(l.weight) * 0.3;
-      });
-
-    d3.select(svgRef.current).selectAll('.node')
-      .transition().duration(220)
-      .style('opacity', d => d.id === sel.id || neighborIds.has(d.id) ? 1 : 0.15);
-
-    d3.select(svgRef.current).selectAll('.node-label')
-      .transition().duration(220)
-      .style('opacity', d => d.id === sel.id || neighborIds.has(d.id) ? 1 : 0.1);
+    applyEmphasis({ kind: 'selection', id: sel.id, neighborIds }, 220);
   };
 
   const resetGraphStyles = () => {
-    d3.select(svgRef.current).selectAll('.link')
-      .transition().duration(200)
-      .attr('stroke-opacity', 0.18)
-      .attr('stroke-width', d => Math.sqrt(d.weight) * 0.55);
-    d3.select(svgRef.current).selectAll('.node')
-      .transition().duration(200)
-      .style('opacity', 1);
-    d3.select(svgRef.current).selectAll('.node-label')
-      .transition().duration(200)
-      .style('opacity', 1);
-    if (svgSelRef.current && zoomRef.current) {
-      svgSelRef.current.transition().duration(250).call(zoomRef.current.transform, d3.zoomIdentity);
+    applyEmphasis(null, 200);
+    if (surfaceRef.current && zoomRef.current) {
+      surfaceRef.current.transition().duration(250).call(zoomRef.current.transform, d3.zoomIdentity);
     }
   };
 
-  const zoomToNodes = (nodes) => {
-    if (!nodes || nodes.length === 0 || !svgSelRef.current || !gRef.current || !zoomRef.current) return;
+  // Nodes the simulation has not placed yet (a query run from a link as the graph loads) are skipped
+  const zoomToNodes = (candidates) => {
+    const nodes = candidates?.filter(n => Number.isFinite(n.x) && Number.isFinite(n.y));
+    if (!nodes || nodes.length === 0 || !surfaceRef.current || !zoomRef.current) return;
     const padding = 100;
     const xs = nodes.map(n => n.x);
     const ys = nodes.map(n => n.y);
     const minX = Math.min(...xs), maxX = Math.max(...xs);
     const minY = Math.min(...ys), maxY = Math.max(...ys);
-    const width = (window.innerWidth - 80);
-    const height = (window.innerHeight - 220);
+    const { width, height } = getViewportSize();
     const dx = Math.max(1, (maxX - minX));
     const dy = Math.max(1, (maxY - minY));
     const scale = Math.min(4, 0.9 / Math.max(dx / (width - padding*2), dy / (height - padding*2)));
     const tx = (width - scale * (minX + maxX)) / 2;
     const ty = (height - scale * (minY + maxY)) / 2;
     const transform = d3.zoomIdentity.translate(tx, ty).scale(scale);
-    svgSelRef.current.transition().duration(350).call(zoomRef.current.transform, transform);
+    surfaceRef.current.transition().duration(350).call(zoomRef.current.transform, transform);
   };
 
   const applyLiveSearch = (term, results) => {
     const matchIds = new Set(results.map(r => r.id));
     const neighborIds = new Set();
-    (data.links || []).forEach(l => {
-      const s = typeof l.source === 'object' ? l.source.id : l.source;
-      const t = typeof l.target === 'object' ? l.target.id : l.target;
+    currentLinks().forEach(l => {
+      const s = endId(l.source);
+      const t = endId(l.target);
       if (matchIds.has(s) || matchIds.has(t)) { 
         neighborIds.add(s); 
         neighborIds.add(t); 
       }
     });
-    const keep = new Set([...matchIds, ...neighborIds]);
-
-    d3.select(svgRef.current).selectAll('.node')
-      .transition().duration(150).style('opacity', d => keep.has(d.id) ? 1 : 0.12);
-    d3.select(svgRef.current).selectAll('.node-label')
-      .transition().duration(150).style('opacity', d => keep.has(d.id) ? 1 : 0.08);
-    d3.select(svgRef.current).selectAll('.link')
-      .transition().duration(150)
-      .attr('stroke-opacity', l => {
-        const s = typeof l.source === 'object' ? l.source.id : l.source;
-        const t = typeof l.target === 'object' ? l.target.id : l.target;
-        return (keep.has(s) && keep.has(t)) ? 0.6 : 0.04;
-      })
-      .attr('stroke-width', l => {
-        const s = typeof l.source === 'object' ? l.source.id : l.source;
-        const t = typeof l.target === 'object' ? l.target.id : l.target;
-        return (keep.has(s) && keep.has(t)) ? Math.sqrt(l.weight) * 1.4 : Math.sqrt(l.weight) * 0.25;
+    applyEmphasis({ kind: 'search', keep: new Set([...matchIds, ...neighborIds]), matches: matchIds }, 150);
+    zoomToNodes(currentRef.current.nodes.filter(n => matchIds.has(n.id)));
+  };
+
+  // Emphasises the paths found by the connection explorer and zooms to them
+  const highlightPaths = (paths) => {
+    if (!paths) {
+      if (emphasisRef.current?.kind === 'path') applyEmphasis(null, 200);
+      return;
+    }
+    const keep = new Set(paths.flatMap(p => p.nodes));
+    const pairs = new Set(paths.flatMap(p => p.steps.map(step => pairKey(step.source, step.target))));
+    applyEmphasis({ kind: 'path', keep, pairs }, 220);
+    zoomToNodes(currentRef.current.nodes.filter(n => keep.has(n.id)));
+  };
+
+  // Emphasises the nodes a query returned and zooms to them; null clears them
+  const highlightNodes = (ids) => {
+    if (!ids?.length || !visible) {
+      if (emphasisRef.current?.kind === 'query') applyEmphasis(null, 200);
+      return;
+    }
+    const wanted = new Set(ids.flatMap(id => [id, `${id} [S]`, `${id} [T]`]));
+    const keep = new Set(visible.nodes.filter(n => wanted.has(n.id)).map(n => n.id));
+    setSelectedNode(null);
+    setSelectedLink(null);
+    applyEmphasis({ kind: 'query', keep }, 220);
+    zoomToNodes(currentRef.current.nodes.filter(n => keep.has(n.id)));
+  };
+
+  // Colours each compared entity's reach in the graph and zooms to the entities; null clears it
+  const highlightComparison = (comparison) => {
+    if (!comparison) {
+      if (emphasisRef.current?.kind === 'compare') applyEmphasis(null, 200);
+      return;
+    }
+    applyEmphasis({ kind: 'compare', keep: new Set(comparison.nodeOwners.keys()), comparison }, 220);
+    const compared = new Set(comparison.entities.map(e => e.id));
+    zoomToNodes(currentRef.current.nodes.filter(n => compared.has(n.id)));
+  };
+
+  // Clicking a node while comparing adds it to the comparison, or leaves it out again;
+  // shift-click starts one from the selected node
+  const toggleCompared = (node) => {
+    const current = comparedIds.length > 0 ? comparedIds : selectedNode ? [selectedNode.id] : [];
+    const type = visible?.nodes.find(n => n.id === current[0])?.type;
+    if (type && node.type !== type) return;
+    setSelectedNode(null);
+    setSelectedLink(null);
+    if (current.includes(node.id)) setComparedIds(current.filter(id => id !== node.id));
+    else if (current.length < MAX_COMPARED) setComparedIds([...current, node.id]);
+  };
+
+  // Opens a link in the edge inspector and emphasises it with its endpoints
+  const inspectLink = (link) => {
+    const keep = new Set([endId(link.source), endId(link.target)]);
+    setSelectedNode(null);
+    setComparedIds([]);
+    setSelectedLink(link);
+    applyEmphasis({ kind: 'link', keep, id: linkId(link) }, 220);
+  };
+
+  const changeLinkEncoding = (encoding) => {
+    linkEncodingRef.current = encoding;
+    setLinkEncoding(encoding);
+    applyEmphasis(emphasisRef.current, 200);
+  };
+
+  // ---------------------------- Focus ----------------------------
+  // Once a join has placed the nodes: fit the new neighbourhood after the
+  // layout has had a moment (`delay` ms) to gather it, or go back to a saved zoom
+  const settleViewRef = useRef(null);
+  settleViewRef.current = (nodes) => {
+    const view = pendingViewRef.current;
+    pendingViewRef.current = null;
+    if (!view || !surfaceRef.current || !zoomRef.current) return;
+    if (view.transform) {
+      surfaceRef.current.transition().duration(350).call(zoomRef.current.transform, view.transform);
+    } else {
+      setTimeout(() => zoomToNodes(nodes), view.delay ?? 400);
+    }
+  };
+
+  // Redraws node outlines after pins change (and nodes after a saved layout moved them)
+  const showPins = () => {
+    if (rendererRef.current) {
+      rendererRef.current.moved();
+      rendererRef.current.draw();
+    } else {
+      gRef.current?.selectAll('circle.node').attr('stroke', nodeOutline(graphStyles(emphasisRef.current, linkEncodingRef.current)));
+    }
+  };
+
+  // ---------------------------- Layouts ----------------------------
+  const snapshotCurrent = () => snapshotLayout(currentRef.current.nodes);
+
+  // Moves the graph to a saved layout without letting the simulation disturb it
+  const applySavedLayout = (layout) => {
+    const engine = engineRef.current;
+    const { nodes, links } = currentRef.current;
+    if (!engine || applyLayout(nodes, layout.nodes) === 0) return;
+    engine.setGraph(nodes, links, 0);
+    showPins();
+  };
+
+  // Radial layouts start around the selected sponsor, if there is one
+  const changeLayoutMode = (mode) => setGraphLayout(prev => ({
+    ...prev,
+    mode,
+    ...(mode === 'radial' && selectedNode?.type === 'sponsor' && { centre: selectedNode.id }),
+  }));
+
+  // Gives nodes the layout mode's targets and the engine the force settings;
+  // called before the engine is handed the nodes
+  const placeRef = useRef(null);
+  placeRef.current = (engine, network) => {
+    const communityOf = analytics ? (id => analytics.nodes.get(id)?.community) : null;
+    assignTargets(network.nodes, layoutTargets(network, graphLayout, { ...getViewportSize(), communityOf }));
+    engine.setForces({ ...forces, pull: layoutMode(graphLayout.mode).pull });
+  };
+
+  const describeLayout = () => graphLayout.mode === 'radial'
+    ? `radial around ${radialCentre(visible, graphLayout.centre) || '—'}`
+    : graphLayout.mode === 'grouped' ? `grouped by ${graphLayout.groupBy}` : graphLayout.mode;
+
+  const unpinAll = () => {
+    const engine = engineRef.current;
+    const { nodes, links } = currentRef.current;
+    if (!engine) return;
+    nodes.forEach(n => { n.fx = null; n.fy = null; });
+    engine.setGraph(nodes, links, 0.3);
+    showPins();
+  };
+
+  // ---------------------------- Export ----------------------------
+  // Zoom, highlight and filters are carried over: the graph exports from its
+  // renderer's current frame, the map and flow views from their live svg.
+  const viewFigure = () => {
+    if (display === 'graph') {
+      const { width, height } = getViewportSize();
+      const svg = rendererRef.current ? rendererRef.current.toSVG() : svgRef.current;
+      return { markup: serializeSvg(svg, { width, height }), width, height };
+    }
+    const svg = containerRef.current?.querySelector(DISPLAYS[display].exportSvg);
+    if (!svg) throw new Error('Nothing has been drawn in this view yet');
+    const size = svgSize(svg);
+    return { markup: serializeSvg(svg, size), ...size };
+  };
+
+  // The network the current display draws (the flow view ignores the path filter)
+  const shownNetwork = () => display === 'sankey' ? yearFiltered : visible;
+
+  const viewSummary = () => {
+    const shown = shownNetwork();
+    return [
+      [
+        `Network: ${networkType}`,
+        networkType === 'geo' && `places: ${display === 'map' ? 'country' : geoLevel}`,
+        mergeAliases ? 'canonical actors' : 'raw actor ids',
+      ].filter(Boolean).join(' · '),
+      `Years: ${yearRange ? `${yearRange[0]}–${yearRange[1]}` : 'all'}`,
+      ...(display !== 'sankey' && activeFilterCount(filters) > 0 ? [`Filters: ${describeFilters(filters)}`] : []),
+      ...(display === 'graph' && pathFilter ? [`Path: ${pathFilter.label}`] : []),
+      ...(searchTerm ? [`Search: "${searchTerm}"`] : []),
+      ...(selectedNode ? [`Selected: ${selectedNode.id}`] : []),
+      ...(display === 'graph' && selectedLink ? [`Inspected link: ${endId(selectedLink.source)} → ${endId(selectedLink.target)}`] : []),
+      ...(comparedIds.length > 0 ? [`Compared: ${comparedIds.join(', ')}`] : []),
+      ...(focused ? [`Focus: ${focused.steps.map(step => step.id).join(' › ')} (${focused.steps[0].hops} hops)`] : []),
+      ...(shown ? [`${shown.nodes.length} nodes · ${shown.links.length} links`] : []),
+      ...(display === 'graph' && graphLayout.mode !== 'force' ? [`Layout: ${describeLayout()}`] : []),
+      ...(display === 'graph' && linkEncoding === 'type' ? ['Links: coloured and sized by type'] : []),
+      ...(display === 'graph' && (sizeBy !== 'degree' || colorBy !== 'role') ? [
+        `Size: ${METRICS.find(m => m.key === sizeBy).label.toLowerCase()} · colour: ${colorBy === 'role' || colorBy === 'community' ? colorBy : METRICS.find(m => m.key === colorBy).label.toLowerCase()}`
+      ] : []),
+    ];
+  };
+
+  // What is left after search or selection highlighting, or everything shown
+  const exportedNetwork = () => {
+    const emphasis = emphasisRef.current;
+    const keep = emphasis?.kind === 'selection' ? emphasis.neighborIds : emphasis?.keep || null;
+    return subgraph(shownNetwork(), keep?.size ? keep : null);
+  };
+
+  const exportData = (format, fileName) => {
+    const network = exportedNetwork();
+    if (!network?.nodes.length) throw new Error('There are no nodes to export');
+    if (format === 'csv') {
+      const { nodes, edges } = toCsvPair(network);
+      downloadBlob(new Blob([nodes], { type: 'text/csv' }), `${fileName}-nodes.csv`);
+      downloadBlob(new Blob([edges], { type: 'text/csv' }), `${fileName}-edges.csv`);
+    } else if (format === 'graphml') {
+      downloadBlob(new Blob([toGraphML(network)], { type: 'application/xml' }), `${fileName}.graphml`);
+    } else if (format === 'gexf') {
+      const description = viewSummary().join('; ');
+      downloadBlob(new Blob([toGEXF(network, { description })], { type: 'application/xml' }), `${fileName}.gexf`);
+    }
+  };
+
+  const handleExport = (format, { scale }) => {
+    const fileName = exportFileName(`${display}-${display === 'map' ? 'geo' : networkType}`);
+    if (DATA_EXPORTS.includes(format)) return exportData(format, fileName);
+
+    const figure = { ...viewFigure(), scale };
+    const title = DISPLAYS[display].title;
+    if (format !== 'pdf') return exportFigure(format, { ...figure, title, fileName });
+
+    const legend = display === 'graph'
+      ? [...appearance.legend, ...(linkEncoding === 'type' ? linkTypes.map(type => ({ color: linkTypeStyle(type).color, label: `${linkTypeStyle(type).label} link` })) : [])]
+      : display === 'map' ? [] : EXPORT_LEGEND;
+    const pages = [{ title, lines: viewSummary(), legend, figures: [figure] }];
+    const inspected = display === 'graph' && selectedLink;
+    if ((selectedNode || inspected || comparedIds.length > 0) && panelRef.current) {
+      pages.push({
+        title: comparedIds.length > 0 ? `COMPARISON · ${comparedIds.join(' vs ')}`
+          : inspected ? `LINK · ${endId(selectedLink.source)} → ${endId(selectedLink.target)}`
+          : `SELECTION · ${selectedNode.id}`,
+        lines: panelRef.current.summaryLines(),
+        figures: panelRef.current.chartFigures().map(f => ({ ...f, scale })),
       });
+    }
+    return exportPdf(pages, fileName);
+  };
 
-    const matchedNodeObjs = d3.select(svgRef.current).selectAll('.node').data().filter(n => matchIds.has(n.id));
-    zoomToNodes(matchedNodeObjs);
+  // Bound once per build; always calls the latest handlers
+  const nodeClickRef = useRef(null);
+  nodeClickRef.current = (d, event) => {
+    if (comparedIds.length > 0 || event?.shiftKey) {
+      toggleCompared(d);
+      return;
+    }
+    setSelectedLink(null);
+    setSelectedNode(d);
+    highlightConnections(d);
+    if (graphLayout.mode === 'radial' && d.type === 'sponsor') setGraphLayout({ ...graphLayout, centre: d.id });
+  };
+
+  const linkClickRef = useRef(null);
+  linkClickRef.current = inspectLink;
+
+  // The card only moves when the pointer reaches another node or link, so
+  // moving over the graph does not re-render it
+  const hoverRef = useRef(null);
+  hoverRef.current = (item, event) => {
+    const target = item?.node || item?.link || null;
+    if (target === hoveredRef.current) return;
+    hoveredRef.current = target;
+    refreshLabelsRef.current?.();
+    const container = containerRef.current;
+    if (!target || !container) {
+      setHover(null);
+      return;
+    }
+    const [x, y] = d3.pointer(event, container);
+    setHover({ ...item, x, y, width: container.clientWidth, height: container.clientHeight });
+  };
+
+  // Double-click focuses on a node, or widens the focus with its neighbours
+  const nodeDoubleClickRef = useRef(null);
+  nodeDoubleClickRef.current = (d) => {
+    if (display !== 'graph') return;
+    if (focus) expandFocus(d);
+    else focusOn(d);
   };
 
   // ---------------------------- D3 Graph Build ----------------------------
+  // Sets up the drawing surface (canvas renderer or svg scaffolding), zoom, drag
+  // and an empty layout engine once per dataset and renderer. Nodes and links
+  // are joined in by the update effect below.
   useEffect(() => {
-    if (!data || !svgRef.current) return;
+    if (!data || !svgRef.current || !canvasRef.current) return;
 
+    const layoutKey = data.layoutKey;
+    const sessionLayouts = sessionLayoutsRef.current;
+    layoutKeyRef.current = layoutKey;
     d3.select(svgRef.current).selectAll('*').remove();
+    selectionsRef.current = {};
+    refreshLabelsRef.current = null;
+    rendererRef.current = null;
+    gRef.current = null;
+    emphasisRef.current = null;
+    currentRef.current = { nodes: [], links: [] };
 
-    const width = window.innerWidth - 80;
-    const height = window.innerHeight - 220;
-
-    const svg = d3.select(svgRef.current)
-      .attr('width', width)
-      .attr('height', height);
-    svgSelRef.current = svg;
-
-    const g = svg.append('g');
-    gRef.current = g;
-
-    // Arrow marker
-    const defs = svg.append('defs');
-    defs.append('marker')
-      .attr('id', 'arrowhead')
-      .attr('viewBox', '-10 -10 20 20')
-      .attr('refX', 24)
-      .attr('refY', 0)
-      .attr('markerWidth', 7)
-      .attr('markerHeight', 7)
-      .attr('orient', 'auto')
-      .append('path')
-      .attr('d', 'M-6,-6 L 0,0 L -6,6')
-      .attr('fill', '#6F87A7')
-      .attr('stroke', '#6F87A7')
-      .attr('stroke-width', 1.2);
-
-    const colorMap = { sponsor: '#E0555A', actor: '#6FA7FF', victim: '#3FB37D' };
-
-    // Stronger separation to reduce hairball
-    const simulation = d3.forceSimulation(data.nodes)
-      .force('link', d3.forceLink(data.links).id(d => d.id).distance(110).strength(0.2))
-      .force('charge', d3.forceManyBody().strength(-520))
-      .force('center', d3.forceCenter(width/2, height/2))
-      .force('collision', d3.forceCollide().radius(d => Math.sqrt(d.degree) * 4 + 12));
-
-    simulationRef.current = simulation;
-
-    const link = g.append('g')
-      .attr('class', 'links')
-      .selectAll('line')
-      .data(data.links)
-      .join('line')
-      .attr('class', 'link')
-      .attr('stroke', '#6F87A7')
-      .attr('stroke-opacity', 0.18)
-      .attr('stroke-width', d => Math.sqrt(d.weight) * 0.55)
-      .attr('marker-end', 'url(#arrowhead)');
-
-    const node = g.append('g')
-      .attr('class', 'nodes')
-      .selectAll('circle')
-      .data(data.nodes)
-      .join('circle')
-      .attr('class', 'node')
-      .attr('r', d => Math.sqrt(d.degree) * 4 + 6)
-      .attr('fill', d => colorMap[d.type] || '#9AA8B7')
-      .attr('stroke', '#0C1117')
-      .attr('stroke-width', 2)
-      .style('cursor', 'pointer')
-      .on('click', (event, d) => { setSelectedNode(d); highlightConnections(d); })
-      .on('mouseover', function(event, d) {
-        d3.select(this).transition().duration(160)
-          .attr('stroke', '#96A6B8').attr('stroke-width', 3);
-      })
-      .on('mouseout', function(event, d) {
-        d3.select(this).transition().duration(160)
-          .attr('stroke', '#0C1117').attr('stroke-width', 2);
-      });
+    const { width, height } = getViewportSize();
+    const canvas = canvasRef.current;
+    const canvasRenderer = renderer === 'canvas' ? createCanvasRenderer(canvas, { width, height }) : null;
+    if (renderer === 'canvas' && !canvasRenderer) {
+      setRenderer('svg');
+      return;
+    }
 
-    // Sparse labels for clarity
-    const topNodes = [...data.nodes].sort((a,b) => b.degree - a.degree).slice(0, 16);
-    const labels = g.append('g')
-      .attr('class', 'labels')
-      .selectAll('text')
-      .data(topNodes)
-      .join('text')
-      .attr('class', 'node-label')
-      .text(d => d.id.length > 28 ? d.id.slice(0, 28) + '…' : d.id)
-      .attr('font-size', d => Math.min(13, Math.sqrt(d.degree) + 9))
-      .attr('font-weight', 650)
-      .attr('fill', '#D8E1EA')
-      .attr('text-anchor', 'middle')
-      .attr('dy', d => Math.sqrt(d.degree) * 4 + 24)
-      .style('pointer-events', 'none');
-
-    node.append('title').text(d => `${d.id}\nType: ${d.type}\nConnections: ${d.degree}`);
-
-    node.call(d3.drag()
-      .on('start', dragstarted)
-      .on('drag', dragged)
-      .on('end', dragended));
-
-    const zoom = d3.zoom().scaleExtent([0.12, 4]).on('zoom', (ev) => { g.attr('transform', ev.transform); });
-    zoomRef.current = zoom;
-    svg.call(zoom);
+    const surface = d3.select(canvasRenderer ? canvas : svgRef.current);
+    surfaceRef.current = surface;
+    let g = null;
+
+    if (canvasRenderer) {
+      canvasRenderer.setStyles(graphStyles(null, linkEncodingRef.current));
+      canvasRenderer.setTransform(d3.zoomTransform(canvas));
+      rendererRef.current = canvasRenderer;
+    } else {
+      const svg = d3.select(svgRef.current)
+        .attr('width', width)
+        .attr('height', height);
+
+      g = svg.append('g').attr('transform', d3.zoomTransform(svgRef.current));
+      gRef.current = g;
+
+      // Arrow marker
+      const defs = svg.append('defs');
+      defs.append('marker')
+        .attr('id', 'arrowhead')
+        .attr('viewBox', '-10 -10 20 20')
+        .attr('refX', 24)
+        .attr('refY', 0)
+        .attr('markerWidth', 7)
+        .attr('markerHeight', 7)
+        .attr('orient', 'auto')
+        .append('path')
+        .attr('d', 'M-6,-6 L 0,0 L -6,6')
+        .attr('fill', LINK_COLOR)
+        .attr('stroke', LINK_COLOR)
+        .attr('stroke-width', 1.2);
+
+      g.append('g').attr('class', 'links');
+      g.append('g').attr('class', 'nodes');
 
-    simulation.on('tick', () => {
+      // Labels are placed afresh as the layout moves or the view zooms; the
+      // hovered node's label is drawn in full
+      const labelLayer = svg.append('g').attr('class', 'labels').style('pointer-events', 'none');
+      const measure = createTextMeasure(getComputedStyle(svgRef.current).fontFamily);
+      refreshLabelsRef.current = () => {
+        const styles = graphStyles(emphasisRef.current, linkEncodingRef.current);
+        drawLabels(labelLayer, placeLabels(currentRef.current.nodes, {
+          transform: d3.zoomTransform(svgRef.current),
+          width: svgRef.current.clientWidth || width,
+          height: svgRef.current.clientHeight || height,
+          radius: nodeRadius,
+          styles,
+          hovered: hoveredRef.current,
+          measure,
+        }), styles);
+      };
+    }
+
+    const draw = () => {
+      if (canvasRenderer) {
+        canvasRenderer.moved();
+        canvasRenderer.draw();
+        return;
+      }
+      const { link, node } = selectionsRef.current;
+      if (!link) return;
       link.attr('x1', d => d.source.x)
           .attr('y1', d => d.source.y)
           .attr('x2', d => d.target.x)
           .attr('y2', d => d.target.y);
       node.attr('cx', d => d.x).attr('cy', d => d.y);
-      labels.attr('x', d => d.x).attr('y', d => d.y);
+      refreshLabelsRef.current();
+    };
+
+    const engine = createLayoutEngine({ width, height, onTick: draw });
+    engineRef.current = engine;
+
+    const zoom = d3.zoom().scaleExtent([0.12, 4]).on('zoom', (ev) => {
+      if (canvasRenderer) {
+        canvasRenderer.setTransform(ev.transform);
+        canvasRenderer.draw();
+      } else {
+        g.attr('transform', ev.transform);
+        refreshLabelsRef.current();
+      }
     });
+    zoomRef.current = zoom;
 
-    function dragstarted(event) {
-      if (!event.active) simulation.alphaTarget(0.3).restart();
-      event.subject.fx = event.subject.x; 
-      event.subject.fy = event.subject.y;
-    }
-    function dragged(event) { 
-      event.subject.fx = event.x; 
-      event.subject.fy = event.y; 
+    if (canvasRenderer) {
+      bindCanvasEvents(surface, {
+        renderer: canvasRenderer,
+        engine,
+        zoom,
+        keepPinned: () => pinModeRef.current,
+        hovered: () => hoveredRef.current,
+        onNodeClick: (node, event) => nodeClickRef.current(node, event),
+        onLinkClick: (link) => linkClickRef.current(link),
+        onNodeDoubleClick: (node) => nodeDoubleClickRef.current(node),
+        onHover: (item, event) => hoverRef.current(item, event),
+      });
+    } else {
+      dragRef.current = d3.drag()
+        .on('start', () => hoverRef.current(null))
+        .on('start.pin drag', (event) => engine.pin(event.subject, event.x, event.y))
+        .on('end', function(event) {
+          engine.release(event.subject, { keepPinned: pinModeRef.current });
+          d3.select(this).attr('stroke', nodeOutline(graphStyles(emphasisRef.current, linkEncodingRef.current)));
+        });
+      surface.call(zoom).on('dblclick.zoom', null);
     }
-    function dragended(event) { 
-      if (!event.active) simulation.alphaTarget(0); 
-      event.subject.fx = null; 
-      event.subject.fy = null; 
+
+    return () => {
+      const nodes = engine.nodes();
+      if (nodes.length > 0) sessionLayouts.set(layoutKey, snapshotLayout(nodes));
+      engine.stop();
+      surface.on('.zoom', null).on('.drag', null).on('.graph', null);
+    };
+  }, [data, renderer]);
+
+  // ---------------------------- D3 Graph Update ----------------------------
+  // Joins the visible (year-filtered) graph by id. Nodes that stay keep their
+  // position, so moving the year brush animates the layout instead of rebuilding it.
+  // A new size or colour metric rejoins the same nodes and only nudges the layout.
+  useEffect(() => {
+    const engine = engineRef.current;
+    const canvasRenderer = rendererRef.current;
+    const g = gRef.current;
+    if (!visible || !engine || (!canvasRenderer && !g)) return;
+
+    const previous = new Map(engine.nodes().map(n => [n.id, n]));
+    const firstJoin = previous.size === 0;
+    const rejoin = !firstJoin && joinedRef.current === visible;
+    joinedRef.current = visible;
+    const { color, sizes } = appearance;
+    visible.nodes.forEach(n => {
+      if (sizes) n.radius = sizes.get(n.id);
+      else delete n.radius;
+    });
+    // A rebuilt graph starts where this network type was last left
+    const restored = firstJoin ? applyLayout(visible.nodes, sessionLayoutsRef.current.get(layoutKeyRef.current)) : 0;
+    const { width, height } = getViewportSize();
+    visible.nodes.forEach(n => {
+      const prev = previous.get(n.id);
+      if (prev) {
+        n.x = prev.x; n.y = prev.y;
+        n.vx = prev.vx; n.vy = prev.vy;
+      } else if (!firstJoin || (restored > 0 && n.x == null)) {
+        n.x = width / 2 + (Math.random() - 0.5) * 80;
+        n.y = height / 2 + (Math.random() - 0.5) * 80;
+      }
+    });
+    // Leaving focus mode puts the full graph back as it was left
+    const returned = firstJoin ? 0 : applyLayout(visible.nodes, restoreLayoutRef.current);
+    restoreLayoutRef.current = null;
+
+    currentRef.current = { nodes: visible.nodes, links: visible.links };
+    const styles = graphStyles(emphasisRef.current, linkEncodingRef.current);
+
+    // Resolves link endpoints to node objects, so set it before drawing
+    placeRef.current(engine, visible);
+    engine.setGraph(visible.nodes, visible.links, restored || returned || rejoin ? 0.1 : firstJoin ? 1 : 0.5);
+    settleViewRef.current(visible.nodes);
+
+    if (canvasRenderer) {
+      canvasRenderer.setGraph({ nodes: visible.nodes, links: visible.links, color, radius: nodeRadius });
+      canvasRenderer.setStyles(styles);
+      canvasRenderer.draw();
+      return;
     }
 
-    return () => simulation.stop();
-  }, [data]);
+    const link = g.select('.links')
+      .selectAll('line.link')
+      .data(visible.links, linkId)
+      .join(
+        enter => enter.append('line')
+          .attr('class', 'link')
+          .attr('marker-end', 'url(#arrowhead)')
+          .style('cursor', 'pointer')
+          .on('click', (event, d) => linkClickRef.current(d))
+          .on('mouseover', (event, d) => hoverRef.current({ link: d }, event))
+          .on('mouseout', () => hoverRef.current(null)),
+        update => update,
+        exit => exit.transition().duration(300).attr('stroke-opacity', 0).remove()
+      )
+      .attr('stroke', linkStroke(styles))
+      .attr('stroke-opacity', styles.linkOpacity)
+      .attr('stroke-width', styles.linkWidth);
+
+    const node = g.select('.nodes')
+      .selectAll('circle.node')
+      .data(visible.nodes, d => d.id)
+      .join(
+        enter => enter.append('circle')
+          .attr('class', 'node')
+          .attr('r', firstJoin ? nodeRadius : 0)
+          .style('cursor', 'pointer')
+          .on('click', (event, d) => nodeClickRef.current(d, event))
+          .on('dblclick', (event, d) => nodeDoubleClickRef.current(d))
+          .on('mouseover', function(event, d) {
+            d3.select(this).transition().duration(160)
+              .attr('stroke', '#96A6B8').attr('stroke-width', 3);
+            hoverRef.current({ node: d }, event);
+          })
+          .on('mouseout', function() {
+            const styles = graphStyles(emphasisRef.current, linkEncodingRef.current);
+            d3.select(this).transition().duration(160)
+              .attr('stroke', nodeOutline(styles)).attr('stroke-width', nodeOutlineWidth(styles));
+            hoverRef.current(null);
+          })
+          .call(dragRef.current),
+        update => update,
+        exit => exit.transition().duration(300).attr('r', 0).remove()
+      )
+      .attr('fill', color)
+      .attr('stroke', nodeOutline(styles))
+      .attr('stroke-width', nodeOutlineWidth(styles))
+      .style('opacity', styles.nodeOpacity);
+
+    node.transition().duration(300).attr('r', nodeRadius);
+
+    selectionsRef.current = { link, node };
+    refreshLabelsRef.current();
+  }, [visible, renderer, appearance]);
+
+  // A new layout mode is fitted once the nodes are most of the way to their new places
+  useLayoutSwitch(engineRef, currentRef, {
+    graphLayout,
+    forces,
+    place: (engine, network) => placeRef.current(engine, network),
+    onModeChange: (nodes) => {
+      pendingViewRef.current = { fit: true, delay: 900 };
+      settleViewRef.current(nodes);
+    },
+  });
 
   return (
-    <div className="network-container">
+    <div ref={containerRef} className={`network-container ${yearHistogram.length ? 'with-timeline' : ''}`}>
       <div className="header">
         <div className="header-top">
-          <h1>CYBER ATTRIBUTION NETWORK</h1>
-          <div className="header-subtitle">2000 — 2020</div>
+          <h1>{DISPLAYS[display].title}</h1>
+          <div className="header-subtitle">
+            {yearRange
+              ? `${yearRange[0]} — ${yearRange[1]}`
+              : yearHistogram.length
+                ? `${yearHistogram[0].year} — ${yearHistogram[yearHistogram.length - 1].year}`
+                : 'ALL RECORDED INCIDENTS'}
+          </div>
           <div className="header-line"></div>
         </div>
 
@@ -497,11 +917,13 @@ export default function NetworkGraph() {
               type="text"
               placeholder="SEARCH ENTITIES…"
               value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                if (!e.target.value) resetGraphStyles();
+              }}
               onKeyDown={(e) => {
                 if (e.key === 'Escape') { 
-                  setSearchTerm(''); 
-                  setSearchResults([]); 
+                  clearSearch(); 
                   resetGraphStyles(); 
                 }
                 if (e.key === 'Enter' && searchResults.length > 0) { 
@@ -514,75 +936,284 @@ export default function NetworkGraph() {
               <button 
                 className="search-clear" 
                 onClick={() => { 
-                  setSearchTerm(''); 
-                  setSearchResults([]); 
+                  clearSearch(); 
                   resetGraphStyles(); 
                 }}
               >
                 ×
               </button>
             )}
-            {searchResults.length > 0 && (
-              <div className="search-results">
-                {searchResults.map(node => (
-                  <div 
-                    key={node.id} 
-                    className="search-result-item" 
-                    onClick={() => handleSearchSelect(node)}
-                  >
-                    <span className={`result-dot ${node.type}`}></span>
-                    <span className="result-name">{node.id}</span>
-                    <span className="result-type">{node.type.toUpperCase()}</span>
-                  </div>
-                ))}
-              </div>
-            )}
+            <SearchResults results={searchResults} onSelect={handleSearchSelect} />
           </div>
 
           <div className="controls">
             <button 
-              className={networkType === 'sector' ? 'active' : ''} 
+              className={display !== 'map' && networkType === 'sector' ? 'active' : ''} 
               onClick={() => { 
-                setNetworkType('sector'); 
+                onNetworkTypeChange?.('sector'); 
                 setSelectedNode(null); 
               }}
             >
               SECTOR VIEW
             </button>
             <button 
-              className={networkType === 'geo' ? 'active' : ''} 
+              className={display !== 'map' && networkType === 'geo' ? 'active' : ''} 
               onClick={() => { 
-                setNetworkType('geo'); 
+                onNetworkTypeChange?.('geo'); 
                 setSelectedNode(null); 
               }}
             >
               GEOGRAPHIC VIEW
             </button>
           </div>
+
+          <div className="controls">
+            <button 
+              className={!mergeAliases ? 'active' : ''} 
+              onClick={() => setMergeAliases(false)}
+              title="Show actor names exactly as recorded"
+            >
+              RAW IDS
+            </button>
+            <button 
+              className={mergeAliases ? 'active' : ''} 
+              onClick={() => setMergeAliases(true)}
+              disabled={Boolean(aliasError)}
+              title="Merge known aliases into canonical actors"
+            >
+              CANONICAL
+            </button>
+          </div>
+
+          {display === 'graph' && (
+            <div className="controls">
+              <button
+                className={renderer === 'canvas' ? 'active' : ''}
+                onClick={() => setRenderer('canvas')}
+                title="Draw on a canvas; suited to large graphs"
+              >
+                CANVAS
+              </button>
+              <button
+                className={renderer === 'svg' ? 'active' : ''}
+                onClick={() => setRenderer('svg')}
+                title="Draw as SVG elements"
+              >
+                SVG
+              </button>
+            </div>
+          )}
+
+          {display === 'graph' && (
+            <div className="controls">
+              {LAYOUT_MODES.map(mode => (
+                <button
+                  key={mode.key}
+                  className={graphLayout.mode === mode.key ? 'active' : ''}
+                  onClick={() => changeLayoutMode(mode.key)}
+                  title={mode.title}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {display === 'graph' && graphLayout.mode === 'grouped' && (
+            <div className="controls">
+              {GROUP_BY.map(option => (
+                <button
+                  key={option.key}
+                  className={graphLayout.groupBy === option.key ? 'active' : ''}
+                  onClick={() => setGraphLayout({ ...graphLayout, groupBy: option.key })}
+                  title={option.title}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {networkType === 'geo' && display !== 'map' && (
+            <div className="controls">
+              {GEO_LEVELS.map(level => (
+                <button
+                  key={level}
+                  className={geoLevel === level ? 'active' : ''}
+                  onClick={() => setGeoLevel(level)}
+                  title={GEO_LEVEL_TITLES[level]}
+                >
+                  {level.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <ExportMenu
+            formats={['svg', 'png', 'pdf', ...DATA_EXPORTS]}
+            onExport={handleExport}
+            dataTitle="DATA · SHOWN NODES"
+          />
         </div>
       </div>
 
       <div className="legend">
-        <div className="legend-title">NODE TYPES</div>
-        <div className="legend-item">
-          <span className="dot sponsor"></span>
-          <span>SPONSOR</span>
-        </div>
-        <div className="legend-item">
-          <span className="dot actor"></span>
-          <span>ACTOR</span>
-        </div>
-        <div className="legend-item">
-          <span className="dot victim"></span>
-          <span>TARGET</span>
-        </div>
+        <GraphLegend
+          display={display}
+          colorBy={colorBy}
+          colorLegend={appearance.legend}
+          hiddenTypes={filters.hiddenTypes}
+          onToggleType={toggleType}
+          linkEncoding={linkEncoding}
+          onLinkEncodingChange={changeLinkEncoding}
+          linkTypes={linkTypes}
+        />
+        {display !== 'sankey' && (
+          <FilterPanel
+            network={onPath}
+            shown={visible}
+            filters={filters}
+            onChange={setFilters}
+            expanded={filtersOpen}
+            onExpandedChange={setFiltersOpen}
+          />
+        )}
+        <NormalizationReport report={data?.report} />
+        {mergeAliases && <DataError error={aliasError} compact />}
+        {display === 'graph' && (
+          <LayoutPanel
+            networkType={networkType}
+            pinMode={pinMode}
+            onPinModeChange={setPinMode}
+            onSnapshot={snapshotCurrent}
+            onApply={applySavedLayout}
+            onUnpinAll={unpinAll}
+          />
+        )}
+        {display === 'graph' && (
+          <ForcePanel
+            network={visible}
+            forces={forces}
+            onForcesChange={setForces}
+            layout={graphLayout}
+            onLayoutChange={setGraphLayout}
+          />
+        )}
+        {display === 'graph' && (
+          <AnalyticsPanel
+            network={visible}
+            analytics={analytics}
+            expanded={analyticsOpen}
+            onExpandedChange={setAnalyticsOpen}
+            sizeBy={sizeBy}
+            onSizeByChange={setSizeBy}
+            colorBy={colorBy}
+            onColorByChange={setColorBy}
+            communityColor={communityColor}
+            onSelect={handleSearchSelect}
+          />
+        )}
+        {display === 'graph' && (
+          <ConnectionExplorer
+            network={visible}
+            selectedId={selectedNode?.id}
+            onHighlight={highlightPaths}
+            onSelect={handleSearchSelect}
+          />
+        )}
       </div>
 
-      <svg ref={svgRef}></svg>
+      <canvas ref={canvasRef} className={`graph-svg graph-canvas ${display !== 'graph' || renderer !== 'canvas' ? 'offscreen' : ''}`}></canvas>
+      <svg ref={svgRef} className={`graph-svg ${display !== 'graph' || renderer !== 'svg' ? 'offscreen' : ''}`}></svg>
+
+      {display === 'graph' && <HoverCard hover={hover} />}
+
+      {display === 'graph' && focus && (
+        <FocusTrail
+          focus={focus}
+          count={visible?.nodes.length ?? 0}
+          stacked={Boolean(pathFilter)}
+          onLeave={leaveFocus}
+          onStep={backToStep}
+          onHopsChange={changeFocusHops}
+        />
+      )}
+
+      {display === 'graph' && pathFilter && (
+        <div className="path-filter">
+          <span>PATH · {pathFilter.label}</span>
+          <button onClick={() => setPathFilter(null)} title="Show the whole network">×</button>
+        </div>
+      )}
+
+      {display === 'sankey' && (
+        <SankeyFlow
+          network={yearFiltered}
+          selectedNode={selectedNode}
+          matchedIds={matchedIds}
+          onSelectNode={(node) => { setSelectedNode(node); highlightConnections(node); }}
+          onPathSelect={(path) => {
+            setPathFilter(path);
+            onDisplayChange?.('graph');
+          }}
+        />
+      )}
+
+      {display === 'map' && (
+        <WorldMap
+          network={visible}
+          selectedNode={selectedNode}
+          matchedIds={matchedIds}
+          onSelectNode={(node) => { setSelectedNode(node); highlightConnections(node); }}
+        />
+      )}
 
-      {selectedNode && (
+      {data && <YearBrush histogram={yearHistogram} value={yearRange} onChange={setYearRange} />}
+
+      {loading && (
+        <div className="graph-loading">LOADING {networkType.toUpperCase()} NETWORK…</div>
+      )}
+
+      {networkError && (
+        <div className="graph-error">
+          <DataError error={networkError} />
+        </div>
+      )}
+
+      {comparedIds.length > 0 ? (
+        <ComparisonPanel
+          ref={panelRef}
+          network={visible}
+          ids={comparedIds}
+          onIdsChange={setComparedIds}
+          onHighlight={highlightComparison}
+          onSelect={(id) => zoomToNodes(currentRef.current.nodes.filter(n => n.id === id))}
+          onClose={() => {
+            setComparedIds([]);
+            resetGraphStyles();
+          }}
+        />
+      ) : display === 'graph' && selectedLink ? (
+        <EdgeInspector
+          ref={panelRef}
+          link={selectedLink}
+          network={visible}
+          onSelect={handleSearchSelect}
+          onInspect={inspectLink}
+          onClose={() => {
+            setSelectedLink(null);
+            applyEmphasis(null, 200);
+          }}
+        />
+      ) : selectedNode && (
         <NodeDetailPanel
+          ref={panelRef}
           node={selectedNode}
+          onCompare={() => {
+            setComparedIds([selectedNode.id]);
+            setSelectedNode(null);
+          }}
+          onFocus={display === 'graph' ? () => focusOn(selectedNode) : null}
           onClose={() => { 
             setSelectedNode(null); 
             resetGraphStyles(); 
@@ -591,7 +1222,7 @@ export default function NetworkGraph() {
       )}
 
       <div className="instructions">
-        CLICK NODE · DRAG TO REPOSITION · SCROLL TO ZOOM · SEARCH TO FILTER
+        {DISPLAYS[display].hint}
       </div>
     </div>
   );
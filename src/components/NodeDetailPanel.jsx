@@ -1,32 +1,20 @@
-import { useEffect, useState } from 'react';
+import { useImperativeHandle, useRef, useState } from 'react';
 import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import DataError from './DataError';
+import ExportMenu from './ExportMenu';
+import { useNodeDetails } from '../data/hooks';
+import { exportFigure, exportFileName, serializeSvg, svgSize } from '../lib/exportView';
 
-export default function NodeDetailPanel({ node, onClose }) {
-  const [details, setDetails] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [isMinimized, setIsMinimized] = useState(false);
+const fileSlug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
 
-  useEffect(() => {
-    if (!node) return;
-    setLoading(true);
-    fetch('/node_details.json')
-      .then(res => res.json())
-      .then(data => {
-        const key = String(node.id).replace(/\s*\[(S|T)\]$/i, '');
-        const foundDetails = data[key] || data[node.id] || null;
-        
-        if (!foundDetails) {
-          console.warn(`No details found for node: ${node.id} (tried key: ${key})`);
-        }
-        
-        setDetails(foundDetails);
-        setLoading(false);
-      })
-      .catch((err) => {
-        console.error('Failed to load node details:', err);
-        setLoading(false);
-      });
-  }, [node]);
+// `ref` exposes the panel's contents for the graph's PDF export:
+// summaryLines() and chartFigures(). `onCompare` starts a comparison with this
+// node and `onFocus` narrows the graph to its neighbourhood.
+export default function NodeDetailPanel({ ref, node, onCompare, onFocus, onClose }) {
+  const { details, loading, error } = useNodeDetails(node?.id, node?.aliases);
+  const [isMinimized, setIsMinimized] = useState(false);
+  const chart1Ref = useRef(null);
+  const chart2Ref = useRef(null);
 
   const kvToSortedArr = (obj) => {
     if (!obj) return [];
@@ -92,6 +80,39 @@ export default function NodeDetailPanel({ node, onClose }) {
   const yAxisWidth = getYAxisWidth([chartData.chart1, chartData.chart2]);
   const chartMargins = { top: 8, right: 14, bottom: 8, left: 14 };
 
+  // Recharts draws into an <svg class="recharts-surface"> inside the container
+  const chartFigure = (container, label) => {
+    const svg = container?.querySelector('svg.recharts-surface');
+    if (!svg) return null;
+    const size = svgSize(svg);
+    return { markup: serializeSvg(svg, { ...size, background: '#0E1620' }), ...size, caption: label };
+  };
+
+  const exportChart = (containerRef, label) => (format, { scale }) => {
+    const figure = chartFigure(containerRef.current, label);
+    if (!figure) throw new Error('The chart has not been drawn yet');
+    return exportFigure(format, {
+      ...figure,
+      scale,
+      title: `${node.id} · ${label}`,
+      fileName: exportFileName(`${fileSlug(node.id)}-${fileSlug(label)}`),
+    });
+  };
+
+  useImperativeHandle(ref, () => ({
+    summaryLines: () => [
+      `Type: ${(node.type || '—').toUpperCase()}`,
+      `Total incidents: ${details?.total_incidents ?? '—'}`,
+      `Connections: ${node.degree ?? '—'}`,
+      ...(node.place ? [`Place: ${[node.place.code, node.place.subregion, node.place.region].filter(Boolean).join(' · ')}`] : []),
+      ...(node.aliases?.length ? [`Merged aliases: ${node.aliases.join(', ')}`] : []),
+    ],
+    chartFigures: () => [
+      chartFigure(chart1Ref.current, chartData.chart1Label),
+      chartFigure(chart2Ref.current, chartData.chart2Label),
+    ].filter(Boolean),
+  }));
+
   return (
     <div className={`node-detail-panel ${isMinimized ? 'minimized' : ''}`}>
       <div className="panel-header">
@@ -100,6 +121,24 @@ export default function NodeDetailPanel({ node, onClose }) {
           <h2>{node.id}</h2>
         </div>
         <div className="panel-actions">
+          {onFocus && (
+            <button
+              className="panel-minimize panel-compare"
+              onClick={onFocus}
+              title="Show only this node's neighbourhood (or double-click it)"
+            >
+              FOCUS
+            </button>
+          )}
+          {onCompare && (
+            <button
+              className="panel-minimize panel-compare"
+              onClick={onCompare}
+              title="Compare with other entities of this type (or shift-click nodes)"
+            >
+              COMPARE
+            </button>
+          )}
           <button 
             className="panel-minimize" 
             onClick={() => setIsMinimized(!isMinimized)}
@@ -128,12 +167,27 @@ export default function NodeDetailPanel({ node, onClose }) {
             </div>
           </div>
 
+          {node.place && (
+            <div className="panel-place">
+              {node.place.code && <strong>{node.place.code}</strong>}
+              <span>{[node.place.subregion, node.place.region].filter(Boolean).join(' · ')}</span>
+            </div>
+          )}
+
           {!loading && (chartData.chart1.length > 0 || chartData.chart2.length > 0) && (
             <div className="panel-charts">
               {chartData.chart1.length > 0 && (
                 <div className="chart-block">
-                  <div className="chart-title">{chartData.chart1Label}</div>
-                  <div className="chart">
+                  <div className="chart-title">
+                    <span>{chartData.chart1Label}</span>
+                    <ExportMenu
+                      formats={['svg', 'png']}
+                      onExport={exportChart(chart1Ref, chartData.chart1Label)}
+                      title="Export this chart"
+                      className="compact"
+                    />
+                  </div>
+                  <div className="chart" ref={chart1Ref}>
                     <ResponsiveContainer width="100%" height={260}>
                       <BarChart data={chartData.chart1} layout="vertical" margin={chartMargins}>
                         <XAxis type="number" tick={{ fontSize: 11, fill: '#9AA8B7' }} />
@@ -151,8 +205,16 @@ export default function NodeDetailPanel({ node, onClose }) {
 
               {chartData.chart2.length > 0 && (
                 <div className="chart-block">
-                  <div className="chart-title">{chartData.chart2Label}</div>
-                  <div className="chart">
+                  <div className="chart-title">
+                    <span>{chartData.chart2Label}</span>
+                    <ExportMenu
+                      formats={['svg', 'png']}
+                      onExport={exportChart(chart2Ref, chartData.chart2Label)}
+                      title="Export this chart"
+                      className="compact"
+                    />
+                  </div>
+                  <div className="chart" ref={chart2Ref}>
                     <ResponsiveContainer width="100%" height={260}>
                       <BarChart data={chartData.chart2} layout="vertical" margin={chartMargins}>
                         <XAxis type="number" tick={{ fontSize: 11, fill: '#9AA8B7' }} />
@@ -170,7 +232,18 @@ export default function NodeDetailPanel({ node, onClose }) {
             </div>
           )}
 
-          {!loading && chartData.chart1.length === 0 && chartData.chart2.length === 0 && (
+          {node.aliases?.length > 0 && (
+            <div className="panel-aliases">
+              <div className="chart-title">MERGED ALIASES ({node.aliases.length})</div>
+              <ul>
+                {node.aliases.map(alias => <li key={alias}>{alias}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {error && <DataError error={error} compact />}
+
+          {!loading && !error && chartData.chart1.length === 0 && chartData.chart2.length === 0 && (
             <div style={{ padding: '20px', textAlign: 'center', color: '#9AA8B7' }}>
               No detailed data available for this node
             </div>
@@ -0,0 +1,46 @@
+import { useState } from 'react';
+
+const SECTIONS = [
+  { key: 'mergedAliases', label: 'MERGED FROM ALIASES', format: m => `${m.id} ← ${m.aliases.join(' · ')}` },
+  { key: 'mergedPlaces', label: 'MERGED PLACES', format: m => `${m.id} ← ${m.aliases.join(' · ')}` },
+  { key: 'unmappedPlaces', label: 'NO COUNTRY MATCH', format: id => id },
+  { key: 'splitNodes', label: 'SPLIT INTO [S]/[T]', format: id => id },
+  { key: 'addedNodes', label: 'ADDED FROM LINKS', format: id => id },
+  { key: 'droppedLinks', label: 'LINKS DROPPED', format: l => `${l.source ?? '∅'} → ${l.target ?? '∅'} (${l.reason})` },
+  { key: 'ambiguousEndpoints', label: 'AMBIGUOUS ROLE → [S]', format: id => id },
+];
+
+export default function NormalizationReport({ report }) {
+  const [expanded, setExpanded] = useState(false);
+  const sections = report ? SECTIONS.filter(s => report[s.key]?.length > 0) : [];
+  if (sections.length === 0) return null;
+
+  return (
+    <div className="normalization-report">
+      <button className="normalization-toggle" onClick={() => setExpanded(!expanded)}>
+        <span>DATA NOTES</span>
+        <span>{expanded ? '▲' : '▼'}</span>
+      </button>
+      <div className="normalization-summary">
+        {sections.map(s => (
+          <div key={s.key} className="normalization-count">
+            <span>{s.label}</span>
+            <strong>{report[s.key].length}</strong>
+          </div>
+        ))}
+      </div>
+      {expanded && (
+        <div className="normalization-details">
+          {sections.map(s => (
+            <div key={s.key}>
+              <div className="legend-title">{s.label}</div>
+              <ul>
+                {report[s.key].map((item, idx) => <li key={idx}>{s.format(item)}</li>)}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,231 @@
+import { useState } from 'react';
+import EntityPicker from './EntityPicker';
+import { FIELDS, OPERATORS, SUBJECTS } from '../lib/queryLanguage';
+
+// A new condition on a field starts from a value of the field's kind
+const CONDITION_DEFAULTS = {
+  number: { op: '>', value: 0 },
+  text: { op: '~', value: '' },
+  role: { op: '=', value: 'actor' },
+};
+
+const ROLE_OF_TYPE = { sponsor: 'sponsor', actor: 'actor', victim: 'target' };
+const NAME_LIST = 'query-builder-names';
+
+// Years are committed on blur or Enter, so typing "2014" does not pass through 2, 20 and 201
+function YearsInput({ during, onChange }) {
+  const [from, setFrom] = useState(during ? String(during[0]) : '');
+  const [to, setTo] = useState(during ? String(during[1]) : '');
+
+  const commit = () => {
+    const years = [from, to].map(v => parseInt(v, 10)).filter(Number.isInteger);
+    onChange(years.length === 0 ? null : [Math.min(...years), Math.max(...years)]);
+  };
+  const inputProps = {
+    type: 'number',
+    className: 'query-field query-year',
+    onBlur: commit,
+    onKeyDown: (e) => e.key === 'Enter' && commit(),
+  };
+
+  return (
+    <>
+      <input {...inputProps} value={from} placeholder="FROM" onChange={(e) => setFrom(e.target.value)} />
+      <span className="query-builder-joiner">–</span>
+      <input {...inputProps} value={to} placeholder="TO" onChange={(e) => setTo(e.target.value)} />
+    </>
+  );
+}
+
+function ConditionValue({ condition, onChange }) {
+  const { kind } = FIELDS[condition.field];
+  if (kind === 'role') {
+    return (
+      <select className="query-field" value={condition.value} onChange={(e) => onChange(e.target.value)}>
+        {Object.values(ROLE_OF_TYPE).map(r => <option key={r} value={r}>{r}</option>)}
+      </select>
+    );
+  }
+  if (kind === 'number') {
+    return (
+      <input
+        type="number"
+        className="query-field query-number"
+        value={condition.value}
+        min={0}
+        step="any"
+        onChange={(e) => onChange(e.target.value === '' ? 0 : Number(e.target.value))}
+      />
+    );
+  }
+  return (
+    <input
+      type="text"
+      className="query-field"
+      value={condition.value}
+      list={NAME_LIST}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder="TEXT"
+    />
+  );
+}
+
+// Edits a parsed query clause by clause. Every change hands a whole new query
+// to `onChange`; the panel writes it back as text, so the two stay in step.
+export default function QueryBuilder({ query, onChange, nodes }) {
+  const update = (changes) => onChange({ ...query, ...changes });
+  const entities = query.of?.entities || [];
+  const setEntities = (list) => update({ of: list.length ? { mode: query.of?.mode || 'any', entities: list } : null });
+  const setCondition = (index, changes) => update({
+    where: query.where.map((c, i) => i === index ? { ...c, ...changes } : c),
+  });
+  const byId = new Map(nodes.map(n => [n.id, n]));
+
+  return (
+    <div className="query-builder">
+      <label className="query-builder-label">LIST</label>
+      <div className="query-builder-row">
+        <select className="query-field" value={query.subject} onChange={(e) => update({ subject: e.target.value })}>
+          {Object.entries(SUBJECTS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </div>
+
+      <label className="query-builder-label">OF</label>
+      <div className="query-builder-row query-builder-stack">
+        {entities.map((entity, i) => (
+          <div key={`${entity.name}-${i}`} className="query-chip">
+            <span className={`result-dot ${byId.get(entity.name)?.type || (entity.role === 'target' ? 'victim' : entity.role) || 'actor'}`}></span>
+            <span className="query-chip-name">{entity.name}</span>
+            <button
+              className="query-remove"
+              onClick={() => setEntities(entities.filter((_, j) => j !== i))}
+              title="Remove"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        {entities.length > 1 && (
+          <div className="query-builder-row">
+            {['any', 'all'].map(mode => (
+              <button
+                key={mode}
+                className={`query-option ${query.of.mode === mode ? 'active' : ''}`}
+                onClick={() => update({ of: { ...query.of, mode } })}
+                title={mode === 'any' ? 'Connected to any of these' : 'Connected to all of these'}
+              >
+                {mode.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        )}
+        <EntityPicker
+          nodes={nodes}
+          value=""
+          onChange={(id) => setEntities([...entities, { role: ROLE_OF_TYPE[byId.get(id)?.type] || null, name: id }])}
+          placeholder="ADD ENTITY…"
+        />
+      </div>
+
+      <label className="query-builder-label">IN</label>
+      <div className="query-builder-row">
+        <select
+          className="query-field"
+          value={query.network || ''}
+          onChange={(e) => update({ network: e.target.value || null })}
+        >
+          <option value="">shown network</option>
+          <option value="sector">sector network</option>
+          <option value="geo">geo network</option>
+        </select>
+      </div>
+
+      <label className="query-builder-label">DURING</label>
+      <div className="query-builder-row">
+        <YearsInput key={String(query.during)} during={query.during} onChange={(during) => update({ during })} />
+      </div>
+
+      <label className="query-builder-label">WHERE</label>
+      <div className="query-builder-row query-builder-stack">
+        {query.where.map((condition, i) => (
+          <div key={i} className="query-builder-row">
+            <select
+              className="query-field"
+              value={condition.field}
+              onChange={(e) => setCondition(i, { field: e.target.value, ...CONDITION_DEFAULTS[FIELDS[e.target.value].kind] })}
+            >
+              {Object.keys(FIELDS).map(f => <option key={f} value={f} title={FIELDS[f].description}>{f}</option>)}
+            </select>
+            <select
+              className="query-field query-op"
+              value={condition.op}
+              onChange={(e) => setCondition(i, { op: e.target.value })}
+            >
+              {OPERATORS[FIELDS[condition.field].kind].map(op => <option key={op} value={op}>{op}</option>)}
+            </select>
+            <ConditionValue condition={condition} onChange={(value) => setCondition(i, { value })} />
+            <button
+              className="query-remove"
+              onClick={() => update({ where: query.where.filter((_, j) => j !== i) })}
+              title="Remove"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        {query.where.some(c => FIELDS[c.field].kind === 'text') && (
+          <datalist id={NAME_LIST}>
+            {nodes.map(n => <option key={n.id} value={n.id} />)}
+          </datalist>
+        )}
+        <button
+          className="query-option"
+          onClick={() => update({ where: [...query.where, { field: 'incidents', ...CONDITION_DEFAULTS.number }] })}
+        >
+          + CONDITION
+        </button>
+      </div>
+
+      <label className="query-builder-label">ORDER BY</label>
+      <div className="query-builder-row">
+        <select
+          className="query-field"
+          value={query.orderBy?.field || ''}
+          onChange={(e) => update({
+            orderBy: e.target.value
+              ? { field: e.target.value, direction: FIELDS[e.target.value].kind === 'number' ? 'desc' : 'asc' }
+              : null,
+          })}
+        >
+          <option value="">incidents (default)</option>
+          {Object.keys(FIELDS).map(f => <option key={f} value={f}>{f}</option>)}
+        </select>
+        {query.orderBy && (
+          <select
+            className="query-field query-op"
+            value={query.orderBy.direction}
+            onChange={(e) => update({ orderBy: { ...query.orderBy, direction: e.target.value } })}
+          >
+            <option value="desc">DESC</option>
+            <option value="asc">ASC</option>
+          </select>
+        )}
+      </div>
+
+      <label className="query-builder-label">LIMIT</label>
+      <div className="query-builder-row">
+        <input
+          type="number"
+          className="query-field query-number"
+          min={1}
+          value={query.limit ?? ''}
+          placeholder="100"
+          onChange={(e) => {
+            const limit = parseInt(e.target.value, 10);
+            update({ limit: limit > 0 ? limit : null });
+          }}
+        />
+      </div>
+    </div>
+  );
+}
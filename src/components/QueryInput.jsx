@@ -0,0 +1,105 @@
+import { useMemo, useRef, useState } from 'react';
+import { completeQuery } from '../lib/queryLanguage';
+
+// The query text box. While it has focus it offers what may come at the
+// cursor: keywords, fields, operators and the entity names of `nodes`.
+// Arrow keys move through the options and Tab accepts one; Enter accepts the
+// option moved to, or else runs the query.
+export default function QueryInput({ ref, value, onChange, onSubmit, nodes }) {
+  const [open, setOpen] = useState(false);
+  const [cursor, setCursor] = useState(0);
+  const [active, setActive] = useState(-1);
+  const listRef = useRef(null);
+
+  const completion = useMemo(
+    () => open ? completeQuery(value, Math.min(cursor, value.length), { nodes }) : null,
+    [open, value, cursor, nodes]
+  );
+  const options = completion?.options || [];
+
+  const track = (e) => setCursor(e.currentTarget.selectionStart ?? e.currentTarget.value.length);
+
+  const accept = (option) => {
+    const next = value.slice(0, completion.from) + option.insert + value.slice(completion.to);
+    const at = completion.from + option.insert.length;
+    onChange(next);
+    setCursor(at);
+    setActive(-1);
+    requestAnimationFrame(() => {
+      ref?.current?.focus();
+      ref?.current?.setSelectionRange(at, at);
+    });
+  };
+
+  const move = (step) => {
+    const index = active < 0
+      ? (step > 0 ? 0 : options.length - 1)
+      : (active + step + options.length) % options.length;
+    setActive(index);
+    listRef.current?.children[index]?.scrollIntoView({ block: 'nearest' });
+  };
+
+  const handleKeyDown = (e) => {
+    if (open && options.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        move(e.key === 'ArrowDown' ? 1 : -1);
+        return;
+      }
+      if (e.key === 'Tab') {
+        e.preventDefault();
+        accept(options[Math.max(active, 0)]);
+        return;
+      }
+      if (e.key === 'Enter' && active >= 0) {
+        e.preventDefault();
+        accept(options[active]);
+        return;
+      }
+    }
+    if (e.key === 'Escape') setOpen(false);
+    if (e.key === 'Enter') {
+      setOpen(false);
+      onSubmit();
+    }
+  };
+
+  return (
+    <div className="query-input-wrap">
+      <input
+        ref={ref}
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          track(e);
+          setActive(-1);
+          setOpen(true);
+        }}
+        onSelect={track}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder="Ask a question or write a query…"
+        className="query-input"
+        spellCheck={false}
+        autoComplete="off"
+      />
+      {options.length > 0 && (
+        <ul className="query-completions" ref={listRef} onMouseDown={(e) => e.preventDefault()}>
+          {options.map((option, i) => (
+            <li
+              key={`${option.kind}:${option.label}`}
+              className={i === active ? 'active' : ''}
+              onClick={() => accept(option)}
+              title={option.description}
+            >
+              <span className="query-completion-label">{option.label}</span>
+              <span className="query-completion-kind">{option.kind.toUpperCase()}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import { useRef, useState } from 'react';
+import DataError from './DataError';
+import {
+  clearHistory, collectionFileName, createCollection, deleteSavedQuery, importSavedQueries,
+  parseCollection, readHistory, readSavedQueries, saveQuery
+} from '../lib/savedQueries';
+import { downloadBlob } from '../lib/exportView';
+
+const timeAgo = (iso) => {
+  const minutes = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  if (!Number.isFinite(minutes)) return '';
+  if (minutes < 1) return 'now';
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 60 * 24) return `${Math.round(minutes / 60)}h`;
+  return `${Math.round(minutes / (60 * 24))}d`;
+};
+
+// Saved queries and the history of run ones. `text` is the query in the box,
+// which SAVE stores; `onRun` reruns an entry ({ text, networkType }) and
+// `onCopyLink` shares one. `history` is owned by the panel, which records runs.
+export default function QueryLibrary({ text, networkType, history, onHistoryChange, onRun, onCopyLink }) {
+  const [saved, setSaved] = useState(readSavedQueries);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState('');
+  const fileRef = useRef(null);
+
+  const store = (update) => {
+    try {
+      setSaved(update());
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err);
+      return false;
+    }
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed || !text.trim()) return;
+    if (store(() => saveQuery({ name: trimmed, text: text.trim(), networkType }))) {
+      setStatus(`SAVED "${trimmed}"`);
+      setName('');
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const queries = parseCollection(await file.text(), file.name);
+      if (store(() => importSavedQueries(queries))) {
+        setStatus(`IMPORTED ${queries.length} ${queries.length === 1 ? 'QUERY' : 'QUERIES'}`);
+      }
+    } catch (err) {
+      setError(err);
+      setStatus('');
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(createCollection(saved), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, collectionFileName());
+  };
+
+  const handleClearHistory = () => {
+    try {
+      onHistoryChange(clearHistory());
+    } catch {
+      onHistoryChange(readHistory());
+    }
+  };
+
+  return (
+    <div className="query-library">
+      <div className="layout-row">
+        <input
+          className="layout-name"
+          type="text"
+          placeholder="NAME THIS QUERY"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+        />
+        <button className="layout-button" onClick={handleSave} disabled={!name.trim() || !text.trim()}>SAVE</button>
+      </div>
+
+      <div className="query-help-title">SAVED{saved.length > 0 ? ` · ${saved.length}` : ''}</div>
+      {saved.length === 0 && <div className="layout-status">NO SAVED QUERIES YET</div>}
+      {saved.length > 0 && (
+        <ul className="layout-list">
+          {saved.map(entry => (
+            <li key={entry.name}>
+              <span className="layout-list-name" title={entry.text}>{entry.name}</span>
+              <button onClick={() => onRun(entry)}>RUN</button>
+              <button onClick={() => onCopyLink(entry)} title="Copy a link that reruns this query">LINK</button>
+              <button onClick={() => store(() => deleteSavedQuery(entry.name))} title="Delete this query">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="layout-row">
+        <button className="layout-button" onClick={handleExport} disabled={saved.length === 0}>EXPORT ALL</button>
+        <button className="layout-button" onClick={() => fileRef.current?.click()}>IMPORT…</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+      </div>
+      {status && <div className="layout-status">{status}</div>}
+      <DataError error={error} compact />
+
+      <div className="query-help-title">HISTORY{history.length > 0 ? ` · ${history.length}` : ''}</div>
+      {history.length === 0 && <div className="layout-status">QUERIES YOU RUN APPEAR HERE</div>}
+      {history.length > 0 && (
+        <>
+          <ul className="layout-list query-history">
+            {history.map(entry => (
+              <li key={entry.text} onClick={() => onRun(entry)} title={`Run again on the ${entry.networkType || 'shown'} network`}>
+                <span className="layout-list-name">{entry.text}</span>
+                <span className="layout-status">{entry.total ?? ''} · {timeAgo(entry.ranAt)}</span>
+              </li>
+            ))}
+          </ul>
+          <button className="layout-button" onClick={handleClearHistory}>CLEAR HISTORY</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,143 +1,238 @@
-import { useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import QueryInput from './QueryInput';
+import QueryBuilder from './QueryBuilder';
+import QueryLibrary from './QueryLibrary';
+import { useNetwork } from '../data/hooks';
+import { FIELDS, QueryError, formatQuery, parseQuery } from '../lib/queryLanguage';
+import { runQuery } from '../lib/queryEngine';
+import { buildVocabulary, interpretQuestion } from '../lib/intentParser';
+import { queryLink, readHistory, recordHistory } from '../lib/savedQueries';
+import useHighlightSync from '../hooks/useHighlightSync';
 
-export default function QueryPanel({ data, onResultSelect }) {
-  const [query, setQuery] = useState('');
-  const [results, setResults] = useState(null);
+const EXAMPLES = [
+  'who does Russia hit?',
+  'China vs Russia targets',
+  'actors with multiple sponsors',
+  'actors without a known sponsor',
+  'targets OF sponsor:"China" ORDER BY incidents LIMIT 10',
+  'sponsors ORDER BY incidents LIMIT 15',
+];
+
+// Capitalised clause keywords mark text meant as a query; anything else that
+// does not parse is read as a question
+const QUERY_KEYWORDS = /\b(OF|IN|DURING|WHERE|ORDER BY|LIMIT)\b/;
+
+const SYNTAX = [
+  ['nodes | sponsors | actors | targets', 'what to list'],
+  ['OF sponsor:"China", actor:APT28', 'connected to any of them'],
+  ['OF target:Energy AND target:Finance', 'connected to all of them'],
+  ['IN sector-network | geo-network', 'which network to query'],
+  ['DURING 2016 | DURING 2014-2018', 'only incidents in these years'],
+  ['WHERE field op value AND …', 'ops: = != > >= < <= ~ (contains)'],
+  ['ORDER BY field [ASC | DESC]', 'default: incidents, highest first'],
+  ['LIMIT n', 'default: 100'],
+  ['or ask a question', 'who attacks Energy? · common targets of China and Iran · top 5 groups hitting Ukraine since 2020'],
+];
+
+const EMPTY_QUERY = { subject: 'actors', of: null, network: null, during: null, where: [], orderBy: null, limit: null };
+
+const formatValue = (value) => typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : value;
+
+// Runs a parsed query; entities it cannot find come back as the error.
+// `source` is the text it came from, kept for the history and links.
+function outcomeOf(query, network, networkType, source) {
+  try {
+    return { results: { ...runQuery(query, network, { networkType }), networkType, source }, error: null };
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    return { results: null, error: { message: err.message } };
+  }
+}
+
+function ResultDetail({ row, columns }) {
+  const values = columns.map(f => `${f} ${formatValue(row.values[f])}`).join(' · ');
+  const via = row.via && Object.entries(row.via).map(([name, count]) => `${name} ${count}`).join(' · ');
+  return (
+    <>
+      <div className="result-detail">{values}</div>
+      {via && <div className="result-detail">via {via}</div>}
+    </>
+  );
+}
+
+// Queries the shown network in the query language of lib/queryLanguage, typed
+// or put together in the builder, or from a plain-English question that
+// lib/intentParser turns into such a query. Results are highlighted in the graph through
+// `onHighlight` (ids, or null to clear); a query naming another network with
+// IN switches to it first and runs once its data has arrived. Run queries go
+// into the history; `sharedQuery`, the text of a link made with COPY LINK,
+// opens the panel and runs once the linked network is in. Queries about two
+// or more entities can hand them to the graph's comparison with `onCompare`.
+export default function QueryPanel({ data, networkType, onNetworkTypeChange, onResultSelect, onHighlight, onCompare, sharedQuery }) {
   const [isOpen, setIsOpen] = useState(false);
+  const [mode, setMode] = useState('text');
+  const [text, setText] = useState('');
+  const [draft, setDraft] = useState(EMPTY_QUERY);
+  const [error, setError] = useState(null);
+  const [results, setResults] = useState(null);
+  const [pending, setPending] = useState(null);
+  const [showHelp, setShowHelp] = useState(false);
+  const [interpretation, setInterpretation] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [history, setHistory] = useState(readHistory);
+  const [shared, setShared] = useState(null);
+  const [linkStatus, setLinkStatus] = useState(null);
+  const inputRef = useRef(null);
+
+  // The network `data` was drawn from; it lags behind `networkType` while a switch loads
+  const [loaded, setLoaded] = useState({ data, networkType });
+  if (data !== loaded.data) setLoaded({ data, networkType });
+
+  const nodes = data?.nodes || [];
+
+  // Questions are read with the names of the shown network, which has its
+  // aliases merged. The other network is only loaded once a question is not
+  // understood without it, and kept for later questions.
+  const [needsOther, setNeedsOther] = useState(false);
+  const [deferred, setDeferred] = useState(null);
+  const otherType = loaded.networkType === 'geo' ? 'sector' : 'geo';
+  const other = useNetwork(needsOther ? otherType : null);
+  const vocabulary = useMemo(() => buildVocabulary({
+    [loaded.networkType]: loaded.data,
+    [otherType]: other.data,
+  }), [loaded, otherType, other.data]);
 
-  const analyzeQuery = (queryText) => {
-    if (!data) return null;
-
-    const q = queryText.toLowerCase();
-
-    // Pattern: "which actors have multiple state sponsors"
-    if (q.includes('multiple') && (q.includes('sponsor') || q.includes('backed'))) {
-      const actorNodes = data.nodes.filter(n => n.type === 'actor');
-      const actorsWithMultipleSponsors = [];
-
-      actorNodes.forEach(actor => {
-        const sponsorEdges = data.links.filter(l => {
-          const targetId = typeof l.target === 'object' ? l.target.id : l.target;
-          const linkType = (l.type || '').toLowerCase();
-          return targetId === actor.id && linkType.includes('sponsor_to_actor');
-        });
-        
-        const uniqueSponsors = new Set(
-          sponsorEdges.map(e => typeof e.source === 'object' ? e.source.id : e.source)
-        );
-        
-        if (uniqueSponsors.size > 1) {
-          actorsWithMultipleSponsors.push({
-            actor: actor.id,
-            sponsorCount: uniqueSponsors.size,
-            sponsors: Array.from(uniqueSponsors),
-            degree: actor.degree
-          });
-        }
-      });
-
-      return {
-        type: 'multiple_sponsors',
-        count: actorsWithMultipleSponsors.length,
-        results: actorsWithMultipleSponsors.sort((a, b) => b.sponsorCount - a.sponsorCount)
-      };
+  // `on` is the network a history or saved entry ran on; an IN clause still wins
+  const run = (source = text, on = null) => {
+    let query;
+    setDeferred(null);
+    try {
+      query = parseQuery(source);
+      setInterpretation(null);
+    } catch (err) {
+      if (!(err instanceof QueryError)) throw err;
+      const question = !QUERY_KEYWORDS.test(source);
+      const understood = question ? interpretQuestion(source, vocabulary, { networkType }) : null;
+      if (!understood && question && !other.data && !other.error) {
+        setNeedsOther(true);
+        setDeferred({ source, on });
+        return;
+      }
+      if (!understood) {
+        setResults(null);
+        setInterpretation(null);
+        setError({ message: err.message, position: err.position, text: source });
+        return;
+      }
+      query = understood.query;
+      setInterpretation({ ...understood, text: formatQuery(query) });
     }
+    setError(null);
+    if (!query.network && on && on !== networkType) query = { ...query, network: on };
+    if (query.network && query.network !== networkType && onNetworkTypeChange) {
+      setPending({ query, data, source });
+      onNetworkTypeChange(query.network);
+      return;
+    }
+    if (!data) return;
+    const outcome = outcomeOf(query, data, networkType, source);
+    setResults(outcome.results);
+    setError(outcome.error);
+  };
 
-    // Pattern: "what does [country] target most"
-    const countryMatch = q.match(/what does ([\w\s]+) target/i) || q.match(/(china|russia|iran|korea)/i);
-    if (countryMatch && q.includes('target')) {
-      const country = countryMatch[1].trim();
-      const countryVariations = {
-        'china': 'China',
-        'russia': 'Russian Federation',
-        'iran': 'Iran (Islamic Republic of)',
-        'north korea': 'Korea (Democratic People\'s Republic of)'
-      };
-      
-      const sponsorName = countryVariations[country.toLowerCase()] || country;
-      
-      const targets = {};
-      data.links.forEach(link => {
-        const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-        const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-        
-        if (sourceId === sponsorName || 
-            (sourceId && sourceId.toLowerCase().includes(country.toLowerCase()))) {
-          targets[targetId] = (targets[targetId] || 0) + (link.weight || 1);
-        }
-      });
-
-      const sortedTargets = Object.entries(targets)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10)
-        .map(([name, count]) => ({ name, count }));
-
-      return {
-        type: 'country_targets',
-        sponsor: sponsorName,
-        results: sortedTargets
-      };
+  // A query waiting for another network runs once that network's data is in
+  useEffect(() => {
+    if (!pending || !data || data === pending.data || networkType !== pending.query.network) return;
+    const outcome = outcomeOf(pending.query, data, networkType, pending.source);
+    setPending(null);
+    setResults(outcome.results);
+    setError(outcome.error);
+  }, [pending, data, networkType]);
+
+  // Each run goes to the top of the history; unreadable storage keeps it for this visit only
+  useEffect(() => {
+    if (!results?.source) return;
+    const entry = { text: results.source, networkType: results.networkType, total: results.total };
+    try {
+      setHistory(recordHistory(entry));
+    } catch {
+      setHistory(prev => [{ ...entry, ranAt: new Date().toISOString() }, ...prev.filter(h => h.text !== entry.text)]);
     }
+  }, [results]);
+
+  // A shared link opens the panel with its query, run once its network's data is in
+  const runRef = useRef(run);
+  runRef.current = run;
+  useEffect(() => {
+    if (!sharedQuery) return;
+    setIsOpen(true);
+    setMode('text');
+    setText(sharedQuery);
+    setShared(sharedQuery);
+  }, [sharedQuery]);
+  useEffect(() => {
+    if (!shared || !data || loaded.networkType !== networkType) return;
+    setShared(null);
+    runRef.current(shared);
+  }, [shared, data, loaded, networkType]);
 
-    // Pattern: "most targeted countries/sectors"
-    if (q.includes('most targeted')) {
-      const targetCounts = {};
-      
-      data.links.forEach(link => {
-        const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-        const linkType = (link.type || '').toLowerCase();
-        
-        if (linkType.includes('victim') || linkType.includes('target')) {
-          targetCounts[targetId] = (targetCounts[targetId] || 0) + (link.weight || 1);
-        }
-      });
-
-      const sortedTargets = Object.entries(targetCounts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 15)
-        .map(([name, count]) => ({ name, count }));
-
-      return {
-        type: 'most_targeted',
-        results: sortedTargets
-      };
+  // A question waiting for the other network's names is read again once it
+  // has loaded, or failed to
+  useEffect(() => {
+    if (!deferred || other.loading) return;
+    setDeferred(null);
+    runRef.current(deferred.source, deferred.on);
+  }, [deferred, other.loading]);
+
+  // The OF entities and the rows they led to
+  const highlighted = useMemo(
+    () => results && [...results.focus, ...results.rows.map(r => r.id)],
+    [results]
+  );
+  useHighlightSync(highlighted, onHighlight);
+
+  const runExample = (example) => {
+    setText(example);
+    setMode('text');
+    run(example);
+  };
+
+  const runEntry = (entry) => {
+    setText(entry.text);
+    setMode('text');
+    run(entry.text, entry.networkType);
+  };
+
+  // Without clipboard access the link is shown to copy by hand
+  const copyLink = ({ text: source, networkType: on }) => {
+    const link = queryLink(source, on || networkType);
+    const show = () => setLinkStatus({ copied: false, link });
+    if (!navigator.clipboard) {
+      show();
+      return;
     }
+    navigator.clipboard.writeText(link).then(() => setLinkStatus({ copied: true, link }), show);
+  };
 
-    // Pattern: "most active sponsors/actors"
-    if (q.includes('most active') && (q.includes('sponsor') || q.includes('actor'))) {
-      const type = q.includes('sponsor') ? 'sponsor' : 'actor';
-      const nodeCounts = {};
-      
-      data.links.forEach(link => {
-        const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-        const sourceNode = data.nodes.find(n => n.id === sourceId);
-        
-        if (sourceNode && sourceNode.type === type) {
-          nodeCounts[sourceId] = (nodeCounts[sourceId] || 0) + (link.weight || 1);
-        }
-      });
-
-      const sorted = Object.entries(nodeCounts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 15)
-        .map(([name, count]) => ({ name, count }));
-
-      return {
-        type: 'most_active',
-        category: type,
-        results: sorted
-      };
+  // The builder starts from the typed query when it parses
+  const openBuilder = () => {
+    try {
+      if (text.trim()) setDraft(parseQuery(text));
+    } catch {
+      // Keeps the last query the builder made
     }
+    setMode('builder');
+  };
 
-    return { 
-      type: 'unknown', 
-      message: 'Query not recognized. Try: "which actors have multiple sponsors?", "what does China target most?", "most targeted countries", or "most active sponsors"' 
-    };
+  const changeDraft = (query) => {
+    setDraft(query);
+    setText(formatQuery(query));
   };
 
-  const handleQuery = () => {
-    const result = analyzeQuery(query);
-    setResults(result);
+  const jumpToError = () => {
+    if (error?.position == null || !inputRef.current) return;
+    inputRef.current.focus();
+    inputRef.current.setSelectionRange(error.position, error.position);
   };
 
   return (
@@ -148,100 +243,174 @@ export default function QueryPanel({ data, onResultSelect }) {
 
       {isOpen && (
         <div className="query-content">
-          <h3>NATURAL LANGUAGE QUERY</h3>
-          <div className="query-input-container">
-            <input
-              type="text"
-              value={query}
-              onChange={(e) => setQuery(e.target.value)}
-              onKeyPress={(e) => e.key === 'Enter' && handleQuery()}
-              placeholder="Ask a question..."
-              className="query-input"
-            />
-            <button onClick={handleQuery} className="query-submit">ANALYZE</button>
+          <div className="query-header">
+            <h3>QUERY</h3>
+            <div className="query-modes">
+              <button className={`query-option ${mode === 'text' ? 'active' : ''}`} onClick={() => setMode('text')}>TEXT</button>
+              <button className={`query-option ${mode === 'builder' ? 'active' : ''}`} onClick={openBuilder}>BUILDER</button>
+              <button
+                className={`query-option ${showLibrary ? 'active' : ''}`}
+                onClick={() => setShowLibrary(!showLibrary)}
+                title="Saved queries and history"
+              >
+                SAVED
+              </button>
+              <button
+                className={`query-option ${showHelp ? 'active' : ''}`}
+                onClick={() => setShowHelp(!showHelp)}
+                title="Query syntax"
+              >
+                ?
+              </button>
+            </div>
           </div>
 
-          {results && results.type === 'multiple_sponsors' && (
-            <div className="query-results">
-              <h4>ACTORS WITH MULTIPLE STATE SPONSORS ({results.count})</h4>
-              <div className="results-list">
-                {results.results.map((item, idx) => (
-                  <div 
-                    key={idx} 
-                    className="result-item" 
-                    onClick={() => onResultSelect(item.actor)}
-                  >
-                    <div className="result-name">{item.actor}</div>
-                    <div className="result-detail">
-                      {item.sponsorCount} sponsors: {item.sponsors.join(', ')}
-                    </div>
+          {showHelp && (
+            <div className="query-help">
+              <dl>
+                {SYNTAX.map(([syntax, meaning]) => (
+                  <div key={syntax}>
+                    <dt>{syntax}</dt>
+                    <dd>{meaning}</dd>
                   </div>
                 ))}
-              </div>
+              </dl>
+              <div className="query-help-title">FIELDS</div>
+              <dl>
+                {Object.entries(FIELDS).map(([field, { description }]) => (
+                  <div key={field}>
+                    <dt>{field}</dt>
+                    <dd>{description}</dd>
+                  </div>
+                ))}
+              </dl>
             </div>
           )}
 
-          {results && results.type === 'country_targets' && (
-            <div className="query-results">
-              <h4>{results.sponsor.toUpperCase()} - TOP TARGETS</h4>
-              <div className="results-list">
-                {results.results.map((item, idx) => (
-                  <div 
-                    key={idx} 
-                    className="result-item" 
-                    onClick={() => onResultSelect(item.name)}
-                  >
-                    <div className="result-name">{item.name}</div>
-                    <div className="result-count">{item.count} incidents</div>
-                  </div>
-                ))}
-              </div>
+          {showLibrary && (
+            <QueryLibrary
+              text={text}
+              networkType={networkType}
+              history={history}
+              onHistoryChange={setHistory}
+              onRun={runEntry}
+              onCopyLink={copyLink}
+            />
+          )}
+
+          {linkStatus && (
+            <div className="query-link" onClick={() => setLinkStatus(null)} title="Dismiss">
+              <div className="query-help-title">{linkStatus.copied ? 'LINK COPIED' : 'COPY THIS LINK'}</div>
+              <input
+                readOnly
+                value={linkStatus.link}
+                className="layout-name"
+                onFocus={(e) => e.target.select()}
+                onClick={(e) => e.stopPropagation()}
+              />
             </div>
           )}
 
-          {results && results.type === 'most_targeted' && (
-            <div className="query-results">
-              <h4>MOST TARGETED ENTITIES</h4>
-              <div className="results-list">
-                {results.results.map((item, idx) => (
-                  <div 
-                    key={idx} 
-                    className="result-item" 
-                    onClick={() => onResultSelect(item.name)}
-                  >
-                    <div className="result-name">{item.name}</div>
-                    <div className="result-count">{item.count} incidents</div>
-                  </div>
-                ))}
-              </div>
+          {mode === 'builder' && <QueryBuilder query={draft} onChange={changeDraft} nodes={nodes} />}
+
+          <div className="query-input-container">
+            <QueryInput ref={inputRef} value={text} onChange={setText} onSubmit={() => run()} nodes={nodes} />
+            <button onClick={() => run()} className="query-submit" disabled={!text.trim()}>RUN</button>
+          </div>
+
+          {!results && !error && (
+            <div className="query-examples">
+              {EXAMPLES.map(example => (
+                <button key={example} className="query-example" onClick={() => runExample(example)}>
+                  {example}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {interpretation && (
+            <div className="query-interpretation">
+              <div className="query-help-title">UNDERSTOOD AS</div>
+              <p>{interpretation.summary}</p>
+              <button
+                className="query-example"
+                onClick={() => { setText(interpretation.text); setInterpretation(null); }}
+                title="Edit this as a query"
+              >
+                {interpretation.text}
+              </button>
+              {interpretation.notes.map(note => <p key={note} className="error-message">{note}</p>)}
             </div>
           )}
 
-          {results && results.type === 'most_active' && (
+          {deferred && <p className="error-message">LOADING THE {otherType.toUpperCase()} NETWORK…</p>}
+
+          {pending && <p className="error-message">SWITCHING TO THE {pending.query.network.toUpperCase()} NETWORK…</p>}
+
+          {error && (
+            <div className="query-error" onClick={jumpToError}>
+              <p className="error-message">{error.message}</p>
+              {error.position != null && !QUERY_KEYWORDS.test(error.text) && (
+                <p className="error-message">Not understood as a question either. Try naming an entity, e.g. "who attacks Energy?"</p>
+              )}
+              {error.position != null && (
+                <pre className="query-error-caret">
+                  {error.text}
+                  {'\n'}
+                  {' '.repeat(error.position)}^
+                </pre>
+              )}
+            </div>
+          )}
+
+          {results && (
             <div className="query-results">
-              <h4>MOST ACTIVE {results.category.toUpperCase()}S</h4>
+              <div className="query-results-header">
+                <h4>
+                  {results.total} {results.total === 1 ? 'RESULT' : 'RESULTS'}
+                  {results.rows.length < results.total && ` · FIRST ${results.rows.length}`}
+                  {` · ${results.networkType.toUpperCase()}`}
+                </h4>
+                <div className="query-modes">
+                  {onCompare && results.focus.length >= 2 && (
+                    <button
+                      className="query-option"
+                      onClick={() => onCompare(results.focus)}
+                      title="Compare these entities side by side"
+                    >
+                      COMPARE
+                    </button>
+                  )}
+                  <button
+                    className="query-option"
+                    onClick={() => copyLink({ text: results.source, networkType: results.networkType })}
+                    title="Copy a link that reruns this query"
+                  >
+                    COPY LINK
+                  </button>
+                  <button className="query-option" onClick={() => { setResults(null); setInterpretation(null); }}>CLEAR HIGHLIGHT</button>
+                </div>
+              </div>
+              {results.warnings.map(warning => <p key={warning} className="error-message">{warning}</p>)}
               <div className="results-list">
-                {results.results.map((item, idx) => (
-                  <div 
-                    key={idx} 
-                    className="result-item" 
-                    onClick={() => onResultSelect(item.name)}
+                {results.rows.map(row => (
+                  <div
+                    key={row.id}
+                    className="result-item"
+                    onClick={() => onResultSelect(row.id)}
                   >
-                    <div className="result-name">{item.name}</div>
-                    <div className="result-count">{item.count} incidents</div>
+                    <div className="result-name">
+                      <span className={`result-dot ${row.type}`}></span>
+                      {row.id}
+                    </div>
+                    <ResultDetail row={row} columns={results.columns} />
                   </div>
                 ))}
               </div>
             </div>
           )}
-
-          {results && results.type === 'unknown' && (
-            <div className="query-results">
-              <p className="error-message">{results.message}</p>
-            </div>
-          )}
         </div>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,20 +1,22 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
+import DataError from './DataError';
+import ExportMenu from './ExportMenu';
+import { useTimeline } from '../data/hooks';
+import { exportFigure, exportFileName, serializeSvg, svgSize } from '../lib/exportView';
 
 export default function RacingBarChart() {
   const svgRef = useRef();
-  const [data, setData] = useState(null);
+  const { data, error } = useTimeline();
+  // Imported timelines cover their own span of years
+  const [minYear, maxYear] = useMemo(() => data?.length ? d3.extent(data, d => d.year) : [2005, 2025], [data]);
   const [currentYear, setCurrentYear] = useState(2005);
   const [isPlaying, setIsPlaying] = useState(false);
 
   useEffect(() => {
-    fetch('/sponsor_timeline.json')
-      .then(res => res.json())
-      .then(timelineData => {
-        setData(timelineData);
-      })
-      .catch(err => console.error('Error loading timeline:', err));
-  }, []);
+    setCurrentYear(minYear);
+    setIsPlaying(false);
+  }, [minYear, maxYear]);
 
   useEffect(() => {
     if (!data || !svgRef.current) return;
@@ -182,25 +184,40 @@ export default function RacingBarChart() {
 
     const interval = setInterval(() => {
       setCurrentYear(prev => {
-        if (prev >= 2025) {
+        if (prev >= maxYear) {
           setIsPlaying(false);
-          return 2005;
+          return minYear;
         }
         return prev + 1;
       });
     }, 1800); // Increased from 800ms to 1800ms
 
     return () => clearInterval(interval);
-  }, [isPlaying]);
-
+  }, [isPlaying, minYear, maxYear]);
+
+  const handleExport = (format, { scale }) => {
+    const size = svgSize(svgRef.current);
+    return exportFigure(format, {
+      markup: serializeSvg(svgRef.current, size),
+      ...size,
+      scale,
+      title: `State-sponsored cyber incidents, cumulative to ${currentYear}`,
+      fileName: exportFileName(`timeline-${currentYear}`),
+    });
+  };
+
+  if (error) return <div className="racing-container"><DataError error={error} /></div>;
   if (!data) return <div className="loading">Loading timeline...</div>;
+  if (data.length === 0) {
+    return <div className="racing-container"><div className="loading">No dated incidents in this dataset</div></div>;
+  }
 
   return (
     <div className="racing-container">
       <div className="racing-header">
         <div className="header-line"></div>
         <h1>STATE-SPONSORED CYBER INCIDENTS</h1>
-        <p className="subtitle">CUMULATIVE ATTRIBUTION TIMELINE · 2005-2025</p>
+        <p className="subtitle">CUMULATIVE ATTRIBUTION TIMELINE · {minYear}-{maxYear}</p>
         <div className="header-line"></div>
       </div>
 
@@ -211,8 +228,8 @@ export default function RacingBarChart() {
         <div className="slider-container">
           <input
             type="range"
-            min="2005"
-            max="2025"
+            min={minYear}
+            max={maxYear}
             value={currentYear}
             onChange={(e) => {
               setCurrentYear(parseInt(e.target.value));
@@ -223,6 +240,7 @@ export default function RacingBarChart() {
           <div className="slider-track"></div>
         </div>
         <span className="year-display">{currentYear}</span>
+        <ExportMenu onExport={handleExport} />
       </div>
 
       <svg ref={svgRef}></svg>
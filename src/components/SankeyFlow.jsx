@@ -0,0 +1,182 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { sankey, sankeyLinkHorizontal } from 'd3-sankey';
+import { FLOW_COLUMNS, buildSankeyData, traceFlowPath } from '../lib/sankeyData';
+
+const TOP_N_OPTIONS = [10, 15, 25, 40];
+const COLORS = { sponsor: '#E0555A', actor: '#6FA7FF', victim: '#3FB37D' };
+const COLUMN_TITLES = { sponsor: 'SPONSORS', actor: 'ACTORS', victim: 'TARGETS' };
+const MARGIN = { top: 34, right: 200, bottom: 16, left: 200 };
+
+const truncate = (id) => id.length > 30 ? id.slice(0, 30) + '…' : id;
+
+export default function SankeyFlow({ network, selectedNode, matchedIds, onSelectNode, onPathSelect }) {
+  const svgRef = useRef(null);
+  const [topN, setTopN] = useState(15);
+  // { node: id } or { link: key } while the pointer is over the chart
+  const [hovered, setHovered] = useState(null);
+
+  const flow = useMemo(() => buildSankeyData(network, { topN }), [network, topN]);
+
+  // Handlers are bound when the chart is drawn; read the latest props through refs
+  const nodesByIdRef = useRef(new Map());
+  nodesByIdRef.current = new Map((network?.nodes || []).map(n => [n.id, n]));
+  const onSelectRef = useRef(onSelectNode);
+  onSelectRef.current = onSelectNode;
+  const onPathRef = useRef(onPathSelect);
+  onPathRef.current = onPathSelect;
+
+  // ---------------------------- Layout & Draw ----------------------------
+  useEffect(() => {
+    if (!svgRef.current) return;
+    d3.select(svgRef.current).selectAll('*').remove();
+    setHovered(null);
+    if (flow.links.length === 0) return;
+
+    const width = svgRef.current.clientWidth || window.innerWidth - 80;
+    const height = svgRef.current.clientHeight || window.innerHeight - 220;
+    const svg = d3.select(svgRef.current).attr('width', width).attr('height', height);
+
+    // Columns are fixed by role rather than by path length, so an actor with no
+    // recorded victims still sits in the middle
+    const layout = sankey()
+      .nodeId(d => d.id)
+      .nodeAlign(d => d.column)
+      .nodeWidth(14)
+      .nodePadding(8)
+      .extent([[MARGIN.left, MARGIN.top], [width - MARGIN.right, height - MARGIN.bottom]]);
+    const graph = layout({
+      nodes: flow.nodes.map(d => ({ ...d })),
+      links: flow.links.map(d => ({ ...d }))
+    });
+
+    const columnX = new Map();
+    graph.nodes.forEach(n => {
+      if (!columnX.has(n.type)) columnX.set(n.type, (n.x0 + n.x1) / 2);
+    });
+    svg.append('g')
+      .attr('class', 'sankey-columns')
+      .selectAll('text')
+      .data([...columnX])
+      .join('text')
+      .attr('x', d => d[1])
+      .attr('y', MARGIN.top - 14)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#9AA8B7')
+      .attr('font-size', 11)
+      .attr('letter-spacing', '.12em')
+      .text(d => COLUMN_TITLES[d[0]]);
+
+    svg.append('g')
+      .attr('class', 'sankey-links')
+      .attr('fill', 'none')
+      .selectAll('path')
+      .data(graph.links)
+      .join('path')
+      .attr('class', 'sankey-link')
+      .attr('d', sankeyLinkHorizontal())
+      .attr('stroke', d => COLORS[d.source.type] || '#6F87A7')
+      .attr('stroke-width', d => Math.max(1, d.width))
+      .attr('stroke-opacity', 0.35)
+      .style('cursor', 'pointer')
+      .on('mouseenter', (event, d) => setHovered({ link: d.key }))
+      .on('mouseleave', () => setHovered(null))
+      .on('click', (event, d) => {
+        const path = traceFlowPath(flow, { link: d });
+        onPathRef.current?.({ ...path, label: `${d.source.id} → ${d.target.id}` });
+      })
+      .append('title')
+      .text(d => `${d.source.id} → ${d.target.id}\nWeight: ${d.value}\nClick to filter the graph to this path`);
+
+    const node = svg.append('g')
+      .attr('class', 'sankey-nodes')
+      .selectAll('g')
+      .data(graph.nodes)
+      .join('g')
+      .attr('class', 'sankey-node')
+      .style('cursor', 'pointer')
+      .on('mouseenter', (event, d) => setHovered({ node: d.id }))
+      .on('mouseleave', () => setHovered(null))
+      .on('click', (event, d) => {
+        const original = nodesByIdRef.current.get(d.id);
+        if (original) onSelectRef.current?.(original);
+      });
+
+    node.append('rect')
+      .attr('x', d => d.x0)
+      .attr('y', d => d.y0)
+      .attr('width', d => d.x1 - d.x0)
+      .attr('height', d => Math.max(1, d.y1 - d.y0))
+      .attr('fill', d => COLORS[d.type] || '#9AA8B7')
+      .attr('stroke', '#0C1117');
+
+    // Outer columns label outwards, the middle column to the right
+    node.append('text')
+      .attr('class', 'sankey-label')
+      .attr('x', d => d.column === FLOW_COLUMNS.sponsor ? d.x0 - 6 : d.x1 + 6)
+      .attr('y', d => (d.y0 + d.y1) / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', d => d.column === FLOW_COLUMNS.sponsor ? 'end' : 'start')
+      .attr('fill', '#D8E1EA')
+      .attr('font-size', 11)
+      .style('pointer-events', 'none')
+      .text(d => truncate(d.id));
+
+    node.append('title').text(d => `${d.id}\nType: ${d.type}\nFlow: ${d.value}`);
+  }, [flow]);
+
+  // ---------------------------- Path Highlighting ----------------------------
+  // Hover wins; otherwise the selected node, otherwise the search matches.
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    const inFlow = new Set(flow.nodes.map(n => n.id));
+
+    let paths = [];
+    if (hovered?.link) {
+      const link = flow.links.find(l => l.key === hovered.link);
+      if (link) paths = [traceFlowPath(flow, { link })];
+    } else if (hovered?.node) {
+      paths = [traceFlowPath(flow, { node: hovered.node })];
+    } else if (selectedNode && inFlow.has(selectedNode.id)) {
+      paths = [traceFlowPath(flow, { node: selectedNode.id })];
+    } else if (matchedIds?.size) {
+      paths = [...matchedIds].filter(id => inFlow.has(id)).map(id => traceFlowPath(flow, { node: id }));
+    }
+
+    if (paths.length === 0) {
+      svg.selectAll('.sankey-link').attr('stroke-opacity', 0.35);
+      svg.selectAll('.sankey-node').style('opacity', 1);
+      return;
+    }
+    const nodeIds = new Set(paths.flatMap(p => [...p.nodeIds]));
+    const linkKeys = new Set(paths.flatMap(p => [...p.linkKeys]));
+    svg.selectAll('.sankey-link').attr('stroke-opacity', d => linkKeys.has(d.key) ? 0.7 : 0.05);
+    svg.selectAll('.sankey-node').style('opacity', d => nodeIds.has(d.id) ? 1 : 0.25);
+  }, [hovered, selectedNode, matchedIds, flow]);
+
+  const hiddenNote = Object.entries(flow.hidden)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `+${count} ${COLUMN_TITLES[type]}`)
+    .join(' · ');
+
+  return (
+    <>
+      <div className="sankey-controls">
+        <div className="controls">
+          {TOP_N_OPTIONS.map(n => (
+            <button key={n} className={topN === n ? 'active' : ''} onClick={() => setTopN(n)}>
+              TOP {n}
+            </button>
+          ))}
+        </div>
+        {hiddenNote && <div className="sankey-hidden">{hiddenNote} HIDDEN</div>}
+      </div>
+
+      <svg ref={svgRef} className="graph-svg sankey-flow"></svg>
+
+      {network && flow.links.length === 0 && (
+        <div className="graph-loading">NO SPONSOR → ACTOR → TARGET FLOWS</div>
+      )}
+    </>
+  );
+}
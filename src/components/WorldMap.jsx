@@ -0,0 +1,229 @@
+import { useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import { feature } from 'topojson-client';
+import DataError from './DataError';
+import { useWorldAtlas } from '../data/hooks';
+import { getCountries, lookupCountry } from '../lib/geography';
+import { buildMapData, countryNode } from '../lib/mapData';
+
+const byNumeric = new Map(getCountries().filter(c => c.numeric).map(c => [c.numeric, c]));
+// Natural Earth leaves a few disputed shapes (Kosovo, N. Cyprus) without a numeric id
+const featureCode = (f) => (byNumeric.get(f.id) || lookupCountry(f.properties?.name))?.code || null;
+
+// Countries too small for the 110m atlas, drawn as dots at [lon, lat] instead
+const SMALL_COUNTRIES = {
+  BB: [-59.54, 13.19],
+  BH: [50.56, 26.07],
+  GU: [144.79, 13.44],
+  HK: [114.17, 22.32],
+  KI: [172.98, 1.45],
+  MT: [14.45, 35.9],
+  PW: [134.58, 7.51],
+  SG: [103.82, 1.35],
+  VA: [12.45, 41.9],
+};
+
+const COLORS = { empty: '#141C26', sponsorOnly: '#1E2A38', low: '#1D3A30', high: '#3FB37D', sponsor: '#E0555A' };
+
+// Arcs start from a dot's point or the largest polygon so overseas territories do not drag the
+// anchor into the ocean (France, Netherlands, United States)
+function anchorPoint(f, path) {
+  if (f.geometry?.type !== 'MultiPolygon') return path.centroid(f);
+  const largest = f.geometry.coordinates
+    .map(coordinates => ({ type: 'Polygon', coordinates }))
+    .reduce((best, p) => d3.geoArea(p) > d3.geoArea(best) ? p : best);
+  return path.centroid(largest);
+}
+
+// Quadratic curve bowing to the left of the source → target direction
+function arcPath([x1, y1], [x2, y2]) {
+  const bend = 0.22;
+  const cx = (x1 + x2) / 2 - (y2 - y1) * bend;
+  const cy = (y1 + y2) / 2 + (x2 - x1) * bend;
+  return `M${x1},${y1} Q${cx},${cy} ${x2},${y2}`;
+}
+
+export default function WorldMap({ network, selectedNode, matchedIds, onSelectNode }) {
+  const svgRef = useRef(null);
+  const gRef = useRef(null);
+  const anchorsRef = useRef(new Map());
+  const { data: atlas, error, loading } = useWorldAtlas();
+
+  const features = useMemo(() => {
+    if (!atlas) return [];
+    const shapes = feature(atlas, atlas.objects.countries).features.map(f => ({ ...f, code: featureCode(f) }));
+    const drawn = new Set(shapes.map(f => f.code));
+    const dots = Object.entries(SMALL_COUNTRIES)
+      .filter(([code]) => !drawn.has(code))
+      .map(([code, coordinates]) => ({ type: 'Feature', code, geometry: { type: 'Point', coordinates }, properties: { name: lookupCountry(code)?.name } }));
+    return [...shapes, ...dots];
+  }, [atlas]);
+  const mapData = useMemo(() => buildMapData(network), [network]);
+  // Regions and unplaced nodes, plus countries the atlas has no shape or dot for
+  const notOnMap = useMemo(() => {
+    const drawn = new Set(features.map(f => f.code));
+    return mapData.unplaced + [...mapData.countries.keys()].filter(code => !drawn.has(code)).length;
+  }, [features, mapData]);
+
+  // Click handlers are bound once per atlas; read the latest data through refs
+  const mapDataRef = useRef(mapData);
+  mapDataRef.current = mapData;
+  const onSelectRef = useRef(onSelectNode);
+  onSelectRef.current = onSelectNode;
+
+  // ---------------------------- Map Build ----------------------------
+  // Projection, country shapes and zoom; built once the atlas has loaded.
+  useEffect(() => {
+    if (features.length === 0 || !svgRef.current) return;
+
+    d3.select(svgRef.current).selectAll('*').remove();
+    const width = svgRef.current.clientWidth || window.innerWidth - 80;
+    const height = svgRef.current.clientHeight || window.innerHeight - 220;
+    const svg = d3.select(svgRef.current).attr('width', width).attr('height', height);
+
+    const projection = d3.geoNaturalEarth1().fitExtent([[12, 12], [width - 12, height - 12]], { type: 'Sphere' });
+    const path = d3.geoPath(projection).pointRadius(3.5);
+    anchorsRef.current = new Map(features.filter(f => f.code).map(f => [f.code, anchorPoint(f, path)]));
+
+    const g = svg.append('g');
+    gRef.current = g;
+
+    g.append('path')
+      .attr('class', 'map-sphere')
+      .attr('d', path({ type: 'Sphere' }))
+      .attr('fill', '#0F161E')
+      .attr('stroke', '#233142');
+    g.append('path')
+      .attr('class', 'map-graticule')
+      .attr('d', path(d3.geoGraticule10()))
+      .attr('fill', 'none')
+      .attr('stroke', '#1A2430')
+      .attr('stroke-width', 0.5)
+      .attr('vector-effect', 'non-scaling-stroke');
+
+    g.append('g')
+      .attr('class', 'map-countries')
+      .selectAll('path')
+      .data(features)
+      .join('path')
+      .attr('class', 'map-country')
+      .attr('d', path)
+      .attr('stroke', '#0C1117')
+      .attr('stroke-width', 0.6)
+      .attr('vector-effect', 'non-scaling-stroke')
+      .on('click', (event, f) => {
+        const node = countryNode(mapDataRef.current.countries.get(f.code));
+        if (node) onSelectRef.current?.(node);
+      })
+      .call(sel => sel.append('title'));
+
+    g.append('g').attr('class', 'map-flows');
+
+    svg.call(d3.zoom().scaleExtent([1, 8]).on('zoom', (ev) => { g.attr('transform', ev.transform); }));
+  }, [features]);
+
+  // ---------------------------- Map Update ----------------------------
+  // Shades victim countries and joins the sponsor → target arcs.
+  useEffect(() => {
+    const g = gRef.current;
+    if (!g) return;
+    const { countries, flows, maxIncoming } = mapData;
+
+    const shade = d3.scaleSequentialSqrt([0, maxIncoming || 1], d3.interpolateRgb(COLORS.low, COLORS.high));
+    g.selectAll('.map-country')
+      .style('cursor', f => countries.has(f.code) ? 'pointer' : 'default')
+      .transition().duration(300)
+      .attr('fill', f => {
+        const c = countries.get(f.code);
+        if (!c) return COLORS.empty;
+        return c.incoming > 0 ? shade(c.incoming) : COLORS.sponsorOnly;
+      });
+    g.selectAll('.map-country').select('title').text(f => {
+      const c = countries.get(f.code);
+      const name = c?.name || f.properties?.name || '';
+      if (!c) return name;
+      return `${name}\nIncidents targeting: ${c.incoming}\nSponsored links: ${c.outgoing}`;
+    });
+
+    const anchors = anchorsRef.current;
+    const maxFlow = d3.max(flows, f => f.weight) || 1;
+    const width = d3.scaleSqrt([1, maxFlow], [1, 7]).clamp(true);
+    g.select('.map-flows')
+      .selectAll('path.map-flow')
+      .data(flows.filter(f => anchors.has(f.source) && anchors.has(f.target)), f => `${f.source}→${f.target}`)
+      .join(
+        enter => enter.append('path')
+          .attr('class', 'map-flow')
+          .attr('fill', 'none')
+          .attr('stroke', COLORS.sponsor)
+          .attr('stroke-linecap', 'round')
+          .attr('vector-effect', 'non-scaling-stroke')
+          .attr('stroke-opacity', 0)
+          .call(sel => sel.append('title')),
+        update => update,
+        // Renamed so the selection effect below does not interrupt the fade-out
+        exit => exit.attr('class', 'map-flow-exit').transition().duration(300).attr('stroke-opacity', 0).remove()
+      )
+      .attr('d', f => arcPath(anchors.get(f.source), anchors.get(f.target)))
+      .attr('stroke-width', f => width(f.weight))
+      .call(sel => sel.select('title').text(f =>
+        `${countries.get(f.source).name} → ${countries.get(f.target).name}: ${f.weight}`));
+  }, [mapData, features]);
+
+  // ---------------------------- Selection & Search ----------------------------
+  useEffect(() => {
+    const g = gRef.current;
+    if (!g) return;
+
+    const selectedCode = selectedNode?.place?.code || null;
+    const matchedCodes = new Set((network?.nodes || [])
+      .filter(n => matchedIds?.has(n.id) && n.place?.code)
+      .map(n => n.place.code));
+    const focused = selectedCode ? new Set([selectedCode]) : matchedCodes;
+
+    g.selectAll('.map-country')
+      .attr('stroke', f => f.code === selectedCode ? '#D8E1EA' : matchedCodes.has(f.code) ? '#79A6FF' : '#0C1117')
+      .attr('stroke-width', f => f.code === selectedCode || matchedCodes.has(f.code) ? 2 : 0.6)
+      .filter(f => f.code === selectedCode || matchedCodes.has(f.code))
+      .raise();
+
+    g.selectAll('.map-flow')
+      .transition().duration(200)
+      .attr('stroke-opacity', f => {
+        if (focused.size === 0) return 0.55;
+        return focused.has(f.source) || focused.has(f.target) ? 0.9 : 0.06;
+      });
+  }, [selectedNode, matchedIds, network, mapData, features]);
+
+  return (
+    <>
+      <svg ref={svgRef} className="graph-svg world-map"></svg>
+
+      {features.length > 0 && (
+        <div className="map-legend">
+          <div className="legend-title">INCIDENTS TARGETING</div>
+          <div className="map-legend-ramp" style={{ background: `linear-gradient(90deg, ${COLORS.low}, ${COLORS.high})` }}></div>
+          <div className="map-legend-scale">
+            <span>1</span>
+            <span>{mapData.maxIncoming}</span>
+          </div>
+          <div className="legend-item">
+            <span className="map-legend-flow"></span>
+            <span>SPONSOR → TARGET ({mapData.flows.length})</span>
+          </div>
+          {notOnMap > 0 && (
+            <div className="map-legend-note">{notOnMap} PLACES NOT ON THE MAP</div>
+          )}
+        </div>
+      )}
+
+      {loading && <div className="graph-loading">LOADING WORLD MAP…</div>}
+
+      {error && (
+        <div className="graph-error">
+          <DataError error={error} />
+        </div>
+      )}
+    </>
+  );
+}
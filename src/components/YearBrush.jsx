@@ -0,0 +1,137 @@
+import { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+
+const MARGIN = { top: 6, right: 18, bottom: 20, left: 18 };
+const HEIGHT = 56;
+
+export default function YearBrush({ histogram, value, onChange }) {
+  const svgRef = useRef(null);
+  const brushRef = useRef(null);
+  const scaleRef = useRef(null);
+  const brushingRef = useRef(false);
+  const lastRangeRef = useRef(value);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  // Brush events fire on every pointer move; only report whole-year changes
+  const emit = (range) => {
+    const last = lastRangeRef.current;
+    if (range === last || (range && last && range[0] === last[0] && range[1] === last[1])) return;
+    lastRangeRef.current = range;
+    onChangeRef.current(range);
+  };
+
+  const minYear = histogram.length ? histogram[0].year : null;
+  const maxYear = histogram.length ? histogram[histogram.length - 1].year : null;
+
+  useEffect(() => {
+    if (!svgRef.current || minYear === null) return;
+
+    d3.select(svgRef.current).selectAll('*').remove();
+    const width = svgRef.current.clientWidth || 600;
+    const svg = d3.select(svgRef.current).attr('height', HEIGHT);
+
+    const x = d3.scaleLinear()
+      .domain([minYear, maxYear + 1])
+      .range([MARGIN.left, width - MARGIN.right]);
+    scaleRef.current = x;
+
+    // Each year owns the band [year, year + 1) so handles snap to whole years
+    const toRange = (selection) => {
+      const from = Math.round(x.invert(selection[0]));
+      const to = Math.round(x.invert(selection[1])) - 1;
+      return [Math.max(minYear, from), Math.min(maxYear, Math.max(from, to))];
+    };
+
+    const y = d3.scaleLinear()
+      .domain([0, d3.max(histogram, d => d.count) || 1])
+      .range([HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+    svg.append('g')
+      .attr('class', 'year-brush-bars')
+      .selectAll('rect')
+      .data(histogram)
+      .join('rect')
+      .attr('x', d => x(d.year) + 1)
+      .attr('width', d => Math.max(1, x(d.year + 1) - x(d.year) - 2))
+      .attr('y', d => y(d.count))
+      .attr('height', d => y(0) - y(d.count))
+      .attr('fill', '#6F87A7')
+      .attr('fill-opacity', 0.45);
+
+    const years = d3.range(minYear, maxYear + 1);
+    const step = Math.ceil(years.length / Math.max(1, Math.floor(width / 56)));
+    svg.append('g')
+      .attr('class', 'year-brush-axis')
+      .attr('transform', `translate(0,${HEIGHT - MARGIN.bottom})`)
+      .call(d3.axisBottom(x)
+        .tickValues(years.filter((_, i) => i % step === 0).map(yr => yr + 0.5))
+        .tickFormat(v => String(Math.floor(v)))
+        .tickSizeOuter(0));
+
+    const brush = d3.brushX()
+      .extent([[MARGIN.left, MARGIN.top], [width - MARGIN.right, HEIGHT - MARGIN.bottom]])
+      .on('start', (event) => {
+        if (event.sourceEvent) brushingRef.current = true;
+      })
+      .on('brush', (event) => {
+        if (!event.sourceEvent || !event.selection) return;
+        emit(toRange(event.selection));
+      })
+      .on('end', (event) => {
+        if (!event.sourceEvent) return;
+        brushingRef.current = false;
+        if (!event.selection) {
+          emit(null);
+          return;
+        }
+        const [from, to] = toRange(event.selection);
+        emit([from, to]);
+        svg.select('.year-brush-selection').call(brush.move, [x(from), x(to + 1)]);
+      });
+    brushRef.current = brush;
+
+    svg.append('g')
+      .attr('class', 'year-brush-selection')
+      .call(brush)
+      .call(brush.move, x.range());
+  }, [histogram, minYear, maxYear]);
+
+  // Keep the brush in step with range changes made elsewhere (e.g. reset), but
+  // leave it alone mid-gesture; the end handler snaps it to whole years
+  useEffect(() => {
+    lastRangeRef.current = value;
+    const x = scaleRef.current;
+    if (!svgRef.current || !x || !brushRef.current || brushingRef.current) return;
+    const sel = value ? [x(value[0]), x(value[1] + 1)] : x.range();
+    d3.select(svgRef.current).select('.year-brush-selection').call(brushRef.current.move, sel);
+  }, [value]);
+
+  // Without dated links there is nothing to brush; say so instead of hiding
+  // the control, so a missing filter does not look like a missing feature
+  if (minYear === null) {
+    return (
+      <div className="year-brush disabled" aria-disabled="true">
+        <div className="year-brush-label">
+          <span>INCIDENT YEARS</span>
+        </div>
+        <div className="year-brush-empty">
+          No incident dates are available for this network, so it cannot be filtered by year.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="year-brush">
+      <div className="year-brush-label">
+        <span>INCIDENT YEARS</span>
+        <strong>{value ? `${value[0]} — ${value[1]}` : `${minYear} — ${maxYear}`}</strong>
+        {value && (
+          <button className="year-brush-reset" onClick={() => onChange(null)}>ALL YEARS</button>
+        )}
+      </div>
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+}
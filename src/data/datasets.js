@@ -0,0 +1,102 @@
+import worldAtlasUrl from 'world-atlas/countries-110m.json?url';
+import { validate, networkSchema, nodeDetailsSchema, timelineSchema, aliasesSchema, worldAtlasSchema } from './schema';
+import { getImported } from './importedStore';
+import { DatasetError } from './errors';
+
+export const DATASETS = {
+  sector: { url: '/sector_network.json', schema: networkSchema, label: 'sector network' },
+  geo: { url: '/geo_network.json', schema: networkSchema, label: 'geographic network' },
+  nodeDetails: { url: '/node_details.json', schema: nodeDetailsSchema, label: 'node details' },
+  timeline: { url: '/sponsor_timeline.json', schema: timelineSchema, label: 'sponsor timeline' },
+  aliases: { url: '/aliases.json', schema: aliasesSchema, label: 'alias dictionary' },
+  // Bundled with the app as a static asset (the 110m cut, ~100 kB); fetched
+  // only when the map is opened
+  worldAtlas: { url: worldAtlasUrl, schema: worldAtlasSchema, label: 'world boundaries' },
+};
+
+// Where datasets come from: the files bundled with the app, or an imported
+// dataset (by its id in importedStore). Imports replace the datasets built from
+// incidents; the alias dictionary and world boundaries always come bundled.
+export const BUNDLED_SOURCE = 'bundled';
+export const IMPORTABLE_DATASETS = ['sector', 'geo', 'nodeDetails', 'timeline'];
+
+export { DatasetError };
+
+// One request per dataset (and source) for the lifetime of the page; failures
+// are not cached so a later call can retry.
+const pending = new Map();
+const resolved = new Map();
+
+const fromSource = (name, source) => source !== BUNDLED_SOURCE && IMPORTABLE_DATASETS.includes(name);
+const cacheKey = (name, source) => fromSource(name, source) ? `${source}/${name}` : name;
+
+export function peekDataset(name, source = BUNDLED_SOURCE) {
+  return resolved.get(cacheKey(name, source));
+}
+
+// Imported datasets were built by buildDatasets, but storage outlives app
+// versions, so they are validated like the bundled files
+function loadImported(name, source) {
+  const spec = DATASETS[name];
+  return getImported(source)
+    .catch(err => {
+      throw new DatasetError(name, 'storage', `Could not read the imported dataset: ${err.message}`);
+    })
+    .then(record => {
+      if (!record) throw new DatasetError(name, 'storage', 'The imported dataset no longer exists');
+      const json = record.datasets?.[name];
+      const issues = validate(json, spec.schema);
+      if (issues.length > 0) {
+        throw new DatasetError(name, 'schema', `${spec.label} of "${record.name}" does not match its schema`, issues);
+      }
+      return json;
+    });
+}
+
+export function loadDataset(name, source = BUNDLED_SOURCE) {
+  const key = cacheKey(name, source);
+  if (resolved.has(key)) return Promise.resolve(resolved.get(key));
+  if (pending.has(key)) return pending.get(key);
+
+  const spec = DATASETS[name];
+  if (!spec) return Promise.reject(new DatasetError(name, 'unknown', `Unknown dataset "${name}"`));
+
+  if (fromSource(name, source)) {
+    const request = loadImported(name, source)
+      .then(json => {
+        resolved.set(key, json);
+        return json;
+      })
+      .finally(() => pending.delete(key));
+    pending.set(key, request);
+    return request;
+  }
+
+  const request = fetch(spec.url)
+    .then(res => {
+      if (!res.ok) throw new DatasetError(name, 'http', `HTTP ${res.status} while loading ${spec.label} (${spec.url})`);
+      return res.json().catch(err => {
+        throw new DatasetError(name, 'parse', `${spec.label} is not valid JSON: ${err.message}`);
+      });
+    })
+    .then(json => {
+      const issues = validate(json, spec.schema);
+      if (issues.length > 0) {
+        throw new DatasetError(name, 'schema', `${spec.label} does not match its schema`, issues);
+      }
+      resolved.set(key, json);
+      return json;
+    })
+    .catch(err => {
+      throw err instanceof DatasetError ? err : new DatasetError(name, 'http', `Could not load ${spec.label}: ${err.message}`);
+    })
+    .finally(() => pending.delete(key));
+
+  pending.set(key, request);
+  return request;
+}
+
+// Drops the cached datasets of a deleted import
+export function forgetSource(source) {
+  IMPORTABLE_DATASETS.forEach(name => resolved.delete(cacheKey(name, source)));
+}
@@ -0,0 +1,11 @@
+// Kept free of browser-only imports so the data build script can use it too.
+// kind is one of 'unknown' | 'http' | 'parse' | 'schema' | 'storage'
+export class DatasetError extends Error {
+  constructor(dataset, kind, message, issues = []) {
+    super(message);
+    this.name = 'DatasetError';
+    this.dataset = dataset;
+    this.kind = kind;
+    this.issues = issues;
+  }
+}
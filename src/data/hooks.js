@@ -0,0 +1,82 @@
+import { createContext, useContext, useEffect, useState } from 'react';
+import { BUNDLED_SOURCE, loadDataset, peekDataset } from './datasets';
+
+// The data source (BUNDLED_SOURCE or an imported dataset id) the views read from
+export const DataSourceContext = createContext(BUNDLED_SOURCE);
+
+export function useDataSource() {
+  return useContext(DataSourceContext);
+}
+
+const stateFor = (name, source) => {
+  const cached = name ? peekDataset(name, source) : null;
+  return { name, source, data: cached ?? null, error: null, loading: cached === undefined };
+};
+
+function useDataset(name) {
+  const source = useDataSource();
+  const [state, setState] = useState(() => stateFor(name, source));
+
+  useEffect(() => {
+    if (!name) return;
+    let cancelled = false;
+    setState(prev => prev.name === name && prev.source === source && prev.data ? prev : stateFor(name, source));
+    loadDataset(name, source).then(
+      data => { if (!cancelled) setState({ name, source, data, error: null, loading: false }); },
+      error => { if (!cancelled) setState({ name, source, data: null, error, loading: false }); }
+    );
+    return () => { cancelled = true; };
+  }, [name, source]);
+
+  // Never hand out the previous dataset for a new name or source while it loads
+  return state.name === name && state.source === source ? state : stateFor(name, source);
+}
+
+// A `null` type loads nothing, for a network that is only needed on demand
+export function useNetwork(type) {
+  return useDataset(type === null ? null : type === 'geo' ? 'geo' : 'sector');
+}
+
+export function useTimeline() {
+  return useDataset('timeline');
+}
+
+export function useAliases() {
+  return useDataset('aliases');
+}
+
+export function useWorldAtlas() {
+  return useDataset('worldAtlas');
+}
+
+// Split geo nodes ("China [S]", "China [T]") share the details of their base entity
+export const detailsKey = (id) => String(id).replace(/\s*\[(S|T)\]$/i, '');
+
+const sumCounts = (a, b) => {
+  if (!b) return a;
+  const out = { ...(a || {}) };
+  Object.entries(b).forEach(([key, count]) => { out[key] = (out[key] || 0) + count; });
+  return out;
+};
+
+// Canonical nodes merged from aliases get the summed details of every member
+export function mergeDetails(entries) {
+  const found = entries.filter(Boolean);
+  if (found.length === 0) return null;
+  if (found.length === 1) return found[0];
+  return found.reduce((acc, d) => ({
+    total_incidents: (acc.total_incidents || 0) + (d.total_incidents || 0),
+    targets: sumCounts(acc.targets, d.targets),
+    sources: sumCounts(acc.sources, d.sources),
+    actors: sumCounts(acc.actors, d.actors),
+  }), {});
+}
+
+export function useNodeDetails(id, aliases) {
+  const { data, error, loading } = useDataset('nodeDetails');
+  const lookup = (key) => data[detailsKey(key)] || data[key] || null;
+  const details = data && id != null
+    ? mergeDetails([id, ...(aliases || [])].map(lookup))
+    : null;
+  return { details, error, loading };
+}
@@ -0,0 +1,71 @@
+// Imported datasets live in IndexedDB (they can be far larger than
+// localStorage allows). One record per import:
+//
+//   { id, name, fileName, importedAt, report, datasets: { sector, geo, nodeDetails, timeline } }
+//
+// Every function returns a promise and rejects when IndexedDB is unavailable
+// (e.g. some private browsing modes).
+
+const DB_NAME = 'cti-viz';
+const DB_VERSION = 1;
+const STORE = 'datasets';
+
+let opening = null;
+
+function openDatabase() {
+  if (opening) return opening;
+  opening = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('This browser cannot store datasets (IndexedDB is unavailable)'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(err => {
+    opening = null;
+    throw err;
+  });
+  return opening;
+}
+
+async function run(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('The dataset store transaction was aborted'));
+  });
+}
+
+// Summaries without the (large) datasets, newest first
+export async function listImported() {
+  const records = await run('readonly', store => store.getAll());
+  return records
+    .map(({ id, name, fileName, importedAt, report }) => ({ id, name, fileName, importedAt, report }))
+    .sort((a, b) => String(b.importedAt).localeCompare(String(a.importedAt)));
+}
+
+export function getImported(id) {
+  return run('readonly', store => store.get(id));
+}
+
+export async function saveImported({ name, fileName, report, datasets }) {
+  const record = {
+    id: `import-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    fileName,
+    importedAt: new Date().toISOString(),
+    report,
+    datasets,
+  };
+  await run('readwrite', store => store.put(record));
+  return record;
+}
+
+export function deleteImported(id) {
+  return run('readwrite', store => store.delete(id));
+}
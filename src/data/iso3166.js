@@ -0,0 +1,261 @@
+// ISO 3166-1 country table bundled for offline lookups.
+//
+// Row: [alpha2, alpha3, numeric, common name, region, subregion, [other names and demonyms]]
+//
+// Codes, names, regions and demonyms are derived from the world-countries
+// dataset (https://github.com/mledoze/countries, ODbL-1.0). Hand-maintained
+// spellings used by the incident data live in src/lib/geography.js. A name
+// may appear on one row only (the lookup rejects duplicates), so territories
+// do not repeat their mother country's demonym.
+export const COUNTRIES = [
+  ['AD', 'AND', '020', 'Andorra', 'Europe', 'Southern Europe', ['Principality of Andorra', 'Principat d\'Andorra', 'Andorran']],
+  ['AE', 'ARE', '784', 'United Arab Emirates', 'Asia', 'Western Asia', ['Emirates', 'Emirati']],
+  ['AF', 'AFG', '004', 'Afghanistan', 'Asia', 'Southern Asia', ['Islamic Republic of Afghanistan', 'Afghan']],
+  ['AG', 'ATG', '028', 'Antigua and Barbuda', 'Americas', 'Caribbean', ['Antiguan', 'Barbudan']],
+  ['AI', 'AIA', '660', 'Anguilla', 'Americas', 'Caribbean', ['Anguillian']],
+  ['AL', 'ALB', '008', 'Albania', 'Europe', 'Southeast Europe', ['Republic of Albania', 'Shqipnia', 'Albanian']],
+  ['AM', 'ARM', '051', 'Armenia', 'Asia', 'Western Asia', ['Republic of Armenia', 'Hayastan', 'Armenian']],
+  ['AO', 'AGO', '024', 'Angola', 'Africa', 'Middle Africa', ['Republic of Angola', 'Angolan']],
+  ['AQ', 'ATA', '010', 'Antarctica', 'Antarctic', '', ['Antarctican']],
+  ['AR', 'ARG', '032', 'Argentina', 'Americas', 'South America', ['Argentine Republic', 'Argentine']],
+  ['AS', 'ASM', '016', 'American Samoa', 'Oceania', 'Polynesia', ['American Samoan']],
+  ['AT', 'AUT', '040', 'Austria', 'Europe', 'Central Europe', ['Republic of Austria', 'Osterreich', 'Oesterreich', 'Austrian']],
+  ['AU', 'AUS', '036', 'Australia', 'Oceania', 'Australia and New Zealand', ['Commonwealth of Australia', 'Australian']],
+  ['AW', 'ABW', '533', 'Aruba', 'Americas', 'Caribbean', ['Aruban']],
+  ['AX', 'ALA', '248', 'Åland Islands', 'Europe', 'Northern Europe', ['Aaland', 'Aland', 'Ahvenanmaa']],
+  ['AZ', 'AZE', '031', 'Azerbaijan', 'Asia', 'Western Asia', ['Republic of Azerbaijan', 'Azerbaijani']],
+  ['BA', 'BIH', '070', 'Bosnia and Herzegovina', 'Europe', 'Southeast Europe', ['Bosnia-Herzegovina', 'Bosnian', 'Herzegovinian']],
+  ['BB', 'BRB', '052', 'Barbados', 'Americas', 'Caribbean', ['Barbadian']],
+  ['BD', 'BGD', '050', 'Bangladesh', 'Asia', 'Southern Asia', ['People\'s Republic of Bangladesh', 'Bangladeshi']],
+  ['BE', 'BEL', '056', 'Belgium', 'Europe', 'Western Europe', ['Kingdom of Belgium', 'Belgie', 'Belgien', 'Belgique', 'Royaume de Belgique', 'Belgian']],
+  ['BF', 'BFA', '854', 'Burkina Faso', 'Africa', 'Western Africa', ['Burkinabe']],
+  ['BG', 'BGR', '100', 'Bulgaria', 'Europe', 'Southeast Europe', ['Republic of Bulgaria', 'Bulgarian']],
+  ['BH', 'BHR', '048', 'Bahrain', 'Asia', 'Western Asia', ['Kingdom of Bahrain', 'Bahraini']],
+  ['BI', 'BDI', '108', 'Burundi', 'Africa', 'Eastern Africa', ['Republic of Burundi', 'Republika y\'Uburundi', 'Burundian']],
+  ['BJ', 'BEN', '204', 'Benin', 'Africa', 'Western Africa', ['Republic of Benin', 'Beninese']],
+  ['BL', 'BLM', '652', 'Saint Barthélemy', 'Americas', 'Caribbean', ['St. Barthelemy']],
+  ['BM', 'BMU', '060', 'Bermuda', 'Americas', 'North America', ['The Islands of Bermuda', 'The Bermudas', 'Somers Isles', 'Bermudian']],
+  ['BN', 'BRN', '096', 'Brunei', 'Asia', 'South-Eastern Asia', ['Nation of Brunei, Abode of Peace', 'Brunei Darussalam', 'Nation of Brunei', 'the Abode of Peace', 'Bruneian']],
+  ['BO', 'BOL', '068', 'Bolivia', 'Americas', 'South America', ['Plurinational State of Bolivia', 'Buliwya', 'Wuliwya', 'Bolivia, Plurinational State of', 'Estado Plurinacional de Bolivia', 'Buliwya Mamallaqta', 'Wuliwya Suyu', 'Bolivian']],
+  ['BQ', 'BES', '535', 'Caribbean Netherlands', 'Americas', 'Caribbean', ['Bonaire, Sint Eustatius and Saba', 'BES islands', 'Bonaire Sint Eustatius and Saba']],
+  ['BR', 'BRA', '076', 'Brazil', 'Americas', 'South America', ['Federative Republic of Brazil', 'Brasil', 'Brazilian']],
+  ['BS', 'BHS', '044', 'Bahamas', 'Americas', 'Caribbean', ['Commonwealth of the Bahamas', 'Bahamian']],
+  ['BT', 'BTN', '064', 'Bhutan', 'Asia', 'Southern Asia', ['Kingdom of Bhutan', 'Bhutanese']],
+  ['BV', 'BVT', '074', 'Bouvet Island', 'Antarctic', '', []],
+  ['BW', 'BWA', '072', 'Botswana', 'Africa', 'Southern Africa', ['Republic of Botswana', 'Lefatshe la Botswana', 'Motswana']],
+  ['BY', 'BLR', '112', 'Belarus', 'Europe', 'Eastern Europe', ['Republic of Belarus', 'Belarusian']],
+  ['BZ', 'BLZ', '084', 'Belize', 'Americas', 'Central America', ['Belizean']],
+  ['CA', 'CAN', '124', 'Canada', 'Americas', 'North America', ['Canadian']],
+  ['CC', 'CCK', '166', 'Cocos (Keeling) Islands', 'Oceania', 'Australia and New Zealand', ['Territory of the Cocos (Keeling) Islands', 'Keeling Islands', 'Cocos Islands', 'Cocos Islander']],
+  ['CD', 'COD', '180', 'DR Congo', 'Africa', 'Middle Africa', ['Democratic Republic of the Congo', 'Congo-Kinshasa', 'Congo, the Democratic Republic of the', 'Democratic Republic of Congo', 'Congolese']],
+  ['CF', 'CAF', '140', 'Central African Republic', 'Africa', 'Middle Africa', ['Central African']],
+  ['CG', 'COG', '178', 'Republic of the Congo', 'Africa', 'Middle Africa', ['Congo', 'Congo-Brazzaville', 'Congolese']],
+  ['CH', 'CHE', '756', 'Switzerland', 'Europe', 'Western Europe', ['Swiss Confederation', 'Schweiz', 'Suisse', 'Svizzera', 'Svizra', 'Swiss']],
+  ['CI', 'CIV', '384', 'Ivory Coast', 'Africa', 'Western Africa', ['Cote d\'Ivoire', 'Ivorian']],
+  ['CK', 'COK', '184', 'Cook Islands', 'Oceania', 'Polynesia', ['Cook Islander']],
+  ['CL', 'CHL', '152', 'Chile', 'Americas', 'South America', ['Republic of Chile', 'Chilean']],
+  ['CM', 'CMR', '120', 'Cameroon', 'Africa', 'Middle Africa', ['Republic of Cameroon', 'Cameroonian']],
+  ['CN', 'CHN', '156', 'China', 'Asia', 'Eastern Asia', ['People\'s Republic of China', 'Zhongguo', 'Zhonghua', 'Chinese']],
+  ['CO', 'COL', '170', 'Colombia', 'Americas', 'South America', ['Republic of Colombia', 'Colombian']],
+  ['CR', 'CRI', '188', 'Costa Rica', 'Americas', 'Central America', ['Republic of Costa Rica', 'Costa Rican']],
+  ['CU', 'CUB', '192', 'Cuba', 'Americas', 'Caribbean', ['Republic of Cuba', 'Cuban']],
+  ['CV', 'CPV', '132', 'Cape Verde', 'Africa', 'Western Africa', ['Republic of Cabo Verde', 'Cape Verdian']],
+  ['CW', 'CUW', '531', 'Curaçao', 'Americas', 'Caribbean', ['Curacao']],
+  ['CX', 'CXR', '162', 'Christmas Island', 'Oceania', 'Australia and New Zealand', ['Territory of Christmas Island', 'Christmas Islander']],
+  ['CY', 'CYP', '196', 'Cyprus', 'Europe', 'Southern Europe', ['Republic of Cyprus', 'Cypriot']],
+  ['CZ', 'CZE', '203', 'Czechia', 'Europe', 'Central Europe', ['Czech Republic', 'Czech']],
+  ['DE', 'DEU', '276', 'Germany', 'Europe', 'Western Europe', ['Federal Republic of Germany', 'Bundesrepublik Deutschland', 'German']],
+  ['DJ', 'DJI', '262', 'Djibouti', 'Africa', 'Eastern Africa', ['Republic of Djibouti', 'Jabuuti', 'Gabuuti', 'Gabuutih Ummuuno', 'Jamhuuriyadda Jabuuti']],
+  ['DK', 'DNK', '208', 'Denmark', 'Europe', 'Northern Europe', ['Kingdom of Denmark', 'Danmark', 'Kongeriget Danmark', 'Danish']],
+  ['DM', 'DMA', '212', 'Dominica', 'Americas', 'Caribbean', ['Commonwealth of Dominica', 'Dominique', 'Dominican']],
+  ['DO', 'DOM', '214', 'Dominican Republic', 'Americas', 'Caribbean', ['Dominican']],
+  ['DZ', 'DZA', '012', 'Algeria', 'Africa', 'Northern Africa', ['People\'s Democratic Republic of Algeria', 'Dzayer', 'Algerian']],
+  ['EC', 'ECU', '218', 'Ecuador', 'Americas', 'South America', ['Republic of Ecuador', 'Ecuadorean']],
+  ['EE', 'EST', '233', 'Estonia', 'Europe', 'Northern Europe', ['Republic of Estonia', 'Eesti', 'Eesti Vabariik', 'Estonian']],
+  ['EG', 'EGY', '818', 'Egypt', 'Africa', 'Northern Africa', ['Arab Republic of Egypt', 'Egyptian']],
+  ['EH', 'ESH', '732', 'Western Sahara', 'Africa', 'Northern Africa', ['Sahrawi Arab Democratic Republic', 'Sahrawi']],
+  ['ER', 'ERI', '232', 'Eritrea', 'Africa', 'Eastern Africa', ['State of Eritrea', 'Eritrean']],
+  ['ES', 'ESP', '724', 'Spain', 'Europe', 'Southern Europe', ['Kingdom of Spain', 'Spanish']],
+  ['ET', 'ETH', '231', 'Ethiopia', 'Africa', 'Eastern Africa', ['Federal Democratic Republic of Ethiopia', 'Ethiopian']],
+  ['FI', 'FIN', '246', 'Finland', 'Europe', 'Northern Europe', ['Republic of Finland', 'Suomi', 'Suomen tasavalta', 'Republiken Finland', 'Finnish']],
+  ['FJ', 'FJI', '242', 'Fiji', 'Oceania', 'Melanesia', ['Republic of Fiji', 'Viti', 'Matanitu ko Viti', 'Fijian']],
+  ['FK', 'FLK', '238', 'Falkland Islands', 'Americas', 'South America', ['Islas Malvinas', 'Falkland Islands (Malvinas)', 'Falkland Islander']],
+  ['FM', 'FSM', '583', 'Micronesia', 'Oceania', 'Micronesia', ['Federated States of Micronesia', 'Micronesia, Federated States of', 'Micronesian']],
+  ['FO', 'FRO', '234', 'Faroe Islands', 'Europe', 'Northern Europe', ['Faeroe Islands', 'Faroese']],
+  ['FR', 'FRA', '250', 'France', 'Europe', 'Western Europe', ['French Republic', 'French']],
+  ['GA', 'GAB', '266', 'Gabon', 'Africa', 'Middle Africa', ['Gabonese Republic', 'Gabonese']],
+  ['GB', 'GBR', '826', 'United Kingdom', 'Europe', 'Northern Europe', ['United Kingdom of Great Britain and Northern Ireland', 'Great Britain', 'British']],
+  ['GD', 'GRD', '308', 'Grenada', 'Americas', 'Caribbean', ['Grenadian']],
+  ['GE', 'GEO', '268', 'Georgia', 'Asia', 'Western Asia', ['Sakartvelo', 'Georgian']],
+  ['GF', 'GUF', '254', 'French Guiana', 'Americas', 'South America', ['Guiana', 'Guyane', 'Guianan']],
+  ['GG', 'GGY', '831', 'Guernsey', 'Europe', 'Northern Europe', ['Bailiwick of Guernsey', 'Bailliage de Guernesey', 'Channel Islander']],
+  ['GH', 'GHA', '288', 'Ghana', 'Africa', 'Western Africa', ['Republic of Ghana', 'Ghanaian']],
+  ['GI', 'GIB', '292', 'Gibraltar', 'Europe', 'Southern Europe', []],
+  ['GL', 'GRL', '304', 'Greenland', 'Americas', 'North America', ['Greenlandic']],
+  ['GM', 'GMB', '270', 'Gambia', 'Africa', 'Western Africa', ['Republic of the Gambia', 'Gambian']],
+  ['GN', 'GIN', '324', 'Guinea', 'Africa', 'Western Africa', ['Republic of Guinea', 'Guinean']],
+  ['GP', 'GLP', '312', 'Guadeloupe', 'Americas', 'Caribbean', ['Gwadloup', 'Guadeloupian']],
+  ['GQ', 'GNQ', '226', 'Equatorial Guinea', 'Africa', 'Middle Africa', ['Republic of Equatorial Guinea', 'Equatorial Guinean']],
+  ['GR', 'GRC', '300', 'Greece', 'Europe', 'Southern Europe', ['Hellenic Republic', 'Greek']],
+  ['GS', 'SGS', '239', 'South Georgia', 'Antarctic', '', ['South Georgia and the South Sandwich Islands', 'South Georgian South Sandwich Islander']],
+  ['GT', 'GTM', '320', 'Guatemala', 'Americas', 'Central America', ['Republic of Guatemala', 'Guatemalan']],
+  ['GU', 'GUM', '316', 'Guam', 'Oceania', 'Micronesia', ['Guamanian']],
+  ['GW', 'GNB', '624', 'Guinea-Bissau', 'Africa', 'Western Africa', ['Republic of Guinea-Bissau', 'Guinea-Bissauan']],
+  ['GY', 'GUY', '328', 'Guyana', 'Americas', 'South America', ['Co-operative Republic of Guyana', 'Guyanese']],
+  ['HK', 'HKG', '344', 'Hong Kong', 'Asia', 'Eastern Asia', ['Hong Kong Special Administrative Region of the People\'s Republic of China', 'Hong Konger']],
+  ['HM', 'HMD', '334', 'Heard Island and McDonald Islands', 'Antarctic', '', ['Heard and McDonald Islander']],
+  ['HN', 'HND', '340', 'Honduras', 'Americas', 'Central America', ['Republic of Honduras', 'Honduran']],
+  ['HR', 'HRV', '191', 'Croatia', 'Europe', 'Southeast Europe', ['Republic of Croatia', 'Hrvatska', 'Republika Hrvatska', 'Croatian']],
+  ['HT', 'HTI', '332', 'Haiti', 'Americas', 'Caribbean', ['Republic of Haiti', 'Repiblik Ayiti', 'Haitian']],
+  ['HU', 'HUN', '348', 'Hungary', 'Europe', 'Central Europe', ['Hungarian']],
+  ['ID', 'IDN', '360', 'Indonesia', 'Asia', 'South-Eastern Asia', ['Republic of Indonesia', 'Republik Indonesia', 'Indonesian']],
+  ['IE', 'IRL', '372', 'Ireland', 'Europe', 'Northern Europe', ['Republic of Ireland', 'Irish']],
+  ['IL', 'ISR', '376', 'Israel', 'Asia', 'Western Asia', ['State of Israel', 'Israeli']],
+  ['IM', 'IMN', '833', 'Isle of Man', 'Europe', 'Northern Europe', ['Ellan Vannin', 'Mann', 'Mannin', 'Manx']],
+  ['IN', 'IND', '356', 'India', 'Asia', 'Southern Asia', ['Republic of India', 'Bharat Ganrajya', 'Indian']],
+  ['IO', 'IOT', '086', 'British Indian Ocean Territory', 'Africa', 'Eastern Africa', []],
+  ['IQ', 'IRQ', '368', 'Iraq', 'Asia', 'Western Asia', ['Republic of Iraq', 'Iraqi']],
+  ['IR', 'IRN', '364', 'Iran', 'Asia', 'Southern Asia', ['Islamic Republic of Iran', 'Iran, Islamic Republic of', 'Iranian']],
+  ['IS', 'ISL', '352', 'Iceland', 'Europe', 'Northern Europe', ['Island', 'Republic of Iceland', 'Icelander']],
+  ['IT', 'ITA', '380', 'Italy', 'Europe', 'Southern Europe', ['Italian Republic', 'Repubblica italiana', 'Italian']],
+  ['JE', 'JEY', '832', 'Jersey', 'Europe', 'Northern Europe', ['Bailiwick of Jersey', 'Bailliage de Jersey', 'Channel Islander']],
+  ['JM', 'JAM', '388', 'Jamaica', 'Americas', 'Caribbean', ['Jamaican']],
+  ['JO', 'JOR', '400', 'Jordan', 'Asia', 'Western Asia', ['Hashemite Kingdom of Jordan', 'Jordanian']],
+  ['JP', 'JPN', '392', 'Japan', 'Asia', 'Eastern Asia', ['Nippon', 'Nihon', 'Japanese']],
+  ['KE', 'KEN', '404', 'Kenya', 'Africa', 'Eastern Africa', ['Republic of Kenya', 'Jamhuri ya Kenya', 'Kenyan']],
+  ['KG', 'KGZ', '417', 'Kyrgyzstan', 'Asia', 'Central Asia', ['Kyrgyz Republic', 'Kyrgyz Respublikasy', 'Kirghiz']],
+  ['KH', 'KHM', '116', 'Cambodia', 'Asia', 'South-Eastern Asia', ['Kingdom of Cambodia', 'Cambodian']],
+  ['KI', 'KIR', '296', 'Kiribati', 'Oceania', 'Micronesia', ['Independent and Sovereign Republic of Kiribati', 'Republic of Kiribati', 'Ribaberiki Kiribati', 'I-Kiribati']],
+  ['KM', 'COM', '174', 'Comoros', 'Africa', 'Eastern Africa', ['Union of the Comoros', 'Union des Comores', 'Udzima wa Komori', 'Comoran']],
+  ['KN', 'KNA', '659', 'Saint Kitts and Nevis', 'Americas', 'Caribbean', ['Federation of Saint Christopher and Nevis', 'Kittitian or Nevisian']],
+  ['KP', 'PRK', '408', 'North Korea', 'Asia', 'Eastern Asia', ['Democratic People\'s Republic of Korea', 'DPRK', 'Korea, Democratic People\'s Republic of', 'North Korean']],
+  ['KR', 'KOR', '410', 'South Korea', 'Asia', 'Eastern Asia', ['Republic of Korea', 'Korea, Republic of', 'South Korean']],
+  ['KW', 'KWT', '414', 'Kuwait', 'Asia', 'Western Asia', ['State of Kuwait', 'Dawlat al-Kuwait', 'Kuwaiti']],
+  ['KY', 'CYM', '136', 'Cayman Islands', 'Americas', 'Caribbean', ['Caymanian']],
+  ['KZ', 'KAZ', '398', 'Kazakhstan', 'Asia', 'Central Asia', ['Republic of Kazakhstan', 'Qazaqstan', 'Respublika Kazakhstan', 'Kazakhstani']],
+  ['LA', 'LAO', '418', 'Laos', 'Asia', 'South-Eastern Asia', ['Lao People\'s Democratic Republic', 'Sathalanalat Paxathipatai Paxaxon Lao', 'Laotian']],
+  ['LB', 'LBN', '422', 'Lebanon', 'Asia', 'Western Asia', ['Lebanese Republic', 'Lebanese']],
+  ['LC', 'LCA', '662', 'Saint Lucia', 'Americas', 'Caribbean', ['Saint Lucian']],
+  ['LI', 'LIE', '438', 'Liechtenstein', 'Europe', 'Western Europe', ['Principality of Liechtenstein', 'Liechtensteiner']],
+  ['LK', 'LKA', '144', 'Sri Lanka', 'Asia', 'Southern Asia', ['Democratic Socialist Republic of Sri Lanka', 'Sri Lankan']],
+  ['LR', 'LBR', '430', 'Liberia', 'Africa', 'Western Africa', ['Republic of Liberia', 'Liberian']],
+  ['LS', 'LSO', '426', 'Lesotho', 'Africa', 'Southern Africa', ['Kingdom of Lesotho', 'Muso oa Lesotho', 'Mosotho']],
+  ['LT', 'LTU', '440', 'Lithuania', 'Europe', 'Northern Europe', ['Republic of Lithuania', 'Lietuvos Respublika', 'Lithuanian']],
+  ['LU', 'LUX', '442', 'Luxembourg', 'Europe', 'Western Europe', ['Grand Duchy of Luxembourg', 'Luxembourger']],
+  ['LV', 'LVA', '428', 'Latvia', 'Europe', 'Northern Europe', ['Republic of Latvia', 'Latvijas Republika', 'Latvian']],
+  ['LY', 'LBY', '434', 'Libya', 'Africa', 'Northern Africa', ['State of Libya', 'Dawlat Libya', 'Libyan']],
+  ['MA', 'MAR', '504', 'Morocco', 'Africa', 'Northern Africa', ['Kingdom of Morocco', 'Moroccan']],
+  ['MC', 'MCO', '492', 'Monaco', 'Europe', 'Western Europe', ['Principality of Monaco', 'Monegasque']],
+  ['MD', 'MDA', '498', 'Moldova', 'Europe', 'Eastern Europe', ['Republic of Moldova', 'Moldova, Republic of', 'Republica Moldova', 'Moldovan']],
+  ['ME', 'MNE', '499', 'Montenegro', 'Europe', 'Southeast Europe', ['Crna Gora', 'Montenegrin']],
+  ['MF', 'MAF', '663', 'Saint Martin', 'Americas', 'Caribbean', ['Collectivity of Saint Martin', 'Saint Martin (French part)', 'Saint Martin Islander']],
+  ['MG', 'MDG', '450', 'Madagascar', 'Africa', 'Eastern Africa', ['Republic of Madagascar', 'Repoblikan\'i Madagasikara', 'Malagasy']],
+  ['MH', 'MHL', '584', 'Marshall Islands', 'Oceania', 'Micronesia', ['Republic of the Marshall Islands', 'Marshallese']],
+  ['MK', 'MKD', '807', 'North Macedonia', 'Europe', 'Southeast Europe', ['Republic of North Macedonia', 'The former Yugoslav Republic of Macedonia', 'Macedonia, The Former Yugoslav Republic of', 'Macedonia', 'Macedonian']],
+  ['ML', 'MLI', '466', 'Mali', 'Africa', 'Western Africa', ['Republic of Mali', 'Malian']],
+  ['MM', 'MMR', '104', 'Myanmar', 'Asia', 'South-Eastern Asia', ['Republic of the Union of Myanmar', 'Burma', 'Burmese']],
+  ['MN', 'MNG', '496', 'Mongolia', 'Asia', 'Eastern Asia', ['Mongolian']],
+  ['MO', 'MAC', '446', 'Macau', 'Asia', 'Eastern Asia', ['Macao Special Administrative Region of the People\'s Republic of China', 'Macao', 'Macanese']],
+  ['MP', 'MNP', '580', 'Northern Mariana Islands', 'Oceania', 'Micronesia', ['Commonwealth of the Northern Mariana Islands']],
+  ['MQ', 'MTQ', '474', 'Martinique', 'Americas', 'Caribbean', ['Martinican']],
+  ['MR', 'MRT', '478', 'Mauritania', 'Africa', 'Western Africa', ['Islamic Republic of Mauritania', 'Mauritanian']],
+  ['MS', 'MSR', '500', 'Montserrat', 'Americas', 'Caribbean', ['Montserratian']],
+  ['MT', 'MLT', '470', 'Malta', 'Europe', 'Southern Europe', ['Republic of Malta', 'Repubblika ta\' Malta', 'Maltese']],
+  ['MU', 'MUS', '480', 'Mauritius', 'Africa', 'Eastern Africa', ['Republic of Mauritius', 'Mauritian']],
+  ['MV', 'MDV', '462', 'Maldives', 'Asia', 'Southern Asia', ['Republic of the Maldives', 'Maldive Islands', 'Dhivehi Raajjeyge Jumhooriyya', 'Maldivan']],
+  ['MW', 'MWI', '454', 'Malawi', 'Africa', 'Eastern Africa', ['Republic of Malawi', 'Malawian']],
+  ['MX', 'MEX', '484', 'Mexico', 'Americas', 'North America', ['United Mexican States', 'Mexicanos', 'Estados Unidos Mexicanos', 'Mexican']],
+  ['MY', 'MYS', '458', 'Malaysia', 'Asia', 'South-Eastern Asia', ['Malaysian']],
+  ['MZ', 'MOZ', '508', 'Mozambique', 'Africa', 'Eastern Africa', ['Republic of Mozambique', 'Mozambican']],
+  ['NA', 'NAM', '516', 'Namibia', 'Africa', 'Southern Africa', ['Republic of Namibia', 'Namibian']],
+  ['NC', 'NCL', '540', 'New Caledonia', 'Oceania', 'Melanesia', ['New Caledonian']],
+  ['NE', 'NER', '562', 'Niger', 'Africa', 'Western Africa', ['Republic of Niger', 'Nijar', 'Nigerien']],
+  ['NF', 'NFK', '574', 'Norfolk Island', 'Oceania', 'Australia and New Zealand', ['Territory of Norfolk Island', 'Teratri of Norf\'k Ailen', 'Norfolk Islander']],
+  ['NG', 'NGA', '566', 'Nigeria', 'Africa', 'Western Africa', ['Federal Republic of Nigeria', 'Nijeriya', 'Nigerian']],
+  ['NI', 'NIC', '558', 'Nicaragua', 'Americas', 'Central America', ['Republic of Nicaragua', 'Nicaraguan']],
+  ['NL', 'NLD', '528', 'Netherlands', 'Europe', 'Western Europe', ['Kingdom of the Netherlands', 'Holland', 'Nederland', 'The Netherlands', 'Dutch']],
+  ['NO', 'NOR', '578', 'Norway', 'Europe', 'Northern Europe', ['Kingdom of Norway', 'Norge', 'Noreg', 'Kongeriket Norge', 'Kongeriket Noreg', 'Norwegian']],
+  ['NP', 'NPL', '524', 'Nepal', 'Asia', 'Southern Asia', ['Federal Democratic Republic of Nepal', 'Nepalese']],
+  ['NR', 'NRU', '520', 'Nauru', 'Oceania', 'Micronesia', ['Republic of Nauru', 'Naoero', 'Pleasant Island', 'Ripublik Naoero', 'Nauruan']],
+  ['NU', 'NIU', '570', 'Niue', 'Oceania', 'Polynesia', ['Niuean']],
+  ['NZ', 'NZL', '554', 'New Zealand', 'Oceania', 'Australia and New Zealand', ['Aotearoa', 'New Zealander']],
+  ['OM', 'OMN', '512', 'Oman', 'Asia', 'Western Asia', ['Sultanate of Oman', 'Omani']],
+  ['PA', 'PAN', '591', 'Panama', 'Americas', 'Central America', ['Republic of Panama', 'Panamanian']],
+  ['PE', 'PER', '604', 'Peru', 'Americas', 'South America', ['Republic of Peru', 'Peruvian']],
+  ['PF', 'PYF', '258', 'French Polynesia', 'Oceania', 'Polynesia', ['French Polynesian']],
+  ['PG', 'PNG', '598', 'Papua New Guinea', 'Oceania', 'Melanesia', ['Independent State of Papua New Guinea', 'Independen Stet bilong Papua Niugini', 'Papua New Guinean']],
+  ['PH', 'PHL', '608', 'Philippines', 'Asia', 'South-Eastern Asia', ['Republic of the Philippines', 'Filipino']],
+  ['PK', 'PAK', '586', 'Pakistan', 'Asia', 'Southern Asia', ['Islamic Republic of Pakistan', 'Pakistani']],
+  ['PL', 'POL', '616', 'Poland', 'Europe', 'Central Europe', ['Republic of Poland', 'Rzeczpospolita Polska', 'Polish']],
+  ['PM', 'SPM', '666', 'Saint Pierre and Miquelon', 'Americas', 'North America', ['Saint-Pierrais', 'Miquelonnais']],
+  ['PN', 'PCN', '612', 'Pitcairn Islands', 'Oceania', 'Polynesia', ['Pitcairn Group of Islands', 'Pitcairn', 'Pitcairn Henderson Ducie and Oeno Islands', 'Pitcairn Islander']],
+  ['PR', 'PRI', '630', 'Puerto Rico', 'Americas', 'Caribbean', ['Commonwealth of Puerto Rico', 'Estado Libre Asociado de Puerto Rico', 'Puerto Rican']],
+  ['PS', 'PSE', '275', 'Palestine', 'Asia', 'Western Asia', ['State of Palestine', 'Palestine, State of', 'Palestinian']],
+  ['PT', 'PRT', '620', 'Portugal', 'Europe', 'Southern Europe', ['Portuguese Republic', 'Portuguesa', 'Portuguese']],
+  ['PW', 'PLW', '585', 'Palau', 'Oceania', 'Micronesia', ['Republic of Palau', 'Beluu er a Belau', 'Palauan']],
+  ['PY', 'PRY', '600', 'Paraguay', 'Americas', 'South America', ['Republic of Paraguay', 'Paraguayan']],
+  ['QA', 'QAT', '634', 'Qatar', 'Asia', 'Western Asia', ['State of Qatar', 'Qatari']],
+  ['RE', 'REU', '638', 'Réunion', 'Africa', 'Eastern Africa', ['Reunion']],
+  ['RO', 'ROU', '642', 'Romania', 'Europe', 'Southeast Europe', ['Rumania', 'Roumania', 'Romanian']],
+  ['RS', 'SRB', '688', 'Serbia', 'Europe', 'Southeast Europe', ['Republic of Serbia', 'Srbija', 'Republika Srbija', 'Serbian']],
+  ['RU', 'RUS', '643', 'Russia', 'Europe', 'Eastern Europe', ['Russian Federation', 'Russian']],
+  ['RW', 'RWA', '646', 'Rwanda', 'Africa', 'Eastern Africa', ['Republic of Rwanda', 'Repubulika y\'u Rwanda', 'Rwandan']],
+  ['SA', 'SAU', '682', 'Saudi Arabia', 'Asia', 'Western Asia', ['Kingdom of Saudi Arabia', 'Saudi', 'Saudi Arabian']],
+  ['SB', 'SLB', '090', 'Solomon Islands', 'Oceania', 'Melanesia', ['Solomon Islander']],
+  ['SC', 'SYC', '690', 'Seychelles', 'Africa', 'Eastern Africa', ['Republic of Seychelles', 'Repiblik Sesel', 'Seychellois']],
+  ['SD', 'SDN', '729', 'Sudan', 'Africa', 'Northern Africa', ['Republic of the Sudan', 'Sudanese']],
+  ['SE', 'SWE', '752', 'Sweden', 'Europe', 'Northern Europe', ['Kingdom of Sweden', 'Konungariket Sverige', 'Swedish']],
+  ['SG', 'SGP', '702', 'Singapore', 'Asia', 'South-Eastern Asia', ['Republic of Singapore', 'Singapura', 'Republik Singapura', 'Singaporean']],
+  ['SH', 'SHN', '654', 'Saint Helena, Ascension and Tristan da Cunha', 'Africa', 'Western Africa', ['Saint Helena', 'St. Helena, Ascension and Tristan da Cunha', 'Saint Helenian']],
+  ['SI', 'SVN', '705', 'Slovenia', 'Europe', 'Central Europe', ['Republic of Slovenia', 'Republika Slovenija', 'Slovene']],
+  ['SJ', 'SJM', '744', 'Svalbard and Jan Mayen', 'Europe', 'Northern Europe', ['Svalbard og Jan Mayen', 'Svalbard and Jan Mayen Islands']],
+  ['SK', 'SVK', '703', 'Slovakia', 'Europe', 'Central Europe', ['Slovak Republic', 'Slovak']],
+  ['SL', 'SLE', '694', 'Sierra Leone', 'Africa', 'Western Africa', ['Republic of Sierra Leone', 'Sierra Leonean']],
+  ['SM', 'SMR', '674', 'San Marino', 'Europe', 'Southern Europe', ['Most Serene Republic of San Marino', 'Republic of San Marino', 'Repubblica di San Marino', 'Sammarinese']],
+  ['SN', 'SEN', '686', 'Senegal', 'Africa', 'Western Africa', ['Republic of Senegal', 'Senegalese']],
+  ['SO', 'SOM', '706', 'Somalia', 'Africa', 'Eastern Africa', ['Federal Republic of Somalia', 'Jamhuuriyadda Federaalka Soomaaliya', 'Somali']],
+  ['SR', 'SUR', '740', 'Suriname', 'Americas', 'South America', ['Republic of Suriname', 'Sarnam', 'Sranangron', 'Republiek Suriname', 'Surinamer']],
+  ['SS', 'SSD', '728', 'South Sudan', 'Africa', 'Middle Africa', ['Republic of South Sudan', 'South Sudanese']],
+  ['ST', 'STP', '678', 'São Tomé and Príncipe', 'Africa', 'Middle Africa', ['Sao Tome and Principe', 'Sao Tomean']],
+  ['SV', 'SLV', '222', 'El Salvador', 'Americas', 'Central America', ['Republic of El Salvador', 'Salvadoran']],
+  ['SX', 'SXM', '534', 'Sint Maarten', 'Americas', 'Caribbean', ['Sint Maarten (Dutch part)', 'St. Maartener']],
+  ['SY', 'SYR', '760', 'Syria', 'Asia', 'Western Asia', ['Syrian Arab Republic', 'Syrian']],
+  ['SZ', 'SWZ', '748', 'Eswatini', 'Africa', 'Southern Africa', ['Kingdom of Eswatini', 'Swaziland', 'weSwatini', 'Swatini', 'Ngwane', 'Umbuso weSwatini', 'Swazi']],
+  ['TC', 'TCA', '796', 'Turks and Caicos Islands', 'Americas', 'Caribbean', ['Turks and Caicos Islander']],
+  ['TD', 'TCD', '148', 'Chad', 'Africa', 'Middle Africa', ['Republic of Chad', 'Tchad', 'Chadian']],
+  ['TF', 'ATF', '260', 'French Southern and Antarctic Lands', 'Antarctic', '', ['Territory of the French Southern and Antarctic Lands', 'French Southern Territories']],
+  ['TG', 'TGO', '768', 'Togo', 'Africa', 'Western Africa', ['Togolese Republic', 'Togolese']],
+  ['TH', 'THA', '764', 'Thailand', 'Asia', 'South-Eastern Asia', ['Kingdom of Thailand', 'Prathet', 'Thai', 'Ratcha Anachak Thai']],
+  ['TJ', 'TJK', '762', 'Tajikistan', 'Asia', 'Central Asia', ['Republic of Tajikistan', 'Tadzhik']],
+  ['TK', 'TKL', '772', 'Tokelau', 'Oceania', 'Polynesia', ['Tokelauan']],
+  ['TL', 'TLS', '626', 'Timor-Leste', 'Asia', 'South-Eastern Asia', ['Democratic Republic of Timor-Leste', 'East Timor', 'Timor', 'Timor Lorosae', 'East Timorese']],
+  ['TM', 'TKM', '795', 'Turkmenistan', 'Asia', 'Central Asia', ['Turkmen']],
+  ['TN', 'TUN', '788', 'Tunisia', 'Africa', 'Northern Africa', ['Tunisian Republic', 'Republic of Tunisia', 'Tunisian']],
+  ['TO', 'TON', '776', 'Tonga', 'Oceania', 'Polynesia', ['Kingdom of Tonga', 'Tongan']],
+  ['TR', 'TUR', '792', 'Türkiye', 'Asia', 'Western Asia', ['Turkiye', 'Republic of Turkey', 'Turkish']],
+  ['TT', 'TTO', '780', 'Trinidad and Tobago', 'Americas', 'Caribbean', ['Republic of Trinidad and Tobago', 'Trinidadian']],
+  ['TV', 'TUV', '798', 'Tuvalu', 'Oceania', 'Polynesia', ['Tuvaluan']],
+  ['TW', 'TWN', '158', 'Taiwan', 'Asia', 'Eastern Asia', ['Republic of China (Taiwan)', 'Republic of China', 'Chinese Taipei', 'Taiwanese']],
+  ['TZ', 'TZA', '834', 'Tanzania', 'Africa', 'Eastern Africa', ['United Republic of Tanzania', 'Tanzania, United Republic of', 'Jamhuri ya Muungano wa Tanzania', 'Tanzanian']],
+  ['UA', 'UKR', '804', 'Ukraine', 'Europe', 'Eastern Europe', ['Ukrayina', 'Ukrainian']],
+  ['UG', 'UGA', '800', 'Uganda', 'Africa', 'Eastern Africa', ['Republic of Uganda', 'Jamhuri ya Uganda', 'Ugandan']],
+  ['UM', 'UMI', '581', 'United States Minor Outlying Islands', 'Americas', 'North America', ['American Islander']],
+  ['US', 'USA', '840', 'United States', 'Americas', 'North America', ['United States of America', 'American']],
+  ['UY', 'URY', '858', 'Uruguay', 'Americas', 'South America', ['Oriental Republic of Uruguay', 'Uruguayan']],
+  ['UZ', 'UZB', '860', 'Uzbekistan', 'Asia', 'Central Asia', ['Republic of Uzbekistan', 'Uzbekistani']],
+  ['VA', 'VAT', '336', 'Vatican City', 'Europe', 'Southern Europe', ['Vatican City State', 'Holy See (Vatican City State)', 'Vatican']],
+  ['VC', 'VCT', '670', 'Saint Vincent and the Grenadines', 'Americas', 'Caribbean', ['Saint Vincentian']],
+  ['VE', 'VEN', '862', 'Venezuela', 'Americas', 'South America', ['Bolivarian Republic of Venezuela', 'Venezuela, Bolivarian Republic of', 'Venezuelan']],
+  ['VG', 'VGB', '092', 'British Virgin Islands', 'Americas', 'Caribbean', ['Virgin Islands', 'Virgin Islands, British', 'Virgin Islander']],
+  ['VI', 'VIR', '850', 'United States Virgin Islands', 'Americas', 'Caribbean', ['Virgin Islands of the United States', 'Virgin Islands, U.S.', 'Virgin Islander']],
+  ['VN', 'VNM', '704', 'Vietnam', 'Asia', 'South-Eastern Asia', ['Socialist Republic of Vietnam', 'Viet Nam', 'Vietnamese']],
+  ['VU', 'VUT', '548', 'Vanuatu', 'Oceania', 'Melanesia', ['Republic of Vanuatu', 'Ripablik blong Vanuatu', 'Ni-Vanuatu']],
+  ['WF', 'WLF', '876', 'Wallis and Futuna', 'Oceania', 'Polynesia', ['Territory of the Wallis and Futuna Islands', 'Wallis and Futuna Islander']],
+  ['WS', 'WSM', '882', 'Samoa', 'Oceania', 'Polynesia', ['Independent State of Samoa', 'Samoan']],
+  ['XK', 'UNK', '', 'Kosovo', 'Europe', 'Southeast Europe', ['Republic of Kosovo', 'Kosovar']],
+  ['YE', 'YEM', '887', 'Yemen', 'Asia', 'Western Asia', ['Republic of Yemen', 'Yemeni Republic', 'Yemeni']],
+  ['YT', 'MYT', '175', 'Mayotte', 'Africa', 'Eastern Africa', ['Department of Mayotte', 'Mahoran']],
+  ['ZA', 'ZAF', '710', 'South Africa', 'Africa', 'Southern Africa', ['Republic of South Africa', 'Suid-Afrika', 'South African']],
+  ['ZM', 'ZMB', '894', 'Zambia', 'Africa', 'Eastern Africa', ['Republic of Zambia', 'Zambian']],
+  ['ZW', 'ZWE', '716', 'Zimbabwe', 'Africa', 'Eastern Africa', ['Republic of Zimbabwe', 'Zimbabwean']]
+];
@@ -0,0 +1,168 @@
+// Minimal declarative schemas for the bundled datasets. A schema is a plain
+// object describing the expected shape; `validate` walks a value against it and
+// collects every mismatch with a JSONPath-like location.
+
+export const t = {
+  string: () => ({ kind: 'string' }),
+  number: () => ({ kind: 'number' }),
+  boolean: () => ({ kind: 'boolean' }),
+  oneOf: (...values) => ({ kind: 'enum', values }),
+  array: (of) => ({ kind: 'array', of }),
+  record: (of) => ({ kind: 'record', of }),
+  object: (fields) => ({ kind: 'object', fields }),
+  optional: (schema) => ({ ...schema, optional: true }),
+  any: () => ({ kind: 'any' }),
+};
+
+const MAX_ISSUES = 25;
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+function walk(value, schema, path, issues) {
+  if (issues.length >= MAX_ISSUES) return;
+  if (value === undefined || value === null) {
+    if (!schema.optional) issues.push({ path, message: `expected ${schema.kind}, got ${describe(value)}` });
+    return;
+  }
+
+  switch (schema.kind) {
+    case 'any':
+      return;
+    case 'string':
+      if (typeof value !== 'string') issues.push({ path, message: `expected string, got ${describe(value)}` });
+      return;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        issues.push({ path, message: `expected number, got ${describe(value)}` });
+      }
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') issues.push({ path, message: `expected boolean, got ${describe(value)}` });
+      return;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        issues.push({ path, message: `expected one of ${schema.values.join(', ')}, got "${value}"` });
+      }
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        issues.push({ path, message: `expected array, got ${describe(value)}` });
+        return;
+      }
+      value.forEach((item, i) => walk(item, schema.of, `${path}[${i}]`, issues));
+      return;
+    case 'record':
+      if (describe(value) !== 'object') {
+        issues.push({ path, message: `expected object, got ${describe(value)}` });
+        return;
+      }
+      Object.entries(value).forEach(([key, item]) => walk(item, schema.of, `${path}["${key}"]`, issues));
+      return;
+    case 'object':
+      if (describe(value) !== 'object') {
+        issues.push({ path, message: `expected object, got ${describe(value)}` });
+        return;
+      }
+      Object.entries(schema.fields).forEach(([key, field]) => walk(value[key], field, `${path}.${key}`, issues));
+      return;
+    default:
+      issues.push({ path, message: `unknown schema kind "${schema.kind}"` });
+  }
+}
+
+// Returns the list of issues (empty when the value matches)
+export function validate(value, schema) {
+  const issues = [];
+  walk(value, schema, '$', issues);
+  return issues;
+}
+
+// ---------------------------- Dataset Schemas ----------------------------
+const nodeType = t.oneOf('sponsor', 'actor', 'victim');
+
+export const networkSchema = t.object({
+  nodes: t.array(t.object({
+    id: t.string(),
+    type: t.optional(nodeType),
+    degree: t.optional(t.number()),
+  })),
+  links: t.array(t.object({
+    source: t.string(),
+    target: t.string(),
+    weight: t.optional(t.number()),
+    type: t.optional(t.string()),
+    years: t.optional(t.record(t.number())),
+    incidents: t.optional(t.array(t.any())),
+  })),
+});
+
+export const nodeDetailsSchema = t.record(t.object({
+  total_incidents: t.optional(t.number()),
+  targets: t.optional(t.record(t.number())),
+  sources: t.optional(t.record(t.number())),
+  actors: t.optional(t.record(t.number())),
+}));
+
+export const aliasesSchema = t.record(t.object({
+  type: t.optional(nodeType),
+  aliases: t.optional(t.array(t.string())),
+  patterns: t.optional(t.array(t.string())),
+}));
+
+export const timelineSchema = t.array(t.object({
+  sponsor: t.string(),
+  year: t.number(),
+  cumulative: t.number(),
+}));
+
+// TopoJSON world boundaries (world-atlas); only the parts the map reads
+export const worldAtlasSchema = t.object({
+  type: t.oneOf('Topology'),
+  arcs: t.array(t.any()),
+  objects: t.object({
+    countries: t.object({
+      geometries: t.array(t.object({
+        id: t.optional(t.string()),
+        properties: t.optional(t.object({ name: t.optional(t.string()) })),
+      })),
+    }),
+  }),
+});
+
+// Saved node positions (see src/lib/layouts.js)
+export const layoutSchema = t.object({
+  version: t.number(),
+  name: t.string(),
+  networkType: t.oneOf('sector', 'geo'),
+  savedAt: t.optional(t.string()),
+  nodes: t.record(t.object({
+    x: t.number(),
+    y: t.number(),
+    pinned: t.optional(t.boolean()),
+  })),
+});
+
+// Saved queries, query history and query collections (see src/lib/savedQueries.js)
+export const savedQuerySchema = t.object({
+  name: t.string(),
+  text: t.string(),
+  networkType: t.optional(t.oneOf('sector', 'geo')),
+  savedAt: t.optional(t.string()),
+});
+
+export const queryHistorySchema = t.object({
+  text: t.string(),
+  networkType: t.optional(t.oneOf('sector', 'geo')),
+  total: t.optional(t.number()),
+  ranAt: t.optional(t.string()),
+});
+
+export const queryCollectionSchema = t.object({
+  version: t.number(),
+  exportedAt: t.optional(t.string()),
+  queries: t.array(savedQuerySchema),
+});
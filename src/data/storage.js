@@ -0,0 +1,22 @@
+import { validate } from './schema';
+
+// Lists kept in localStorage (saved layouts, saved queries, query history).
+// Entries are checked against a schema from schema.js on every read, so an
+// entry written by an older version, or edited by hand, is skipped instead of
+// reaching the UI. Unreadable storage (private mode, quota, corrupt entry)
+// behaves as empty.
+
+export function readStoredList(key, schema) {
+  try {
+    const list = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(list) ? list.filter(entry => validate(entry, schema).length === 0) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Returns `list`, so callers can hand the stored state straight back
+export function writeStoredList(key, list) {
+  localStorage.setItem(key, JSON.stringify(list));
+  return list;
+}
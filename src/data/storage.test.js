@@ -0,0 +1,37 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { readStoredList, writeStoredList } from './storage';
+import { layoutSchema } from './schema';
+
+const layout = { version: 1, name: 'Briefing', networkType: 'geo', nodes: { China: { x: 1, y: 2 } } };
+
+describe('stored lists', () => {
+  let items;
+  beforeEach(() => {
+    items = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value)),
+    });
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('reads back what was written', () => {
+    expect(writeStoredList('layouts', [layout])).toEqual([layout]);
+    expect(readStoredList('layouts', layoutSchema)).toEqual([layout]);
+  });
+
+  it('skips entries that do not match the schema', () => {
+    items.set('layouts', JSON.stringify([layout, { ...layout, networkType: 'moon' }, { name: 'no nodes' }]));
+    expect(readStoredList('layouts', layoutSchema)).toEqual([layout]);
+  });
+
+  it('reads missing, corrupt or unreadable storage as empty', () => {
+    expect(readStoredList('layouts', layoutSchema)).toEqual([]);
+    items.set('layouts', '{not json');
+    expect(readStoredList('layouts', layoutSchema)).toEqual([]);
+    items.set('layouts', JSON.stringify({ not: 'a list' }));
+    expect(readStoredList('layouts', layoutSchema)).toEqual([]);
+    vi.stubGlobal('localStorage', { getItem: () => { throw new Error('SecurityError'); } });
+    expect(readStoredList('layouts', layoutSchema)).toEqual([]);
+  });
+});
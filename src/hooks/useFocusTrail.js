@@ -0,0 +1,59 @@
+import { useEffect, useMemo, useState } from 'react';
+import { egoNetwork } from '../lib/graphFilters';
+
+// Focus mode: the graph holds only the neighbourhood of a trail of focused
+// entities, { steps: [{ id, hops }], saved } where `saved` is whatever
+// `capture()` returned on entering (the full graph's view to return to).
+//
+//   const trail = useFocusTrail(data, filtered, { enabled, capture, onRefocus, onLeave });
+//   trail.visible   `network` cut down to the trail while enabled, else `network`
+//
+// `onRefocus()` runs whenever the neighbourhood changes and `onLeave(saved)`
+// when the trail is left. A new `data` drops the trail.
+export default function useFocusTrail(data, network, { enabled, capture, onRefocus, onLeave }) {
+  const [focus, setFocus] = useState(null);
+  const [focusHops, setFocusHops] = useState(1);
+
+  useEffect(() => {
+    setFocus(null);
+  }, [data]);
+
+  const focused = enabled && focus;
+  const visible = useMemo(
+    () => focused ? egoNetwork(network, focused.steps) : network,
+    [network, focused]
+  );
+
+  const focusOn = (node) => {
+    const steps = [{ id: node.id, hops: focusHops }];
+    onRefocus();
+    setFocus(prev => prev ? { ...prev, steps } : { steps, saved: capture() });
+  };
+
+  // Adds a peripheral node's neighbours to the focused neighbourhood
+  const expandFocus = (node) => {
+    if (!focus || focus.steps.some(step => step.id === node.id)) return;
+    onRefocus();
+    setFocus({ ...focus, steps: [...focus.steps, { id: node.id, hops: 1 }] });
+  };
+
+  const backToStep = (index) => {
+    onRefocus();
+    setFocus({ ...focus, steps: focus.steps.slice(0, index + 1) });
+  };
+
+  const changeFocusHops = (hops) => {
+    setFocusHops(hops);
+    if (!focus) return;
+    onRefocus();
+    setFocus({ ...focus, steps: [{ ...focus.steps[0], hops }, ...focus.steps.slice(1)] });
+  };
+
+  const leaveFocus = () => {
+    if (!focus) return;
+    onLeave(focus.saved);
+    setFocus(null);
+  };
+
+  return { focus, focused, visible, focusOn, expandFocus, backToStep, changeFocusHops, leaveFocus };
+}
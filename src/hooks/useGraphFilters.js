@@ -0,0 +1,50 @@
+import { useEffect, useMemo, useState } from 'react';
+import { filterNetworkByYears, getYearHistogram } from '../lib/timeRange';
+import { restrictToPath } from '../lib/sankeyData';
+import { EMPTY_FILTERS, filterNetwork } from '../lib/graphFilters';
+
+// What the graph keeps of a network, narrowed in turn by the year brush, the
+// flow view's path and the facets of the filter panel and legend:
+//
+//   yearFiltered  the years only (the flow view draws this)
+//   onPath        ... and the path (what the filter panel counts against)
+//   filtered      ... and the facets (what the graph lays out)
+//
+// A new network clears the years and path, and the sponsor facet, since a
+// sponsor of one network is rarely one of the next.
+export default function useGraphFilters(data) {
+  const [yearRange, setYearRange] = useState(null);
+  // Set from the flow view: the graph shows only the nodes and links of one path
+  const [pathFilter, setPathFilter] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [filtersOpen, setFiltersOpen] = useState(false);
+
+  useEffect(() => {
+    setYearRange(null);
+    setPathFilter(null);
+    setFilters(prev => prev.sphere ? { ...prev, sphere: null } : prev);
+  }, [data]);
+
+  const yearFiltered = useMemo(() => data && filterNetworkByYears(data, yearRange), [data, yearRange]);
+  const onPath = useMemo(
+    () => yearFiltered && pathFilter ? restrictToPath(yearFiltered, pathFilter) : yearFiltered,
+    [yearFiltered, pathFilter]
+  );
+  const filtered = useMemo(() => onPath && filterNetwork(onPath, filters), [onPath, filters]);
+  const yearHistogram = useMemo(() => data ? getYearHistogram(data.links) : [], [data]);
+
+  // The legend's node types double as filter toggles
+  const toggleType = (type) => setFilters(prev => ({
+    ...prev,
+    hiddenTypes: prev.hiddenTypes.includes(type) ? prev.hiddenTypes.filter(t => t !== type) : [...prev.hiddenTypes, type],
+  }));
+
+  return {
+    yearRange, setYearRange,
+    pathFilter, setPathFilter,
+    filters, setFilters,
+    filtersOpen, setFiltersOpen,
+    yearFiltered, onPath, filtered, yearHistogram,
+    toggleType,
+  };
+}
@@ -0,0 +1,32 @@
+import { useCallback, useEffect, useState } from 'react';
+
+export const DEFAULT_ROUTE = '/network/sector';
+
+// "#/network/geo?q=china" -> { path: '/network/geo', segments: ['network', 'geo'], params: URLSearchParams }
+export function parseHash(hash) {
+  const raw = String(hash || '').replace(/^#/, '');
+  const [pathPart, queryPart = ''] = raw.split('?');
+  const path = pathPart && pathPart !== '/' ? pathPart : DEFAULT_ROUTE;
+  return {
+    path,
+    segments: path.split('/').filter(Boolean),
+    params: new URLSearchParams(queryPart)
+  };
+}
+
+export default function useHashRoute() {
+  const [route, setRoute] = useState(() => parseHash(window.location.hash));
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(parseHash(window.location.hash));
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const navigate = useCallback((to) => {
+    const next = to.startsWith('#') ? to : `#${to}`;
+    if (window.location.hash !== next) window.location.hash = next;
+  }, []);
+
+  return [route, navigate];
+}
@@ -0,0 +1,25 @@
+import { useEffect, useRef } from 'react';
+
+// Keeps the graph's emphasis in step with what a panel shows: `onHighlight`
+// receives `highlighted` whenever it changes, and null once it goes back to
+// null or the panel unmounts, but only if something was highlighted. The
+// latest callback is followed without re-highlighting when only it changes.
+export default function useHighlightSync(highlighted, onHighlight) {
+  const highlightRef = useRef(onHighlight);
+  highlightRef.current = onHighlight;
+  const highlightedRef = useRef(false);
+
+  useEffect(() => {
+    if (highlighted != null) {
+      highlightRef.current?.(highlighted);
+      highlightedRef.current = true;
+    } else if (highlightedRef.current) {
+      highlightRef.current?.(null);
+      highlightedRef.current = false;
+    }
+  }, [highlighted]);
+
+  useEffect(() => () => {
+    if (highlightedRef.current) highlightRef.current?.(null);
+  }, []);
+}
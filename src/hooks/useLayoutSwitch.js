@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react';
+
+// Re-heats a running layout when its mode settings (`graphLayout`, see
+// lib/layoutModes) or its forces change, so nodes travel to their new places.
+// `place(engine, network)` gives the nodes their targets and the engine its
+// forces first; `onModeChange(nodes)` runs when the mode settings were what
+// changed, e.g. to fit the view once the nodes are most of the way there.
+// `engineRef` and `networkRef` hold the layout engine and the network it runs.
+//
+// Call it after the effect that joins the network into the engine: when one
+// change does both, this re-heat is the one that sticks.
+export default function useLayoutSwitch(engineRef, networkRef, { graphLayout, forces, place, onModeChange }) {
+  const appliedRef = useRef({ graphLayout, forces });
+  const handlersRef = useRef({ place, onModeChange });
+  handlersRef.current = { place, onModeChange };
+
+  useEffect(() => {
+    const applied = appliedRef.current;
+    if (applied.graphLayout === graphLayout && applied.forces === forces) return;
+    appliedRef.current = { graphLayout, forces };
+    const engine = engineRef.current;
+    const network = networkRef.current;
+    if (!engine || network.nodes.length === 0) return;
+    handlersRef.current.place(engine, network);
+    const moved = applied.graphLayout !== graphLayout;
+    engine.setGraph(network.nodes, network.links, moved ? 0.8 : 0.3);
+    if (moved) handlersRef.current.onModeChange(network.nodes);
+  }, [graphLayout, forces, engineRef, networkRef]);
+}
@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+
+// The link open in the edge inspector and the node or link under the pointer
+// (for the hover card, see HoverCard). Each join hands out fresh link objects,
+// so when `network` changes the inspector follows its link by `linkId`, or
+// closes when the link is gone, and the hover card is cleared.
+//
+// `hoveredRef` is the caller's ref to the hovered node or link itself, so
+// pointer moves over the same item can be told apart from moves onto a new
+// one without a render; it is cleared along with the card.
+export default function useLinkInspector(network, linkId, hoveredRef) {
+  const [selectedLink, setSelectedLink] = useState(null);
+  const [hover, setHover] = useState(null);
+
+  useEffect(() => {
+    hoveredRef.current = null;
+    setHover(null);
+    setSelectedLink(prev => prev && (network?.links.find(l => linkId(l) === linkId(prev)) || null));
+  }, [network, linkId, hoveredRef]);
+
+  return { selectedLink, setSelectedLink, hover, setHover };
+}
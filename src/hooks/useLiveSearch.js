@@ -0,0 +1,31 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+
+// The search box: its term and the first nodes of `network` whose ids contain
+// it. Whenever the term or the network changes and the term is not empty,
+// `onMatches(term, results)` runs with the lowercased term, so the caller can
+// emphasise the matches; the latest callback is used, whichever render passed it.
+export default function useLiveSearch(network, onMatches) {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const matchedIds = useMemo(() => new Set(searchResults.map(n => n.id)), [searchResults]);
+  const onMatchesRef = useRef(onMatches);
+  onMatchesRef.current = onMatches;
+
+  useEffect(() => {
+    if (!network || !searchTerm) {
+      setSearchResults([]);
+      return;
+    }
+    const term = searchTerm.toLowerCase();
+    const results = network.nodes.filter(n => n.id.toLowerCase().includes(term)).slice(0, 12);
+    setSearchResults(results);
+    onMatchesRef.current(term, results);
+  }, [searchTerm, network]);
+
+  const clearSearch = () => {
+    setSearchTerm('');
+    setSearchResults([]);
+  };
+
+  return { searchTerm, setSearchTerm, searchResults, matchedIds, clearSearch };
+}
@@ -0,0 +1,124 @@
+// Alias resolution for actor names.
+//
+// Dictionary format (public/aliases.json):
+//   {
+//     "<canonical name>": {
+//       "type": "actor",                              // optional; node type the entry applies to
+//       "aliases": ["Fancy Bear", "Sofacy"],          // exact names, ignoring case, spacing and punctuation
+//       "patterns": ["^also known as pawn storm"]     // case-insensitive regular expressions
+//     }
+//   }
+// Exact aliases win over patterns; among patterns the first entry in the file wins.
+
+const DEFAULT_TYPE = 'actor';
+
+export const aliasKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '');
+const cleanText = (name) => String(name).replace(/\s+/g, ' ').trim();
+const endpointId = (end) => typeof end === 'object' ? end.id : end;
+
+export function createAliasResolver(dictionary) {
+  const exact = new Map();
+  const patterns = [];
+  const invalidPatterns = [];
+
+  Object.entries(dictionary || {}).forEach(([canonical, entry]) => {
+    const type = entry?.type || DEFAULT_TYPE;
+    [canonical, ...(entry?.aliases || [])].forEach(alias => {
+      const key = `${type}:${aliasKey(alias)}`;
+      if (!exact.has(key)) exact.set(key, canonical);
+    });
+    (entry?.patterns || []).forEach(source => {
+      try {
+        patterns.push({ canonical, type, re: new RegExp(source, 'i') });
+      } catch {
+        invalidPatterns.push({ canonical, pattern: source });
+      }
+    });
+  });
+
+  const resolve = (id, type = DEFAULT_TYPE) => {
+    const hit = exact.get(`${type}:${aliasKey(id)}`);
+    if (hit) return hit;
+    const text = cleanText(id);
+    const match = patterns.find(p => p.type === type && p.re.test(text));
+    return match ? match.canonical : null;
+  };
+
+  return { resolve, invalidPatterns };
+}
+
+const mergeYears = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  const out = { ...a };
+  Object.entries(b).forEach(([year, count]) => { out[year] = (out[year] || 0) + count; });
+  return out;
+};
+
+// Merges nodes that resolve to the same canonical name and combines their
+// parallel edges (weights, per-year counts and incident lists are summed).
+// Merged nodes carry `aliases`: the raw ids folded into them. Pure.
+// With `acrossTypes`, nodes of different types may merge (roles are re-derived
+// from edges by normalizeNetwork afterwards).
+export function canonicalizeNetwork(network, resolver, { acrossTypes = false } = {}) {
+  const nodes = network.nodes || [];
+  const rawIds = new Set(nodes.map(n => n.id));
+  const typeOf = new Map(nodes.map(n => [n.id, n.type || DEFAULT_TYPE]));
+
+  // A canonical name that is already the id of a node of another type would
+  // collide; those merges are skipped.
+  const idMap = new Map();
+  nodes.forEach(n => {
+    const type = n.type || DEFAULT_TYPE;
+    const canonical = resolver.resolve(n.id, type);
+    if (!canonical || canonical === n.id) return;
+    if (!acrossTypes && rawIds.has(canonical) && typeOf.get(canonical) !== type) return;
+    idMap.set(n.id, canonical);
+  });
+  const mapId = (id) => idMap.get(id) ?? id;
+
+  const merged = new Map();
+  nodes.forEach(n => {
+    const id = mapId(n.id);
+    const existing = merged.get(id);
+    if (!existing) {
+      merged.set(id, { ...n, id, members: [n.id] });
+    } else {
+      existing.members.push(n.id);
+    }
+  });
+
+  const linksByKey = new Map();
+  let selfLoopsDropped = 0;
+  (network.links || []).forEach(l => {
+    const source = mapId(endpointId(l.source));
+    const target = mapId(endpointId(l.target));
+    if (source === target && idMap.has(endpointId(l.source))) {
+      selfLoopsDropped += 1;
+      return;
+    }
+    const key = `${source}\u0000${target}\u0000${l.type || ''}`;
+    const existing = linksByKey.get(key);
+    if (!existing) {
+      linksByKey.set(key, { ...l, source, target });
+      return;
+    }
+    existing.weight = (existing.weight ?? 1) + (l.weight ?? 1);
+    const years = mergeYears(existing.years, l.years);
+    if (years) existing.years = years;
+    if (existing.incidents || l.incidents) existing.incidents = [...(existing.incidents || []), ...(l.incidents || [])];
+  });
+
+  const mergedNodes = [];
+  const report = { merged: [], selfLoopsDropped, invalidPatterns: resolver.invalidPatterns || [] };
+  merged.forEach(({ members, ...node }) => {
+    const aliases = members.filter(m => m !== node.id);
+    if (aliases.length > 0) {
+      node.aliases = aliases;
+      report.merged.push({ id: node.id, aliases });
+    }
+    mergedNodes.push(node);
+  });
+
+  return { nodes: mergedNodes, links: [...linksByKey.values()], report };
+}
@@ -0,0 +1,271 @@
+// Structural measures for an attribution network, computed over whatever the
+// graph currently shows (year filter and path filter applied):
+//
+//   degree        link count (as computed by normalizeNetwork)
+//   inWeight      incidents on incoming links
+//   outWeight     incidents on outgoing links
+//   betweenness   share of shortest paths through the node (undirected, normalized to 0–1)
+//   pagerank      PageRank along the attribution direction, weighted by incidents
+//   community     Louvain community index (0 = largest)
+//
+// Bridges are actors whose sponsors fall into different communities: they tie
+// together sponsor clusters that would otherwise stand apart.
+//
+//   const { nodes, communities, modularity, bridges } = analyzeNetwork(network);
+//   nodes.get(id).pagerank
+
+const endpointId = (end) => end && typeof end === 'object' ? end.id : end;
+
+export const METRICS = [
+  { key: 'degree', label: 'DEGREE', title: 'Number of links', format: v => String(v) },
+  { key: 'inWeight', label: 'WEIGHTED IN', title: 'Incidents on incoming links', format: v => String(v) },
+  { key: 'outWeight', label: 'WEIGHTED OUT', title: 'Incidents on outgoing links', format: v => String(v) },
+  { key: 'betweenness', label: 'BETWEENNESS', title: 'Share of shortest paths passing through the node', format: v => v.toFixed(3) },
+  { key: 'pagerank', label: 'PAGERANK', title: 'Importance passed along attribution links, weighted by incidents', format: v => v.toFixed(4) },
+];
+
+// Undirected weighted adjacency over node indices; parallel and opposite
+// links are merged and self-links ignored
+function undirectedAdjacency(index, links) {
+  const adjacency = Array.from({ length: index.size }, () => new Map());
+  links.forEach(l => {
+    const s = index.get(endpointId(l.source));
+    const t = index.get(endpointId(l.target));
+    if (s === undefined || t === undefined || s === t) return;
+    const w = l.weight ?? 1;
+    adjacency[s].set(t, (adjacency[s].get(t) || 0) + w);
+    adjacency[t].set(s, (adjacency[t].get(s) || 0) + w);
+  });
+  return adjacency;
+}
+
+// Brandes' algorithm on the unweighted, undirected graph
+function betweenness(adjacency) {
+  const n = adjacency.length;
+  const scores = new Float64Array(n);
+  const sigma = new Float64Array(n);
+  const distance = new Int32Array(n);
+  const delta = new Float64Array(n);
+
+  for (let s = 0; s < n; s += 1) {
+    const stack = [];
+    const predecessors = Array.from({ length: n }, () => []);
+    sigma.fill(0);
+    distance.fill(-1);
+    sigma[s] = 1;
+    distance[s] = 0;
+    const queue = [s];
+    for (let head = 0; head < queue.length; head += 1) {
+      const v = queue[head];
+      stack.push(v);
+      adjacency[v].forEach((_, w) => {
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue.push(w);
+        }
+        if (distance[w] === distance[v] + 1) {
+          sigma[w] += sigma[v];
+          predecessors[w].push(v);
+        }
+      });
+    }
+    delta.fill(0);
+    while (stack.length > 0) {
+      const w = stack.pop();
+      predecessors[w].forEach(v => { delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]); });
+      if (w !== s) scores[w] += delta[w];
+    }
+  }
+
+  // Each pair was counted from both ends
+  const pairs = ((n - 1) * (n - 2)) / 2;
+  return Array.from(scores, v => pairs > 0 ? v / 2 / pairs : 0);
+}
+
+function pagerank(index, links, { damping = 0.85, tolerance = 1e-9, maxIterations = 100 } = {}) {
+  const n = index.size;
+  if (n === 0) return [];
+  const outWeight = new Float64Array(n);
+  const edges = [];
+  links.forEach(l => {
+    const s = index.get(endpointId(l.source));
+    const t = index.get(endpointId(l.target));
+    if (s === undefined || t === undefined) return;
+    const w = l.weight ?? 1;
+    edges.push([s, t, w]);
+    outWeight[s] += w;
+  });
+
+  let rank = new Float64Array(n).fill(1 / n);
+  for (let i = 0; i < maxIterations; i += 1) {
+    // Rank held by nodes without outgoing links is spread evenly
+    let dangling = 0;
+    rank.forEach((r, v) => { if (outWeight[v] === 0) dangling += r; });
+    const next = new Float64Array(n).fill((1 - damping) / n + (damping * dangling) / n);
+    edges.forEach(([s, t, w]) => { next[t] += (damping * rank[s] * w) / outWeight[s]; });
+    let change = 0;
+    next.forEach((r, v) => { change += Math.abs(r - rank[v]); });
+    rank = next;
+    if (change < tolerance) break;
+  }
+  return Array.from(rank);
+}
+
+// Louvain modularity optimisation: nodes move to the neighbouring community
+// that raises modularity most, communities are then collapsed into single
+// nodes, and the two steps repeat until nothing moves. Self-loops hold twice
+// the weight inside a collapsed community, so degrees stay consistent.
+function louvain(adjacency) {
+  const n = adjacency.length;
+  let membership = Array.from({ length: n }, (_, i) => i);
+  let graph = adjacency.map(row => new Map(row));
+
+  for (;;) {
+    const size = graph.length;
+    const degree = graph.map(row => [...row.values()].reduce((a, b) => a + b, 0));
+    const total = degree.reduce((a, b) => a + b, 0);
+    if (total === 0) break;
+
+    const community = Array.from({ length: size }, (_, i) => i);
+    const communityDegree = [...degree];
+    let moved = false;
+    let improved = true;
+    // Capped in case rounding lets two moves undo each other forever
+    for (let pass = 0; improved && pass < 100; pass += 1) {
+      improved = false;
+      for (let v = 0; v < size; v += 1) {
+        const own = community[v];
+        const links = new Map();
+        graph[v].forEach((w, u) => {
+          if (u !== v) links.set(community[u], (links.get(community[u]) || 0) + w);
+        });
+        communityDegree[own] -= degree[v];
+        let best = own;
+        let bestGain = (links.get(own) || 0) - (communityDegree[own] * degree[v]) / total;
+        links.forEach((w, c) => {
+          const gain = w - (communityDegree[c] * degree[v]) / total;
+          if (gain > bestGain + 1e-12) {
+            best = c;
+            bestGain = gain;
+          }
+        });
+        communityDegree[best] += degree[v];
+        if (best !== own) {
+          community[v] = best;
+          improved = true;
+          moved = true;
+        }
+      }
+    }
+    if (!moved) break;
+
+    const renumber = new Map();
+    community.forEach(c => { if (!renumber.has(c)) renumber.set(c, renumber.size); });
+    membership = membership.map(v => renumber.get(community[v]));
+    const collapsed = Array.from({ length: renumber.size }, () => new Map());
+    graph.forEach((row, v) => {
+      const cv = renumber.get(community[v]);
+      row.forEach((w, u) => {
+        const cu = renumber.get(community[u]);
+        collapsed[cv].set(cu, (collapsed[cv].get(cu) || 0) + w);
+      });
+    });
+    graph = collapsed;
+  }
+  return membership;
+}
+
+function modularity(adjacency, membership) {
+  let total = 0;
+  let inside = 0;
+  const communityDegree = new Map();
+  adjacency.forEach((row, v) => {
+    row.forEach((w, u) => {
+      total += w;
+      if (membership[u] === membership[v]) inside += w;
+      communityDegree.set(membership[v], (communityDegree.get(membership[v]) || 0) + w);
+    });
+  });
+  if (total === 0) return 0;
+  let expected = 0;
+  communityDegree.forEach(d => { expected += (d / total) ** 2; });
+  return inside / total - expected;
+}
+
+// Returns { nodes: Map<id, metrics>, communities, modularity, bridges }.
+// `communities` is [{ index, size, sponsors, label }] from largest to smallest;
+// `bridges` is [{ id, communities, sponsors }] with the most communities first.
+export function analyzeNetwork(network) {
+  const nodes = network?.nodes || [];
+  const links = network?.links || [];
+  const index = new Map(nodes.map((n, i) => [n.id, i]));
+  const adjacency = undirectedAdjacency(index, links);
+
+  const inWeight = new Float64Array(nodes.length);
+  const outWeight = new Float64Array(nodes.length);
+  links.forEach(l => {
+    const s = index.get(endpointId(l.source));
+    const t = index.get(endpointId(l.target));
+    if (s === undefined || t === undefined) return;
+    outWeight[s] += l.weight ?? 1;
+    inWeight[t] += l.weight ?? 1;
+  });
+  const between = betweenness(adjacency);
+  const rank = pagerank(index, links);
+  const membership = louvain(adjacency);
+
+  // Community indices by size, so colours stay stable for the big ones
+  const members = new Map();
+  membership.forEach((c, v) => {
+    if (!members.has(c)) members.set(c, []);
+    members.get(c).push(nodes[v]);
+  });
+  const ordered = [...members.values()].sort((a, b) => b.length - a.length || a[0].id.localeCompare(b[0].id));
+  const communityOf = new Map();
+  const communities = ordered.map((group, i) => {
+    group.forEach(n => communityOf.set(n.id, i));
+    const sponsors = group.filter(n => n.type === 'sponsor').sort((a, b) => b.degree - a.degree).map(n => n.id);
+    const hub = [...group].sort((a, b) => b.degree - a.degree)[0];
+    return { index: i, size: group.length, sponsors, label: sponsors[0] || hub.id };
+  });
+
+  const byId = new Map(nodes.map((n, i) => [n.id, {
+    degree: n.degree ?? adjacency[i].size,
+    inWeight: inWeight[i],
+    outWeight: outWeight[i],
+    betweenness: between[i],
+    pagerank: rank[i],
+    community: communityOf.get(n.id),
+  }]));
+
+  const sponsorsOf = new Map();
+  links.forEach(l => {
+    const s = nodes[index.get(endpointId(l.source))];
+    const t = nodes[index.get(endpointId(l.target))];
+    if (!s || !t || s.type !== 'sponsor' || t.type !== 'actor') return;
+    if (!sponsorsOf.has(t.id)) sponsorsOf.set(t.id, new Set());
+    sponsorsOf.get(t.id).add(s.id);
+  });
+  const bridges = [];
+  sponsorsOf.forEach((sponsors, id) => {
+    const joined = [...new Set([...sponsors].map(s => communityOf.get(s)))].sort((a, b) => a - b);
+    if (joined.length > 1) bridges.push({ id, communities: joined, sponsors: [...sponsors] });
+  });
+  bridges.sort((a, b) => b.communities.length - a.communities.length || byId.get(b.id).betweenness - byId.get(a.id).betweenness);
+
+  return {
+    nodes: byId,
+    communities,
+    modularity: modularity(adjacency, membership),
+    bridges,
+  };
+}
+
+// Node ids ordered by a metric, highest first, optionally limited to one role
+export function rankNodes(network, analytics, metric, { type = null, limit = 15 } = {}) {
+  return (network?.nodes || [])
+    .filter(n => !type || n.type === type)
+    .map(n => ({ node: n, value: analytics.nodes.get(n.id)?.[metric] ?? 0 }))
+    .sort((a, b) => b.value - a.value || a.node.id.localeCompare(b.node.id))
+    .slice(0, limit);
+}
@@ -0,0 +1,244 @@
+// Builds the app's datasets from a table of incidents, so a user's own
+// spreadsheet can stand in for the bundled JSON files. Output matches the
+// bundled shapes (and schemas):
+//
+//   sector       { nodes, links }   sponsor → actor → sector
+//   geo          { nodes, links }   sponsor → actor → country
+//   nodeDetails  { [id]: { total_incidents, targets, sources, actors? } }
+//   timeline     [{ sponsor, year, cumulative }]
+//
+// Each row is one incident; `mapping` names the column holding each field
+// (see INCIDENT_FIELDS). Cells may list several values separated by ";", "|"
+// or new lines. An incident without an actor links its sponsors straight to
+// its targets (sponsor_to_victim), as in the bundled data.
+//
+// Runs in the browser (DatasetImporter) and in Node (scripts/build-data.js).
+
+import { validate, networkSchema, nodeDetailsSchema, timelineSchema } from '../data/schema.js';
+
+const splitCell = (value) => String(value ?? '')
+  .split(/[;|\n]/)
+  .map(v => v.trim())
+  .filter(Boolean);
+
+// "2014", "2014-03-02", "03/02/2014", 2014.0 → 2014
+export function parseYear(value) {
+  const match = String(value ?? '').match(/\b(19|20)\d{2}\b/);
+  return match ? Number(match[0]) : null;
+}
+
+function readIncident(row, mapping) {
+  const cell = (field) => mapping[field] ? splitCell(row[mapping[field]]) : [];
+  return {
+    sponsors: cell('sponsor'),
+    actors: cell('actor'),
+    victims: cell('victim'),
+    sectors: cell('sector'),
+    countries: cell('country'),
+    year: mapping.date ? parseYear(row[mapping.date]) : null,
+  };
+}
+
+function skipReason(incident) {
+  if (incident.sponsors.length === 0 && incident.actors.length === 0) return 'no sponsor or actor';
+  if (incident.victims.length + incident.sectors.length + incident.countries.length === 0) {
+    return 'no victim, sector or country';
+  }
+  return null;
+}
+
+const bump = (counts, key, by = 1) => { counts[key] = (counts[key] || 0) + by; };
+
+// Accumulates weighted, dated links and node roles for one network
+function createNetworkBuilder() {
+  const links = new Map();
+  const roles = new Map();
+
+  const addRole = (id, role) => {
+    if (!roles.has(id)) roles.set(id, new Set());
+    roles.get(id).add(role);
+  };
+  const addLink = (source, target, type, year) => {
+    if (source === target) return;
+    const key = `${source}\u0000${target}\u0000${type}`;
+    if (!links.has(key)) links.set(key, { source, target, type, weight: 0, years: {} });
+    const link = links.get(key);
+    link.weight += 1;
+    if (year != null) bump(link.years, year);
+  };
+
+  return {
+    addIncident({ sponsors, actors, year }, targets) {
+      sponsors.forEach(s => addRole(s, 'sponsor'));
+      actors.forEach(a => addRole(a, 'actor'));
+      targets.forEach(t => addRole(t, 'victim'));
+      sponsors.forEach(s => actors.forEach(a => addLink(s, a, 'sponsor_to_actor', year)));
+      if (actors.length > 0) {
+        actors.forEach(a => targets.forEach(t => addLink(a, t, 'actor_to_victim', year)));
+      } else {
+        sponsors.forEach(s => targets.forEach(t => addLink(s, t, 'sponsor_to_victim', year)));
+      }
+    },
+    build() {
+      const degree = new Map();
+      const linkList = [...links.values()].map(({ years, ...link }) => {
+        degree.set(link.source, (degree.get(link.source) || 0) + 1);
+        degree.set(link.target, (degree.get(link.target) || 0) + 1);
+        return Object.keys(years).length > 0 ? { ...link, years } : link;
+      });
+      // One type per node; normalizeNetwork splits sponsor-and-victim nodes later.
+      // Entities with no link in this network (e.g. no country given) are left out.
+      const nodes = [...roles.entries()].filter(([id]) => degree.has(id)).map(([id, r]) => ({
+        id,
+        degree: degree.get(id) || 0,
+        type: r.has('sponsor') ? 'sponsor' : r.has('actor') ? 'actor' : 'victim',
+      }));
+      return { nodes, links: linkList };
+    },
+  };
+}
+
+// `years` ([from, to]) widens the span beyond the dated incidents
+function buildTimeline(incidents, years) {
+  const perSponsor = new Map();
+  let minYear = Infinity;
+  let maxYear = -Infinity;
+  incidents.forEach(({ sponsors, year }) => {
+    if (year == null) return;
+    minYear = Math.min(minYear, year);
+    maxYear = Math.max(maxYear, year);
+    sponsors.forEach(s => {
+      if (!perSponsor.has(s)) perSponsor.set(s, {});
+      bump(perSponsor.get(s), year);
+    });
+  });
+  if (!Number.isFinite(minYear)) return [];
+  if (years) {
+    minYear = Math.min(minYear, years[0]);
+    maxYear = Math.max(maxYear, years[1]);
+  }
+
+  const timeline = [];
+  perSponsor.forEach((counts, sponsor) => {
+    let cumulative = 0;
+    for (let year = minYear; year <= maxYear; year += 1) {
+      cumulative += counts[year] || 0;
+      timeline.push({ sponsor, year, cumulative });
+    }
+  });
+  return timeline;
+}
+
+// Returns { datasets: { sector, geo, nodeDetails, timeline }, report }. The
+// report lists the first skipped rows (1-based) with the reason.
+export function buildDatasets(rows, mapping, { timelineYears = null } = {}) {
+  const sector = createNetworkBuilder();
+  const geo = createNetworkBuilder();
+  const details = new Map();
+  const incidents = [];
+  const skipped = [];
+
+  const detailsFor = (id) => {
+    if (!details.has(id)) details.set(id, { total_incidents: 0, targets: {}, sources: {} });
+    return details.get(id);
+  };
+
+  rows.forEach((row, index) => {
+    const incident = readIncident(row, mapping);
+    const reason = skipReason(incident);
+    if (reason) {
+      skipped.push({ row: index + 1, reason });
+      return;
+    }
+    incidents.push(incident);
+
+    const { sponsors, actors, victims, sectors, countries } = incident;
+    // Sector network targets fall back to named victims when no sector is given
+    sector.addIncident(incident, sectors.length > 0 ? sectors : victims);
+    geo.addIncident(incident, countries);
+
+    const targets = [...new Set([...sectors, ...countries, ...victims])];
+    const upstream = actors.length > 0 ? actors : sponsors;
+    new Set([...sponsors, ...actors, ...targets]).forEach(id => { detailsFor(id).total_incidents += 1; });
+    sponsors.forEach(s => (actors.length > 0 ? actors : targets).forEach(d => bump(detailsFor(s).targets, d)));
+    actors.forEach(a => {
+      sponsors.forEach(s => bump(detailsFor(a).sources, s));
+      targets.forEach(t => bump(detailsFor(a).targets, t));
+    });
+    targets.forEach(t => {
+      const entry = detailsFor(t);
+      upstream.forEach(u => bump(entry.sources, u));
+      if (actors.length > 0) {
+        entry.actors = entry.actors || {};
+        actors.forEach(a => bump(entry.actors, a));
+      }
+    });
+  });
+
+  const datasets = {
+    sector: sector.build(),
+    geo: geo.build(),
+    nodeDetails: Object.fromEntries(details),
+    timeline: buildTimeline(incidents, timelineYears),
+  };
+  const years = incidents.map(i => i.year).filter(y => y != null);
+
+  return {
+    datasets,
+    report: {
+      rows: rows.length,
+      incidents: incidents.length,
+      skipped: skipped.length,
+      skippedRows: skipped.slice(0, 20),
+      undated: incidents.length - years.length,
+      years: years.length > 0 ? years.reduce(([lo, hi], y) => [Math.min(lo, y), Math.max(hi, y)], [Infinity, -Infinity]) : null,
+      sector: { nodes: datasets.sector.nodes.length, links: datasets.sector.links.length },
+      geo: { nodes: datasets.geo.nodes.length, links: datasets.geo.links.length },
+    },
+  };
+}
+
+// ---------------------------- Checks ----------------------------
+
+const SCHEMAS = { sector: networkSchema, geo: networkSchema, nodeDetails: nodeDetailsSchema, timeline: timelineSchema };
+
+// Problems that would make the datasets disagree with each other or with the
+// app's schemas: [{ dataset, message }], empty when consistent
+export function checkDatasets(datasets) {
+  const problems = [];
+  const report = (dataset, message) => problems.push({ dataset, message });
+
+  Object.entries(SCHEMAS).forEach(([name, schema]) => {
+    validate(datasets[name], schema).slice(0, 10).forEach(issue => report(name, `${issue.path} ${issue.message}`));
+  });
+  if (problems.length > 0) return problems;
+
+  ['sector', 'geo'].forEach(name => {
+    const { nodes, links } = datasets[name];
+    const ids = new Set(nodes.map(n => n.id));
+    if (ids.size !== nodes.length) report(name, `${nodes.length - ids.size} duplicate node ids`);
+    const degree = new Map();
+    links.forEach(l => {
+      [l.source, l.target].forEach(id => {
+        if (!ids.has(id)) report(name, `link endpoint "${id}" is not a node`);
+        degree.set(id, (degree.get(id) || 0) + 1);
+      });
+    });
+    const wrongDegree = nodes.filter(n => n.degree !== (degree.get(n.id) || 0));
+    if (wrongDegree.length > 0) report(name, `${wrongDegree.length} nodes have a degree that does not match their links`);
+    const undetailed = nodes.filter(n => !datasets.nodeDetails[n.id]);
+    if (undetailed.length > 0) {
+      report('nodeDetails', `${undetailed.length} ${name} nodes have no details (e.g. "${undetailed[0].id}")`);
+    }
+  });
+
+  const last = new Map();
+  datasets.timeline.forEach(({ sponsor, year, cumulative }) => {
+    const prev = last.get(sponsor);
+    if (prev && (year !== prev.year + 1 || cumulative < prev.cumulative)) {
+      report('timeline', `${sponsor}: ${year} does not continue ${prev.year}`);
+    }
+    last.set(sponsor, { year, cumulative });
+  });
+  return problems;
+}
@@ -0,0 +1,71 @@
+import * as d3 from 'd3';
+
+// Pointer handling for NetworkGraph's canvas renderer: drag to move nodes,
+// zoom, and click, double-click and hover on whatever the renderer hit-tests
+// under the pointer. Listeners go in the '.drag', '.zoom' and '.graph'
+// namespaces, so the caller removes them with
+// `surface.on('.zoom', null).on('.drag', null).on('.graph', null)`.
+//
+//   bindCanvasEvents(d3.select(canvas), { renderer, engine, zoom, keepPinned, hovered,
+//     onNodeClick, onLinkClick, onNodeDoubleClick, onHover });
+//
+// `keepPinned()` says whether dropped nodes stay put and `hovered()` returns
+// the node or link the hover card shows; `onHover(item, event)` gets
+// { node } or { link }, or null when the pointer leaves them.
+export function bindCanvasEvents(surface, {
+  renderer, engine, zoom, keepPinned, hovered, onNodeClick, onLinkClick, onNodeDoubleClick, onHover,
+}) {
+  const canvas = surface.node();
+
+  // The drag subject carries the node's screen position so d3.drag reports
+  // screen coordinates; they are mapped back through the zoom transform.
+  const toGraph = (event) => d3.zoomTransform(canvas).invert([event.x, event.y]);
+  const hitAt = (event) => {
+    const point = d3.pointer(event, canvas);
+    const node = renderer.nodeAt(...point);
+    return { node, link: node ? null : renderer.linkAt(...point) };
+  };
+
+  surface
+    .call(d3.drag()
+      .subject((event) => {
+        const node = renderer.nodeAt(event.x, event.y);
+        if (!node) return null;
+        const t = d3.zoomTransform(canvas);
+        return { node, x: t.applyX(node.x), y: t.applyY(node.y) };
+      })
+      .on('start', () => onHover(null))
+      .on('start.pin drag', (event) => engine.pin(event.subject.node, ...toGraph(event)))
+      .on('end', (event) => {
+        engine.release(event.subject.node, { keepPinned: keepPinned() });
+        renderer.draw();
+      }))
+    .call(zoom)
+    .on('dblclick.zoom', null)
+    .on('click.graph', (event) => {
+      const { node, link } = hitAt(event);
+      if (node) onNodeClick(node, event);
+      else if (link) onLinkClick(link);
+    })
+    .on('dblclick.graph', (event) => {
+      const node = renderer.nodeAt(...d3.pointer(event, canvas));
+      if (node) onNodeDoubleClick(node);
+    })
+    .on('mousemove.graph', (event) => {
+      const { node, link } = hitAt(event);
+      canvas.style.cursor = node || link ? 'pointer' : '';
+      // Moves within the same node or link leave the frame as it is
+      if ((node || link) !== hovered()) {
+        renderer.setHovered(node);
+        renderer.setHoveredLink(link);
+        renderer.draw();
+      }
+      onHover(node ? { node } : link ? { link } : null, event);
+    })
+    .on('mouseleave.graph', () => {
+      renderer.setHovered(null);
+      renderer.setHoveredLink(null);
+      renderer.draw();
+      onHover(null);
+    });
+}
@@ -0,0 +1,322 @@
+import * as d3 from 'd3';
+import { createTextMeasure, placeLabels } from './labels';
+
+// Canvas drawing and hit-testing for NetworkGraph. Draws the same picture as
+// the SVG renderer (links with arrowheads, nodes, labels placed by lib/labels)
+// from the styles lib/graphStyles gives the current highlight state; styles
+// may also colour links (linkColor), ring nodes (nodeRing) and name the nodes
+// that are always labelled (labelled). Hit-testing uses a
+// quadtree over node positions; links are tested by their distance from the
+// point. The quadtree and the label placement are kept until the nodes move
+// (`moved()`, called on every layout tick), the graph or the view changes,
+// so redraws for hovering alone reuse them.
+//
+//   const renderer = createCanvasRenderer(canvas, { width, height });
+//   renderer.setGraph({ nodes, links, color, radius });
+//   renderer.setStyles(styles); renderer.setTransform(t); renderer.draw();
+//   renderer.moved()  after node positions change
+//   renderer.nodeAt(x, y), renderer.linkAt(x, y)
+//   renderer.toSVG()  the current frame as a detached <svg>, for export
+
+const LINK_COLOR = '#6F87A7';
+const NODE_STROKE = '#0C1117';
+const HOVER_STROKE = '#96A6B8';
+const PINNED_STROKE = '#D8E1EA';
+const LABEL_COLOR = '#D8E1EA';
+// Outline that keeps labels readable over links and other nodes
+const LABEL_HALO = '#0C1117';
+const RING_WIDTH = 3;
+// How far (in screen pixels) from a link a point still hits it
+const LINK_TOLERANCE = 4;
+
+export function createCanvasRenderer(canvas, { width, height }) {
+  const context = canvas.getContext('2d');
+  if (!context) return null;
+
+  const ratio = window.devicePixelRatio || 1;
+  const resize = (w, h) => {
+    width = w;
+    height = h;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    placed = null;
+  };
+
+  let graph = { nodes: [], links: [], color: () => '#9AA8B7', radius: () => 6 };
+  let styles = null;
+  let transform = d3.zoomIdentity;
+  let hovered = null;
+  let hoveredLink = null;
+  let quadtree = null;
+  let maxRadius = 0;
+  // Labels of the last placement, without the hovered node's
+  let placed = null;
+  resize(width, height);
+
+  const fontFamily = getComputedStyle(canvas).fontFamily;
+  const measure = createTextMeasure(fontFamily);
+  const TEXT_ALIGN = { start: 'left', middle: 'center', end: 'right' };
+  const place = (nodes, hoveredNode) => placeLabels(nodes, { transform, width, height, radius: graph.radius, styles, hovered: hoveredNode, measure });
+  // The hovered node's label is drawn in full, over the placed ones
+  const labels = () => {
+    if (!placed) placed = place(graph.nodes, null);
+    if (!hovered || hovered.x == null) return placed;
+    return [...placed.filter(label => label.node !== hovered), ...place([hovered], hovered)];
+  };
+
+  // Elements sharing a style are drawn as one path; with thousands of links
+  // this is what keeps a frame cheap
+  const bucket = (items, keyOf) => {
+    const groups = new Map();
+    items.forEach(item => {
+      const key = keyOf(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    return groups;
+  };
+  const round = (v) => Math.round(v * 20) / 20;
+  const linkColor = (l) => styles.linkColor?.(l) || LINK_COLOR;
+
+  const draw = () => {
+    const { nodes, links, color, radius } = graph;
+    // The canvas may have been set up while hidden; follow its CSS size once shown
+    if (canvas.clientWidth && (canvas.clientWidth !== width || canvas.clientHeight !== height)) {
+      resize(canvas.clientWidth, canvas.clientHeight);
+    }
+
+    context.save();
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.translate(transform.x, transform.y);
+    context.scale(transform.k, transform.k);
+
+    const placedLinks = links.filter(l => l.source.x != null && l.target.x != null);
+    bucket(placedLinks, l => `${round(styles.linkOpacity(l))}|${round(styles.linkWidth(l))}|${linkColor(l)}`).forEach((group, key) => {
+      const [alpha, lineWidth, stroke] = key.split('|');
+      context.globalAlpha = Number(alpha);
+      context.lineWidth = Number(lineWidth);
+      context.strokeStyle = stroke;
+      context.fillStyle = stroke;
+      context.beginPath();
+      group.forEach(({ source: s, target: t }) => {
+        context.moveTo(s.x, s.y);
+        context.lineTo(t.x, t.y);
+      });
+      context.stroke();
+
+      // Arrowheads stop at the target's rim, like the SVG marker
+      context.beginPath();
+      group.forEach(({ source: s, target: t }) => {
+        const angle = Math.atan2(t.y - s.y, t.x - s.x);
+        const tipX = t.x - Math.cos(angle) * (radius(t) + 2);
+        const tipY = t.y - Math.sin(angle) * (radius(t) + 2);
+        context.moveTo(tipX, tipY);
+        context.lineTo(tipX - Math.cos(angle - 0.5) * 6, tipY - Math.sin(angle - 0.5) * 6);
+        context.lineTo(tipX - Math.cos(angle + 0.5) * 6, tipY - Math.sin(angle + 0.5) * 6);
+        context.closePath();
+      });
+      context.fill();
+    });
+
+    if (hoveredLink && hoveredLink.source.x != null && hoveredLink.target.x != null) {
+      context.globalAlpha = 1;
+      context.strokeStyle = HOVER_STROKE;
+      context.lineWidth = Math.max(2, styles.linkWidth(hoveredLink) + 1.5);
+      context.beginPath();
+      context.moveTo(hoveredLink.source.x, hoveredLink.source.y);
+      context.lineTo(hoveredLink.target.x, hoveredLink.target.y);
+      context.stroke();
+    }
+
+    const placedNodes = nodes.filter(n => n.x != null);
+    context.lineWidth = 2;
+    bucket(placedNodes, n => `${round(styles.nodeOpacity(n))}|${color(n)}|${n.fx != null}`).forEach((group, key) => {
+      const [alpha, fill, pinned] = key.split('|');
+      context.globalAlpha = Number(alpha);
+      context.fillStyle = fill;
+      context.strokeStyle = pinned === 'true' ? PINNED_STROKE : NODE_STROKE;
+      context.beginPath();
+      group.forEach(n => {
+        context.moveTo(n.x + radius(n), n.y);
+        context.arc(n.x, n.y, radius(n), 0, Math.PI * 2);
+      });
+      context.fill();
+      context.stroke();
+    });
+
+    if (styles.nodeRing) {
+      context.lineWidth = RING_WIDTH;
+      bucket(placedNodes.filter(n => styles.nodeRing(n)), n => `${round(styles.nodeOpacity(n))}|${styles.nodeRing(n)}`).forEach((group, key) => {
+        const [alpha, ring] = key.split('|');
+        context.globalAlpha = Number(alpha);
+        context.strokeStyle = ring;
+        context.beginPath();
+        group.forEach(n => {
+          context.moveTo(n.x + radius(n) + RING_WIDTH, n.y);
+          context.arc(n.x, n.y, radius(n) + RING_WIDTH, 0, Math.PI * 2);
+        });
+        context.stroke();
+      });
+    }
+
+    if (hovered && hovered.x != null) {
+      context.globalAlpha = styles.nodeOpacity(hovered);
+      context.strokeStyle = HOVER_STROKE;
+      context.lineWidth = 3;
+      context.beginPath();
+      context.arc(hovered.x, hovered.y, radius(hovered), 0, Math.PI * 2);
+      context.stroke();
+    }
+
+    // Labels keep their size whatever the zoom, so they are drawn in screen space
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.fillStyle = LABEL_COLOR;
+    context.strokeStyle = LABEL_HALO;
+    context.lineWidth = 3;
+    context.lineJoin = 'round';
+    labels().forEach(label => {
+      context.globalAlpha = styles.labelOpacity(label.node);
+      context.font = `650 ${label.size}px ${fontFamily}`;
+      context.textAlign = TEXT_ALIGN[label.anchor];
+      context.strokeText(label.text, label.x, label.y);
+      context.fillText(label.text, label.x, label.y);
+    });
+
+    context.restore();
+  };
+
+  // The frame draw() would paint, as SVG elements with inline presentation
+  // attributes (exports need vectors, not pixels)
+  const toSVG = () => {
+    const { nodes, links, color, radius } = graph;
+    const svg = d3.create('svg').attr('width', width).attr('height', height);
+    const g = svg.append('g').attr('transform', transform.toString());
+
+    const placedLinks = links.filter(l => l.source.x != null && l.target.x != null);
+    const link = g.append('g').selectAll('g')
+      .data(placedLinks)
+      .join('g')
+      .attr('opacity', styles.linkOpacity);
+    link.append('line')
+      .attr('x1', l => l.source.x).attr('y1', l => l.source.y)
+      .attr('x2', l => l.target.x).attr('y2', l => l.target.y)
+      .attr('stroke', linkColor)
+      .attr('stroke-width', styles.linkWidth);
+    link.append('path')
+      .attr('fill', linkColor)
+      .attr('d', ({ source: s, target: t }) => {
+        const angle = Math.atan2(t.y - s.y, t.x - s.x);
+        const tipX = t.x - Math.cos(angle) * (radius(t) + 2);
+        const tipY = t.y - Math.sin(angle) * (radius(t) + 2);
+        return `M${tipX},${tipY}`
+          + `L${tipX - Math.cos(angle - 0.5) * 6},${tipY - Math.sin(angle - 0.5) * 6}`
+          + `L${tipX - Math.cos(angle + 0.5) * 6},${tipY - Math.sin(angle + 0.5) * 6}Z`;
+      });
+
+    g.append('g').selectAll('circle')
+      .data(nodes.filter(n => n.x != null))
+      .join('circle')
+      .attr('cx', n => n.x).attr('cy', n => n.y)
+      .attr('r', radius)
+      .attr('fill', color)
+      .attr('stroke', n => n.fx != null ? PINNED_STROKE : NODE_STROKE)
+      .attr('stroke-width', 2)
+      .attr('opacity', styles.nodeOpacity);
+
+    if (styles.nodeRing) {
+      g.append('g').selectAll('circle')
+        .data(nodes.filter(n => n.x != null && styles.nodeRing(n)))
+        .join('circle')
+        .attr('cx', n => n.x).attr('cy', n => n.y)
+        .attr('r', n => radius(n) + RING_WIDTH)
+        .attr('fill', 'none')
+        .attr('stroke', styles.nodeRing)
+        .attr('stroke-width', RING_WIDTH)
+        .attr('opacity', styles.nodeOpacity);
+    }
+
+    svg.append('g').selectAll('text')
+      .data(labels())
+      .join('text')
+      .attr('x', label => label.x)
+      .attr('y', label => label.y)
+      .attr('text-anchor', label => label.anchor)
+      .attr('fill', LABEL_COLOR)
+      .attr('stroke', LABEL_HALO)
+      .attr('stroke-width', 3)
+      .attr('stroke-linejoin', 'round')
+      .attr('paint-order', 'stroke')
+      .attr('font-family', fontFamily)
+      .attr('font-weight', 650)
+      .attr('font-size', label => label.size)
+      .attr('opacity', label => styles.labelOpacity(label.node))
+      .text(label => label.text);
+
+    return svg.node();
+  };
+
+  // Node under a point in canvas (CSS pixel) coordinates, or null
+  const nodeAt = (px, py) => {
+    const [x, y] = transform.invert([px, py]);
+    if (!quadtree) {
+      const placed = graph.nodes.filter(n => n.x != null);
+      quadtree = d3.quadtree(placed, n => n.x, n => n.y);
+      maxRadius = d3.max(placed, graph.radius) || 0;
+    }
+
+    let found = null;
+    let best = Infinity;
+    quadtree.visit((quad, x0, y0, x1, y1) => {
+      if (!quad.length) {
+        let leaf = quad;
+        do {
+          const n = leaf.data;
+          const d = Math.hypot(n.x - x, n.y - y);
+          if (d <= graph.radius(n) && d < best) {
+            best = d;
+            found = n;
+          }
+        } while ((leaf = leaf.next));
+      }
+      return x0 > x + maxRadius || x1 < x - maxRadius || y0 > y + maxRadius || y1 < y - maxRadius;
+    });
+    return found;
+  };
+
+  // Link nearest a point in canvas coordinates, within a few pixels of its
+  // line (or of its drawn width), or null
+  const linkAt = (px, py) => {
+    const [x, y] = transform.invert([px, py]);
+    let found = null;
+    let best = Infinity;
+    graph.links.forEach(l => {
+      const { source: s, target: t } = l;
+      if (s.x == null || t.x == null) return;
+      const dx = t.x - s.x;
+      const dy = t.y - s.y;
+      const length = dx * dx + dy * dy;
+      const along = length ? Math.max(0, Math.min(1, ((x - s.x) * dx + (y - s.y) * dy) / length)) : 0;
+      const d = Math.hypot(s.x + along * dx - x, s.y + along * dy - y);
+      const reach = Math.max(LINK_TOLERANCE / transform.k, styles.linkWidth(l) / 2);
+      if (d <= reach && d < best) {
+        best = d;
+        found = l;
+      }
+    });
+    return found;
+  };
+
+  return {
+    setGraph(next) { graph = next; quadtree = null; placed = null; hoveredLink = null; },
+    setStyles(next) { styles = next; placed = null; },
+    setTransform(next) { transform = next; quadtree = null; placed = null; },
+    moved() { quadtree = null; placed = null; },
+    setHovered(node) { hovered = node; },
+    setHoveredLink(link) { hoveredLink = link; },
+    nodeAt,
+    linkAt,
+    draw,
+    toSVG,
+  };
+}
@@ -0,0 +1,146 @@
+// Side-by-side profiles of two or more entities of one type in a network as
+// the graph shows it. Sponsors and actors are compared on the targets they
+// hit, targets on the actors that hit them; each also brings a set of related
+// entities whose overlap is shown (sponsors back actors, actors and targets
+// have sponsors).
+//
+//   const comparison = compareEntities(network, ['China', 'Russian Federation']);
+//   comparison.entities  [{ id, type, color, incidents, profileSize, setSize }]
+//   comparison.profile   [{ id, counts: [incidents per entity], total }], largest total first
+//   comparison.overlap   Venn regions of the profiles: [{ members: [entity index], ids }]
+//   comparison.sets      Venn regions of the related entity sets
+//   comparison.nodeOwners / linkOwners   id or linkKey → [entity index], for highlighting
+//
+// Sponsors reach targets directly or through the actors they back, and
+// targets get sponsors the same way; nothing further afield is counted.
+
+export const COMPARISON_COLORS = ['#F2B134', '#C77DFF', '#4DD0E1', '#FF8A65', '#AED581', '#F06292'];
+export const MAX_COMPARED = COMPARISON_COLORS.length;
+
+// What each type of entity is compared on
+export const COMPARISON_KINDS = {
+  sponsor: { profileLabel: 'TARGETS', setLabel: 'ACTORS BACKED' },
+  actor: { profileLabel: 'TARGETS', setLabel: 'SPONSORS' },
+  victim: { profileLabel: 'ATTACKED BY', setLabel: 'SPONSORS' },
+};
+
+const endpointId = (end) => end && typeof end === 'object' ? end.id : end;
+export const linkKey = (source, target) => `${source}\u0000${target}`;
+
+function indexLinks(network) {
+  const outgoing = new Map();
+  const incoming = new Map();
+  network.links.forEach(l => {
+    const source = endpointId(l.source);
+    const target = endpointId(l.target);
+    if (!outgoing.has(source)) outgoing.set(source, []);
+    if (!incoming.has(target)) incoming.set(target, []);
+    outgoing.get(source).push({ id: target, key: linkKey(source, target), weight: l.weight ?? 1 });
+    incoming.get(target).push({ id: source, key: linkKey(source, target), weight: l.weight ?? 1 });
+  });
+  return { outgoing, incoming };
+}
+
+// Neighbours of type `type` one link away from any of `ids`, with the
+// incidents on those links; `walked` collects the links followed
+function neighbours(adjacency, ids, type, typeOf, walked) {
+  const counts = new Map();
+  ids.forEach(id => {
+    (adjacency.get(id) || []).forEach(({ id: other, key, weight }) => {
+      if (typeOf(other) !== type || other === id) return;
+      counts.set(other, (counts.get(other) || 0) + weight);
+      walked.add(key);
+    });
+  });
+  return counts;
+}
+
+function profileOf(id, type, links, typeOf) {
+  const walked = new Set();
+  if (type === 'sponsor') {
+    const actors = neighbours(links.outgoing, [id], 'actor', typeOf, walked);
+    const profile = neighbours(links.outgoing, [id, ...actors.keys()], 'victim', typeOf, walked);
+    return { profile, set: new Set(actors.keys()), walked };
+  }
+  if (type === 'victim') {
+    const profile = neighbours(links.incoming, [id], 'actor', typeOf, walked);
+    const sponsors = neighbours(links.incoming, [id, ...profile.keys()], 'sponsor', typeOf, walked);
+    return { profile, set: new Set(sponsors.keys()), walked };
+  }
+  const profile = neighbours(links.outgoing, [id], 'victim', typeOf, walked);
+  const sponsors = neighbours(links.incoming, [id], 'sponsor', typeOf, walked);
+  return { profile, set: new Set(sponsors.keys()), walked };
+}
+
+// Groups every key by the entities it belongs to; regions shared by more
+// entities come first, then in entity order
+function regions(memberships) {
+  const byMembers = new Map();
+  memberships.forEach((members, id) => {
+    const key = members.join(',');
+    if (!byMembers.has(key)) byMembers.set(key, { members, ids: [] });
+    byMembers.get(key).ids.push(id);
+  });
+  return [...byMembers.values()]
+    .map(region => ({ ...region, ids: region.ids.sort((a, b) => a.localeCompare(b)) }))
+    .sort((a, b) => b.members.length - a.members.length
+      || a.members.join(',').localeCompare(b.members.join(','), undefined, { numeric: true }));
+}
+
+const membershipsOf = (lists) => {
+  const memberships = new Map();
+  lists.forEach((ids, index) => {
+    new Set(ids).forEach(id => {
+      if (!memberships.has(id)) memberships.set(id, []);
+      memberships.get(id).push(index);
+    });
+  });
+  return memberships;
+};
+
+// Share of the profiles' union that all entities have in common (Jaccard)
+export function similarity(comparison) {
+  const union = comparison.profile.length;
+  if (union === 0) return 0;
+  const all = comparison.overlap.find(r => r.members.length === comparison.entities.length);
+  return (all?.ids.length || 0) / union;
+}
+
+// `ids` are node ids of `network`, all of one type; unknown ids are skipped
+export function compareEntities(network, ids) {
+  const byId = new Map((network?.nodes || []).map(n => [n.id, n]));
+  const compared = ids.filter(id => byId.has(id)).slice(0, MAX_COMPARED);
+  const links = indexLinks(network || { links: [] });
+  const typeOf = (id) => byId.get(id)?.type;
+
+  const profiles = compared.map(id => profileOf(id, typeOf(id), links, typeOf));
+  const entities = compared.map((id, index) => {
+    const { profile, set } = profiles[index];
+    return {
+      id,
+      type: typeOf(id),
+      color: COMPARISON_COLORS[index],
+      incidents: [...profile.values()].reduce((sum, count) => sum + count, 0),
+      profileSize: profile.size,
+      setSize: set.size,
+    };
+  });
+
+  const profileMembers = membershipsOf(profiles.map(p => [...p.profile.keys()]));
+  const profile = [...profileMembers.keys()]
+    .map(id => {
+      const counts = profiles.map(p => p.profile.get(id) || 0);
+      return { id, counts, total: counts.reduce((sum, count) => sum + count, 0) };
+    })
+    .sort((a, b) => b.total - a.total || a.id.localeCompare(b.id));
+
+  return {
+    type: entities[0]?.type || null,
+    entities,
+    profile,
+    overlap: regions(profileMembers),
+    sets: regions(membershipsOf(profiles.map(p => [...p.set]))),
+    nodeOwners: membershipsOf(profiles.map((p, index) => [compared[index], ...p.profile.keys(), ...p.set])),
+    linkOwners: membershipsOf(profiles.map(p => [...p.walked])),
+  };
+}
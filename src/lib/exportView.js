@@ -0,0 +1,193 @@
+// Turns what is on screen into files: standalone SVG (computed styles inlined,
+// so the file renders the same outside the app), PNG rasterized from that SVG
+// at a chosen scale, and PDF pages assembled from rasterized figures and text.
+//
+//   const markup = serializeSvg(svg, { width, height });
+//   await exportFigure('png', { markup, width, height, scale: 2, fileName: 'network' });
+//   await exportPdf([{ title, lines, legend, figures: [{ markup, width, height, caption }] }], 'network');
+
+export const EXPORT_BACKGROUND = '#0B1016';
+
+// Presentation properties that may come from the stylesheet rather than attributes
+const STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-opacity', 'stroke-width', 'stroke-dasharray',
+  'stroke-linecap', 'stroke-linejoin', 'opacity', 'visibility', 'display', 'paint-order',
+  'font-family', 'font-size', 'font-weight', 'letter-spacing', 'text-anchor', 'dominant-baseline',
+  'mix-blend-mode',
+];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export function exportFileName(base) {
+  return `${base}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  // Some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Size of an svg as laid out, falling back to its attributes (hidden svgs have no box)
+export function svgSize(svg) {
+  return {
+    width: svg.clientWidth || Number(svg.getAttribute('width')) || 800,
+    height: svg.clientHeight || Number(svg.getAttribute('height')) || 600,
+  };
+}
+
+// Copies an svg with its computed styles inlined. The root is always shown,
+// even when the source is hidden (e.g. the inactive graph renderer).
+export function serializeSvg(svg, { width, height, background = EXPORT_BACKGROUND } = {}) {
+  const size = svgSize(svg);
+  width = width || size.width;
+  height = height || size.height;
+
+  const clone = svg.cloneNode(true);
+  const sources = svg.querySelectorAll('*');
+  const targets = clone.querySelectorAll('*');
+  sources.forEach((source, i) => {
+    if (!source.isConnected) return;
+    const computed = getComputedStyle(source);
+    const style = STYLE_PROPERTIES
+      .map(prop => [prop, computed.getPropertyValue(prop)])
+      .filter(([, value]) => value !== '')
+      .map(([prop, value]) => `${prop}:${value}`)
+      .join(';');
+    targets[i].setAttribute('style', `${style};${targets[i].getAttribute('style') || ''}`);
+    targets[i].removeAttribute('class');
+  });
+
+  clone.removeAttribute('class');
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  if (!clone.getAttribute('viewBox')) clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  const fontFamily = svg.isConnected ? getComputedStyle(svg).fontFamily : '';
+  clone.setAttribute('style', `display:block;${fontFamily ? `font-family:${fontFamily}` : ''}`);
+
+  if (background) {
+    const rect = document.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('width', '100%');
+    rect.setAttribute('height', '100%');
+    rect.setAttribute('fill', background);
+    clone.insertBefore(rect, clone.firstChild);
+  }
+
+  return new XMLSerializer().serializeToString(clone);
+}
+
+export function rasterize(markup, { width, height, scale = 1 }) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      resolve(canvas);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The figure could not be rendered as an image'));
+    };
+    image.src = url;
+  });
+}
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The image is too large to export')), 'image/png');
+});
+
+// ---------------------------- PDF ----------------------------
+// A4 landscape pages: a title, optional lines of text, an optional row of
+// legend swatches ({ color, label }), then the figures side by side
+
+const PAGE = { width: 297, height: 210, margin: 14 };
+
+// The built-in PDF fonts only cover Latin-1; arrows are common in our labels
+const pdfText = (text) => String(text).replace(/→/g, '->').replace(/←/g, '<-');
+
+export async function exportPdf(pages, fileName) {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  const contentWidth = PAGE.width - PAGE.margin * 2;
+  const generated = new Date().toLocaleString();
+
+  for (const [index, page] of pages.entries()) {
+    if (index > 0) doc.addPage();
+    let y = PAGE.margin + 4;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(14);
+    doc.setTextColor('#0B1016');
+    doc.text(pdfText(page.title), PAGE.margin, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor('#5B6B7C');
+    doc.text(`${generated} · page ${index + 1} of ${pages.length}`, PAGE.width - PAGE.margin, y, { align: 'right' });
+    y += 8;
+
+    doc.setFontSize(10);
+    doc.setTextColor('#1B2633');
+    (page.lines || []).forEach(line => {
+      const wrapped = doc.splitTextToSize(pdfText(line), contentWidth);
+      doc.text(wrapped, PAGE.margin, y);
+      y += wrapped.length * 5;
+    });
+    if (page.lines?.length) y += 3;
+
+    if (page.legend?.length) {
+      let x = PAGE.margin;
+      doc.setFontSize(9);
+      page.legend.forEach(({ color, label }) => {
+        doc.setFillColor(color);
+        doc.circle(x + 1.5, y - 1.2, 1.5, 'F');
+        doc.text(pdfText(label), x + 5, y);
+        x += 10 + doc.getTextWidth(pdfText(label));
+      });
+      y += 7;
+    }
+
+    const figures = page.figures || [];
+    if (figures.length === 0) continue;
+    const gap = 6;
+    const cellWidth = (contentWidth - gap * (figures.length - 1)) / figures.length;
+    const cellHeight = PAGE.height - PAGE.margin - y;
+    for (const [i, figure] of figures.entries()) {
+      const canvas = await rasterize(figure.markup, { ...figure, scale: figure.scale || 2 });
+      const fit = Math.min(cellWidth / figure.width, (cellHeight - (figure.caption ? 6 : 0)) / figure.height);
+      const x = PAGE.margin + i * (cellWidth + gap);
+      let top = y;
+      if (figure.caption) {
+        doc.setFontSize(9);
+        doc.setTextColor('#5B6B7C');
+        doc.text(pdfText(figure.caption), x, top + 3);
+        top += 6;
+      }
+      doc.addImage(canvas, 'PNG', x, top, figure.width * fit, figure.height * fit);
+    }
+  }
+
+  doc.save(`${fileName}.pdf`);
+}
+
+// One figure as an .svg, a .png at `scale`, or a single-page .pdf
+export async function exportFigure(format, { markup, width, height, scale = 2, fileName, title }) {
+  if (format === 'svg') {
+    downloadBlob(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), `${fileName}.svg`);
+  } else if (format === 'png') {
+    const canvas = await rasterize(markup, { width, height, scale });
+    downloadBlob(await canvasToBlob(canvas), `${fileName}.png`);
+  } else if (format === 'pdf') {
+    await exportPdf([{ title: title || fileName, figures: [{ markup, width, height, scale }] }], fileName);
+  }
+}
@@ -0,0 +1,49 @@
+import { forceCenter, forceCollide, forceLink, forceManyBody, forceRadial, forceSimulation, forceX, forceY } from 'd3';
+
+// Force settings shared by the layout worker and the main-thread fallback, so
+// both produce the same layout.
+//
+//   forces = { charge, linkDistance, linkStrength, collision, pull: { x, y, radial } }
+//
+// `pull` is how strongly nodes are drawn to the targets a layout mode gives
+// them (n.tx / n.ty, n.tr; see layoutModes); nodes without targets are free.
+
+// A node's `radius` (set when a metric drives node size) overrides its degree
+export const nodeRadius = (d) => d.radius ?? Math.sqrt(d.degree || 0) * 4 + 6;
+
+// Stronger separation to reduce hairball
+export const DEFAULT_FORCES = { charge: -520, linkDistance: 110, linkStrength: 0.2, collision: 6 };
+
+const NO_PULL = { x: 0, y: 0, radial: 0 };
+// With targets, repulsion only reaches nearby nodes and links hold more
+// loosely; otherwise a crowded ring or tier bulges away from its target
+const ANCHORED_REACH = 120;
+const ANCHORED_LINKS = 0.25;
+
+// Forces read node targets when the simulation is given its nodes, so set
+// targets before simulation.nodes()
+export function configureForces(simulation, forces, { width, height }) {
+  const { charge, linkDistance, linkStrength, collision, pull = NO_PULL } = { ...DEFAULT_FORCES, ...forces };
+  const anchored = pull.x > 0 || pull.y > 0 || pull.radial > 0;
+  simulation.force('link').distance(linkDistance).strength(linkStrength * (anchored ? ANCHORED_LINKS : 1));
+  simulation.force('charge').strength(charge).distanceMax(anchored ? ANCHORED_REACH : Infinity);
+  simulation.force('collision').radius(d => nodeRadius(d) + collision);
+  // Targets place the graph themselves; centring would drag them off
+  simulation.force('center').x(width / 2).y(height / 2).strength(anchored ? 0 : 1);
+  simulation.force('x').x(d => d.tx ?? width / 2).strength(d => d.tx != null ? pull.x : 0);
+  simulation.force('y').y(d => d.ty ?? height / 2).strength(d => d.ty != null ? pull.y : 0);
+  simulation.force('radial').x(width / 2).y(height / 2).radius(d => d.tr ?? 0).strength(d => d.tr != null ? pull.radial : 0);
+  return simulation;
+}
+
+export function createForceSimulation({ width, height, forces = DEFAULT_FORCES }) {
+  const simulation = forceSimulation([])
+    .force('link', forceLink([]).id(d => d.id))
+    .force('charge', forceManyBody())
+    .force('center', forceCenter())
+    .force('collision', forceCollide())
+    .force('x', forceX())
+    .force('y', forceY())
+    .force('radial', forceRadial(0));
+  return configureForces(simulation, forces, { width, height });
+}
@@ -0,0 +1,145 @@
+import { COUNTRIES } from '../data/iso3166';
+
+// Place lookup for the geographic network. Victim and sponsor names in the data
+// mix countries ("Japan"), demonyms ("Japanese"), UN-style names ("Iran (Islamic
+// Republic of)"), sub-national places ("Kyiv") and regions ("Middle East").
+// Every name resolves to either a country (ISO 3166-1) or a region.
+
+export const GEO_LEVELS = ['raw', 'country', 'region'];
+
+// Spellings found in the incident data that the ISO table does not carry
+const EXTRA_NAMES = {
+  AE: ['UAE'],
+  CI: ['Ivory Coast'],
+  CZ: ['Czech Republic', 'Czech'],
+  GB: ['UK'],
+  IR: ['Iran (Islamic Republic of)', 'Iranians'],
+  KG: ['Krygzstan'],
+  KP: ['Korea (Democratic People\'s Republic of)', 'North Koreans'],
+  KZ: ['Kazakh'],
+  KR: ['Korea (Republic of)', 'Republic of Korea'],
+  MM: ['Burmese'],
+  MX: ['Mexicans'],
+  PH: ['Phillipines', 'Philippine'],
+  PK: ['Parkistan'],
+  PS: ['Palestine, State of'],
+  SK: ['Slovak Republic', 'Slovakian'],
+  SY: ['Syrian Arab Republic'],
+  TJ: ['Tajikstan'],
+  TR: ['Turkey', 'Turkish'],
+  US: ['U.S.', 'Untied States'],
+  UZ: ['Uzbek'],
+};
+
+// Places below country level that appear as targets
+const SUBNATIONAL = {
+  AR: ['Rosario'],
+  AU: ['Western Australia'],
+  CN: ['Wuhan'],
+  ES: ['Catalonia', 'Catalan'],
+  IN: ['Pune'],
+  IQ: ['Mosul'],
+  KR: ['Seoul'],
+  UA: ['Kyiv', 'Vinnytsia'],
+  US: ['Arizona', 'Massachusetts', 'New York', 'Oregon'],
+};
+
+// Region names and their variants. A region is either a whole continent
+// (region) or one of its subregions; names follow the ISO table.
+const REGIONS = [
+  { name: 'Africa', region: 'Africa', names: ['African'] },
+  { name: 'Northern Africa', region: 'Africa', subregion: 'Northern Africa', names: ['North Africa', 'North African'] },
+  { name: 'Americas', region: 'Americas', names: [] },
+  { name: 'North America', region: 'Americas', subregion: 'North America', names: ['North American'] },
+  { name: 'South America', region: 'Americas', subregion: 'South America', names: ['South American'] },
+  { name: 'Caribbean', region: 'Americas', subregion: 'Caribbean', names: [] },
+  { name: 'Asia', region: 'Asia', names: ['Asian'] },
+  { name: 'Central Asia', region: 'Asia', subregion: 'Central Asia', names: ['Central Asian'] },
+  { name: 'Eastern Asia', region: 'Asia', subregion: 'Eastern Asia', names: ['East Asia', 'East Asian'] },
+  { name: 'South-Eastern Asia', region: 'Asia', subregion: 'South-Eastern Asia', names: ['Southeast Asia', 'Southeast Asian'] },
+  { name: 'Southern Asia', region: 'Asia', subregion: 'Southern Asia', names: ['South Asia', 'South Asian'] },
+  { name: 'Western Asia', region: 'Asia', subregion: 'Western Asia', names: ['Middle East', 'Middle Eastern', 'Arabian Peninsula'] },
+  { name: 'Europe', region: 'Europe', names: ['European'] },
+  { name: 'Central Europe', region: 'Europe', subregion: 'Central Europe', names: ['Central European'] },
+  { name: 'Eastern Europe', region: 'Europe', subregion: 'Eastern Europe', names: ['Eastern European'] },
+  { name: 'Northern Europe', region: 'Europe', subregion: 'Northern Europe', names: ['Baltics', 'Baltic States'] },
+  { name: 'Western Europe', region: 'Europe', subregion: 'Western Europe', names: ['Western European'] },
+  { name: 'Oceania', region: 'Oceania', names: [] },
+];
+
+// "the United States", "South Korea’s", "U.S." and "u.s" all share a key
+export const placeKey = (name) => String(name)
+  .toLowerCase()
+  .replace(/[’']s\b/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .replace(/^the /, '');
+
+// Names shared by several countries resolve to none of them
+const AMBIGUOUS = new Set([
+  'Korea', // North or South
+  'Congolese',
+  'Dominican',
+  'Channel Islander',
+  'Virgin Islander',
+].map(placeKey));
+
+const index = new Map();
+const byAlpha2 = new Map();
+
+// Every other name must belong to one place; a name listed for two would
+// silently resolve to whichever came first
+const addName = (name, place) => {
+  const key = placeKey(name);
+  if (!key || AMBIGUOUS.has(key)) return;
+  const existing = index.get(key);
+  if (existing && existing !== place) {
+    throw new Error(`Place name "${name}" is listed for both ${existing.code || existing.name} and ${place.code || place.name}`);
+  }
+  index.set(key, place);
+};
+
+COUNTRIES.forEach(([alpha2, alpha3, numeric, name, region, subregion, others]) => {
+  const country = { kind: 'country', code: alpha2, alpha3, numeric, name, region, subregion };
+  byAlpha2.set(alpha2, country);
+  [name, alpha3, ...others, ...(EXTRA_NAMES[alpha2] || []), ...(SUBNATIONAL[alpha2] || [])].forEach(n => addName(n, country));
+});
+
+REGIONS.forEach(r => {
+  const place = { kind: 'region', code: null, name: r.name, region: r.region, subregion: r.subregion || null };
+  [r.name, ...r.names].forEach(n => addName(n, place));
+});
+
+export function lookupPlace(name) {
+  if (name == null) return null;
+  return index.get(placeKey(name)) || null;
+}
+
+export function lookupCountry(nameOrCode) {
+  if (nameOrCode == null) return null;
+  const byCode = byAlpha2.get(String(nameOrCode).toUpperCase());
+  if (byCode && String(nameOrCode).length === 2) return byCode;
+  const place = lookupPlace(nameOrCode);
+  return place?.kind === 'country' ? place : null;
+}
+
+export function getCountries() {
+  return [...byAlpha2.values()];
+}
+
+// Name a place takes at a roll-up level: countries keep their common name at
+// country level and become their subregion at region level.
+export function placeLabel(place, level) {
+  if (!place) return null;
+  if (level === 'region' && place.kind === 'country') return place.subregion || place.region;
+  return place.name;
+}
+
+// Resolver for canonicalizeNetwork. Actor nodes are never treated as places.
+export function createGeoResolver(level) {
+  const resolve = (id, type) => {
+    if (level === 'raw' || type === 'actor') return null;
+    return placeLabel(lookupPlace(id), level);
+  };
+  return { resolve, invalidPatterns: [] };
+}
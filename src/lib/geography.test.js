@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { lookupCountry, lookupPlace } from './geography';
+
+describe('lookupPlace', () => {
+  it('resolves demonyms to the country, not a territory sharing them', () => {
+    expect(lookupPlace('Dutch').code).toBe('NL');
+    expect(lookupPlace('Indian').code).toBe('IN');
+    expect(lookupPlace('French').code).toBe('FR');
+    expect(lookupPlace('American').code).toBe('US');
+    expect(lookupPlace('Norwegian').code).toBe('NO');
+  });
+
+  it('resolves UN-style names, spellings in the data and regions', () => {
+    expect(lookupPlace('Iran (Islamic Republic of)').code).toBe('IR');
+    expect(lookupPlace('the U.S.').code).toBe('US');
+    expect(lookupPlace('Kyiv').code).toBe('UA');
+    expect(lookupPlace('Middle Eastern')).toMatchObject({ kind: 'region', name: 'Western Asia' });
+  });
+
+  it('leaves names shared by several countries unresolved', () => {
+    expect(lookupPlace('Korea')).toBeNull();
+    expect(lookupPlace('Congolese')).toBeNull();
+    expect(lookupCountry('KR').name).toBe('South Korea');
+  });
+});
@@ -0,0 +1,161 @@
+import { computeDegrees } from './normalizeNetwork';
+
+// Facet filters for the graph sidebar. Unlike search highlighting they take
+// nodes and links out of the network, so the layout only simulates what is
+// shown.
+//
+//   filters = { hiddenTypes: ['victim'], hiddenLinkTypes: ['sponsor_to_victim'],
+//               minWeight: 2, minDegree: 0, sphere: 'China' }
+//
+// `sphere` keeps one sponsor with the actors it backs and the targets they
+// (or it) hit. `minDegree` applies to degrees before filtering.
+//
+// egoNetwork narrows a network the same way to the neighbourhood of the
+// entities focused on in a drill-down.
+
+export const EMPTY_FILTERS = { hiddenTypes: [], hiddenLinkTypes: [], minWeight: 1, minDegree: 0, sphere: null };
+
+const endpointId = (end) => end && typeof end === 'object' ? end.id : end;
+
+export function activeFilterCount(filters) {
+  return filters.hiddenTypes.length
+    + filters.hiddenLinkTypes.length
+    + (filters.minWeight > 1 ? 1 : 0)
+    + (filters.minDegree > 0 ? 1 : 0)
+    + (filters.sphere ? 1 : 0);
+}
+
+// One line for export summaries: "hidden victim · min weight 2 · sphere China"
+export function describeFilters(filters) {
+  return [
+    filters.hiddenTypes.length > 0 && `hidden ${filters.hiddenTypes.join(', ')}`,
+    filters.hiddenLinkTypes.length > 0 && `hidden ${filters.hiddenLinkTypes.join(', ')} links`,
+    filters.minWeight > 1 && `min weight ${filters.minWeight}`,
+    filters.minDegree > 0 && `min degree ${filters.minDegree}`,
+    filters.sphere && `sphere ${filters.sphere}`,
+  ].filter(Boolean).join(' · ');
+}
+
+// Node and link totals per facet value, with the largest weight and degree
+export function countFacets(network) {
+  const nodeTypes = {};
+  const linkTypes = {};
+  let maxWeight = 1;
+  let maxDegree = 0;
+  (network?.nodes || []).forEach(n => {
+    nodeTypes[n.type] = (nodeTypes[n.type] || 0) + 1;
+    maxDegree = Math.max(maxDegree, n.degree ?? 0);
+  });
+  (network?.links || []).forEach(l => {
+    linkTypes[l.type] = (linkTypes[l.type] || 0) + 1;
+    maxWeight = Math.max(maxWeight, l.weight ?? 1);
+  });
+  return {
+    nodes: network?.nodes.length || 0,
+    links: network?.links.length || 0,
+    nodeTypes,
+    linkTypes,
+    maxWeight,
+    maxDegree,
+  };
+}
+
+// The sponsor, the actors it backs and the targets either reach, and the links between them
+function sphereOf(network, sponsorId, typeOf) {
+  const ids = new Set([sponsorId]);
+  const sources = new Set([sponsorId]);
+  network.links.forEach(l => {
+    if (endpointId(l.source) === sponsorId && typeOf.get(endpointId(l.target)) === 'actor') sources.add(endpointId(l.target));
+  });
+  const links = network.links.filter(l => sources.has(endpointId(l.source))
+    && (typeOf.get(endpointId(l.target)) === 'victim' || sources.has(endpointId(l.target))));
+  links.forEach(l => {
+    ids.add(endpointId(l.source));
+    ids.add(endpointId(l.target));
+  });
+  return { ids, links };
+}
+
+// Returns fresh node/link objects with degrees recomputed over what remains,
+// or the network itself when no filter is set. Nodes that only lose their
+// links (to the link type, weight or sphere facets) are dropped with them.
+export function filterNetwork(network, filters) {
+  if (!network || activeFilterCount(filters) === 0) return network;
+
+  const typeOf = new Map(network.nodes.map(n => [n.id, n.type]));
+  const hiddenTypes = new Set(filters.hiddenTypes);
+  const hiddenLinkTypes = new Set(filters.hiddenLinkTypes);
+  const sphere = filters.sphere && typeOf.has(filters.sphere) ? sphereOf(network, filters.sphere, typeOf) : null;
+
+  const nodes = network.nodes.filter(n => !hiddenTypes.has(n.type)
+    && (n.degree ?? 0) >= filters.minDegree
+    && (!sphere || sphere.ids.has(n.id)));
+  const kept = new Set(nodes.map(n => n.id));
+  const between = network.links.filter(l => kept.has(endpointId(l.source)) && kept.has(endpointId(l.target)));
+  const sphereLinks = sphere && new Set(sphere.links);
+  const links = between
+    .filter(l => !hiddenLinkTypes.has(l.type)
+      && (l.weight ?? 1) >= filters.minWeight
+      && (!sphereLinks || sphereLinks.has(l)))
+    .map(l => ({ ...l, source: endpointId(l.source), target: endpointId(l.target) }));
+
+  const before = computeDegrees(nodes, between);
+  const deg = computeDegrees(nodes, links);
+  return {
+    nodes: nodes
+      .filter(n => deg.get(n.id) > 0 || before.get(n.id) === 0)
+      .map(n => ({ ...n, degree: deg.get(n.id) })),
+    links,
+  };
+}
+
+// ---------------------------- Focus ----------------------------
+
+export const FOCUS_HOPS = [1, 2, 3];
+
+// The neighbourhood of a drill-down: every node within `hops` links (either
+// direction) of a step's node, for each step, and the links among them.
+//   steps = [{ id: 'China', hops: 2 }, { id: 'APT 28', hops: 1 }]
+// Returns fresh objects like filterNetwork; `outside` counts each node's
+// neighbours left out, so peripheral nodes can be told apart.
+export function egoNetwork(network, steps) {
+  if (!network) return network;
+  const neighbours = new Map(network.nodes.map(n => [n.id, new Set()]));
+  network.links.forEach(l => {
+    const source = endpointId(l.source);
+    const target = endpointId(l.target);
+    neighbours.get(source)?.add(target);
+    neighbours.get(target)?.add(source);
+  });
+
+  const kept = new Set();
+  steps.forEach(({ id, hops }) => {
+    if (!neighbours.has(id)) return;
+    const reached = new Set([id]);
+    let frontier = [id];
+    for (let hop = 0; hop < hops && frontier.length > 0; hop += 1) {
+      const next = [];
+      frontier.forEach(v => neighbours.get(v).forEach(w => {
+        if (reached.has(w)) return;
+        reached.add(w);
+        next.push(w);
+      }));
+      frontier = next;
+    }
+    reached.forEach(v => kept.add(v));
+  });
+
+  const links = network.links
+    .filter(l => kept.has(endpointId(l.source)) && kept.has(endpointId(l.target)))
+    .map(l => ({ ...l, source: endpointId(l.source), target: endpointId(l.target) }));
+  const nodes = network.nodes.filter(n => kept.has(n.id));
+  const deg = computeDegrees(nodes, links);
+  return {
+    nodes: nodes.map(n => ({
+      ...n,
+      degree: deg.get(n.id),
+      outside: [...neighbours.get(n.id)].filter(w => !kept.has(w)).length,
+    })),
+    links,
+  };
+}
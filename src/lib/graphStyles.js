@@ -0,0 +1,163 @@
+import * as d3 from 'd3';
+import { nodeRadius } from './forceLayout';
+import { METRICS } from './analytics';
+import { linkKey } from './comparison';
+import { linkTypeStyle } from './linkTypes';
+
+// Colours, highlight styles and node appearance for NetworkGraph, shared by
+// its canvas and SVG renderers and its exports.
+
+const COLOR_MAP = { sponsor: '#E0555A', actor: '#6FA7FF', victim: '#3FB37D' };
+export const LINK_COLOR = '#6F87A7';
+// Compared entities' colours mark what only one of them reaches; this marks what several share
+const SHARED_COLOR = '#F2F5F8';
+const nodeColor = (d) => COLOR_MAP[d.type] || '#9AA8B7';
+// The largest communities get their own colour; the rest share one
+export const communityColor = (index) => d3.schemeTableau10[index] || '#56606B';
+// Pinned nodes get a light outline (the canvas renderer does the same)
+const nodeStroke = (d) => d.fx != null ? '#D8E1EA' : '#0C1117';
+// The SVG renderer's versions of the colours and rings some highlight styles add
+export const linkStroke = (styles) => styles.linkColor || LINK_COLOR;
+export const nodeOutline = (styles) => styles.nodeRing ? (d => styles.nodeRing(d) || nodeStroke(d)) : nodeStroke;
+export const nodeOutlineWidth = (styles) => styles.nodeRing ? (d => styles.nodeRing(d) ? 4 : 2) : 2;
+export const endId = (e) => typeof e === 'object' ? e.id : e;
+// Identifies a link across joins, which hand out fresh link objects
+export const linkId = (l) => `${endId(l.source)}→${endId(l.target)}→${l.type}`;
+// Links between the same two nodes, in either direction
+export const pairKey = (a, b) => a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+
+// Per-element styles for the graph's highlight states, shared by the canvas
+// and SVG renderers. `emphasis` is null (at rest), { kind: 'selection', id,
+// neighborIds }, { kind: 'search', keep, matches } (keep: matches plus their neighbours),
+// { kind: 'path', keep, pairs } (connection paths; pairs from pairKey),
+// { kind: 'link', keep, id } (an inspected link; id from linkId),
+// { kind: 'query', keep } (query results) or { kind: 'compare', keep,
+// comparison } (see lib/comparison), which also colours links and rings nodes.
+// With `linkEncoding` 'type', links take their type's colour and width
+// (see lib/linkTypes) wherever the highlight leaves their colour alone.
+// `labelled` holds the ids whose labels are always drawn (see lib/labels).
+export function graphStyles(emphasis, linkEncoding) {
+  const styles = emphasisStyles(emphasis);
+  if (linkEncoding !== 'type') return styles;
+  return {
+    ...styles,
+    linkWidth: l => styles.linkWidth(l) * linkTypeStyle(l.type).width,
+    linkColor: styles.linkColor || (l => linkTypeStyle(l.type).color),
+  };
+}
+
+function emphasisStyles(emphasis) {
+  if (!emphasis) {
+    return {
+      linkOpacity: () => 0.18,
+      linkWidth: l => Math.sqrt(l.weight) * 0.55,
+      nodeOpacity: () => 1,
+      labelOpacity: () => 1,
+    };
+  }
+  if (emphasis.kind === 'selection') {
+    const { id, neighborIds } = emphasis;
+    const touches = l => endId(l.source) === id || endId(l.target) === id;
+    const near = d => d.id === id || neighborIds.has(d.id);
+    return {
+      linkOpacity: l => touches(l) ? 0.85 : 0.05,
+      linkWidth: l => Math.sqrt(l.weight) * (touches(l) ? 2 : 0.3),
+      nodeOpacity: d => near(d) ? 1 : 0.15,
+      labelOpacity: d => near(d) ? 1 : 0.1,
+      labelled: new Set([id]),
+    };
+  }
+  if (emphasis.kind === 'path') {
+    const { keep, pairs } = emphasis;
+    const onPath = l => pairs.has(pairKey(endId(l.source), endId(l.target)));
+    return {
+      linkOpacity: l => onPath(l) ? 0.9 : 0.04,
+      linkWidth: l => Math.sqrt(l.weight) * (onPath(l) ? 2 : 0.25),
+      nodeOpacity: d => keep.has(d.id) ? 1 : 0.12,
+      labelOpacity: d => keep.has(d.id) ? 1 : 0.08,
+      labelled: keep,
+    };
+  }
+  if (emphasis.kind === 'link') {
+    const { keep, id } = emphasis;
+    const inspected = l => linkId(l) === id;
+    return {
+      linkOpacity: l => inspected(l) ? 0.95 : 0.04,
+      linkWidth: l => Math.sqrt(l.weight) * (inspected(l) ? 2.4 : 0.25),
+      nodeOpacity: d => keep.has(d.id) ? 1 : 0.12,
+      labelOpacity: d => keep.has(d.id) ? 1 : 0.08,
+      labelled: keep,
+    };
+  }
+  if (emphasis.kind === 'compare') {
+    const { keep, comparison: { entities, nodeOwners, linkOwners } } = emphasis;
+    const colorOf = (owners) => !owners ? null : owners.length === 1 ? entities[owners[0]].color : SHARED_COLOR;
+    const ownersOf = l => linkOwners.get(linkKey(endId(l.source), endId(l.target)));
+    return {
+      linkOpacity: l => ownersOf(l) ? 0.8 : 0.04,
+      linkWidth: l => Math.sqrt(l.weight) * (ownersOf(l) ? 1.6 : 0.25),
+      linkColor: l => colorOf(ownersOf(l)) || LINK_COLOR,
+      nodeOpacity: d => keep.has(d.id) ? 1 : 0.12,
+      labelOpacity: d => keep.has(d.id) ? 1 : 0.08,
+      labelled: new Set(entities.map(e => e.id)),
+      nodeRing: d => colorOf(nodeOwners.get(d.id)),
+    };
+  }
+  const { keep } = emphasis;
+  const inside = l => keep.has(endId(l.source)) && keep.has(endId(l.target));
+  return {
+    linkOpacity: l => inside(l) ? 0.6 : 0.04,
+    linkWidth: l => Math.sqrt(l.weight) * (inside(l) ? 1.4 : 0.25),
+    nodeOpacity: d => keep.has(d.id) ? 1 : 0.12,
+    labelOpacity: d => keep.has(d.id) ? 1 : 0.08,
+    labelled: emphasis.matches || keep,
+  };
+}
+
+export const EXPORT_LEGEND = [
+  { color: COLOR_MAP.sponsor, label: 'Sponsor' },
+  { color: COLOR_MAP.actor, label: 'Actor' },
+  { color: COLOR_MAP.victim, label: 'Target' },
+];
+
+// Node colour, sizes and legend for the metrics chosen in the analytics
+// panel. `sizes` (id → radius) is null when degree sets the size, as it
+// always did; metric sizes span the same range the degrees would.
+export function nodeAppearance(nodes, analytics, sizeBy, colorBy) {
+  if (!analytics) return { color: nodeColor, sizes: null, legend: EXPORT_LEGEND };
+
+  let sizes = null;
+  if (sizeBy !== 'degree') {
+    const values = nodes.map(n => analytics.nodes.get(n.id)?.[sizeBy] ?? 0);
+    const radius = d3.scaleSqrt()
+      .domain([0, d3.max(values) || 1])
+      .range([nodeRadius({ degree: 0 }), nodeRadius({ degree: d3.max(nodes, n => n.degree) || 0 })]);
+    sizes = new Map(nodes.map((n, i) => [n.id, radius(values[i])]));
+  }
+
+  if (colorBy === 'community') {
+    const shown = analytics.communities.slice(0, d3.schemeTableau10.length);
+    return {
+      sizes,
+      color: d => communityColor(analytics.nodes.get(d.id)?.community),
+      legend: [
+        ...shown.map(c => ({ color: communityColor(c.index), label: `${c.label} (${c.size})` })),
+        ...(analytics.communities.length > shown.length ? [{ color: communityColor(-1), label: 'Other communities' }] : []),
+      ],
+    };
+  }
+  if (colorBy !== 'role') {
+    const metric = METRICS.find(m => m.key === colorBy);
+    const ramp = d3.scaleSequentialSqrt(t => d3.interpolateYlOrRd(0.15 + t * 0.85))
+      .domain([0, d3.max(nodes, n => analytics.nodes.get(n.id)?.[colorBy]) || 1]);
+    return {
+      sizes,
+      color: d => ramp(analytics.nodes.get(d.id)?.[colorBy] ?? 0),
+      legend: [
+        { color: ramp(ramp.domain()[1]), label: `Highest ${metric.label.toLowerCase()}` },
+        { color: ramp(0), label: `Lowest ${metric.label.toLowerCase()}` },
+      ],
+    };
+  }
+  return { color: nodeColor, sizes, legend: EXPORT_LEGEND };
+}
@@ -0,0 +1,145 @@
+import { DatasetError } from '../data/errors.js';
+
+// Reads user-supplied incident tables: CSV (comma, semicolon or tab separated,
+// as spreadsheets export them) or JSON (an array of row objects, or an object
+// holding one). Every row becomes a flat { column: string } object, ready for
+// column mapping and buildDatasets(). Also used by scripts/build-data.js, hence
+// the explicit file extensions on imports.
+
+// The fields an incident row can map to. At least one of sponsor/actor and one
+// of victim/sector/country must be mapped.
+export const INCIDENT_FIELDS = [
+  { key: 'sponsor', label: 'SPONSOR', hint: 'State or organisation behind the incident', guess: /sponsor|state|nation|attribut/i },
+  { key: 'actor', label: 'ACTOR', hint: 'Threat actor or group', guess: /actor|group|apt|threat|perpetrat|attacker/i },
+  { key: 'victim', label: 'VICTIM', hint: 'Targeted organisation', guess: /victim|target|organi[sz]ation/i },
+  { key: 'sector', label: 'SECTOR', hint: 'Sector of the target', guess: /sector|industry|category/i },
+  { key: 'country', label: 'COUNTRY', hint: 'Country of the target', guess: /country|location|nation.*target|geo/i },
+  { key: 'date', label: 'DATE', hint: 'Date or year of the incident', guess: /date|year|when|time/i },
+];
+
+// RFC 4180 parsing: quoted fields may contain delimiters, quotes ("") and newlines
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// The delimiter that splits the header line into the most columns
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return [',', ';', '\t'].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+}
+
+const cellText = (value) => {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.map(cellText).filter(Boolean).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim();
+};
+
+function tableFromJson(json, fileName) {
+  const list = Array.isArray(json)
+    ? json
+    : Object.values(json || {}).find(v => Array.isArray(v) && v.every(item => item && typeof item === 'object'));
+  if (!list || list.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+    throw new DatasetError(fileName, 'schema', `${fileName} should hold an array of incident objects`);
+  }
+  const columns = [...new Set(list.flatMap(item => Object.keys(item)))];
+  const rows = list.map(item => Object.fromEntries(columns.map(c => [c, cellText(item[c])])));
+  return { columns, rows };
+}
+
+function tableFromCsv(text, fileName) {
+  const [header, ...body] = parseCsv(text, detectDelimiter(text));
+  if (!header || body.length === 0) {
+    throw new DatasetError(fileName, 'parse', `${fileName} needs a header row and at least one incident`);
+  }
+  // Blank or repeated headers still need distinct keys
+  const columns = header.map((name, i) => {
+    const base = name.trim() || `column ${i + 1}`;
+    return header.slice(0, i).some(prev => prev.trim() === name.trim()) ? `${base} (${i + 1})` : base;
+  });
+  const rows = body.map(cells => Object.fromEntries(columns.map((c, i) => [c, (cells[i] ?? '').trim()])));
+  return { columns, rows };
+}
+
+// Returns { columns, rows }; throws a DatasetError ('parse' or 'schema')
+export function parseIncidentFile(text, fileName) {
+  const clean = text.replace(/^\uFEFF/, '');
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(clean)) {
+    let json;
+    try {
+      json = JSON.parse(clean);
+    } catch (err) {
+      throw new DatasetError(fileName, 'parse', `${fileName} is not valid JSON: ${err.message}`);
+    }
+    return tableFromJson(json, fileName);
+  }
+  return tableFromCsv(clean, fileName);
+}
+
+// Sector and country are guessed before victim so "Victim country" maps to country
+const GUESS_ORDER = ['sponsor', 'actor', 'sector', 'country', 'victim', 'date'];
+
+// Headers named exactly after a field win, then the first header that looks
+// like it; each column is used once
+export function guessMapping(columns) {
+  const used = new Set();
+  const mapping = {};
+  const fields = GUESS_ORDER.map(key => INCIDENT_FIELDS.find(f => f.key === key));
+  fields.forEach(field => {
+    const exact = columns.find(c => c.trim().toLowerCase() === field.key);
+    if (exact && !used.has(exact)) {
+      mapping[field.key] = exact;
+      used.add(exact);
+    }
+  });
+  fields.forEach(field => {
+    if (mapping[field.key]) return;
+    const column = columns.find(c => !used.has(c) && field.guess.test(c)) || '';
+    if (column) used.add(column);
+    mapping[field.key] = column;
+  });
+  return mapping;
+}
+
+// Problems that stop a mapping from producing a network (empty when usable)
+export function mappingProblems(mapping) {
+  const problems = [];
+  if (!mapping.sponsor && !mapping.actor) problems.push('Map a SPONSOR or ACTOR column');
+  if (!mapping.victim && !mapping.sector && !mapping.country) problems.push('Map a VICTIM, SECTOR or COUNTRY column');
+  return problems;
+}
@@ -0,0 +1,436 @@
+import { editDistance } from './queryLanguage';
+import { lookupCountry, lookupPlace } from './geography';
+
+// Plain-English questions for QueryPanel, understood offline by rules: the
+// question is scanned for entities (fuzzy-matched against the loaded networks),
+// years and counts, its wording picks an intent, and the intent is compiled to
+// a query of lib/queryLanguage.
+//
+//   const vocabulary = buildVocabulary({ sector: sectorNetwork, geo: geoNetwork });
+//   interpretQuestion('who does Russia hit?', vocabulary, { networkType: 'sector' })
+//   → { query, intent: 'targets-of', summary: 'Targets of Russia', notes: [] }
+//   interpretQuestion('actors without a known sponsor', vocabulary)
+//   → { query: actors WHERE attributed = 0, intent: 'unsponsored', … }
+//
+// Intents: targets-of, attackers-of, sponsors-of, actors-of, intersection
+// (a sponsor and a target together), compare, shared, unsponsored,
+// multiple-sponsors and ranking. Returns null when nothing is recognised.
+
+const CURRENT_YEAR = new Date().getFullYear();
+const EARLIEST_YEAR = 1900;
+const DEFAULT_RANKING_LIMIT = 10;
+
+// Word stems; a word matches when it starts with one of them
+const ATTACK_STEMS = ['target', 'hit', 'attack', 'strik', 'struck', 'breach', 'hack', 'compromis', 'victim', 'infiltrat', 'spied', 'spies', 'spy', 'aim'];
+const SPONSOR_STEMS = ['sponsor', 'back', 'behind', 'fund', 'support', 'direct', 'control', 'employ', 'affiliat', 'linked', 'tied', 'work'];
+const RANK_WORDS = new Set(['most', 'top', 'biggest', 'largest', 'busiest', 'main', 'primary', 'leading', 'frequent', 'frequently', 'often', 'active', 'prolific', 'popular', 'common', 'rank', 'ranking', 'heaviest']);
+const LEAST_WORDS = new Set(['least', 'fewest', 'rarely', 'rarest']);
+const COMPARE_WORDS = new Set(['vs', 'v', 'versus', 'compare', 'compared', 'comparing', 'comparison', 'difference', 'differences', 'differ']);
+const SHARED_WORDS = new Set(['shared', 'share', 'sharing', 'common', 'both', 'overlap', 'overlapping', 'mutual', 'together']);
+const NEGATION_WORDS = new Set(['without', 'no', 'unknown', 'lack', 'lacking', 'missing', 'not', 'none']);
+const UNSPONSORED_WORDS = new Set(['unattributed', 'unsponsored', 'independent', 'freelance', 'orphan']);
+const MULTIPLE_WORDS = new Set(['multiple', 'several', 'many', 'different', 'various']);
+const VICTIM_MARKERS = new Set(['on', 'against', 'in', 'at', 'into', 'inside']);
+
+// Nouns that name what to list
+const SUBJECT_NOUNS = {
+  actor: 'actors', actors: 'actors', group: 'actors', groups: 'actors', apt: 'actors', apts: 'actors',
+  hacker: 'actors', hackers: 'actors', gang: 'actors', gangs: 'actors', crew: 'actors', crews: 'actors',
+  attacker: 'actors', attackers: 'actors', adversary: 'actors', adversaries: 'actors',
+  sponsor: 'sponsors', sponsors: 'sponsors', state: 'sponsors', states: 'sponsors', government: 'sponsors',
+  governments: 'sponsors', backer: 'sponsors', backers: 'sponsors', patron: 'sponsors', patrons: 'sponsors',
+  target: 'targets', targets: 'targets', victim: 'targets', victims: 'targets',
+  sector: 'sectors', sectors: 'sectors', industry: 'sectors', industries: 'sectors', verticals: 'sectors',
+  country: 'countries', countries: 'countries', nation: 'countries', nations: 'countries',
+};
+
+// Everyday words for the sector names in the data
+const SECTOR_SYNONYMS = {
+  finance: ['Financial', 'Banking'], banks: ['Banking', 'Financial'], bank: ['Banking', 'Financial'],
+  healthcare: ['Medical', 'Pharmaceutical'], health: ['Medical', 'Pharmaceutical'], hospitals: ['Medical'],
+  pharma: ['Pharmaceutical'], military: ['Military', 'Defense'], defence: ['Defense'],
+  telecoms: ['Telecom', 'Telecommunications'], telco: ['Telecom', 'Telecommunications'],
+  universities: ['University', 'Education', 'Academic'], schools: ['Education'], academia: ['Academic'],
+  oil: ['Oil'], gas: ['Gas'], power: ['Energy', 'Utilities'], utility: ['Utilities'],
+  government: ['Government'], governments: ['Government'], tech: ['Technology'],
+  press: ['Media'], journalists: ['Media'], news: ['Media'], airlines: ['Aviation'], transport: ['Transportation'],
+  ngos: ['Civil society'], ngo: ['Civil society'], insurers: ['Insurance'],
+};
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, fifty: 50, hundred: 100,
+};
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'of', 'by', 'to', 'in', 'on', 'at', 'for', 'and', 'or', 'with', 'who', 'whom', 'whose',
+  'what', 'which', 'does', 'do', 'did', 'is', 'are', 'was', 'were', 'has', 'have', 'had', 'show', 'me',
+  'list', 'all', 'any', 'their', 'its', 'it', 'than', 'more', 'less', 'between', 'from', 'since', 'after',
+  'before', 'until', 'during', 'how', 'that', 'those', 'these', 'this', 'per', 'be', 'been', 'get', 'gets',
+  'find', 'give', 'tell', 'about', 'them', 'they', 'same', 'known', 'at', 'least', 'most', 'each', 'other',
+  'year', 'years', 'incident', 'incidents', 'attacks', 'activity', 'up', 'out', 'only', 'also', 'there', 'where',
+  ...Object.keys(SUBJECT_NOUNS), ...COMPARE_WORDS, ...SHARED_WORDS, ...NEGATION_WORDS, ...RANK_WORDS,
+]);
+
+const alnumKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+const baseName = (id) => String(id).replace(/\s*\[(S|T)\]$/i, '');
+const startsWithAny = (word, stems) => stems.some(stem => word.startsWith(stem));
+
+// ---------------------------- Vocabulary ----------------------------
+
+// Entity names from networks by type (raw or prepared): actors, sectors,
+// countries (by ISO code, whatever spelling the data uses) and other sponsors,
+// each with the network types it appears in. Keys are lowercase letters and
+// digits only, so "APT 28" = "apt28".
+export function buildVocabulary(networks) {
+  const entries = new Map();
+  const countries = new Map();
+  const add = (key, entry, type) => {
+    if (!key) return;
+    if (!entries.has(key)) entries.set(key, { ...entry, networks: new Set() });
+    entries.get(key).networks.add(type);
+  };
+
+  Object.entries(networks).filter(([, network]) => network).forEach(([type, network]) => {
+    // Victims are sectors in a network where most of them are not places
+    const victims = network.nodes.filter(n => n.type === 'victim');
+    const hasSectors = victims.filter(n => !lookupPlace(baseName(n.id))).length > victims.length / 2;
+    network.nodes.forEach(node => {
+      const name = baseName(node.id);
+      if (node.type === 'actor') {
+        add(alnumKey(name), { name, kind: 'actor' }, type);
+        // "Lazarus" for "Lazarus Group"
+        const short = name.replace(/\s+(group|team|gang|crew)$/i, '');
+        if (short !== name) add(alnumKey(short), { name, kind: 'actor' }, type);
+        return;
+      }
+      const country = lookupCountry(name);
+      if (country) {
+        const known = countries.get(country.code)
+          || { name: country.name, kind: 'country', code: country.code, roles: new Set(), networks: new Set() };
+        known.roles.add(node.type);
+        known.networks.add(type);
+        countries.set(country.code, known);
+      } else if (node.type === 'victim' && hasSectors && !lookupPlace(name)) {
+        add(alnumKey(name), { name, kind: 'sector' }, type);
+      } else if (node.type === 'sponsor') {
+        add(alnumKey(name), { name, kind: 'sponsor' }, type);
+      }
+    });
+  });
+
+  // A country name always means the country, even where an actor shares it
+  countries.forEach(country => entries.set(alnumKey(country.name), country));
+  return { entries, countries };
+}
+
+// ---------------------------- Slots ----------------------------
+
+function words(text) {
+  const found = [];
+  const pattern = /"([^"]+)"|([A-Za-z0-9][\w’'.&-]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const raw = (match[1] ?? match[2]).replace(/[.]+$/, '');
+    found.push({
+      raw,
+      word: raw.toLowerCase().replace(/[’']s$/, ''),
+      quoted: match[1] !== undefined,
+      used: false,
+    });
+  }
+  return found;
+}
+
+const isYear = (w) => /^(19|20)\d\d$/.test(w.word);
+const numberOf = (w) => /^\d+$/.test(w.word) ? Number(w.word) : NUMBER_WORDS[w.word];
+
+// "in 2016", "between 2014 and 2018", "2014-2018", "since 2015", "before 2017"
+function readYears(tokens) {
+  for (let i = 0; i < tokens.length; i += 1) {
+    const w = tokens[i];
+    const range = w.word.match(/^((?:19|20)\d\d)[-–]((?:19|20)\d\d)$/);
+    if (range) {
+      w.used = true;
+      return [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+    }
+    if (!isYear(w)) continue;
+    const year = Number(w.word);
+    const before = tokens[i - 1]?.word;
+    const next = tokens[i + 2];
+    w.used = true;
+    if (next && isYear(next) && ['and', 'to', 'through', 'until'].includes(tokens[i + 1].word)) {
+      next.used = true;
+      return [year, Number(next.word)].sort((a, b) => a - b);
+    }
+    if (before === 'since' || before === 'from') return [year, Math.max(year, CURRENT_YEAR)];
+    if (before === 'after') return [year + 1, Math.max(year + 1, CURRENT_YEAR)];
+    if (before === 'before') return [EARLIEST_YEAR, year - 1];
+    if (before === 'until' || before === 'through') return [EARLIEST_YEAR, year];
+    return [year, year];
+  }
+  return null;
+}
+
+// "top 5", "5 most", "first ten"; `more than 2` and `at least 2` are thresholds, not counts
+function readCount(tokens) {
+  for (let i = 0; i < tokens.length; i += 1) {
+    const w = tokens[i];
+    const n = numberOf(w);
+    if (!n || w.used || isYear(w)) continue;
+    const before = tokens[i - 1]?.word;
+    if (before === 'than' || before === 'least' || before === 'most' && tokens[i - 2]?.word === 'at') continue;
+    if (['top', 'first', 'show', 'list', 'give', 'the'].includes(before) || RANK_WORDS.has(tokens[i + 1]?.word)) {
+      w.used = true;
+      return n;
+    }
+  }
+  return null;
+}
+
+// "more than 2" → { op: '>', value: 2 }, "at least 3" → { op: '>=', value: 3 }
+function readThreshold(tokens) {
+  for (let i = 0; i < tokens.length; i += 1) {
+    const n = numberOf(tokens[i]);
+    if (n === undefined || isYear(tokens[i])) continue;
+    const before = tokens[i - 1]?.word;
+    if (before === 'than' && tokens[i - 2]?.word === 'more') return { op: '>', value: n };
+    if (before === 'least' && tokens[i - 2]?.word === 'at') return { op: '>=', value: n };
+  }
+  return null;
+}
+
+// The closest vocabulary key to a typed one, if it is plainly a typo
+function fuzzyEntry(key, entries) {
+  if (key.length < 5) return null;
+  const allowed = key.length >= 9 ? 2 : 1;
+  let best = null;
+  let bestDistance = allowed + 1;
+  let tied = false;
+  entries.forEach((entry, candidate) => {
+    if (Math.abs(candidate.length - key.length) > allowed) return;
+    const distance = editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance && entry.name !== best?.name) {
+      tied = true;
+    }
+  });
+  return best && !tied ? best : null;
+}
+
+// The entity a phrase names: exact, then as a place, then a sector synonym, then a typo
+function entryFor(phrase, vocabulary, { exactOnly }) {
+  const key = alnumKey(phrase.map(w => w.raw).join(' '));
+  if (!key) return null;
+  const exact = vocabulary.entries.get(key);
+  if (exact) return exact;
+  if (exactOnly) return null;
+
+  const text = phrase.map(w => w.raw).join(' ');
+  const isCode = text.length <= 3;
+  if (!isCode || text === text.toUpperCase()) {
+    const country = lookupCountry(text);
+    if (country) {
+      return vocabulary.countries.get(country.code)
+        || { name: country.name, kind: 'country', code: country.code, roles: new Set(['victim']), networks: new Set() };
+    }
+  }
+  if (phrase.length === 1 && SECTOR_SYNONYMS[phrase[0].word]) {
+    const name = SECTOR_SYNONYMS[phrase[0].word].find(s => vocabulary.entries.get(alnumKey(s))?.kind === 'sector');
+    if (name) return vocabulary.entries.get(alnumKey(name));
+  }
+  return phrase.length <= 3 ? fuzzyEntry(key, vocabulary.entries) : null;
+}
+
+// Whether the word before `index` makes what follows the one attacked
+function attackedAt(tokens, index) {
+  let before = index - 1;
+  while (['the', 'both', 'either'].includes(tokens[before]?.word)) before -= 1;
+  const previous = tokens[before]?.word || '';
+  return VICTIM_MARKERS.has(previous) || (startsWithAny(previous, ATTACK_STEMS) && !previous.startsWith('victim'));
+}
+
+// Entity mentions, longest phrases first, in the order they appear. A common
+// word ("government") only names an entity right after an attack word.
+function readEntities(tokens, vocabulary) {
+  const mentions = [];
+  for (let size = 4; size >= 1; size -= 1) {
+    for (let i = 0; i + size <= tokens.length; i += 1) {
+      const phrase = tokens.slice(i, i + size);
+      if (phrase.some(w => w.used)) continue;
+      if (phrase.every(w => STOPWORDS.has(w.word)) && !(size === 1 && attackedAt(tokens, i))) continue;
+      if (phrase.some(w => w.quoted) && size > 1) continue;
+      // Attack and sponsor words only name an entity exactly ("backing" is no typo of "Banking")
+      const verbs = [...ATTACK_STEMS, ...SPONSOR_STEMS];
+      const edgesStop = STOPWORDS.has(phrase[0].word) || STOPWORDS.has(phrase[size - 1].word)
+        || startsWithAny(phrase[0].word, verbs) || startsWithAny(phrase[size - 1].word, verbs);
+      const entry = entryFor(phrase, vocabulary, { exactOnly: edgesStop && !phrase[0].quoted });
+      if (!entry) continue;
+      phrase.forEach(w => { w.used = true; });
+      mentions.push({ ...entry, index: i, size });
+    }
+  }
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+// A country attacks (as a sponsor) unless the wording makes it the one
+// attacked; in "Japan and Taiwan" the second shares the role of the first
+function roleOf(mention, tokens, previous) {
+  if (mention.kind === 'actor') return 'actor';
+  if (mention.kind === 'sector') return 'target';
+  if (mention.kind === 'sponsor') return 'sponsor';
+  const joined = previous?.kind === 'country'
+    && tokens.slice(previous.index + previous.size, mention.index).every(w => ['and', 'or', 'the'].includes(w.word));
+  if (joined) return previous.role;
+  return attackedAt(tokens, mention.index) || !mention.roles.has('sponsor') ? 'target' : 'sponsor';
+}
+
+// ---------------------------- Intents ----------------------------
+
+const describeList = (entities, joiner) => entities.map(e => e.name).join(joiner);
+
+// `networkType` is the network shown; a question about entities only found in
+// the other network is asked there
+export function interpretQuestion(text, vocabulary, { networkType = null } = {}) {
+  const tokens = words(String(text || ''));
+  if (tokens.length === 0) return null;
+  const has = (set) => tokens.some(w => set.has(w.word));
+  const hasStem = (stems) => tokens.some(w => startsWithAny(w.word, stems));
+
+  const during = readYears(tokens);
+  const threshold = readThreshold(tokens);
+  const count = readCount(tokens);
+  const mentions = [];
+  readEntities(tokens, vocabulary).forEach(m => {
+    mentions.push({ ...m, role: roleOf(m, tokens, mentions[mentions.length - 1]) });
+  });
+  const noun = tokens.filter(w => !w.used).map(w => SUBJECT_NOUNS[w.word]).find(Boolean) || null;
+  const notes = [];
+
+  const attackers = mentions.filter(m => m.role !== 'target');
+  let victims = mentions.filter(m => m.role === 'target');
+  const sectors = victims.filter(m => m.kind === 'sector');
+  const victimCountries = victims.filter(m => m.kind === 'country');
+
+  // Sectors live in the sector network and victim countries in the geo network
+  let network = null;
+  if (noun === 'sectors' || sectors.length > 0) network = 'sector';
+  else if (victimCountries.length > 0) network = 'geo';
+  if (sectors.length > 0 && victimCountries.length > 0) {
+    notes.push(`Sectors and victim countries are in different networks; ${describeList(victimCountries, ', ')} left out`);
+    victims = sectors;
+  }
+
+  const ranked = has(RANK_WORDS) || has(LEAST_WORDS) || count !== null;
+  const direction = has(LEAST_WORDS) ? 'asc' : 'desc';
+  const passive = tokens.some(w => startsWithAny(w.word, ATTACK_STEMS) && (/ed$/.test(w.word) || w.word.startsWith('victim')));
+  const entities = [...attackers, ...victims];
+  const toEntity = (m) => ({ role: m.role, name: m.name });
+
+  const query = { subject: 'targets', of: null, network, during, where: [], orderBy: null, limit: null };
+  let intent;
+  let summary;
+
+  const unsponsored = has(UNSPONSORED_WORDS) || (has(NEGATION_WORDS) && hasStem(SPONSOR_STEMS))
+    || tokens.some(w => w.word === 'unknown') && hasStem(['sponsor', 'state', 'attribut']);
+  const multiple = (has(MULTIPLE_WORDS) || threshold) && hasStem(['sponsor', 'state', 'back', 'government']);
+
+  if (unsponsored) {
+    intent = 'unsponsored';
+    query.subject = 'actors';
+    query.where.push({ field: 'attributed', op: '=', value: 0 });
+    summary = 'Actors without a known sponsor';
+    if (victims.length > 0) {
+      query.of = { mode: 'any', entities: victims.map(toEntity) };
+      summary += ` that target ${describeList(victims, ' or ')}`;
+    }
+  } else if (multiple) {
+    intent = 'multiple-sponsors';
+    query.subject = 'actors';
+    query.where.push({ field: 'sponsors', ...(threshold || { op: '>', value: 1 }) });
+    query.orderBy = { field: 'sponsors', direction: 'desc' };
+    summary = threshold ? `Actors with ${threshold.op === '>' ? 'more than' : 'at least'} ${threshold.value} sponsors` : 'Actors with more than one sponsor';
+  } else if (entities.length === 0) {
+    if (!noun && !ranked) return null;
+    intent = 'ranking';
+    if (noun === 'countries') {
+      query.subject = passive || hasStem(['victim']) ? 'targets' : 'sponsors';
+      query.network = query.subject === 'targets' ? 'geo' : null;
+    } else if (noun === 'sectors') {
+      query.subject = 'targets';
+    } else if (noun) {
+      query.subject = noun;
+    } else {
+      query.subject = passive ? 'targets' : 'actors';
+    }
+    query.orderBy = { field: 'incidents', direction };
+    query.limit = count || DEFAULT_RANKING_LIMIT;
+    const label = noun === 'sectors' ? 'sectors' : noun === 'countries' ? (query.subject === 'targets' ? 'targeted countries' : 'sponsor countries') : query.subject;
+    summary = `${direction === 'asc' ? 'Least' : 'Most'} active ${label}`;
+    if (query.subject === 'targets') summary = `${direction === 'asc' ? 'Least' : 'Most'} targeted ${noun === 'sectors' ? 'sectors' : noun === 'countries' ? 'countries' : 'entities'}`;
+  } else if (entities.length > 1 && has(COMPARE_WORDS)) {
+    intent = 'compare';
+    const side = attackers.length >= victims.length ? attackers : victims;
+    query.subject = side === attackers ? 'targets' : 'actors';
+    if (noun && noun !== 'countries' && noun !== 'sectors' && !(side === victims && noun === 'targets')) query.subject = noun;
+    query.of = { mode: 'any', entities: side.map(toEntity) };
+    summary = `${query.subject === 'targets' ? 'Targets' : 'Attackers'} of ${describeList(side, ' vs ')}, side by side`;
+  } else if (attackers.length > 1 && victims.length === 0 && (has(SHARED_WORDS) || tokens.some(w => w.word === 'and'))
+    && (has(SHARED_WORDS) || !has(COMPARE_WORDS))) {
+    intent = 'shared';
+    query.subject = noun === 'actors' ? 'actors' : 'targets';
+    query.of = { mode: has(SHARED_WORDS) ? 'all' : 'any', entities: attackers.map(toEntity) };
+    summary = query.of.mode === 'all'
+      ? `${query.subject === 'actors' ? 'Actors' : 'Targets'} shared by ${describeList(attackers, ' and ')}`
+      : `${query.subject === 'actors' ? 'Actors' : 'Targets'} of ${describeList(attackers, ' or ')}`;
+  } else if (victims.length > 1 && attackers.length === 0) {
+    intent = 'shared';
+    query.subject = noun === 'sponsors' || noun === 'countries' ? 'sponsors' : 'actors';
+    query.of = { mode: has(SHARED_WORDS) || tokens.some(w => w.word === 'and') ? 'all' : 'any', entities: victims.map(toEntity) };
+    summary = `${query.subject === 'sponsors' ? 'Sponsors' : 'Actors'} attacking ${describeList(victims, query.of.mode === 'all' ? ' and ' : ' or ')}`;
+  } else if (attackers.length > 0 && victims.length > 0) {
+    // A sponsor or actor together with a sector or country: who connects them
+    intent = 'intersection';
+    query.subject = noun === 'sponsors' || (noun === 'countries' && attackers.every(m => m.role === 'actor')) ? 'sponsors' : 'actors';
+    query.of = { mode: 'all', entities: entities.map(toEntity) };
+    summary = `${query.subject === 'sponsors' ? 'Sponsors' : 'Actors'} linking ${describeList(attackers, ' and ')} to ${describeList(victims, ' and ')}`;
+  } else if (victims.length > 0) {
+    intent = 'attackers-of';
+    query.subject = noun === 'sponsors' || noun === 'countries' ? 'sponsors' : 'actors';
+    query.of = { mode: 'any', entities: victims.map(toEntity) };
+    summary = `${query.subject === 'sponsors' ? 'Sponsors' : 'Actors'} attacking ${describeList(victims, ' or ')}`;
+  } else {
+    const sponsoring = hasStem(SPONSOR_STEMS) && !hasStem(ATTACK_STEMS);
+    const actorsOnly = attackers.every(m => m.role === 'actor');
+    if (sponsoring && actorsOnly) {
+      intent = 'sponsors-of';
+      query.subject = 'sponsors';
+      summary = `Sponsors of ${describeList(attackers, ' or ')}`;
+    } else if ((sponsoring || noun === 'actors') && !actorsOnly) {
+      intent = 'actors-of';
+      query.subject = 'actors';
+      summary = `Actors linked to ${describeList(attackers, ' or ')}`;
+    } else {
+      intent = 'targets-of';
+      query.subject = 'targets';
+      if (noun === 'sectors') query.network = 'sector';
+      if (noun === 'countries') query.network = 'geo';
+      summary = `${noun === 'sectors' ? 'Sectors' : noun === 'countries' ? 'Countries' : 'Targets'} of ${describeList(attackers, ' or ')}`;
+    }
+    query.of = { mode: 'any', entities: attackers.map(toEntity) };
+  }
+
+  if (intent !== 'ranking' && ranked) {
+    query.orderBy = query.orderBy || { field: 'incidents', direction };
+    query.limit = count || DEFAULT_RANKING_LIMIT;
+  }
+  if (!query.network && networkType && entities.length > 0) {
+    const elsewhere = ['sector', 'geo'].filter(type => entities.every(m => m.networks.has(type)));
+    if (elsewhere.length > 0 && !elsewhere.includes(networkType)) query.network = elsewhere[0];
+  }
+  if (during) summary += `, ${during[0] === during[1] ? `in ${during[0]}` : `${during[0]}–${during[1]}`}`;
+  return { query, intent, summary, notes };
+}
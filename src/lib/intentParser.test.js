@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { buildVocabulary, interpretQuestion } from './intentParser';
+import { runQuery } from './queryEngine';
+import { normalizeNetwork } from './normalizeNetwork';
+
+// Unsponsored actors come typed as sponsors, as in the bundled data
+const sector = normalizeNetwork({
+  nodes: [
+    { id: 'China', type: 'sponsor' },
+    { id: 'APT41', type: 'actor' },
+    { id: 'Golden Falcon', type: 'sponsor' },
+    { id: 'Banking', type: 'victim' },
+    { id: 'Government', type: 'victim' },
+  ],
+  links: [
+    { source: 'China', target: 'APT41', type: 'sponsor_to_actor' },
+    { source: 'APT41', target: 'Banking', type: 'actor_to_victim' },
+    { source: 'Golden Falcon', target: 'Government', type: 'actor_to_victim' },
+  ],
+});
+const vocabulary = buildVocabulary({ sector });
+
+const rowsFor = (question) => {
+  const { query } = interpretQuestion(question, vocabulary, { networkType: 'sector' });
+  return runQuery(query, sector, { networkType: 'sector' }).rows.map(r => r.id);
+};
+
+describe('interpretQuestion', () => {
+  it('reads questions about actors without a known sponsor', () => {
+    ['actors without a known sponsor', 'unsponsored actors', 'which groups have no known state backing'].forEach(question => {
+      const result = interpretQuestion(question, vocabulary, { networkType: 'sector' });
+      expect(result.intent).toBe('unsponsored');
+      expect(result.query).toMatchObject({ subject: 'actors', of: null, where: [{ field: 'attributed', op: '=', value: 0 }] });
+    });
+  });
+
+  it('finds the actors no sponsor links to', () => {
+    expect(rowsFor('actors without a known sponsor')).toEqual(['Golden Falcon']);
+  });
+
+  it('reads who a sponsor attacks', () => {
+    const result = interpretQuestion('who does China hit?', vocabulary, { networkType: 'sector' });
+    expect(result.intent).toBe('targets-of');
+    expect(result.query.of.entities).toEqual([{ role: 'sponsor', name: 'China' }]);
+  });
+});
@@ -0,0 +1,110 @@
+// Adaptive node labels for NetworkGraph's renderers. Labels are placed in
+// screen space at a constant size, so more of them fit as the view zooms in.
+// Each label takes the first spot around its node (below, right, left,
+// above) that does not overlap a label already placed.
+//
+// Nodes in `styles.labelled` (selected, matched, …) and the hovered node go
+// first and are always drawn; the hovered one is never truncated. The rest
+// go largest first, emphasised before dimmed, up to a budget that grows with
+// the zoom.
+//
+//   const measure = createTextMeasure(fontFamily);
+//   const labels = placeLabels(nodes, { transform, width, height, radius, styles, hovered, measure });
+//   labels  [{ node, text, x, y, anchor, size }]   x/y: the text's anchor point, screen pixels
+
+export const LABEL_LENGTH = 28;
+// Labels drawn at zoom 1; the budget grows with the square of the zoom
+const BASE_LABELS = 16;
+const MIN_LABELS = 8;
+const MAX_LABELS = 300;
+const GAP = 3;
+const CELL = 80;
+
+export const labelText = (id, full = false) => {
+  const text = String(id);
+  return !full && text.length > LABEL_LENGTH ? text.slice(0, LABEL_LENGTH) + '…' : text;
+};
+
+export const labelSize = (n) => Math.min(13, Math.sqrt(n.degree || 0) + 9);
+
+// Text widths from a canvas context, cached; an estimate where there is none
+export function createTextMeasure(fontFamily) {
+  const context = typeof document !== 'undefined' ? document.createElement('canvas').getContext('2d') : null;
+  const widths = new Map();
+  return (text, size) => {
+    const key = `${size}|${text}`;
+    if (!widths.has(key)) {
+      if (context) context.font = `650 ${size}px ${fontFamily}`;
+      widths.set(key, context ? context.measureText(text).width : text.length * size * 0.6);
+    }
+    return widths.get(key);
+  };
+}
+
+// Placed boxes bucketed into grid cells, so overlap checks only look nearby
+function createBoxIndex() {
+  const cells = new Map();
+  const cellsOf = ([x0, y0, x1, y1], visit) => {
+    for (let cx = Math.floor(x0 / CELL); cx <= Math.floor(x1 / CELL); cx += 1) {
+      for (let cy = Math.floor(y0 / CELL); cy <= Math.floor(y1 / CELL); cy += 1) {
+        if (visit(`${cx},${cy}`) === false) return false;
+      }
+    }
+    return true;
+  };
+  const overlaps = (a, b) => a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+  return {
+    free: (box) => cellsOf(box, key => (cells.get(key) || []).every(other => !overlaps(box, other))),
+    add: (box) => cellsOf(box, key => {
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(box);
+    }),
+  };
+}
+
+// Spots around a node of screen radius r at (sx, sy), in order of preference
+function candidates(sx, sy, r, width, size) {
+  const below = sy + r + GAP + size;
+  const beside = sy + size / 3;
+  return [
+    { x: sx, y: below, anchor: 'middle', box: [sx - width / 2, below - size, sx + width / 2, below + GAP] },
+    { x: sx + r + GAP, y: beside, anchor: 'start', box: [sx + r + GAP, beside - size, sx + r + GAP + width, beside + GAP] },
+    { x: sx - r - GAP, y: beside, anchor: 'end', box: [sx - r - GAP - width, beside - size, sx - r - GAP, beside + GAP] },
+    { x: sx, y: sy - r - GAP, anchor: 'middle', box: [sx - width / 2, sy - r - GAP - size, sx + width / 2, sy - r] },
+  ];
+}
+
+export function placeLabels(nodes, { transform, width, height, radius, styles, hovered = null, measure }) {
+  const { k } = transform;
+  const labelled = styles.labelled;
+  const forced = (n) => n === hovered || Boolean(labelled?.has(n.id));
+  const budget = Math.max(MIN_LABELS, Math.min(MAX_LABELS, Math.round(BASE_LABELS * k * k)));
+
+  // Off-screen nodes are skipped; a margin keeps labels from popping at the edges
+  const shown = [];
+  nodes.forEach(n => {
+    if (!Number.isFinite(n.x) || !Number.isFinite(n.y)) return;
+    const sx = transform.applyX(n.x);
+    const sy = transform.applyY(n.y);
+    if (sx < -60 || sx > width + 60 || sy < -30 || sy > height + 30) return;
+    shown.push({ node: n, sx, sy, forced: forced(n), opacity: styles.labelOpacity(n), r: radius(n) });
+  });
+  shown.sort((a, b) => (b.forced - a.forced) || (b.opacity - a.opacity) || (b.r - a.r));
+
+  const index = createBoxIndex();
+  const labels = [];
+  let optional = 0;
+  for (const item of shown) {
+    if (!item.forced && optional >= budget) break;
+    const { node, sx, sy } = item;
+    const text = labelText(node.id, node === hovered);
+    const size = labelSize(node);
+    const spots = candidates(sx, sy, item.r * k, measure(text, size), size);
+    const spot = spots.find(s => index.free(s.box)) || (item.forced ? spots[0] : null);
+    if (!spot) continue;
+    index.add(spot.box);
+    labels.push({ node, text, size, x: spot.x, y: spot.y, anchor: spot.anchor });
+    if (!item.forced) optional += 1;
+  }
+  return labels;
+}
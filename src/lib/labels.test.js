@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import * as d3 from 'd3';
+import { LABEL_LENGTH, placeLabels } from './labels';
+
+// Every character 6px wide at any size, so boxes are easy to reason about
+const measure = (text) => text.length * 6;
+const styles = (overrides = {}) => ({ labelled: null, labelOpacity: () => 1, ...overrides });
+const place = (nodes, options = {}) => placeLabels(nodes, {
+  transform: d3.zoomIdentity,
+  width: 10000,
+  height: 10000,
+  radius: () => 5,
+  styles: styles(),
+  measure,
+  ...options,
+});
+
+// `count` nodes far enough apart that their labels never meet
+const grid = (count) => d3.range(count).map(i => ({ id: `n${i}`, x: (i % 20) * 300 + 100, y: Math.floor(i / 20) * 300 + 100 }));
+
+describe('placeLabels', () => {
+  describe('collision avoidance', () => {
+    it('puts a label below its node when there is room', () => {
+      const [label] = place([{ id: 'APT41', x: 100, y: 100, degree: 0 }]);
+      expect(label).toMatchObject({ text: 'APT41', anchor: 'middle', x: 100 });
+      expect(label.y).toBeGreaterThan(100);
+    });
+
+    it('moves a label to the right, the left and above when the spots before it are taken', () => {
+      const nodes = ['A', 'B', 'C', 'D'].map(id => ({ id, x: 100, y: 100 }));
+      const labels = place(nodes);
+
+      expect(labels.map(l => l.anchor)).toEqual(['middle', 'start', 'end', 'middle']);
+      expect(labels[1].x).toBeGreaterThan(100);
+      expect(labels[2].x).toBeLessThan(100);
+      expect(labels[3].y).toBeLessThan(100);
+    });
+
+    it('leaves out a label with no free spot', () => {
+      const nodes = ['A', 'B', 'C', 'D', 'E'].map(id => ({ id, x: 100, y: 100 }));
+      expect(place(nodes).map(l => l.text)).toEqual(['A', 'B', 'C', 'D']);
+    });
+
+    it('places labelled and hovered nodes first', () => {
+      const nodes = ['A', 'B', 'C', 'D', 'Picked', 'Hovered'].map(id => ({ id, x: 100, y: 100 }));
+      const labels = place(nodes, { styles: styles({ labelled: new Set(['Picked']) }), hovered: nodes[5] });
+      const texts = labels.map(l => l.text);
+
+      expect(texts.slice(0, 2).sort()).toEqual(['Hovered', 'Picked']);
+      expect(texts).toEqual([...texts.slice(0, 2), 'A', 'B']);
+    });
+
+    it('draws labelled nodes even where no spot is free', () => {
+      const ids = ['A', 'B', 'C', 'D', 'E'];
+      const labels = place(ids.map(id => ({ id, x: 100, y: 100 })), { styles: styles({ labelled: new Set(ids) }) });
+
+      expect(labels.map(l => l.text)).toEqual(ids);
+      expect(labels[4]).toMatchObject({ x: labels[0].x, y: labels[0].y, anchor: 'middle' });
+    });
+
+    it('keeps clear of labels on nearby nodes', () => {
+      // B's label would cover A's below, so it goes beside its node
+      const labels = place([{ id: 'A', x: 100, y: 100 }, { id: 'B', x: 104, y: 100 }]);
+      expect(labels[1].anchor).toBe('start');
+    });
+  });
+
+  describe('label budget', () => {
+    it('labels 16 nodes at zoom 1', () => {
+      expect(place(grid(100))).toHaveLength(16);
+    });
+
+    it('grows with the square of the zoom, between 8 and 300', () => {
+      expect(place(grid(100), { transform: d3.zoomIdentity.scale(2) })).toHaveLength(64);
+      expect(place(grid(100), { transform: d3.zoomIdentity.scale(0.1) })).toHaveLength(8);
+      expect(place(grid(400), { transform: d3.zoomIdentity.scale(8), width: 50000, height: 50000 })).toHaveLength(300);
+    });
+
+    it('does not count labelled nodes against it', () => {
+      const nodes = grid(100);
+      const labelled = new Set(nodes.slice(80).map(n => n.id));
+      const labels = place(nodes, { styles: styles({ labelled }) });
+
+      expect(labels).toHaveLength(16 + 20);
+    });
+
+    it('spends it on emphasised nodes before dimmed ones, largest first', () => {
+      const nodes = grid(40);
+      const big = (n) => Number(n.id.slice(1)) % 2 === 0;
+      const dimmed = (n) => Number(n.id.slice(1)) >= 20;
+      const labels = place(nodes, {
+        radius: (n) => big(n) ? 12 : 5,
+        styles: styles({ labelOpacity: (n) => dimmed(n) ? 0.2 : 1 }),
+      });
+
+      expect(labels).toHaveLength(16);
+      expect(labels.every(l => !dimmed(l.node))).toBe(true);
+      expect(labels.slice(0, 10).every(l => big(l.node))).toBe(true);
+      expect(labels.slice(10).every(l => !big(l.node))).toBe(true);
+    });
+
+    it('skips nodes off the screen', () => {
+      const nodes = [{ id: 'in', x: 100, y: 100 }, { id: 'out', x: 900, y: 100 }, { id: 'unplaced' }];
+      expect(place(nodes, { width: 400, height: 400 }).map(l => l.text)).toEqual(['in']);
+    });
+  });
+
+  it('shortens long labels except the hovered one', () => {
+    const long = 'A very long threat actor name that keeps going';
+    const node = { id: long, x: 100, y: 100 };
+
+    expect(place([node])[0].text).toBe(`${long.slice(0, LABEL_LENGTH)}…`);
+    expect(place([node], { hovered: node })[0].text).toBe(long);
+  });
+});
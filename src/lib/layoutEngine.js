@@ -0,0 +1,164 @@
+import { configureForces, createForceSimulation } from './forceLayout';
+
+// Drives the force layout for NetworkGraph. The simulation runs in a Web Worker
+// when one can be started and falls back to the main thread otherwise (or when
+// the worker fails). Either way the caller's node objects get their x/y and
+// vx/vy updated in place and link endpoints are resolved to node objects, as d3.forceLink
+// would, so renderers and zoom code can read positions directly.
+//
+//   const engine = createLayoutEngine({ width, height, onTick, forces });
+//   engine.setForces(forces);   applies from the next setGraph
+//   engine.setGraph(nodes, links, alpha);
+//   engine.pin(node, x, y); engine.release(node, { keepPinned });
+//   engine.stop();
+
+const endpointId = (end) => end && typeof end === 'object' ? end.id : end;
+
+function resolveLinks(nodes, links) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  links.forEach(l => {
+    l.source = byId.get(endpointId(l.source)) || l.source;
+    l.target = byId.get(endpointId(l.target)) || l.target;
+  });
+}
+
+function createMainThreadEngine({ width, height, onTick, forces }) {
+  const simulation = createForceSimulation({ width, height, forces });
+  simulation.on('tick', onTick);
+  return {
+    kind: 'main',
+    nodes: () => simulation.nodes(),
+    setForces(next) {
+      configureForces(simulation, next, { width, height });
+    },
+    setGraph(nodes, links, alpha) {
+      simulation.nodes(nodes);
+      simulation.force('link').links(links);
+      simulation.alpha(alpha).restart();
+    },
+    pin(node, x, y) {
+      node.fx = x;
+      node.fy = y;
+      simulation.alphaTarget(0.3).restart();
+    },
+    release(node, { keepPinned = false } = {}) {
+      if (!keepPinned) {
+        node.fx = null;
+        node.fy = null;
+      }
+      simulation.alphaTarget(0);
+    },
+    stop: () => simulation.stop(),
+  };
+}
+
+function createWorkerEngine({ width, height, onTick, onFail, forces }) {
+  const worker = new Worker(new URL('../workers/forceLayout.worker.js', import.meta.url), { type: 'module' });
+  let nodes = [];
+  let version = 0;
+  let frame = null;
+
+  // Ticks can outpace the display; draw at most once per frame
+  const scheduleTick = () => {
+    if (frame !== null) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      onTick();
+    });
+  };
+
+  worker.onmessage = ({ data: message }) => {
+    if (message.type !== 'tick' || message.version !== version) return;
+    const { positions, velocities } = message;
+    nodes.forEach((n, i) => {
+      if (n.fx != null) return;
+      n.x = positions[i * 2];
+      n.y = positions[i * 2 + 1];
+      n.vx = velocities[i * 2];
+      n.vy = velocities[i * 2 + 1];
+    });
+    scheduleTick();
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    onFail();
+  };
+  if (forces) worker.postMessage({ type: 'forces', forces });
+
+  return {
+    kind: 'worker',
+    nodes: () => nodes,
+    setForces(next) {
+      worker.postMessage({ type: 'forces', forces: next });
+    },
+    setGraph(next, links, alpha) {
+      nodes = next;
+      version += 1;
+      worker.postMessage({
+        type: 'graph',
+        version,
+        width,
+        height,
+        alpha,
+        nodes: nodes.map(({ id, degree, radius, x, y, vx, vy, fx, fy, tx, ty, tr }) => ({ id, degree, radius, x, y, vx, vy, fx, fy, tx, ty, tr })),
+        links: links.map(l => ({ source: endpointId(l.source), target: endpointId(l.target) })),
+      });
+    },
+    pin(node, x, y) {
+      node.fx = node.x = x;
+      node.fy = node.y = y;
+      worker.postMessage({ type: 'pin', id: node.id, x, y });
+      scheduleTick();
+    },
+    release(node, { keepPinned = false } = {}) {
+      if (!keepPinned) {
+        node.fx = null;
+        node.fy = null;
+      }
+      worker.postMessage({ type: 'release', id: node.id, keepPinned });
+    },
+    stop() {
+      if (frame !== null) cancelAnimationFrame(frame);
+      worker.terminate();
+    },
+  };
+}
+
+export function createLayoutEngine({ width, height, onTick, forces }) {
+  let engine = null;
+  let graph = null;
+
+  // A worker that fails (e.g. blocked by a content security policy) is
+  // replaced by a main-thread simulation picking up the current positions
+  const fallBack = () => {
+    engine?.stop();
+    engine = createMainThreadEngine({ width, height, onTick, forces });
+    if (graph) engine.setGraph(graph.nodes, graph.links, 0.5);
+  };
+
+  if (typeof Worker !== 'undefined') {
+    try {
+      engine = createWorkerEngine({ width, height, onTick, onFail: fallBack, forces });
+    } catch {
+      engine = null;
+    }
+  }
+  if (!engine) engine = createMainThreadEngine({ width, height, onTick, forces });
+
+  return {
+    get kind() { return engine.kind; },
+    nodes: () => engine.nodes(),
+    setForces(next) {
+      forces = next;
+      engine.setForces(next);
+    },
+    setGraph(nodes, links, alpha) {
+      resolveLinks(nodes, links);
+      graph = { nodes, links };
+      engine.setGraph(nodes, links, alpha);
+    },
+    pin: (node, x, y) => engine.pin(node, x, y),
+    release: (node, options) => engine.release(node, options),
+    stop: () => engine.stop(),
+  };
+}
@@ -0,0 +1,194 @@
+// Alternatives to the free force layout. A mode gives each node a target the
+// simulation pulls it towards, on top of the usual forces (see forceLayout),
+// so switching modes animates as the nodes travel to their new places:
+//
+//   layered  sponsors on top, actors in the middle, targets at the bottom,
+//            each tier ordered to follow the tier above
+//   radial   rings by link distance (either direction) from a centre sponsor
+//   grouped  clusters by detected community or by main sponsor, on a grid
+//
+//   const targets = layoutTargets(network, { mode: 'radial', centre: 'China' }, { width, height });
+//   assignTargets(nodes, targets);   sets n.tx / n.ty (point) or n.tr (ring radius)
+//
+// Grouping by community needs `communityOf(id)` (analytics community index).
+
+export const LAYOUT_MODES = [
+  { key: 'force', label: 'FORCE', title: 'Free force-directed layout', pull: { x: 0, y: 0, radial: 0 } },
+  { key: 'layered', label: 'LAYERED', title: 'Sponsors on top, actors in the middle, targets at the bottom', pull: { x: 0.12, y: 0.7, radial: 0 } },
+  { key: 'radial', label: 'RADIAL', title: 'Rings by distance from a sponsor; click a sponsor to centre on it', pull: { x: 0, y: 0, radial: 0.9 } },
+  { key: 'grouped', label: 'GROUPED', title: 'Cluster nodes by community or by sponsor', pull: { x: 0.25, y: 0.25, radial: 0 } },
+];
+
+export const GROUP_BY = [
+  { key: 'community', label: 'COMMUNITY', title: 'Group by detected community' },
+  { key: 'sponsor', label: 'SPONSOR', title: 'Group by the sponsor behind most of a node\'s incidents' },
+];
+
+export const DEFAULT_LAYOUT = { mode: 'force', groupBy: 'community', centre: null };
+
+export const layoutMode = (key) => LAYOUT_MODES.find(m => m.key === key) || LAYOUT_MODES[0];
+
+const TIERS = { sponsor: 0, actor: 1, victim: 2 };
+const TIER_HEIGHTS = [0.14, 0.5, 0.86];
+const MARGIN = 60;
+// Room a node needs along a tier or ring, so crowded ones widen instead of piling up
+const NODE_SPACING = 30;
+
+const endpointId = (end) => end && typeof end === 'object' ? end.id : end;
+
+// Spreads ids evenly across the width (or wider, when there are many), in order
+const spread = (ids, width) => {
+  const span = Math.max(width - MARGIN * 2, ids.length * NODE_SPACING);
+  const left = (width - span) / 2;
+  return new Map(ids.map((id, i) => [id, left + (ids.length === 1 ? span / 2 : (span * i) / (ids.length - 1))]));
+};
+
+// Each tier is sorted by the weighted mean position of its links to the tiers
+// above (the barycentre heuristic), which keeps links from crossing much
+function layeredTargets(network, { width, height }) {
+  const tierOf = (n) => TIERS[n.type] ?? 1;
+  const tiers = [[], [], []];
+  network.nodes.forEach(n => tiers[tierOf(n)].push(n));
+  const tierById = new Map(network.nodes.map(n => [n.id, tierOf(n)]));
+  const incoming = new Map();
+  network.links.forEach(l => {
+    const source = endpointId(l.source);
+    const target = endpointId(l.target);
+    if (!(tierById.get(source) < tierById.get(target))) return;
+    if (!incoming.has(target)) incoming.set(target, []);
+    incoming.get(target).push({ id: source, weight: l.weight ?? 1 });
+  });
+
+  const xs = new Map();
+  const targets = new Map();
+  tiers.forEach((nodes, tier) => {
+    const keyed = nodes.map(n => {
+      const placed = (incoming.get(n.id) || []).filter(e => xs.has(e.id));
+      const total = placed.reduce((sum, e) => sum + e.weight, 0);
+      const centre = total > 0 ? placed.reduce((sum, e) => sum + xs.get(e.id) * e.weight, 0) / total : Infinity;
+      return { id: n.id, centre, degree: n.degree ?? 0 };
+    });
+    keyed.sort((a, b) => a.centre - b.centre || b.degree - a.degree || a.id.localeCompare(b.id));
+    spread(keyed.map(k => k.id), width).forEach((x, id) => {
+      xs.set(id, x);
+      targets.set(id, { x, y: height * TIER_HEIGHTS[tier] });
+    });
+  });
+  return targets;
+}
+
+// The chosen centre when it is shown, otherwise the best-connected sponsor
+export function radialCentre(network, centre) {
+  const nodes = network?.nodes || [];
+  if (centre && nodes.some(n => n.id === centre)) return centre;
+  const candidates = nodes.some(n => n.type === 'sponsor') ? nodes.filter(n => n.type === 'sponsor') : nodes;
+  return candidates.reduce((best, n) => !best || (n.degree ?? 0) > (best.degree ?? 0) ? n : best, null)?.id ?? null;
+}
+
+function radialTargets(network, centre, { width, height }) {
+  const neighbours = new Map(network.nodes.map(n => [n.id, []]));
+  network.links.forEach(l => {
+    const source = endpointId(l.source);
+    const target = endpointId(l.target);
+    neighbours.get(source)?.push(target);
+    neighbours.get(target)?.push(source);
+  });
+
+  const hops = new Map([[centre, 0]]);
+  let frontier = [centre];
+  while (frontier.length > 0) {
+    const next = [];
+    frontier.forEach(id => neighbours.get(id).forEach(other => {
+      if (hops.has(other)) return;
+      hops.set(other, hops.get(id) + 1);
+      next.push(other);
+    }));
+    frontier = next;
+  }
+
+  // Nodes the centre never reaches go on a ring of their own, outside the rest.
+  // Rings are evenly spaced to fit the view unless they need more room.
+  const farthest = Math.max(0, ...hops.values());
+  const rings = farthest + (hops.size < network.nodes.length ? 1 : 0);
+  const gap = (Math.min(width, height) / 2 - MARGIN / 2) / Math.max(1, rings);
+  const counts = new Array(rings + 1).fill(0);
+  network.nodes.forEach(n => { counts[hops.get(n.id) ?? rings] += 1; });
+  const radii = [0];
+  for (let ring = 1; ring <= rings; ring += 1) {
+    radii.push(Math.max(radii[ring - 1] + gap, (counts[ring] * NODE_SPACING) / (2 * Math.PI)));
+  }
+  return new Map(network.nodes.map(n => [n.id, { radius: radii[hops.get(n.id) ?? rings] }]));
+}
+
+// The sponsor behind most of each node's incidents: its own, for sponsors;
+// over direct links for actors; and directly or through actors for targets
+function mainSponsors(network) {
+  const typeOf = new Map(network.nodes.map(n => [n.id, n.type]));
+  const weights = new Map();
+  const add = (id, sponsor, weight) => {
+    if (!weights.has(id)) weights.set(id, new Map());
+    weights.get(id).set(sponsor, (weights.get(id).get(sponsor) || 0) + weight);
+  };
+  const links = network.links.map(l => ({ source: endpointId(l.source), target: endpointId(l.target), weight: l.weight ?? 1 }));
+  links.forEach(l => { if (typeOf.get(l.source) === 'sponsor') add(l.target, l.source, l.weight); });
+  const main = (id) => {
+    const counts = weights.get(id);
+    if (!counts) return null;
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+  };
+  links.forEach(l => {
+    const sponsor = typeOf.get(l.source) === 'actor' && main(l.source);
+    if (sponsor) add(l.target, sponsor, l.weight);
+  });
+  return new Map(network.nodes.map(n => [n.id, n.type === 'sponsor' ? n.id : main(n.id)]));
+}
+
+// Groups go on a grid roughly as wide as the view, largest first
+function groupedTargets(network, groupOf, { width, height }) {
+  const sizes = new Map();
+  network.nodes.forEach(n => {
+    const group = groupOf(n.id) ?? null;
+    sizes.set(group, (sizes.get(group) || 0) + 1);
+  });
+  // Ungrouped nodes come last
+  const groups = [...sizes.keys()].sort((a, b) => (a === null) - (b === null) || sizes.get(b) - sizes.get(a));
+  const columns = Math.max(1, Math.round(Math.sqrt(groups.length * width / Math.max(1, height))));
+  const rows = Math.ceil(groups.length / columns);
+  const cellWidth = (width - MARGIN * 2) / columns;
+  const cellHeight = (height - MARGIN * 2) / Math.max(1, rows);
+  const centres = new Map(groups.map((group, i) => [group, {
+    x: MARGIN + cellWidth * ((i % columns) + 0.5),
+    y: MARGIN + cellHeight * (Math.floor(i / columns) + 0.5),
+  }]));
+  return new Map(network.nodes.map(n => [n.id, { ...centres.get(groupOf(n.id) ?? null) }]));
+}
+
+// Targets by node id for `layout` ({ mode, groupBy, centre }), or null for
+// the free layout (or when a mode has nothing to work with)
+export function layoutTargets(network, layout, { width, height, communityOf = null }) {
+  if (!network?.nodes.length) return null;
+  const size = { width, height };
+  if (layout.mode === 'layered') return layeredTargets(network, size);
+  if (layout.mode === 'radial') {
+    const centre = radialCentre(network, layout.centre);
+    return centre == null ? null : radialTargets(network, centre, size);
+  }
+  if (layout.mode === 'grouped') {
+    if (layout.groupBy === 'sponsor') {
+      const sponsors = mainSponsors(network);
+      return groupedTargets(network, id => sponsors.get(id), size);
+    }
+    return communityOf ? groupedTargets(network, communityOf, size) : null;
+  }
+  return null;
+}
+
+// Nodes without a target (or all of them, for null) are left free
+export function assignTargets(nodes, targets) {
+  nodes.forEach(n => {
+    const target = targets?.get(n.id);
+    n.tx = target?.x ?? null;
+    n.ty = target?.y ?? null;
+    n.tr = target?.radius ?? null;
+  });
+}
@@ -0,0 +1,96 @@
+import { validate, layoutSchema } from '../data/schema';
+import { DatasetError } from '../data/datasets';
+import { readStoredList, writeStoredList } from '../data/storage';
+
+// Saved graph layouts: node positions per network type, stored in localStorage
+// under names and exchanged as JSON files.
+//
+// Layout format:
+//   {
+//     "version": 1,
+//     "name": "Weekly briefing",
+//     "networkType": "geo",
+//     "savedAt": "2025-03-01T09:00:00.000Z",
+//     "nodes": { "China [S]": { "x": 412.5, "y": 120, "pinned": true }, … }
+//   }
+
+export const LAYOUT_VERSION = 1;
+const STORAGE_KEY = 'cti-viz.layouts';
+
+const round = (v) => Math.round(v * 10) / 10;
+
+// Current positions of the laid-out nodes, keyed by id
+export function snapshotLayout(nodes) {
+  const positions = {};
+  (nodes || []).forEach(n => {
+    if (!Number.isFinite(n.x) || !Number.isFinite(n.y)) return;
+    positions[n.id] = { x: round(n.x), y: round(n.y), ...(n.fx != null && { pinned: true }) };
+  });
+  return positions;
+}
+
+// Moves nodes to their saved positions (pinned ones are fixed there) and
+// returns how many were placed. Nodes missing from the layout are untouched.
+export function applyLayout(nodes, positions) {
+  if (!positions) return 0;
+  let placed = 0;
+  (nodes || []).forEach(n => {
+    const saved = positions[n.id];
+    if (!saved) return;
+    n.x = saved.x;
+    n.y = saved.y;
+    n.vx = 0;
+    n.vy = 0;
+    n.fx = saved.pinned ? saved.x : null;
+    n.fy = saved.pinned ? saved.y : null;
+    placed += 1;
+  });
+  return placed;
+}
+
+// ---------------------------- Storage ----------------------------
+
+export function readLayouts() {
+  return readStoredList(STORAGE_KEY, layoutSchema);
+}
+
+const writeLayouts = (list) => writeStoredList(STORAGE_KEY, list);
+
+export function createLayout(name, networkType, positions) {
+  return { version: LAYOUT_VERSION, name, networkType, savedAt: new Date().toISOString(), nodes: positions };
+}
+
+// Saving under an existing name (for the same network type) replaces it
+export function saveLayout(layout) {
+  const others = readLayouts().filter(l => l.name !== layout.name || l.networkType !== layout.networkType);
+  return writeLayouts([...others, layout]);
+}
+
+export function deleteLayout(name, networkType) {
+  return writeLayouts(readLayouts().filter(l => l.name !== name || l.networkType !== networkType));
+}
+
+// ---------------------------- Files ----------------------------
+
+export function layoutFileName(layout) {
+  const slug = layout.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'layout';
+  return `layout-${layout.networkType}-${slug}.json`;
+}
+
+// Throws a DatasetError ('parse' or 'schema') for files that are not layouts
+export function parseLayout(text, fileName = 'layout file') {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new DatasetError(fileName, 'parse', `${fileName} is not valid JSON: ${err.message}`);
+  }
+  const issues = validate(json, layoutSchema);
+  if (issues.length > 0) {
+    throw new DatasetError(fileName, 'schema', `${fileName} is not a saved layout`, issues);
+  }
+  if (json.version > LAYOUT_VERSION) {
+    throw new DatasetError(fileName, 'schema', `${fileName} was saved by a newer version (v${json.version})`);
+  }
+  return json;
+}
@@ -0,0 +1,21 @@
+// How the graph draws each link type when links are encoded by type. Sponsor
+// links take the sponsor colour and a heavier line so sponsorship stands
+// apart from attacks, which take the actor colour.
+//
+//   linkTypeStyle('sponsor_to_actor')  { color, width, label }
+//   linkTypeLabel('actor_to_victim')   'ACTOR → VICTIM'
+//
+// `width` multiplies the width the link would have from its weight.
+
+export const LINK_TYPES = {
+  sponsor_to_actor: { color: '#E0555A', width: 1.6 },
+  sponsor_to_victim: { color: '#E8A04C', width: 1.3 },
+  actor_to_victim: { color: '#6FA7FF', width: 1 },
+};
+
+// Types a dataset brings beyond these are drawn plainly
+const OTHER_TYPE = { color: '#6F87A7', width: 1 };
+
+export const linkTypeLabel = (type) => type ? type.replace(/_to_/g, ' → ').replace(/_/g, ' ').toUpperCase() : 'UNTYPED';
+
+export const linkTypeStyle = (type) => ({ ...(LINK_TYPES[type] || OTHER_TYPE), label: linkTypeLabel(type) });
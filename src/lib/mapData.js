@@ -0,0 +1,56 @@
+// Aggregates a (normalized, geo) network by country for the world map.
+//
+// Nodes are grouped by the ISO 3166 country of their `place` (see
+// prepareNetwork); regions and unplaced nodes have no shape to draw and are
+// counted instead. Victim countries are shaded by the weight of their incoming
+// edges. Flow arcs come from `sponsor_to_victim` edges only: actor edges do not
+// say which sponsor an incident belongs to. Pure.
+
+const endpointId = (end) => end && typeof end === 'object' ? end.id : end;
+
+// Returns { countries: Map<alpha2, { code, name, incoming, outgoing, nodes }>,
+//   flows: Array<{ source, target, weight }>, unplaced: number, maxIncoming: number }
+export function buildMapData(network) {
+  const countries = new Map();
+  const codeOf = new Map();
+  let unplaced = 0;
+
+  (network?.nodes || []).forEach(n => {
+    if (n.type === 'actor') return;
+    if (n.place?.kind !== 'country') {
+      unplaced += 1;
+      return;
+    }
+    const { code, name } = n.place;
+    if (!countries.has(code)) countries.set(code, { code, name, incoming: 0, outgoing: 0, nodes: [] });
+    countries.get(code).nodes.push(n);
+    codeOf.set(n.id, code);
+  });
+
+  const flowsByKey = new Map();
+  (network?.links || []).forEach(l => {
+    const weight = l.weight ?? 1;
+    const source = codeOf.get(endpointId(l.source));
+    const target = codeOf.get(endpointId(l.target));
+    if (target && String(l.type).includes('to_victim')) countries.get(target).incoming += weight;
+    if (source && String(l.type).includes('sponsor_to')) countries.get(source).outgoing += weight;
+
+    if (!source || !target || source === target || l.type !== 'sponsor_to_victim') return;
+    const key = `${source}→${target}`;
+    const flow = flowsByKey.get(key) || { source, target, weight: 0 };
+    flow.weight += weight;
+    flowsByKey.set(key, flow);
+  });
+
+  const maxIncoming = Math.max(0, ...[...countries.values()].map(c => c.incoming));
+  return { countries, flows: [...flowsByKey.values()], unplaced, maxIncoming };
+}
+
+// The node a country stands for when it is clicked: its target twin when it
+// was attacked, otherwise its sponsor twin.
+export function countryNode(country) {
+  if (!country) return null;
+  const victim = country.nodes.find(n => n.type === 'victim');
+  const sponsor = country.nodes.find(n => n.type === 'sponsor');
+  return (country.incoming > 0 && victim) || sponsor || victim || null;
+}
@@ -0,0 +1,154 @@
+import { getYearExtent } from './timeRange';
+
+// Serializes the subgraph NetworkGraph is showing for use in other tools:
+// a node/edge CSV pair (Excel, pandas), GraphML (networkx, yEd) and GEXF
+// (Gephi). Every format carries the same columns:
+//
+//   nodes: id, type, degree, split_from, split_role, country, region, aliases
+//   edges: source, target, type, weight, first_year, last_year
+//
+// `split_from` / `split_role` record where an "[S]"/"[T]" twin came from (see
+// normalizeNetwork); they are empty for nodes that were not split.
+
+const endId = (e) => typeof e === 'object' ? e.id : e;
+
+// Nodes in `keepIds` (all when null) and the links between them
+export function subgraph(network, keepIds) {
+  if (!keepIds) return network;
+  return {
+    nodes: network.nodes.filter(n => keepIds.has(n.id)),
+    links: network.links.filter(l => keepIds.has(endId(l.source)) && keepIds.has(endId(l.target))),
+  };
+}
+
+const NODE_COLUMNS = [
+  { key: 'id', type: 'string', value: n => n.id },
+  { key: 'type', type: 'string', value: n => n.type },
+  { key: 'degree', type: 'int', value: n => n.degree },
+  { key: 'split_from', type: 'string', value: n => n.splitFrom ?? '' },
+  { key: 'split_role', type: 'string', value: n => n.splitFrom ? n.type : '' },
+  { key: 'country', type: 'string', value: n => n.place?.code ?? '' },
+  { key: 'region', type: 'string', value: n => n.place?.region ?? '' },
+  { key: 'aliases', type: 'string', value: n => (n.aliases || []).join('; ') },
+];
+
+const EDGE_COLUMNS = [
+  { key: 'source', type: 'string', value: l => endId(l.source) },
+  { key: 'target', type: 'string', value: l => endId(l.target) },
+  { key: 'type', type: 'string', value: l => l.type },
+  { key: 'weight', type: 'double', value: l => l.weight },
+  { key: 'first_year', type: 'int', value: l => getYearExtent([l])?.[0] ?? '' },
+  { key: 'last_year', type: 'int', value: l => getYearExtent([l])?.[1] ?? '' },
+];
+
+// Columns written as element ids/endpoints rather than attributes
+const STRUCTURAL = new Set(['id', 'source', 'target']);
+
+// ---------------------------- CSV ----------------------------
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns) => [
+  columns.map(c => c.key).join(','),
+  ...rows.map(row => columns.map(c => csvCell(c.value(row))).join(',')),
+].join('\n') + '\n';
+
+export function toCsvPair(network) {
+  return {
+    nodes: toCsv(network.nodes, NODE_COLUMNS),
+    edges: toCsv(network.links, EDGE_COLUMNS),
+  };
+}
+
+// ---------------------------- XML ----------------------------
+
+const xmlEscape = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Attribute columns that have a value for this element; empty cells are omitted
+const filledAttributes = (row, columns) => columns
+  .filter(c => !STRUCTURAL.has(c.key))
+  .map(c => [c, c.value(row)])
+  .filter(([, value]) => value !== '' && value != null);
+
+export function toGraphML(network) {
+  const keys = [
+    ...NODE_COLUMNS.filter(c => !STRUCTURAL.has(c.key)).map(c => ['node', c]),
+    ...EDGE_COLUMNS.filter(c => !STRUCTURAL.has(c.key)).map(c => ['edge', c]),
+  ];
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys.map(([scope, c]) => `  <key id="${scope}_${c.key}" for="${scope}" attr.name="${c.key}" attr.type="${c.type}"/>`),
+    '  <graph id="G" edgedefault="directed">',
+  ];
+  network.nodes.forEach(n => {
+    lines.push(`    <node id="${xmlEscape(n.id)}">`);
+    filledAttributes(n, NODE_COLUMNS).forEach(([c, value]) => {
+      lines.push(`      <data key="node_${c.key}">${xmlEscape(value)}</data>`);
+    });
+    lines.push('    </node>');
+  });
+  network.links.forEach((l, i) => {
+    lines.push(`    <edge id="e${i}" source="${xmlEscape(endId(l.source))}" target="${xmlEscape(endId(l.target))}">`);
+    filledAttributes(l, EDGE_COLUMNS).forEach(([c, value]) => {
+      lines.push(`      <data key="edge_${c.key}">${xmlEscape(value)}</data>`);
+    });
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+// GEXF has a native edge weight; the other edge columns become attributes
+const GEXF_TYPES = { string: 'string', int: 'integer', double: 'double' };
+
+export function toGEXF(network, { description = '' } = {}) {
+  const nodeAttrs = NODE_COLUMNS.filter(c => !STRUCTURAL.has(c.key));
+  const edgeAttrs = EDGE_COLUMNS.filter(c => !STRUCTURAL.has(c.key) && c.key !== 'weight');
+  const attributeDecl = (cls, columns) => [
+    `    <attributes class="${cls}">`,
+    ...columns.map(c => `      <attribute id="${c.key}" title="${c.key}" type="${GEXF_TYPES[c.type]}"/>`),
+    '    </attributes>',
+  ];
+  const attValues = (row, columns) => {
+    const filled = filledAttributes(row, columns);
+    if (filled.length === 0) return [];
+    return [
+      '        <attvalues>',
+      ...filled.map(([c, value]) => `          <attvalue for="${c.key}" value="${xmlEscape(value)}"/>`),
+      '        </attvalues>',
+    ];
+  };
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    `    <description>${xmlEscape(description)}</description>`,
+    '  </meta>',
+    '  <graph defaultedgetype="directed">',
+    ...attributeDecl('node', nodeAttrs),
+    ...attributeDecl('edge', edgeAttrs),
+    '    <nodes>',
+  ];
+  network.nodes.forEach(n => {
+    lines.push(`      <node id="${xmlEscape(n.id)}" label="${xmlEscape(n.id)}">`, ...attValues(n, nodeAttrs), '      </node>');
+  });
+  lines.push('    </nodes>', '    <edges>');
+  network.links.forEach((l, i) => {
+    lines.push(
+      `      <edge id="e${i}" source="${xmlEscape(endId(l.source))}" target="${xmlEscape(endId(l.target))}" weight="${l.weight ?? 1}">`,
+      ...attValues(l, edgeAttrs),
+      '      </edge>'
+    );
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,132 @@
+// Role normalization for attribution networks.
+//
+// Node roles are inferred from the edge types they take part in: the source of a
+// `sponsor_to_*` edge is a sponsor, the target of a `*_to_victim` edge is a
+// victim, everything else is an actor. A node that is both sponsor and victim
+// (e.g. a country that sponsors attacks and is attacked) is split into
+// "<id> [S]" and "<id> [T]" twins so the layout can place each role separately.
+//
+// The function is pure: it never mutates its input and reports what it changed
+// instead of logging it.
+
+export const SPLIT_SUFFIX = { sponsor: ' [S]', victim: ' [T]' };
+
+const endpointId = (end) => end && typeof end === 'object' ? end.id : end;
+const isValidId = (id) => typeof id === 'string' ? id.length > 0 : Number.isFinite(id);
+
+export function linkRoles(type) {
+  const t = String(type || '').toLowerCase();
+  return {
+    sourceRole: t.includes('sponsor_to') ? 'sponsor' : 'actor',
+    targetRole: t.includes('to_victim') ? 'victim' : 'actor'
+  };
+}
+
+export function computeDegrees(nodes, links) {
+  const deg = new Map(nodes.map(n => [n.id, 0]));
+  links.forEach(l => {
+    const s = endpointId(l.source), t = endpointId(l.target);
+    deg.set(s, (deg.get(s) || 0) + 1);
+    deg.set(t, (deg.get(t) || 0) + 1);
+  });
+  return deg;
+}
+
+// Returns { nodes, links, report } where report is
+// { splitNodes: string[], addedNodes: string[], droppedLinks: Array<{ source, target, type, reason }>,
+//   ambiguousEndpoints: string[] }
+export function normalizeNetwork(networkData) {
+  const report = { splitNodes: [], addedNodes: [], droppedLinks: [], ambiguousEndpoints: [] };
+
+  // Normalize links to string ids and drop the ones that cannot be placed
+  const links = [];
+  (networkData.links || []).forEach(l => {
+    const source = endpointId(l.source);
+    const target = endpointId(l.target);
+    if (!isValidId(source) || !isValidId(target)) {
+      report.droppedLinks.push({ source, target, type: l.type || '', reason: 'missing endpoint' });
+      return;
+    }
+    links.push({ ...l, source, target, weight: l.weight ?? 1, type: l.type || '' });
+  });
+
+  // Base nodes, plus any referenced by links but missing from the node list
+  const nodesById = new Map();
+  (networkData.nodes || []).forEach(n => {
+    if (isValidId(n.id)) nodesById.set(n.id, { ...n });
+  });
+  links.forEach(l => {
+    [l.source, l.target].forEach(id => {
+      if (!nodesById.has(id)) {
+        nodesById.set(id, { id, type: 'actor', degree: 0 });
+        report.addedNodes.push(id);
+      }
+    });
+  });
+
+  // Aggregate roles per node
+  const withRoles = links.map(link => ({ link, ...linkRoles(link.type) }));
+  const nodeRoles = new Map();
+  const addRole = (id, role) => {
+    const roles = nodeRoles.get(id) || new Set();
+    roles.add(role);
+    nodeRoles.set(id, roles);
+  };
+  withRoles.forEach(({ link, sourceRole, targetRole }) => {
+    addRole(link.source, sourceRole);
+    addRole(link.target, targetRole);
+  });
+
+  const needsSplit = new Set();
+  nodeRoles.forEach((roles, id) => {
+    if (roles.has('sponsor') && roles.has('victim')) needsSplit.add(id);
+  });
+  report.splitNodes = [...needsSplit];
+
+  // An actor-role endpoint on a split node has no matching twin; it is wired to
+  // the sponsor side for consistency and reported.
+  const ambiguous = new Set();
+  const roleId = (id, role) => {
+    if (!needsSplit.has(id)) return id;
+    if (role === 'victim') return `${id}${SPLIT_SUFFIX.victim}`;
+    if (role !== 'sponsor') ambiguous.add(id);
+    return `${id}${SPLIT_SUFFIX.sponsor}`;
+  };
+
+  const nodes = [];
+  nodesById.forEach((node, id) => {
+    if (needsSplit.has(id)) {
+      nodes.push({ ...node, id: `${id}${SPLIT_SUFFIX.sponsor}`, type: 'sponsor', splitFrom: id });
+      nodes.push({ ...node, id: `${id}${SPLIT_SUFFIX.victim}`, type: 'victim', splitFrom: id });
+      return;
+    }
+    // A node's links decide its role; its own type only counts when it has none
+    const roles = nodeRoles.get(id);
+    let type = node.type || 'actor';
+    if (roles) {
+      if (roles.has('sponsor')) type = 'sponsor';
+      else if (roles.has('victim')) type = 'victim';
+      else type = 'actor';
+    }
+    nodes.push({ ...node, id, type });
+  });
+
+  const nodeIds = new Set(nodes.map(n => n.id));
+  const rewired = [];
+  withRoles.forEach(({ link, sourceRole, targetRole }) => {
+    const source = roleId(link.source, sourceRole);
+    const target = roleId(link.target, targetRole);
+    if (!nodeIds.has(source) || !nodeIds.has(target)) {
+      report.droppedLinks.push({ source, target, type: link.type, reason: 'unknown endpoint' });
+      return;
+    }
+    rewired.push({ ...link, source, target });
+  });
+  report.ambiguousEndpoints = [...ambiguous];
+
+  // Degrees always reflect the links that survived
+  const deg = computeDegrees(nodes, rewired);
+  nodes.forEach(n => { n.degree = deg.get(n.id) || 0; });
+
+  return { nodes, links: rewired, report };
+}
@@ -0,0 +1,197 @@
+import { describe, expect, it } from 'vitest';
+import { SPLIT_SUFFIX, normalizeNetwork } from './normalizeNetwork';
+import { EMPTY_FILTERS, filterNetwork } from './graphFilters';
+import { buildMapData } from './mapData';
+import { buildSankeyData } from './sankeyData';
+
+const byId = (nodes) => new Map(nodes.map(n => [n.id, n]));
+
+describe('normalizeNetwork', () => {
+  it('splits a node that is both sponsor and victim into twins', () => {
+    const { nodes, links, report } = normalizeNetwork({
+      nodes: [{ id: 'Iran' }, { id: 'APT33' }, { id: 'Israel' }],
+      links: [
+        { source: 'Iran', target: 'APT33', type: 'sponsor_to_actor' },
+        { source: 'Israel', target: 'Iran', type: 'sponsor_to_victim' },
+      ],
+    });
+    const ids = byId(nodes);
+
+    expect(report.splitNodes).toEqual(['Iran']);
+    expect(ids.has('Iran')).toBe(false);
+    expect(ids.get(`Iran${SPLIT_SUFFIX.sponsor}`)).toMatchObject({ type: 'sponsor', splitFrom: 'Iran' });
+    expect(ids.get(`Iran${SPLIT_SUFFIX.victim}`)).toMatchObject({ type: 'victim', splitFrom: 'Iran' });
+    expect(links.map(l => [l.source, l.target])).toEqual([
+      ['Iran [S]', 'APT33'],
+      ['Israel', 'Iran [T]'],
+    ]);
+  });
+
+  it('wires an actor-role endpoint of a split node to its sponsor twin and reports it', () => {
+    const { links, report } = normalizeNetwork({
+      nodes: [],
+      links: [
+        { source: 'Russia', target: 'APT28', type: 'sponsor_to_actor' },
+        { source: 'APT29', target: 'Russia', type: 'actor_to_victim' },
+        { source: 'Russia', target: 'APT29', type: 'actor_to_actor' },
+      ],
+    });
+
+    expect(report.splitNodes).toEqual(['Russia']);
+    expect(report.ambiguousEndpoints).toEqual(['Russia']);
+    expect(links[2]).toMatchObject({ source: 'Russia [S]', target: 'APT29' });
+  });
+
+  it('drops links whose endpoints are missing or invalid', () => {
+    const { links, report } = normalizeNetwork({
+      nodes: [{ id: 'China' }, { id: 'APT41' }],
+      links: [
+        { source: 'China', target: 'APT41', type: 'sponsor_to_actor' },
+        { source: null, target: 'APT41', type: 'sponsor_to_actor' },
+        { source: 'China', target: '', type: 'sponsor_to_actor' },
+        { source: { id: NaN }, target: 'APT41', type: 'actor_to_victim' },
+        { target: 'APT41' },
+      ],
+    });
+
+    expect(links).toHaveLength(1);
+    expect(report.droppedLinks).toHaveLength(4);
+    expect(report.droppedLinks.every(d => d.reason === 'missing endpoint')).toBe(true);
+  });
+
+  it('creates nodes for link endpoints missing from the node list', () => {
+    const { nodes, report } = normalizeNetwork({
+      nodes: [{ id: 'North Korea', type: 'sponsor' }],
+      links: [
+        { source: 'North Korea', target: 'Lazarus Group', type: 'sponsor_to_actor' },
+        { source: 'Lazarus Group', target: 'Finance', type: 'actor_to_victim' },
+      ],
+    });
+    const ids = byId(nodes);
+
+    expect(report.addedNodes).toEqual(['Lazarus Group', 'Finance']);
+    expect(ids.get('Lazarus Group').type).toBe('actor');
+    expect(ids.get('Finance').type).toBe('victim');
+  });
+
+  it('keeps nodes without links and removes nodes without a valid id', () => {
+    const { nodes, report } = normalizeNetwork({
+      nodes: [{ id: 'Unlinked', type: 'victim' }, { id: '' }, { name: 'no id' }, { id: 7 }],
+      links: [],
+    });
+
+    expect(nodes.map(n => n.id)).toEqual(['Unlinked', 7]);
+    expect(byId(nodes).get('Unlinked')).toMatchObject({ type: 'victim', degree: 0 });
+    expect(report.addedNodes).toEqual([]);
+  });
+
+  it('types nodes by the links they take part in over the type they came with', () => {
+    const { nodes } = normalizeNetwork({
+      nodes: [
+        { id: 'Golden Falcon', type: 'sponsor' },
+        { id: 'Pakistan', type: 'actor' },
+        { id: 'Transparent Tribe', type: 'victim' },
+        { id: 'Defense', type: 'actor' },
+      ],
+      links: [
+        { source: 'Golden Falcon', target: 'Defense', type: 'actor_to_victim' },
+        { source: 'Pakistan', target: 'Transparent Tribe', type: 'sponsor_to_actor' },
+      ],
+    });
+    const ids = byId(nodes);
+
+    expect(ids.get('Golden Falcon').type).toBe('actor');
+    expect(ids.get('Pakistan').type).toBe('sponsor');
+    expect(ids.get('Transparent Tribe').type).toBe('actor');
+    expect(ids.get('Defense').type).toBe('victim');
+  });
+
+  describe('typing by links, as the views see it', () => {
+    // An unsponsored group the raw data files as a sponsor, and a country
+    // filed as an actor although it only ever sponsors
+    const { nodes, links } = normalizeNetwork({
+      nodes: [
+        { id: 'Golden Falcon', type: 'sponsor', place: { kind: 'country', code: 'YE', name: 'Yemen' } },
+        { id: 'Iran', type: 'actor', place: { kind: 'country', code: 'IR', name: 'Iran' } },
+        { id: 'APT33', type: 'actor' },
+        { id: 'Saudi Arabia', type: 'victim', place: { kind: 'country', code: 'SA', name: 'Saudi Arabia' } },
+      ],
+      links: [
+        { source: 'Golden Falcon', target: 'Saudi Arabia', type: 'actor_to_victim', weight: 2 },
+        { source: 'Iran', target: 'APT33', type: 'sponsor_to_actor', weight: 1 },
+        { source: 'APT33', target: 'Saudi Arabia', type: 'actor_to_victim', weight: 3 },
+      ],
+    });
+    const network = { nodes, links };
+
+    it('hides the group with the actors in the graph filters', () => {
+      const shown = filterNetwork(network, { ...EMPTY_FILTERS, hiddenTypes: ['actor'] });
+
+      expect(shown.nodes.map(n => n.id)).toEqual(['Iran', 'Saudi Arabia']);
+      expect(shown.links).toEqual([]);
+    });
+
+    it('leaves the group off the map and keeps the sponsoring country', () => {
+      const { countries } = buildMapData(network);
+
+      expect(countries.has('YE')).toBe(false);
+      expect(countries.get('IR')).toMatchObject({ outgoing: 1 });
+      expect(countries.get('SA')).toMatchObject({ incoming: 5 });
+    });
+
+    it('draws the group in the actor column of the sankey', () => {
+      const column = byId(buildSankeyData(network).nodes);
+
+      expect(column.get('Golden Falcon').column).toBe(1);
+      expect(column.get('Iran').column).toBe(0);
+      expect(column.get('Saudi Arabia').column).toBe(2);
+    });
+  });
+
+  it('recomputes degrees from the links that survive', () => {
+    const { nodes } = normalizeNetwork({
+      nodes: [
+        { id: 'China', degree: 99 },
+        { id: 'APT41', degree: 99 },
+        { id: 'Healthcare', degree: 99 },
+      ],
+      links: [
+        { source: 'China', target: 'APT41', type: 'sponsor_to_actor' },
+        { source: 'APT41', target: 'Healthcare', type: 'actor_to_victim' },
+        { source: 'APT41', target: null, type: 'actor_to_victim' },
+      ],
+    });
+    const ids = byId(nodes);
+
+    expect(ids.get('China').degree).toBe(1);
+    expect(ids.get('APT41').degree).toBe(2);
+    expect(ids.get('Healthcare').degree).toBe(1);
+  });
+
+  it('reports what it changed', () => {
+    const { report } = normalizeNetwork({
+      nodes: [{ id: 'Iran' }],
+      links: [
+        { source: 'Iran', target: 'APT34', type: 'sponsor_to_actor' },
+        { source: 'APT34', target: 'Iran', type: 'actor_to_victim' },
+        { source: 'APT34', target: undefined, type: 'actor_to_victim' },
+      ],
+    });
+
+    expect(report.splitNodes).toHaveLength(1);
+    expect(report.addedNodes).toHaveLength(1);
+    expect(report.droppedLinks).toHaveLength(1);
+    expect(report.ambiguousEndpoints).toHaveLength(0);
+  });
+
+  it('does not mutate its input', () => {
+    const input = {
+      nodes: [{ id: 'Iran' }],
+      links: [{ source: 'Iran', target: 'APT33', type: 'sponsor_to_actor' }],
+    };
+    const copy = structuredClone(input);
+    normalizeNetwork(input);
+
+    expect(input).toEqual(copy);
+  });
+});
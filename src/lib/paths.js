@@ -0,0 +1,148 @@
+// Connections between two entities of a network: every shortest path, and
+// every simple path up to a given length. Paths can follow link direction
+// (sponsor → actor → victim) or ignore it.
+//
+//   const result = findConnections(network, 'Iran (Islamic Republic of)', 'Energy', { directed: true, maxLength: 3 });
+//   result.shortest  [{ nodes: [id, …], steps: [{ source, target, weight, types, forward }] }]
+//   result.all       every path of at most maxLength links (up to PATH_LIMIT)
+//
+// Parallel links between two nodes count as one step, weighted by their sum.
+// A step with `forward` false runs against the link direction (undirected only).
+
+export const PATH_LIMIT = 200;
+
+const endpointId = (end) => end && typeof end === 'object' ? end.id : end;
+
+// id → Map<neighbour id, { weight, types, forward }>, along links (and against them when undirected)
+function adjacencyOf(links, directed) {
+  const adjacency = new Map();
+  const add = (from, to, link, forward) => {
+    if (!adjacency.has(from)) adjacency.set(from, new Map());
+    const row = adjacency.get(from);
+    if (!row.has(to)) row.set(to, { weight: 0, types: new Set(), forward });
+    const step = row.get(to);
+    step.weight += link.weight ?? 1;
+    step.types.add(link.type);
+  };
+  links.forEach(l => {
+    const s = endpointId(l.source);
+    const t = endpointId(l.target);
+    if (s === t) return;
+    add(s, t, l, true);
+    if (!directed) add(t, s, l, false);
+  });
+  return adjacency;
+}
+
+const reverse = (adjacency) => {
+  const reversed = new Map();
+  adjacency.forEach((row, from) => {
+    row.forEach((step, to) => {
+      if (!reversed.has(to)) reversed.set(to, new Map());
+      reversed.get(to).set(from, step);
+    });
+  });
+  return reversed;
+};
+
+// Breadth-first distances from `start`; predecessors record every way a node
+// was reached at its shortest distance
+function breadthFirst(adjacency, start) {
+  const distance = new Map([[start, 0]]);
+  const predecessors = new Map([[start, []]]);
+  const queue = [start];
+  for (let head = 0; head < queue.length; head += 1) {
+    const v = queue[head];
+    (adjacency.get(v) || new Map()).forEach((_, w) => {
+      if (!distance.has(w)) {
+        distance.set(w, distance.get(v) + 1);
+        predecessors.set(w, []);
+        queue.push(w);
+      }
+      if (distance.get(w) === distance.get(v) + 1) predecessors.get(w).push(v);
+    });
+  }
+  return { distance, predecessors };
+}
+
+function toPath(ids, adjacency) {
+  const steps = ids.slice(1).map((id, i) => {
+    const { weight, types, forward } = adjacency.get(ids[i]).get(id);
+    return { source: ids[i], target: id, weight, types: [...types], forward };
+  });
+  return { nodes: ids, steps };
+}
+
+// Returns { shortest, all, distance, truncated }. `distance` is null when the
+// two are not connected; `truncated` is true when more paths exist than are listed.
+export function findConnections(network, from, to, { directed = false, maxLength = 4 } = {}) {
+  const empty = { shortest: [], all: [], distance: null, truncated: false };
+  if (!network || !from || !to || from === to) return empty;
+  const adjacency = adjacencyOf(network.links || [], directed);
+  const { distance, predecessors } = breadthFirst(adjacency, from);
+  if (!distance.has(to)) return empty;
+
+  let truncated = false;
+  const shortest = [];
+  const walkBack = (id, suffix) => {
+    if (shortest.length >= PATH_LIMIT) {
+      truncated = true;
+      return;
+    }
+    if (id === from) {
+      shortest.push(toPath([from, ...suffix], adjacency));
+      return;
+    }
+    predecessors.get(id).forEach(p => walkBack(p, [id, ...suffix]));
+  };
+  walkBack(to, []);
+
+  // Depth-first over simple paths, skipping nodes too far from the target to
+  // arrive within maxLength
+  const toTarget = breadthFirst(reverse(adjacency), to).distance;
+  const all = [];
+  const trail = [from];
+  const onTrail = new Set(trail);
+  const extend = (id) => {
+    if (all.length >= PATH_LIMIT) {
+      truncated = true;
+      return;
+    }
+    if (id === to) {
+      all.push(toPath([...trail], adjacency));
+      return;
+    }
+    (adjacency.get(id) || new Map()).forEach((_, next) => {
+      if (onTrail.has(next) || !toTarget.has(next) || trail.length + toTarget.get(next) > maxLength) return;
+      trail.push(next);
+      onTrail.add(next);
+      extend(next);
+      trail.pop();
+      onTrail.delete(next);
+    });
+  };
+  extend(from);
+  all.sort((a, b) => a.steps.length - b.steps.length);
+
+  return { shortest, all, distance: distance.get(to), truncated };
+}
+
+// The nodes between the two ends of the given paths, with the number of paths
+// through each and the summed weights of the distinct path links arriving at
+// and leaving it
+export function intermediates(paths) {
+  const byId = new Map();
+  paths.forEach(({ nodes, steps }) => {
+    nodes.slice(1, -1).forEach((id, i) => {
+      if (!byId.has(id)) byId.set(id, { id, paths: 0, incoming: new Map(), outgoing: new Map() });
+      const entry = byId.get(id);
+      entry.paths += 1;
+      entry.incoming.set(steps[i].source, steps[i].weight);
+      entry.outgoing.set(steps[i + 1].target, steps[i + 1].weight);
+    });
+  });
+  const sum = (weights) => [...weights.values()].reduce((a, b) => a + b, 0);
+  return [...byId.values()]
+    .map(({ id, paths: count, incoming, outgoing }) => ({ id, paths: count, weightIn: sum(incoming), weightOut: sum(outgoing) }))
+    .sort((a, b) => b.paths - a.paths || a.id.localeCompare(b.id));
+}
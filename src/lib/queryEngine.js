@@ -0,0 +1,200 @@
+import { FIELDS, QueryError, ROLES, SUBJECTS, closestMatch, formatQuery } from './queryLanguage';
+import { analyzeNetwork } from './analytics';
+import { filterNetworkByYears, getYearExtent } from './timeRange';
+import { lookupCountry } from './geography';
+
+// Runs a parsed query (see queryLanguage.js) over a network as the graph shows
+// it, so the year filter and alias merging already apply. Returns
+//
+//   { rows: [{ id, type, values: { field: value }, via? }], columns, total,
+//     focus, text, warnings }
+//
+// `columns` are the fields worth showing for this query, `total` counts rows
+// before LIMIT, `focus` holds the ids the OF clause resolved to and `via`
+// the incidents per OF entity. Entities that cannot be found throw a QueryError.
+
+const DEFAULT_LIMIT = 100;
+const ANALYTICS_FIELDS = new Set(['betweenness', 'pagerank', 'community']);
+// Sponsor nodes that stand for "no known sponsor"
+const UNKNOWN_SPONSOR = /^(unknown|unnamed)\b/i;
+
+const endpointId = (end) => end && typeof end === 'object' ? end.id : end;
+const baseName = (id) => String(id).replace(/\s*\[(S|T)\]$/i, '');
+
+// Links by node, in both directions, with their weights
+function indexLinks(network) {
+  const outgoing = new Map();
+  const incoming = new Map();
+  network.nodes.forEach(n => {
+    outgoing.set(n.id, []);
+    incoming.set(n.id, []);
+  });
+  network.links.forEach(l => {
+    const source = endpointId(l.source);
+    const target = endpointId(l.target);
+    const weight = l.weight ?? 1;
+    outgoing.get(source)?.push({ id: target, weight });
+    incoming.get(target)?.push({ id: source, weight });
+  });
+  return { outgoing, incoming };
+}
+
+// Nodes an OF entity names: its exact id, its [S]/[T] twins, or the same
+// country under another name ("Russia" → "Russian Federation")
+function resolveEntity({ role, name }, network, networkType) {
+  const type = role ? ROLES[role] : null;
+  const candidates = network.nodes.filter(n => !type || n.type === type);
+  const lower = name.toLowerCase();
+  let found = candidates.filter(n => n.id.toLowerCase() === lower);
+  if (found.length === 0) found = candidates.filter(n => baseName(n.id).toLowerCase() === lower);
+  if (found.length === 0) {
+    const country = lookupCountry(name);
+    if (country) found = candidates.filter(n => n.type !== 'actor' && lookupCountry(baseName(n.id))?.code === country.code);
+  }
+  if (found.length === 0) {
+    const suggestion = closestMatch(name, [...new Set(candidates.map(n => baseName(n.id)))]);
+    throw new QueryError(
+      `No ${role || 'entity'} named "${name}" in the ${networkType} network.${suggestion ? ` Did you mean "${suggestion}"?` : ''}`
+    );
+  }
+  return found.map(n => n.id);
+}
+
+// Incidents linking each node to `start`: downstream nodes count the links
+// arriving from start's reach, upstream nodes the links leaving towards it
+function related(startIds, { outgoing, incoming }) {
+  const incidents = new Map();
+  const walk = (links, attach) => {
+    const reached = new Set(startIds);
+    let frontier = [...startIds];
+    while (frontier.length > 0) {
+      const next = [];
+      frontier.forEach(id => {
+        links.get(id).forEach(({ id: other, weight }) => {
+          attach(other, weight);
+          if (!reached.has(other)) {
+            reached.add(other);
+            next.push(other);
+          }
+        });
+      });
+      frontier = next;
+    }
+  };
+  const add = (id, weight) => incidents.set(id, (incidents.get(id) || 0) + weight);
+  walk(outgoing, add);
+  walk(incoming, add);
+  startIds.forEach(id => incidents.delete(id));
+  return incidents;
+}
+
+const compare = (a, op, b) => {
+  switch (op) {
+    case '=': return a === b;
+    case '!=': return a !== b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    default: return false;
+  }
+};
+
+function matches(value, { field, op, value: wanted }) {
+  const { kind } = FIELDS[field];
+  if (kind === 'number') return compare(value, op, wanted);
+  if (kind === 'role') return compare(value, op, ROLES[wanted]);
+  const text = String(value).toLowerCase();
+  const lower = String(wanted).toLowerCase();
+  return op === '~' ? text.includes(lower) : compare(text, op, lower);
+}
+
+export function runQuery(query, network, { networkType = 'sector' } = {}) {
+  const warnings = [];
+  let shown = { nodes: network?.nodes || [], links: network?.links || [] };
+  if (query.during) {
+    if (getYearExtent(shown.links)) {
+      shown = filterNetworkByYears(shown, query.during);
+    } else {
+      warnings.push('This network has no incident years, so DURING was ignored');
+    }
+  }
+
+  const links = indexLinks(shown);
+  const byId = new Map(shown.nodes.map(n => [n.id, n]));
+  const analytics = [...query.where.map(c => c.field), query.orderBy?.field].some(f => ANALYTICS_FIELDS.has(f))
+    ? analyzeNetwork(shown)
+    : null;
+
+  // Per OF entity, the incidents connecting each node to it
+  const focus = [];
+  const relations = (query.of?.entities || []).map(entity => {
+    const ids = resolveEntity(entity, shown, networkType);
+    focus.push(...ids);
+    return { entity, incidents: related(ids, links) };
+  });
+
+  const distinct = (list, type) => new Set(list.filter(l => byId.get(l.id)?.type === type).map(l => l.id)).size;
+  const sum = (list) => list.reduce((total, l) => total + l.weight, 0);
+  const fieldValue = (node, field) => {
+    const out = links.outgoing.get(node.id);
+    const into = links.incoming.get(node.id);
+    switch (field) {
+      case 'name': return node.id;
+      case 'type': return node.type;
+      case 'degree': return node.degree ?? out.length + into.length;
+      case 'sponsors': return distinct(into, 'sponsor');
+      case 'attributed': return distinct(into.filter(l => !UNKNOWN_SPONSOR.test(l.id)), 'sponsor');
+      case 'actors': return distinct([...into, ...out], 'actor');
+      case 'targets': return distinct(out, 'victim');
+      case 'in': return sum(into);
+      case 'out': return sum(out);
+      case 'incidents':
+        if (relations.length > 0) return relations.reduce((total, r) => total + (r.incidents.get(node.id) || 0), 0);
+        return node.type === 'victim' ? sum(into) : sum(out);
+      default: return analytics?.nodes.get(node.id)?.[field] ?? 0;
+    }
+  };
+
+  const type = SUBJECTS[query.subject].type;
+  const excluded = new Set(focus);
+  const rows = shown.nodes
+    .filter(n => !type || n.type === type)
+    .filter(n => !excluded.has(n.id))
+    .filter(n => relations.length === 0 || (query.of.mode === 'all'
+      ? relations.every(r => r.incidents.has(n.id))
+      : relations.some(r => r.incidents.has(n.id))))
+    .filter(n => query.where.every(condition => matches(fieldValue(n, condition.field), condition)))
+    .map(n => ({ node: n, sortValue: fieldValue(n, query.orderBy?.field || 'incidents') }));
+
+  const { direction = 'desc' } = query.orderBy || {};
+  rows.sort((a, b) => {
+    const order = typeof a.sortValue === 'string'
+      ? a.sortValue.localeCompare(b.sortValue)
+      : a.sortValue - b.sortValue;
+    return (direction === 'asc' ? order : -order) || a.node.id.localeCompare(b.node.id);
+  });
+
+  const columns = [...new Set([
+    'incidents',
+    ...query.where.map(c => c.field),
+    ...(query.orderBy ? [query.orderBy.field] : []),
+    'degree',
+  ])].filter(f => f !== 'name' && f !== 'type');
+
+  return {
+    rows: rows.slice(0, query.limit || DEFAULT_LIMIT).map(({ node }) => ({
+      id: node.id,
+      type: node.type,
+      values: Object.fromEntries(columns.map(f => [f, fieldValue(node, f)])),
+      ...(relations.length > 1 && {
+        via: Object.fromEntries(relations.map(r => [r.entity.name, r.incidents.get(node.id) || 0])),
+      }),
+    })),
+    columns,
+    total: rows.length,
+    focus,
+    text: formatQuery(query),
+    warnings,
+  };
+}
@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { QueryError, parseQuery } from './queryLanguage';
+import { runQuery } from './queryEngine';
+
+// Two sponsors, each with its own actor and one they share
+const network = {
+  nodes: [
+    { id: 'China', type: 'sponsor' },
+    { id: 'Iran', type: 'sponsor' },
+    { id: 'APT41', type: 'actor' },
+    { id: 'APT33', type: 'actor' },
+    { id: 'Shared', type: 'actor' },
+    { id: 'Energy', type: 'victim' },
+    { id: 'Finance', type: 'victim' },
+    { id: 'Health', type: 'victim' },
+  ],
+  links: [
+    { source: 'China', target: 'APT41', type: 'sponsor_to_actor', weight: 3, years: { 2015: 2, 2018: 1 } },
+    { source: 'China', target: 'Shared', type: 'sponsor_to_actor', weight: 1, years: { 2019: 1 } },
+    { source: 'Iran', target: 'APT33', type: 'sponsor_to_actor', weight: 2, years: { 2016: 2 } },
+    { source: 'Iran', target: 'Shared', type: 'sponsor_to_actor', weight: 1, years: { 2015: 1 } },
+    { source: 'APT41', target: 'Finance', type: 'actor_to_victim', weight: 2, years: { 2015: 2 } },
+    { source: 'APT41', target: 'Health', type: 'actor_to_victim', weight: 1, years: { 2018: 1 } },
+    { source: 'APT33', target: 'Energy', type: 'actor_to_victim', weight: 2, years: { 2016: 2 } },
+    { source: 'Shared', target: 'Energy', type: 'actor_to_victim', weight: 1, years: { 2019: 1 } },
+    { source: 'Shared', target: 'Finance', type: 'actor_to_victim', weight: 1, years: { 2015: 1 } },
+  ],
+};
+
+const run = (text, net = network) => runQuery(parseQuery(text), net);
+const ids = (text, net) => run(text, net).rows.map(r => r.id);
+
+describe('runQuery', () => {
+  it('lists the subject ranked by incidents', () => {
+    expect(ids('targets')).toEqual(['Energy', 'Finance', 'Health']);
+    expect(run('targets').rows[0].values).toEqual({ incidents: 3, degree: 2 });
+  });
+
+  it('keeps nodes connected to any or all OF entities, with incidents per entity', () => {
+    expect(ids('targets OF sponsor:China')).toEqual(['Finance', 'Energy', 'Health']);
+    expect(ids('targets OF China, Iran')).toEqual(['Energy', 'Finance', 'Health']);
+
+    const both = run('actors OF China AND Iran');
+    expect(both.rows.map(r => r.id)).toEqual(['Shared']);
+    expect(both.rows[0].via).toEqual({ China: 1, Iran: 1 });
+    expect(both.focus).toEqual(['China', 'Iran']);
+  });
+
+  it('matches WHERE conditions by field kind', () => {
+    expect(ids('actors WHERE sponsors > 1')).toEqual(['Shared']);
+    expect(ids('nodes WHERE name ~ apt ORDER BY name')).toEqual(['APT33', 'APT41']);
+    expect(ids('nodes WHERE type = target AND in >= 2 ORDER BY name')).toEqual(['Energy', 'Finance']);
+  });
+
+  it('orders, limits and counts what LIMIT cut', () => {
+    const result = run('actors ORDER BY out ASC LIMIT 2');
+    expect(result.rows.map(r => r.id)).toEqual(['APT33', 'Shared']);
+    expect(result.total).toBe(3);
+    expect(result.columns).toEqual(['incidents', 'out', 'degree']);
+  });
+
+  it('counts only the incidents of the DURING years', () => {
+    expect(ids('targets DURING 2015')).toEqual(['Finance']);
+    expect(run('targets DURING 2015').rows[0].values.incidents).toBe(3);
+  });
+
+  it('warns that DURING is ignored on a network without years', () => {
+    const undated = { nodes: network.nodes, links: network.links.map(l => ({ ...l, years: undefined })) };
+    const result = run('targets DURING 2015', undated);
+    expect(result.rows).toHaveLength(3);
+    expect(result.warnings).toHaveLength(1);
+  });
+
+  it('finds OF entities by split twin and by another name of the country', () => {
+    const geo = {
+      nodes: [
+        { id: 'Russian Federation [S]', type: 'sponsor' },
+        { id: 'APT28', type: 'actor' },
+        { id: 'Germany', type: 'victim' },
+      ],
+      links: [
+        { source: 'Russian Federation [S]', target: 'APT28', type: 'sponsor_to_actor', weight: 1 },
+        { source: 'APT28', target: 'Germany', type: 'actor_to_victim', weight: 4 },
+      ],
+    };
+    expect(ids('targets OF "Russian Federation"', geo)).toEqual(['Germany']);
+    expect(ids('targets OF sponsor:Russia', geo)).toEqual(['Germany']);
+  });
+
+  it('throws a QueryError with a suggestion for an unknown entity', () => {
+    expect(() => run('targets OF sponsor:Chna')).toThrow(QueryError);
+    expect(() => run('targets OF sponsor:Chna')).toThrow('Did you mean "China"?');
+    expect(() => run('targets OF actor:China')).toThrow('No actor named "China"');
+  });
+});
@@ -0,0 +1,448 @@
+// The query language of QueryPanel. A query names what to list, then any of
+// these clauses in any order (keywords are case-insensitive):
+//
+//   targets OF sponsor:"China" IN sector-network DURING 2014-2018
+//     WHERE incidents > 2 AND sponsors >= 1 ORDER BY incidents DESC LIMIT 10
+//
+//   nodes | sponsors | actors | targets      what to list (victims = targets)
+//   OF <entity>, <entity> …                 connected to any of these entities
+//   OF <entity> AND <entity> …              connected to all of them
+//   IN sector-network | geo-network         which network to query
+//   DURING 2016 | DURING 2014-2018          only incidents in these years
+//   WHERE <field> <op> <value> AND …        every condition must hold
+//   ORDER BY <field> [ASC | DESC]           default: incidents, highest first
+//   LIMIT <n>
+//
+// An entity is a name, optionally with its role: sponsor:"China", actor:APT28,
+// target:"Energy" or just "China". Names with spaces need quotes.
+// Operators: = != > >= < <= and ~ (name contains). See FIELDS for the fields.
+//
+//   parseQuery(text)            → query object, or throws a QueryError
+//   formatQuery(query)          → canonical text for a query object
+//   completeQuery(text, cursor, { nodes }) → autocomplete options at the cursor
+
+export const SUBJECTS = {
+  nodes: { type: null, label: 'nodes' },
+  sponsors: { type: 'sponsor', label: 'sponsors' },
+  actors: { type: 'actor', label: 'actors' },
+  targets: { type: 'victim', label: 'targets' },
+};
+
+const SUBJECT_WORDS = {
+  nodes: 'nodes', node: 'nodes', entities: 'nodes', entity: 'nodes',
+  sponsors: 'sponsors', sponsor: 'sponsors',
+  actors: 'actors', actor: 'actors',
+  targets: 'targets', target: 'targets', victims: 'targets', victim: 'targets',
+};
+
+// Entity roles map to node types; "target" is a victim node
+export const ROLES = { sponsor: 'sponsor', actor: 'actor', target: 'victim', victim: 'victim', node: null };
+
+export const NETWORKS = {
+  sector: 'sector', 'sector-network': 'sector', sectors: 'sector',
+  geo: 'geo', 'geo-network': 'geo', geographic: 'geo', country: 'geo', countries: 'geo',
+};
+
+export const FIELDS = {
+  name: { kind: 'text', description: 'Entity name' },
+  type: { kind: 'role', description: 'sponsor, actor or target' },
+  degree: { kind: 'number', description: 'Number of links' },
+  incidents: { kind: 'number', description: 'Incidents on its attack links, or on its links to the OF entities' },
+  sponsors: { kind: 'number', description: 'Distinct sponsors linked to it' },
+  attributed: { kind: 'number', description: 'Distinct sponsors linked to it, not counting "Unknown"' },
+  actors: { kind: 'number', description: 'Distinct actors linked to it' },
+  targets: { kind: 'number', description: 'Distinct targets it is linked to' },
+  in: { kind: 'number', description: 'Incidents on incoming links' },
+  out: { kind: 'number', description: 'Incidents on outgoing links' },
+  betweenness: { kind: 'number', description: 'Share of shortest paths through it' },
+  pagerank: { kind: 'number', description: 'PageRank along attribution links' },
+  community: { kind: 'number', description: 'Louvain community (0 = largest)' },
+};
+
+export const OPERATORS = {
+  number: ['=', '!=', '>', '>=', '<', '<='],
+  text: ['=', '!=', '~'],
+  role: ['=', '!='],
+};
+
+const CLAUSES = ['OF', 'IN', 'DURING', 'WHERE', 'ORDER BY', 'LIMIT'];
+const KEYWORDS = new Set(['OF', 'IN', 'DURING', 'WHERE', 'AND', 'OR', 'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT']);
+
+export class QueryError extends Error {
+  // `position` is the offset in the query text the problem starts at
+  constructor(message, position = 0) {
+    super(message);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+// ---------------------------- Tokens ----------------------------
+
+// With `partial`, an unclosed quote at the end becomes a string token marked
+// `open` instead of an error (autocomplete reads half-typed queries)
+function tokenize(text, { partial = false } = {}) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i += 1;
+      while (i < text.length && text[i] !== ch) {
+        if (text[i] === '\\' && i + 1 < text.length) i += 1;
+        value += text[i];
+        i += 1;
+      }
+      if (i >= text.length) {
+        if (!partial) throw new QueryError('This quote is never closed', start);
+        tokens.push({ type: 'string', value, start, end: i, open: true });
+        break;
+      }
+      i += 1;
+      tokens.push({ type: 'string', value, start, end: i });
+    } else if (/\d/.test(ch)) {
+      while (i < text.length && /[\d.]/.test(text[i])) i += 1;
+      const raw = text.slice(start, i);
+      // "1.5.3" would otherwise become NaN, which no comparison matches
+      if (!Number.isFinite(Number(raw))) throw new QueryError(`"${raw}" is not a number`, start);
+      tokens.push({ type: 'number', value: Number(raw), raw, start, end: i });
+    } else if (/[A-Za-z_]/.test(ch)) {
+      while (i < text.length && /[\w.-]/.test(text[i])) i += 1;
+      const raw = text.slice(start, i);
+      const upper = raw.toUpperCase();
+      tokens.push({ type: KEYWORDS.has(upper) ? 'keyword' : 'word', value: KEYWORDS.has(upper) ? upper : raw, raw, start, end: i });
+    } else if ('<>!='.includes(ch)) {
+      i += text[i + 1] === '=' && ch !== '=' ? 2 : 1;
+      const op = text.slice(start, i);
+      if (op === '!') throw new QueryError('Use != for "not equal"', start);
+      tokens.push({ type: 'op', value: op, start, end: i });
+    } else if ('~,:-'.includes(ch)) {
+      i += 1;
+      tokens.push({ type: ch === '~' ? 'op' : ch, value: ch, start, end: i });
+    } else {
+      throw new QueryError(`Unexpected character "${ch}"`, start);
+    }
+  }
+  return tokens;
+}
+
+const describe = (token) => token ? `"${token.raw ?? token.value}"` : 'the end of the query';
+
+// ---------------------------- Suggestions ----------------------------
+
+export function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+// The candidate closest to `word` (case-insensitive), if close enough to be a typo
+export function closestMatch(word, candidates) {
+  const lower = String(word).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const c = String(candidate).toLowerCase();
+    const distance = c.startsWith(lower) || lower.startsWith(c) ? Math.abs(c.length - lower.length) / 2 : editDistance(lower, c);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= Math.max(2, lower.length / 3) ? best : null;
+}
+
+const didYouMean = (word, candidates) => {
+  const match = closestMatch(word, candidates);
+  return match ? ` Did you mean "${match}"?` : '';
+};
+
+// ---------------------------- Parser ----------------------------
+
+export function parseQuery(text) {
+  const tokens = tokenize(String(text || ''));
+  let pos = 0;
+  const peek = (offset = 0) => tokens[pos + offset];
+  const next = () => tokens[pos++];
+  const at = (token) => token ? token.start : String(text || '').length;
+  const isKeyword = (token, value) => token?.type === 'keyword' && token.value === value;
+  const clauseStart = (token) => token?.type === 'keyword' && ['OF', 'IN', 'DURING', 'WHERE', 'ORDER', 'LIMIT'].includes(token.value);
+
+  const first = next();
+  const subject = first?.type === 'word' && SUBJECT_WORDS[first.value.toLowerCase()];
+  if (!subject) {
+    const hint = first?.type === 'word' ? didYouMean(first.value, Object.keys(SUBJECTS)) : '';
+    throw new QueryError(`Start with what to list: nodes, sponsors, actors or targets.${hint}`, at(first));
+  }
+
+  const query = { subject, of: null, network: null, during: null, where: [], orderBy: null, limit: null };
+  const seen = new Set();
+
+  const readName = () => {
+    const token = next();
+    if (token?.type === 'string' || token?.type === 'word' || token?.type === 'number') {
+      return String(token.raw ?? token.value);
+    }
+    throw new QueryError(`Expected an entity name, found ${describe(token)}`, at(token));
+  };
+
+  const readEntity = () => {
+    const token = peek();
+    if (token?.type === 'word' && peek(1)?.type === ':') {
+      const role = token.value.toLowerCase();
+      if (!(role in ROLES)) {
+        throw new QueryError(`Unknown role "${token.value}"; use sponsor, actor or target.${didYouMean(token.value, Object.keys(ROLES))}`, token.start);
+      }
+      pos += 2;
+      return { role: role === 'victim' ? 'target' : role, name: readName() };
+    }
+    return { role: null, name: readName() };
+  };
+
+  const readOf = () => {
+    const entities = [readEntity()];
+    let mode = null;
+    while (peek()?.type === ',' || isKeyword(peek(), 'OR') || (isKeyword(peek(), 'AND') && !clauseStart(peek(1)))) {
+      const joiner = next();
+      const joinMode = joiner.value === 'AND' ? 'all' : 'any';
+      if (mode && mode !== joinMode) {
+        throw new QueryError('OF takes either "," / OR (any of them) or AND (all of them), not both', joiner.start);
+      }
+      mode = joinMode;
+      entities.push(readEntity());
+    }
+    return { mode: mode || 'any', entities };
+  };
+
+  const readField = (after) => {
+    const token = next();
+    // The "in" field is spelled like the IN keyword
+    if (isKeyword(token, 'IN')) return 'in';
+    if (token?.type !== 'word') {
+      throw new QueryError(`Expected a field after ${after}, found ${describe(token)}. Fields: ${Object.keys(FIELDS).join(', ')}`, at(token));
+    }
+    const field = token.value.toLowerCase();
+    if (!FIELDS[field]) {
+      throw new QueryError(`Unknown field "${token.value}".${didYouMean(token.value, Object.keys(FIELDS))} Fields: ${Object.keys(FIELDS).join(', ')}`, token.start);
+    }
+    return field;
+  };
+
+  const readCondition = () => {
+    const field = readField(query.where.length === 0 ? 'WHERE' : 'AND');
+    const { kind } = FIELDS[field];
+    const opToken = next();
+    if (opToken?.type !== 'op' || !OPERATORS[kind].includes(opToken.value)) {
+      throw new QueryError(`Expected ${OPERATORS[kind].join(' ')} after "${field}", found ${describe(opToken)}`, at(opToken));
+    }
+    const valueToken = next();
+    if (kind === 'number') {
+      if (valueToken?.type !== 'number') throw new QueryError(`"${field}" is compared with a number, found ${describe(valueToken)}`, at(valueToken));
+      return { field, op: opToken.value, value: valueToken.value };
+    }
+    if (!['string', 'word', 'number'].includes(valueToken?.type)) {
+      throw new QueryError(`Expected a value after "${field} ${opToken.value}", found ${describe(valueToken)}`, at(valueToken));
+    }
+    const value = String(valueToken.raw ?? valueToken.value);
+    if (kind === 'role') {
+      const role = value.toLowerCase();
+      if (!(role in ROLES) || role === 'node') {
+        throw new QueryError(`"type" is sponsor, actor or target, not "${value}"`, valueToken.start);
+      }
+      return { field, op: opToken.value, value: role === 'victim' ? 'target' : role };
+    }
+    return { field, op: opToken.value, value };
+  };
+
+  while (pos < tokens.length) {
+    const token = next();
+    if (token.type !== 'keyword' || !clauseStart(token)) {
+      throw new QueryError(`Unexpected ${describe(token)}; expected ${CLAUSES.join(', ')}`, token.start);
+    }
+    const clause = token.value;
+    if (seen.has(clause)) throw new QueryError(`${clause === 'ORDER' ? 'ORDER BY' : clause} appears twice`, token.start);
+    seen.add(clause);
+
+    if (clause === 'OF') {
+      query.of = readOf();
+    } else if (clause === 'IN') {
+      const name = next();
+      const network = name?.type === 'word' && NETWORKS[name.value.toLowerCase()];
+      if (!network) {
+        throw new QueryError(`Expected sector-network or geo-network after IN, found ${describe(name)}`, at(name));
+      }
+      query.network = network;
+    } else if (clause === 'DURING') {
+      const from = next();
+      if (from?.type !== 'number' || !Number.isInteger(from.value)) {
+        throw new QueryError(`Expected a year after DURING, found ${describe(from)}`, at(from));
+      }
+      let to = from;
+      if (peek()?.type === '-') {
+        next();
+        to = next();
+        if (to?.type !== 'number' || !Number.isInteger(to.value)) {
+          throw new QueryError(`Expected the last year after "${from.value}-", found ${describe(to)}`, at(to));
+        }
+      }
+      if (to.value < from.value) throw new QueryError(`${from.value}-${to.value} ends before it starts`, from.start);
+      query.during = [from.value, to.value];
+    } else if (clause === 'WHERE') {
+      query.where.push(readCondition());
+      while (isKeyword(peek(), 'AND')) {
+        next();
+        query.where.push(readCondition());
+      }
+      if (isKeyword(peek(), 'OR')) throw new QueryError('WHERE conditions are joined with AND only', peek().start);
+    } else if (clause === 'ORDER') {
+      const by = next();
+      if (!isKeyword(by, 'BY')) throw new QueryError(`Expected BY after ORDER, found ${describe(by)}`, at(by));
+      const field = readField('ORDER BY');
+      let direction = FIELDS[field].kind === 'number' ? 'desc' : 'asc';
+      if (isKeyword(peek(), 'ASC') || isKeyword(peek(), 'DESC')) direction = next().value.toLowerCase();
+      query.orderBy = { field, direction };
+    } else if (clause === 'LIMIT') {
+      const n = next();
+      if (n?.type !== 'number' || !Number.isInteger(n.value) || n.value < 1) {
+        throw new QueryError(`Expected a whole number after LIMIT, found ${describe(n)}`, at(n));
+      }
+      query.limit = n.value;
+    }
+  }
+  return query;
+}
+
+// ---------------------------- Formatting ----------------------------
+
+const quote = (value) => /^[A-Za-z_][\w.-]*$/.test(value) && !KEYWORDS.has(value.toUpperCase())
+  ? value
+  : `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+
+const formatEntity = ({ role, name }) => `${role && role !== 'node' ? `${role}:` : ''}${quote(name)}`;
+
+export function formatQuery(query) {
+  const parts = [query.subject];
+  if (query.of?.entities.length) {
+    parts.push('OF', query.of.entities.map(formatEntity).join(query.of.mode === 'all' ? ' AND ' : ', '));
+  }
+  if (query.network) parts.push('IN', `${query.network}-network`);
+  if (query.during) {
+    parts.push('DURING', query.during[0] === query.during[1] ? String(query.during[0]) : query.during.join('-'));
+  }
+  if (query.where?.length) {
+    parts.push('WHERE', query.where.map(c => `${c.field} ${c.op} ${typeof c.value === 'number' ? c.value : quote(c.value)}`).join(' AND '));
+  }
+  if (query.orderBy) parts.push('ORDER BY', query.orderBy.field, query.orderBy.direction.toUpperCase());
+  if (query.limit) parts.push('LIMIT', String(query.limit));
+  return parts.join(' ');
+}
+
+// ---------------------------- Autocomplete ----------------------------
+
+const option = (label, insert = label, kind = 'keyword') => ({ label, insert, kind });
+
+// What may come at the cursor, given the tokens before it
+function expectations(tokens, nodes) {
+  const names = (role) => nodes.filter(n => !ROLES[role] || n.type === ROLES[role]).map(n => n.id);
+  const subjects = Object.keys(SUBJECTS).map(s => option(s, s, 'subject'));
+  if (tokens.length === 0) return subjects;
+
+  // IN right after WHERE, AND or BY is the "in" field, not the clause
+  const isField = (i) => tokens[i].value === 'IN' && ['WHERE', 'AND', 'BY'].includes(tokens[i - 1]?.value);
+  let clauseIndex = -1;
+  tokens.forEach((t, i) => {
+    if (t.type === 'keyword' && ['OF', 'IN', 'DURING', 'WHERE', 'ORDER', 'LIMIT'].includes(t.value) && !isField(i)) clauseIndex = i;
+  });
+  const used = new Set(tokens.filter((t, i) => t.type === 'keyword' && !isField(i)).map(t => t.value));
+  const clauses = CLAUSES
+    .filter(c => !used.has(c.split(' ')[0]))
+    .map(c => option(c, `${c} `));
+  // Past the subject only clauses follow; anything else is a question, not a query
+  if (clauseIndex < 0) return tokens.length === 1 && SUBJECT_WORDS[String(tokens[0].value).toLowerCase()] ? clauses : [];
+
+  const clause = tokens[clauseIndex].value;
+  const rest = tokens.slice(clauseIndex + 1);
+  const last = rest[rest.length - 1];
+  const entityOptions = [
+    ...['sponsor', 'actor', 'target'].map(r => option(`${r}:`, `${r}:"`, 'role')),
+    ...names().map(n => option(n, quote(n), 'entity')),
+  ];
+  const fieldOptions = Object.entries(FIELDS).map(([f, { description }]) => ({ ...option(f, `${f} `, 'field'), description }));
+
+  if (clause === 'OF') {
+    if (last?.type === ':') {
+      const role = String(rest[rest.length - 2]?.value).toLowerCase();
+      return names(role).map(n => option(n, `"${n.replace(/(["\\])/g, '\\$1')}" `, 'entity'));
+    }
+    if (!last || last.type === ',' || (last.type === 'keyword' && ['AND', 'OR'].includes(last.value))) return entityOptions;
+    return [option(','), option('AND'), ...clauses];
+  }
+  if (clause === 'IN') return rest.length === 0 ? ['sector-network', 'geo-network'].map(n => option(n, `${n} `, 'network')) : clauses;
+  if (clause === 'DURING') return rest.length === 0 ? [] : clauses;
+  if (clause === 'LIMIT') return rest.length === 0 ? [] : clauses;
+  if (clause === 'ORDER') {
+    if (rest.length === 0) return [option('BY', 'BY ')];
+    if (rest.length === 1) return fieldOptions;
+    if (rest.length === 2) return [option('DESC', 'DESC '), option('ASC', 'ASC '), ...clauses];
+    return clauses;
+  }
+  // WHERE: field, operator, value, then AND or another clause
+  let conditionStart = 0;
+  rest.forEach((t, i) => { if (t.type === 'keyword' && t.value === 'AND') conditionStart = i + 1; });
+  const condition = rest.slice(conditionStart);
+  if (condition.length === 0) return fieldOptions;
+  const field = FIELDS[String(condition[0].value).toLowerCase()];
+  if (!field) return [];
+  if (condition.length === 1) return OPERATORS[field.kind].map(op => option(op, `${op} `, 'operator'));
+  if (condition.length === 2) {
+    if (field.kind === 'role') return ['sponsor', 'actor', 'target'].map(r => option(r, `${r} `, 'value'));
+    if (field.kind === 'text') return names().map(n => option(n, `${quote(n)} `, 'entity'));
+    return [];
+  }
+  return [option('AND', 'AND '), ...clauses];
+}
+
+// Options for the word being typed at `cursor`: { from, to, options } where
+// from/to is the span an option's `insert` replaces. `nodes` ({ id, type })
+// supply entity names; those starting with the typed word come first.
+export function completeQuery(text, cursor, { nodes = [], limit = 12 } = {}) {
+  const before = text.slice(0, cursor);
+  let tokens;
+  try {
+    tokens = tokenize(before, { partial: true });
+  } catch {
+    return { from: cursor, to: cursor, options: [] };
+  }
+  // The token touching the cursor is still being typed
+  const typing = tokens.length > 0 && tokens[tokens.length - 1].end === before.length
+    && ['word', 'string', 'keyword', 'number'].includes(tokens[tokens.length - 1].type)
+    && (tokens[tokens.length - 1].type !== 'string' || tokens[tokens.length - 1].open)
+    ? tokens.pop()
+    : null;
+  const prefix = typing ? String(typing.value).toLowerCase() : '';
+  const matches = expectations(tokens, nodes).filter(o => {
+    const label = o.label.toLowerCase();
+    return !prefix || (o.kind === 'entity' ? label.includes(prefix) : label.startsWith(prefix));
+  });
+  if (prefix) {
+    const rank = (o) => o.label.toLowerCase().startsWith(prefix) ? 0 : 1;
+    matches.sort((a, b) => rank(a) - rank(b));
+  }
+  // A complete word needs no suggestion of itself
+  const options = matches.filter(o => !(typing && !typing.open && o.label.toLowerCase() === prefix && typing.type !== 'string'));
+  return { from: typing ? typing.start : cursor, to: cursor, options: options.slice(0, limit) };
+}
@@ -0,0 +1,218 @@
+import { describe, expect, it } from 'vitest';
+import { QueryError, completeQuery, formatQuery, parseQuery } from './queryLanguage';
+
+// The QueryError `text` throws, for checking its message and position
+const errorOf = (text) => {
+  try {
+    parseQuery(text);
+  } catch (err) {
+    if (err instanceof QueryError) return err;
+    throw err;
+  }
+  throw new Error(`"${text}" parsed`);
+};
+
+describe('parseQuery', () => {
+  it('reads every clause', () => {
+    expect(parseQuery('targets OF sponsor:"China" IN sector-network DURING 2014-2018 WHERE incidents > 2 ORDER BY incidents ASC LIMIT 10')).toEqual({
+      subject: 'targets',
+      of: { mode: 'any', entities: [{ role: 'sponsor', name: 'China' }] },
+      network: 'sector',
+      during: [2014, 2018],
+      where: [{ field: 'incidents', op: '>', value: 2 }],
+      orderBy: { field: 'incidents', direction: 'asc' },
+      limit: 10,
+    });
+  });
+
+  it('takes clauses in any order and keywords in any case', () => {
+    expect(parseQuery('actors limit 5 where degree >= 3 of China'))
+      .toEqual(parseQuery('actors OF China WHERE degree >= 3 LIMIT 5'));
+  });
+
+  it('knows the subjects and roles by their other names', () => {
+    expect(parseQuery('victims').subject).toBe('targets');
+    expect(parseQuery('entity').subject).toBe('nodes');
+    expect(parseQuery('actors OF victim:Energy').of.entities).toEqual([{ role: 'target', name: 'Energy' }]);
+    expect(parseQuery('actors WHERE type = victim').where[0].value).toBe('target');
+    expect(parseQuery('nodes IN countries').network).toBe('geo');
+  });
+
+  it('reads a single year and orders numbers highest first by default', () => {
+    const query = parseQuery('sponsors DURING 2016 ORDER BY degree');
+    expect(query.during).toEqual([2016, 2016]);
+    expect(query.orderBy).toEqual({ field: 'degree', direction: 'desc' });
+    expect(parseQuery('sponsors ORDER BY name').orderBy.direction).toBe('asc');
+  });
+
+  describe('AND and OR', () => {
+    it('joins OF entities with "," or OR (any of them) and AND (all of them)', () => {
+      expect(parseQuery('actors OF China, Iran OR Russia').of.mode).toBe('any');
+      expect(parseQuery('actors OF China AND Iran').of).toEqual({
+        mode: 'all',
+        entities: [{ role: null, name: 'China' }, { role: null, name: 'Iran' }],
+      });
+    });
+
+    it('leaves an AND before a clause keyword to that clause', () => {
+      const query = parseQuery('actors OF China AND Iran WHERE degree > 1 AND in > 2');
+      expect(query.of.entities.map(e => e.name)).toEqual(['China', 'Iran']);
+      expect(query.where.map(c => c.field)).toEqual(['degree', 'in']);
+    });
+
+    it('does not mix any-of and all-of joiners', () => {
+      const text = 'actors OF China, Iran AND Russia';
+      const error = errorOf(text);
+      expect(error.message).toMatch(/not both/);
+      expect(error.position).toBe(text.indexOf('AND'));
+    });
+
+    it('joins WHERE conditions with AND only', () => {
+      const text = 'actors WHERE degree > 1 OR in > 2';
+      expect(errorOf(text).position).toBe(text.indexOf('OR'));
+    });
+  });
+
+  describe('errors', () => {
+    it('asks for a subject and suggests a close one', () => {
+      const error = errorOf('actros');
+      expect(error.message).toContain('Did you mean "actors"?');
+      expect(error.position).toBe(0);
+      expect(errorOf('').position).toBe(0);
+    });
+
+    it('points at an unknown field and suggests a close one', () => {
+      const text = 'actors WHERE degre > 1';
+      const error = errorOf(text);
+      expect(error.message).toContain('Did you mean "degree"?');
+      expect(error.position).toBe(text.indexOf('degre'));
+    });
+
+    it('points at the end of a query that stops early', () => {
+      const text = 'actors WHERE degree >';
+      expect(errorOf(text).position).toBe(text.length);
+      expect(errorOf('actors ORDER').position).toBe('actors ORDER'.length);
+    });
+
+    it('points at operators that do not fit the field', () => {
+      const text = 'actors WHERE degree ~ 3';
+      expect(errorOf(text).position).toBe(text.indexOf('~'));
+      expect(errorOf('actors WHERE degree ! 3').message).toContain('!=');
+    });
+
+    it('points at a repeated clause', () => {
+      const text = 'actors LIMIT 5 LIMIT 6';
+      expect(errorOf(text).message).toContain('LIMIT appears twice');
+      expect(errorOf(text).position).toBe(text.lastIndexOf('LIMIT'));
+    });
+
+    it('points at unknown roles, networks and characters', () => {
+      expect(errorOf('actors OF boss:China').position).toBe('actors OF '.length);
+      expect(errorOf('actors IN moon').position).toBe('actors IN '.length);
+      expect(errorOf('actors ; LIMIT 1').position).toBe('actors '.length);
+    });
+
+    it('checks year ranges and limits', () => {
+      expect(errorOf('actors DURING 2018-2014').position).toBe('actors DURING '.length);
+      expect(errorOf('actors LIMIT 0').position).toBe('actors LIMIT '.length);
+      expect(errorOf('actors WHERE type = node').message).toContain('"type" is sponsor, actor or target');
+    });
+  });
+
+  describe('numbers', () => {
+    it('reads whole and decimal numbers', () => {
+      expect(parseQuery('actors WHERE degree > 12').where[0].value).toBe(12);
+      expect(parseQuery('actors WHERE pagerank >= 0.25').where[0].value).toBe(0.25);
+    });
+
+    it('rejects a malformed number at its position', () => {
+      const text = 'actors WHERE degree > 1.5.3';
+      const error = errorOf(text);
+      expect(error.message).toContain('"1.5.3"');
+      expect(error.position).toBe('actors WHERE degree > '.length);
+    });
+
+    it('takes only whole numbers for years and limits', () => {
+      expect(errorOf('actors DURING 2015.5').position).toBe('actors DURING '.length);
+      expect(errorOf('actors LIMIT 2.5').position).toBe('actors LIMIT '.length);
+    });
+
+    it('compares numeric fields with numbers only', () => {
+      const text = 'actors WHERE degree > many';
+      expect(errorOf(text).position).toBe(text.indexOf('many'));
+    });
+
+    it('reads a number as a name where a name is expected', () => {
+      expect(parseQuery('targets OF actor:41').of.entities[0].name).toBe('41');
+      expect(parseQuery('actors WHERE name = 41').where[0].value).toBe('41');
+    });
+  });
+
+  describe('quoted strings', () => {
+    it('keeps spaces, keywords and the other quote inside quotes', () => {
+      expect(parseQuery('targets OF actor:"Lazarus Group"').of.entities[0].name).toBe('Lazarus Group');
+      expect(parseQuery("targets OF 'Bureau 121 OF Pyongyang'").of.entities[0].name).toBe('Bureau 121 OF Pyongyang');
+      expect(parseQuery('actors WHERE name ~ "it\'s"').where[0].value).toBe("it's");
+    });
+
+    it('unescapes backslashes', () => {
+      expect(parseQuery('actors WHERE name = "say \\"hi\\""').where[0].value).toBe('say "hi"');
+    });
+
+    it('points at a quote that is never closed', () => {
+      const text = 'actors OF "China';
+      const error = errorOf(text);
+      expect(error.message).toContain('never closed');
+      expect(error.position).toBe(text.indexOf('"'));
+    });
+  });
+});
+
+describe('formatQuery', () => {
+  it('writes text that parses back to the same query', () => {
+    [
+      'targets OF sponsor:"China" IN sector-network DURING 2014-2018 WHERE incidents > 2 ORDER BY incidents ASC LIMIT 10',
+      'actors OF "Lazarus Group" AND target:"say \\"hi\\""',
+      'nodes WHERE name ~ "OF" AND type != sponsor',
+      'sponsors DURING 2016',
+    ].forEach(text => {
+      const query = parseQuery(text);
+      expect(parseQuery(formatQuery(query))).toEqual(query);
+    });
+  });
+
+  it('quotes names that are not plain words', () => {
+    expect(formatQuery(parseQuery('actors OF "APT 28", Turla, "and"'))).toBe('actors OF "APT 28", Turla, "and"');
+  });
+});
+
+describe('completeQuery', () => {
+  const nodes = [
+    { id: 'China', type: 'sponsor' },
+    { id: 'APT41', type: 'actor' },
+    { id: 'Energy', type: 'victim' },
+  ];
+  const labels = (text, cursor = text.length) => completeQuery(text, cursor, { nodes }).options.map(o => o.label);
+
+  it('offers subjects, then clauses not yet used', () => {
+    expect(labels('')).toEqual(['nodes', 'sponsors', 'actors', 'targets']);
+    expect(labels('actors LIMIT 5 ')).not.toContain('LIMIT');
+    expect(labels('actors LIMIT 5 ')).toContain('WHERE');
+  });
+
+  it('offers names of the role being typed', () => {
+    expect(labels('targets OF actor:')).toEqual(['APT41']);
+    expect(completeQuery('targets OF ch', 13, { nodes })).toMatchObject({ from: 11, to: 13 });
+  });
+
+  it('offers operators and values that fit the field', () => {
+    expect(labels('actors WHERE type ')).toEqual(['=', '!=']);
+    expect(labels('actors WHERE in ')).toEqual(['=', '!=', '>', '>=', '<', '<=']);
+    expect(labels('actors WHERE in > 2 ')).toContain('IN');
+    expect(labels('actors WHERE type = ')).toEqual(['sponsor', 'actor', 'target']);
+  });
+
+  it('offers nothing after a malformed number instead of failing', () => {
+    expect(completeQuery('actors WHERE degree > 1.5.3 ', 28).options).toEqual([]);
+  });
+});
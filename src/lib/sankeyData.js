@@ -0,0 +1,109 @@
+import { computeDegrees } from './normalizeNetwork';
+
+// Three-column flow (sponsor → actor → victim) built from a normalized network
+// for d3-sankey, plus path tracing over it. Pure: d3-sankey mutates what it is
+// given, so every call returns fresh objects.
+
+export const FLOW_COLUMNS = { sponsor: 0, actor: 1, victim: 2 };
+const FLOW_TYPES = new Set(['sponsor_to_actor', 'actor_to_victim', 'sponsor_to_victim']);
+
+const endpointId = (end) => end && typeof end === 'object' ? end.id : end;
+export const flowLinkKey = (l) => `${endpointId(l.source)}→${endpointId(l.target)}→${l.type}`;
+
+// Keeps the `topN` heaviest nodes of each column (by total link weight) and the
+// links between them. Links that do not run left to right (e.g. between two
+// sponsors) cannot be drawn as a flow and are left out.
+// Returns { nodes, links, hidden: { sponsor, actor, victim } }.
+export function buildSankeyData(network, { topN = 15 } = {}) {
+  const typeOf = new Map((network?.nodes || []).map(n => [n.id, n.type || 'actor']));
+  const column = (id) => FLOW_COLUMNS[typeOf.get(id)];
+
+  const links = [];
+  (network?.links || []).forEach(l => {
+    const source = endpointId(l.source);
+    const target = endpointId(l.target);
+    if (!FLOW_TYPES.has(l.type)) return;
+    if (!(column(source) < column(target))) return;
+    links.push({ source, target, type: l.type, value: l.weight ?? 1, key: flowLinkKey(l) });
+  });
+
+  const throughput = new Map();
+  links.forEach(l => {
+    throughput.set(l.source, (throughput.get(l.source) || 0) + l.value);
+    throughput.set(l.target, (throughput.get(l.target) || 0) + l.value);
+  });
+
+  const kept = new Set();
+  const hidden = {};
+  Object.keys(FLOW_COLUMNS).forEach(type => {
+    const ranked = [...throughput.keys()]
+      .filter(id => typeOf.get(id) === type)
+      .sort((a, b) => throughput.get(b) - throughput.get(a));
+    ranked.slice(0, topN).forEach(id => kept.add(id));
+    hidden[type] = Math.max(0, ranked.length - topN);
+  });
+
+  const keptLinks = links.filter(l => kept.has(l.source) && kept.has(l.target));
+  const linked = new Set(keptLinks.flatMap(l => [l.source, l.target]));
+  const nodes = (network?.nodes || [])
+    .filter(n => linked.has(n.id))
+    .map(n => ({ id: n.id, type: n.type, column: FLOW_COLUMNS[n.type] }));
+
+  return { nodes, links: keptLinks, hidden };
+}
+
+// Every node and link on a full path through a node or a link: everything
+// upstream of it and everything downstream of it.
+// `from` is { node: id } or { link: flowLink }; returns { nodeIds, linkKeys }.
+export function traceFlowPath(flow, from) {
+  const incoming = new Map();
+  const outgoing = new Map();
+  flow.links.forEach(l => {
+    const s = endpointId(l.source), t = endpointId(l.target);
+    if (!outgoing.has(s)) outgoing.set(s, []);
+    if (!incoming.has(t)) incoming.set(t, []);
+    outgoing.get(s).push(l);
+    incoming.get(t).push(l);
+  });
+
+  const nodeIds = new Set();
+  const linkKeys = new Set();
+  const walk = (start, edges, next) => {
+    const stack = [start];
+    const seen = new Set([start]);
+    while (stack.length) {
+      const id = stack.pop();
+      nodeIds.add(id);
+      (edges.get(id) || []).forEach(l => {
+        linkKeys.add(l.key);
+        const other = next(l);
+        if (!seen.has(other)) {
+          seen.add(other);
+          stack.push(other);
+        }
+      });
+    }
+  };
+
+  const up = from.link ? endpointId(from.link.source) : from.node;
+  const down = from.link ? endpointId(from.link.target) : from.node;
+  if (from.link) linkKeys.add(from.link.key);
+  walk(up, incoming, l => endpointId(l.source));
+  walk(down, outgoing, l => endpointId(l.target));
+  return { nodeIds, linkKeys };
+}
+
+// Restricts a network to the nodes and links of a traced path. Returns fresh
+// objects with degrees recomputed, like filterNetworkByYears.
+export function restrictToPath(network, path) {
+  const links = (network.links || [])
+    .filter(l => path.linkKeys.has(flowLinkKey(l)))
+    .map(l => ({ ...l, source: endpointId(l.source), target: endpointId(l.target) }));
+  const deg = computeDegrees(network.nodes || [], links);
+  return {
+    nodes: (network.nodes || [])
+      .filter(n => path.nodeIds.has(n.id) && deg.get(n.id) > 0)
+      .map(n => ({ ...n, degree: deg.get(n.id) })),
+    links
+  };
+}
@@ -0,0 +1,98 @@
+import { validate, queryCollectionSchema, queryHistorySchema, savedQuerySchema } from '../data/schema';
+import { DatasetError } from '../data/datasets';
+import { readStoredList, writeStoredList } from '../data/storage';
+
+// QueryPanel's memory: the history of run queries and named saved queries,
+// both in localStorage, plus collections of saved queries exchanged as JSON
+// files and links that rerun a query.
+//
+// Collection format:
+//   {
+//     "version": 1,
+//     "exportedAt": "2025-03-01T09:00:00.000Z",
+//     "queries": [{ "name": "Weekly: China", "text": "targets OF sponsor:China", "networkType": "sector" }, …]
+//   }
+//
+// `text` is what was typed, a query or a question; `networkType` the network
+// it ran on when saved.
+
+export const COLLECTION_VERSION = 1;
+export const HISTORY_LIMIT = 50;
+const SAVED_KEY = 'cti-viz.savedQueries';
+const HISTORY_KEY = 'cti-viz.queryHistory';
+
+// ---------------------------- Storage ----------------------------
+
+export function readSavedQueries() {
+  return readStoredList(SAVED_KEY, savedQuerySchema);
+}
+
+// Saving under an existing name replaces it
+export function saveQuery(entry) {
+  const saved = { ...entry, savedAt: entry.savedAt || new Date().toISOString() };
+  return writeStoredList(SAVED_KEY, [...readSavedQueries().filter(q => q.name !== saved.name), saved]);
+}
+
+export function deleteSavedQuery(name) {
+  return writeStoredList(SAVED_KEY, readSavedQueries().filter(q => q.name !== name));
+}
+
+// Imported queries replace saved ones of the same name
+export function importSavedQueries(queries) {
+  const names = new Set(queries.map(q => q.name));
+  return writeStoredList(SAVED_KEY, [...readSavedQueries().filter(q => !names.has(q.name)), ...queries]);
+}
+
+// Latest first, each text once
+export function readHistory() {
+  return readStoredList(HISTORY_KEY, queryHistorySchema);
+}
+
+export function recordHistory({ text, networkType, total }) {
+  const entry = { text, networkType, total, ranAt: new Date().toISOString() };
+  return writeStoredList(HISTORY_KEY, [entry, ...readHistory().filter(h => h.text !== text)].slice(0, HISTORY_LIMIT));
+}
+
+export function clearHistory() {
+  return writeStoredList(HISTORY_KEY, []);
+}
+
+// ---------------------------- Files ----------------------------
+
+export function createCollection(queries) {
+  return {
+    version: COLLECTION_VERSION,
+    exportedAt: new Date().toISOString(),
+    queries: queries.map(({ name, text, networkType, savedAt }) => ({ name, text, networkType, savedAt })),
+  };
+}
+
+export function collectionFileName() {
+  return `queries-${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+// Throws a DatasetError ('parse' or 'schema') for files that are not query collections
+export function parseCollection(text, fileName = 'query file') {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new DatasetError(fileName, 'parse', `${fileName} is not valid JSON: ${err.message}`);
+  }
+  const issues = validate(json, queryCollectionSchema);
+  if (issues.length > 0) {
+    throw new DatasetError(fileName, 'schema', `${fileName} is not a saved query collection`, issues);
+  }
+  if (json.version > COLLECTION_VERSION) {
+    throw new DatasetError(fileName, 'schema', `${fileName} was saved by a newer version (v${json.version})`);
+  }
+  return json.queries;
+}
+
+// ---------------------------- Links ----------------------------
+
+// The app URL that opens `networkType` and reruns `text` in the query panel
+export function queryLink(text, networkType, base = window.location) {
+  const params = new URLSearchParams({ query: text });
+  return `${base.origin}${base.pathname}#/network/${networkType}?${params}`;
+}
@@ -0,0 +1,91 @@
+import { computeDegrees } from './normalizeNetwork';
+
+// Links may carry the years of their underlying incidents, either as a
+// per-year count map (`years: { "2014": 2, "2016": 1 }`) or as a list of
+// incidents (`incidents: [{ year: 2014, ... }]`). Both are folded into a
+// Map<year, count>. Undated links return an empty map.
+export function linkYearCounts(link) {
+  const counts = new Map();
+  if (link.years && typeof link.years === 'object') {
+    Object.entries(link.years).forEach(([year, count]) => {
+      const y = parseInt(year, 10);
+      if (Number.isFinite(y)) counts.set(y, (counts.get(y) || 0) + (Number(count) || 0));
+    });
+  } else if (Array.isArray(link.incidents)) {
+    link.incidents.forEach(inc => {
+      const y = parseInt(inc?.year, 10);
+      if (Number.isFinite(y)) counts.set(y, (counts.get(y) || 0) + 1);
+    });
+  }
+  return counts;
+}
+
+export function getYearExtent(links) {
+  let min = Infinity, max = -Infinity;
+  (links || []).forEach(l => {
+    linkYearCounts(l).forEach((count, year) => {
+      if (count <= 0) return;
+      if (year < min) min = year;
+      if (year > max) max = year;
+    });
+  });
+  return Number.isFinite(min) ? [min, max] : null;
+}
+
+// Incident totals per year across all links, with empty years filled in
+export function getYearHistogram(links) {
+  const extent = getYearExtent(links);
+  if (!extent) return [];
+  const totals = new Map();
+  (links || []).forEach(l => {
+    linkYearCounts(l).forEach((count, year) => totals.set(year, (totals.get(year) || 0) + count));
+  });
+  const out = [];
+  for (let year = extent[0]; year <= extent[1]; year++) {
+    out.push({ year, count: totals.get(year) || 0 });
+  }
+  return out;
+}
+
+const endpointId = (end) => typeof end === 'object' ? end.id : end;
+
+// Returns fresh node/link objects (the force simulation mutates them) for the
+// given inclusive [from, to] year range. Link weights become the incident count
+// inside the range, links with none are dropped, and node degrees are recomputed
+// over what remains. Nodes left without links are dropped too. A missing range,
+// or one covering every dated year, keeps the whole network.
+export function filterNetworkByYears(network, range) {
+  const links = (network.links || []).map(l => ({
+    ...l,
+    source: endpointId(l.source),
+    target: endpointId(l.target)
+  }));
+  const extent = getYearExtent(links);
+  const fullRange = !range || !extent || (range[0] <= extent[0] && range[1] >= extent[1]);
+
+  if (fullRange) {
+    return {
+      nodes: (network.nodes || []).map(n => ({ ...n })),
+      links
+    };
+  }
+
+  const [from, to] = range;
+  const kept = [];
+  links.forEach(l => {
+    let weight = 0;
+    linkYearCounts(l).forEach((count, year) => {
+      if (year >= from && year <= to) weight += count;
+    });
+    if (weight > 0) kept.push({ ...l, weight });
+  });
+
+  const deg = computeDegrees(network.nodes || [], kept);
+
+  return {
+    nodes: (network.nodes || [])
+      .filter(n => deg.get(n.id) > 0)
+      .map(n => ({ ...n, degree: deg.get(n.id) })),
+    links: kept
+  };
+}
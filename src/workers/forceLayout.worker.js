@@ -0,0 +1,78 @@
+import { DEFAULT_FORCES, configureForces, createForceSimulation } from '../lib/forceLayout';
+
+// Runs the force simulation off the main thread. Positions and velocities are
+// posted back as flat Float32Arrays ([x0, y0, x1, y1, …] and [vx0, vy0, …]) in
+// the order the nodes were sent, tagged with the version of the graph they
+// belong to. The velocities let the next graph, or a main-thread simulation
+// taking over, carry on the motion instead of restarting it.
+//
+// Messages in:
+//   { type: 'graph', version, nodes: [{ id, degree, radius?, x?, y?, fx?, fy?, tx?, ty?, tr? }], links: [{ source, target }], width, height, alpha }
+//   { type: 'forces', forces }     settings for this and later graphs (see forceLayout)
+//   { type: 'pin', id, x, y }      fix a node (dragging)
+//   { type: 'release', id, keepPinned }  end a drag; the node stays fixed if keepPinned
+//   { type: 'stop' }
+// Messages out:
+//   { type: 'tick', version, positions, velocities }
+
+let simulation = null;
+let version = 0;
+let nodesById = new Map();
+let forces = DEFAULT_FORCES;
+
+function postPositions() {
+  const nodes = simulation.nodes();
+  const positions = new Float32Array(nodes.length * 2);
+  const velocities = new Float32Array(nodes.length * 2);
+  nodes.forEach((n, i) => {
+    positions[i * 2] = n.x;
+    positions[i * 2 + 1] = n.y;
+    velocities[i * 2] = n.vx;
+    velocities[i * 2 + 1] = n.vy;
+  });
+  self.postMessage({ type: 'tick', version, positions, velocities }, [positions.buffer, velocities.buffer]);
+}
+
+self.onmessage = ({ data: message }) => {
+  switch (message.type) {
+    case 'graph': {
+      if (!simulation) {
+        simulation = createForceSimulation({ ...message, forces });
+        simulation.on('tick', postPositions);
+      }
+      version = message.version;
+      configureForces(simulation, forces, message);
+      const nodes = message.nodes.map(n => ({ ...n }));
+      nodesById = new Map(nodes.map(n => [n.id, n]));
+      simulation.nodes(nodes);
+      simulation.force('link').links(message.links);
+      simulation.alpha(message.alpha).restart();
+      return;
+    }
+    case 'forces':
+      forces = message.forces;
+      return;
+    case 'pin': {
+      const node = nodesById.get(message.id);
+      if (!node) return;
+      node.fx = message.x;
+      node.fy = message.y;
+      simulation.alphaTarget(0.3).restart();
+      return;
+    }
+    case 'release': {
+      const node = nodesById.get(message.id);
+      if (!node) return;
+      if (!message.keepPinned) {
+        node.fx = null;
+        node.fy = null;
+      }
+      simulation.alphaTarget(0);
+      return;
+    }
+    case 'stop':
+      simulation?.stop();
+      return;
+    default:
+  }
+};